@@ -0,0 +1,77 @@
+// Group buffering: while anyone's stream is buffering the whole room waits.
+// Clients report when their player starts and stops buffering; the room stays
+// paused until every reporter is ready again or the timeout runs out. Someone
+// who ran out the timeout can't pause the room again until their cooldown ends.
+
+const BUFFERING_TIMEOUT_MS = 20 * 1000;
+const BUFFERING_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Fresh buffering state for a room
+ */
+function createBuffering() {
+  return {
+    waiting: new Map(), // userId -> { name, since }
+    cooldowns: new Map(), // userId -> time they may pause the room again
+    since: 0, // When the room started waiting (0 while playing on)
+    resumePlayback: false, // Whether the server's clock was running when the room paused
+  };
+}
+
+/**
+ * Whether the room is currently waiting on someone
+ */
+function isWaiting(state) {
+  return state.waiting.size > 0;
+}
+
+/**
+ * Record that a user is buffering; returns whether anything changed
+ */
+function startBuffering(state, userId, name, now = Date.now()) {
+  if (state.waiting.has(userId)) return false;
+  if ((state.cooldowns.get(userId) || 0) > now) return false;
+  state.cooldowns.delete(userId);
+  if (!isWaiting(state)) state.since = now;
+  state.waiting.set(userId, { name, since: now });
+  return true;
+}
+
+/**
+ * Record that a user is ready (or gone); returns whether anything changed
+ */
+function stopBuffering(state, userId) {
+  if (!state.waiting.delete(userId)) return false;
+  if (!isWaiting(state)) state.since = 0;
+  return true;
+}
+
+/**
+ * Give up on everyone still buffering and put them on cooldown.
+ * @returns {string[]} ids of the users the room stopped waiting for
+ */
+function expireBuffering(state, now = Date.now()) {
+  const timedOut = Array.from(state.waiting.keys());
+  timedOut.forEach((userId) => state.cooldowns.set(userId, now + BUFFERING_COOLDOWN_MS));
+  state.waiting.clear();
+  state.since = 0;
+  return timedOut;
+}
+
+/**
+ * Who the room is waiting on, for the group-buffering message
+ */
+function waitingOn(state) {
+  return Array.from(state.waiting, ([id, { name }]) => ({ id, name }));
+}
+
+module.exports = {
+  BUFFERING_TIMEOUT_MS,
+  BUFFERING_COOLDOWN_MS,
+  createBuffering,
+  isWaiting,
+  startBuffering,
+  stopBuffering,
+  expireBuffering,
+  waitingOn,
+};
@@ -2,10 +2,16 @@ const {
   createECDH,
   createCipheriv,
   createDecipheriv,
+  createHash,
+  createHmac,
   hkdfSync,
+  pbkdf2Sync,
   randomBytes,
 } = require("crypto");
 
+// Must match the extension; part of what makes the proof expensive to guess
+const PASSPHRASE_ITERATIONS = 600000;
+
 function normalizeCurve(curve) {
   if (!curve) return "prime256v1";
   if (curve === "P-256" || curve === "secp256r1") return "prime256v1";
@@ -28,15 +34,40 @@ function deriveSharedSecret(privateKeyB64, peerPublicKeyB64, curve = "P-256") {
   return ecdh.computeSecret(Buffer.from(peerPublicKeyB64, "base64"));
 }
 
-function hkdf(secret, salt, info = "flixers-e2e", length = 32) {
+// Passphrase rooms append the passphrase-derived secret to the salt and use their
+// own info label, so a key agreed with someone who lacks it opens nothing
+function hkdf(secret, salt, info = "flixers-e2e", length = 32, roomSecret = null) {
   const saltBuf = salt ? Buffer.from(salt, "base64") : randomBytes(16);
-  const key = hkdfSync("sha256", saltBuf, secret, Buffer.from(info, "utf8"), length);
+  const mixedSalt = roomSecret ? Buffer.concat([saltBuf, Buffer.from(roomSecret, "base64")]) : saltBuf;
+  const label = roomSecret ? `${info}-passphrase` : info;
+  const key = hkdfSync("sha256", mixedSalt, secret, Buffer.from(label, "utf8"), length);
   return { key, salt: saltBuf.toString("base64") };
 }
 
-function encryptJson(payload, key, iv) {
+/**
+ * Stretch a room passphrase: `proof` goes to the server (which stores `verifier`),
+ * `secret` never leaves the client and is mixed into HKDF
+ */
+function derivePassphraseKeys(passphrase, salt) {
+  const bits = pbkdf2Sync(
+    passphrase.normalize("NFKC"),
+    Buffer.from(salt, "base64"),
+    PASSPHRASE_ITERATIONS,
+    64,
+    "sha256"
+  );
+  const proof = bits.subarray(0, 32);
+  return {
+    proof: proof.toString("base64"),
+    secret: bits.subarray(32).toString("base64"),
+    verifier: createHash("sha256").update(proof).digest("base64"),
+  };
+}
+
+function encryptJson(payload, key, iv, aad) {
   const ivBuf = iv ? Buffer.from(iv, "base64") : randomBytes(12);
   const cipher = createCipheriv("aes-256-gcm", key, ivBuf);
+  if (aad) cipher.setAAD(aad);
   const ciphertext = Buffer.concat([
     cipher.update(JSON.stringify(payload), "utf8"),
     cipher.final(),
@@ -50,12 +81,13 @@ function encryptJson(payload, key, iv) {
   };
 }
 
-function decryptJson({ ciphertext, iv, tag }, key) {
+function decryptJson({ ciphertext, iv, tag }, key, aad) {
   const decipher = createDecipheriv(
     "aes-256-gcm",
     key,
     Buffer.from(iv, "base64")
   );
+  if (aad) decipher.setAAD(aad);
   decipher.setAuthTag(Buffer.from(tag, "base64"));
   const plaintext = Buffer.concat([
     decipher.update(Buffer.from(ciphertext, "base64")),
@@ -65,19 +97,173 @@ function decryptJson({ ciphertext, iv, tag }, key) {
 }
 
 function buildEncryptedEnvelope(message, opts) {
-  const { privateKey, peerPublicKey, curve = "P-256", salt, info } = opts;
+  const { privateKey, peerPublicKey, curve = "P-256", salt, info, roomSecret } = opts;
   const secret = deriveSharedSecret(privateKey, peerPublicKey, curve);
-  const { key, salt: derivedSalt } = hkdf(secret, salt, info);
+  const { key, salt: derivedSalt } = hkdf(secret, salt, info, 32, roomSecret);
   return { ...encryptJson(message, key), salt: derivedSalt };
 }
 
 function openEncryptedEnvelope(envelope, opts) {
-  const { privateKey, peerPublicKey, curve = "P-256", info } = opts;
+  const { privateKey, peerPublicKey, curve = "P-256", info, roomSecret } = opts;
   const secret = deriveSharedSecret(privateKey, peerPublicKey, curve);
-  const { key } = hkdf(secret, envelope.salt, info);
+  const { key } = hkdf(secret, envelope.salt, info, 32, roomSecret);
   return decryptJson(envelope, key);
 }
 
+// Sender keys: one ciphertext per group message instead of one per peer.
+// Each member ratchets a chain key forward once per message,
+//   messageKey = HMAC-SHA256(chainKey, 0x01), nextChainKey = HMAC-SHA256(chainKey, 0x02),
+// and shares the chain key with each peer once over the pairwise channel.
+// The key id and message index are bound in as AES-GCM additional data.
+const MAX_SENDER_KEY_SKIP = 1000; // Messages we'll ratchet past in one go
+const MAX_SKIPPED_KEYS = 200; // Keys kept for messages that arrive out of order
+
+function createSenderKey() {
+  return {
+    keyId: randomBytes(8).toString("hex"),
+    chainKey: randomBytes(32).toString("base64"),
+    iteration: 0,
+  };
+}
+
+function ratchetSenderKey(chainKey) {
+  const chain = Buffer.from(chainKey, "base64");
+  return {
+    messageKey: createHmac("sha256", chain).update(Buffer.from([1])).digest(),
+    chainKey: createHmac("sha256", chain).update(Buffer.from([2])).digest("base64"),
+  };
+}
+
+function senderKeyAad(keyId, n) {
+  return Buffer.from(`${keyId}:${n}`, "utf8");
+}
+
+/**
+ * Encrypt with our sender key; returns the envelope and the advanced state
+ */
+function encryptWithSenderKey(payload, state) {
+  const n = state.iteration;
+  const { messageKey, chainKey } = ratchetSenderKey(state.chainKey);
+  const envelope = {
+    scheme: "sender-key",
+    keyId: state.keyId,
+    n,
+    ...encryptJson(payload, messageKey, undefined, senderKeyAad(state.keyId, n)),
+  };
+  return { envelope, state: { ...state, chainKey, iteration: n + 1 } };
+}
+
+/**
+ * Decrypt a peer's sender-key envelope; returns the payload and the state to keep.
+ * Throws on unknown keys, replays of spent indexes, or tampering (state is untouched then).
+ */
+function decryptWithSenderKey(envelope, state) {
+  if (envelope.keyId !== state.keyId) throw new Error("unknown_sender_key");
+  const n = Number(envelope.n);
+  if (!Number.isInteger(n) || n < 0) throw new Error("invalid_message_index");
+
+  const skipped = { ...(state.skipped || {}) };
+  let { chainKey, iteration } = state;
+  let messageKey;
+  if (n < iteration) {
+    if (!skipped[n]) throw new Error("message_key_used");
+    messageKey = Buffer.from(skipped[n], "base64");
+    delete skipped[n];
+  } else {
+    if (n - iteration > MAX_SENDER_KEY_SKIP) throw new Error("too_many_skipped_messages");
+    while (iteration < n) {
+      const step = ratchetSenderKey(chainKey);
+      skipped[iteration] = step.messageKey.toString("base64");
+      chainKey = step.chainKey;
+      iteration += 1;
+    }
+    const step = ratchetSenderKey(chainKey);
+    messageKey = step.messageKey;
+    chainKey = step.chainKey;
+    iteration = n + 1;
+  }
+
+  const payload = decryptJson(envelope, messageKey, senderKeyAad(state.keyId, n));
+  const kept = Object.keys(skipped)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .slice(-MAX_SKIPPED_KEYS);
+  const nextSkipped = Object.fromEntries(kept.map((index) => [index, skipped[index]]));
+  return { payload, state: { ...state, chainKey, iteration, skipped: nextSkipped } };
+}
+
+/**
+ * Handle inbound encrypted frames one at a time, in arrival order; returns
+ * `enqueue(frame)`, which settles once `handle` is done with that frame.
+ * Opening a pairwise sender-key share takes longer than a group message, so
+ * handled concurrently the group message sent right behind a share would look
+ * for the key before it's stored.
+ */
+function createInboundQueue(handle) {
+  let tail = Promise.resolve();
+  return (frame) => {
+    const run = tail.then(() => handle(frame));
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+// Replay protection: every decrypted payload carries `counter: { epoch, n }` per sender
+// and stream (the group stream, or the pairwise stream to one recipient). `epoch` is when
+// the sender's counter started (ms), so a restarted sender moves forward rather than
+// looking like a replay. Receivers keep a sliding window of the indexes they've accepted,
+// and store it with the peer's key: a receiver without one accepts any counter.
+const REPLAY_WINDOW = 128;
+
+function createReplayCounter(epoch = Date.now()) {
+  return { epoch, n: 0 };
+}
+
+/**
+ * Add the next counter to a payload; returns the payload and the advanced counter
+ */
+function stampReplayCounter(payload, counter) {
+  return {
+    payload: { ...payload, counter: { epoch: counter.epoch, n: counter.n } },
+    counter: { ...counter, n: counter.n + 1 },
+  };
+}
+
+/**
+ * Check a received counter against a sender's window.
+ * `result` is "ok", "gap" (accepted, `missed` earlier messages never arrived),
+ * "replay", "stale" (older epoch or behind the window) or "invalid"; the window is
+ * only advanced for accepted messages.
+ */
+function checkReplayWindow(window, counter) {
+  const { epoch, n } = counter || {};
+  if (!Number.isFinite(epoch) || !Number.isInteger(n) || n < 0) return { result: "invalid", window };
+  if (!window || epoch > window.epoch) {
+    return { result: "ok", window: { epoch, highest: n, seen: [n] } };
+  }
+  if (epoch < window.epoch || n <= window.highest - REPLAY_WINDOW) return { result: "stale", window };
+  if (window.seen.includes(n)) return { result: "replay", window };
+  if (n < window.highest) {
+    return { result: "ok", window: { ...window, seen: [...window.seen, n] } };
+  }
+  const missed = n - window.highest - 1;
+  const seen = [...window.seen, n].filter((index) => index > n - REPLAY_WINDOW);
+  return { result: missed ? "gap" : "ok", missed, window: { epoch, highest: n, seen } };
+}
+
+/**
+ * A window read back from storage, or null if it doesn't look like one
+ */
+function restoreReplayWindow(stored) {
+  const { epoch, highest, seen } = stored || {};
+  if (!Number.isFinite(epoch) || !Number.isInteger(highest) || highest < 0 || !Array.isArray(seen)) return null;
+  return {
+    epoch,
+    highest,
+    seen: seen.filter((n) => Number.isInteger(n) && n <= highest && n > highest - REPLAY_WINDOW),
+  };
+}
+
 module.exports = {
   generateKeyPair,
   deriveSharedSecret,
@@ -86,4 +272,17 @@ module.exports = {
   decryptJson,
   buildEncryptedEnvelope,
   openEncryptedEnvelope,
+  PASSPHRASE_ITERATIONS,
+  derivePassphraseKeys,
+  MAX_SENDER_KEY_SKIP,
+  createSenderKey,
+  ratchetSenderKey,
+  encryptWithSenderKey,
+  decryptWithSenderKey,
+  createInboundQueue,
+  REPLAY_WINDOW,
+  createReplayCounter,
+  stampReplayCounter,
+  checkReplayWindow,
+  restoreReplayWindow,
 };
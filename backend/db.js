@@ -11,6 +11,9 @@ const CACHE_KEYS = {
   history: (id) => `cache:history:${id}`,
 };
 
+// A whole address: searching by email only matches exactly
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 /**
  * Upsert a user from Google profile data.
  * Creates user if not exists, updates if exists.
@@ -19,11 +22,10 @@ const CACHE_KEYS = {
 async function upsertUser(profile) {
   const { sub, email, name, picture } = profile;
 
-  const user = await prisma.user.upsert({
+  let user = await prisma.user.upsert({
     where: { id: sub },
     update: {
       email,
-      name,
       picture,
     },
     create: {
@@ -44,6 +46,17 @@ async function upsertUser(profile) {
     },
   });
 
+  // Keep a display name the user picked via PATCH /me; otherwise follow their Google name
+  if (!user.customName && name && user.name !== name) {
+    user = await prisma.user.update({
+      where: { id: sub },
+      data: { name },
+      include: {
+        preferences: true,
+      },
+    });
+  }
+
   // Invalidate cache on upsert
   await redis.invalidate(CACHE_KEYS.user(sub), CACHE_KEYS.preferences(sub));
 
@@ -78,6 +91,23 @@ async function getUserByEmail(email) {
   });
 }
 
+/**
+ * Update user profile fields (display name, picture) - with cache invalidation
+ */
+async function updateUserProfile(userId, data) {
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data,
+    include: {
+      preferences: true,
+    },
+  });
+
+  await redis.invalidate(CACHE_KEYS.user(userId));
+
+  return user;
+}
+
 /**
  * Update user preferences - with cache invalidation
  */
@@ -100,25 +130,26 @@ async function updatePreferences(userId, preferences) {
 /**
  * Record room join
  */
-async function recordRoomJoin(userId, roomId, roomName = null) {
+async function recordRoomJoin(userId, roomId, roomName = null, videoUrl = null) {
   const result = await prisma.roomHistory.create({
     data: {
       userId,
       roomId,
       roomName,
+      videoUrl,
     },
   });
 
-  // Invalidate history cache
-  await redis.invalidate(CACHE_KEYS.history(userId));
+  // Invalidate history cache (cached per limit)
+  await redis.invalidatePattern(`${CACHE_KEYS.history(userId)}*`);
 
   return result;
 }
 
 /**
- * Record room leave
+ * Record room leave, with a snapshot of where the room was (title, position, who was there)
  */
-async function recordRoomLeave(userId, roomId) {
+async function recordRoomLeave(userId, roomId, snapshot = {}) {
   const entry = await prisma.roomHistory.findFirst({
     where: {
       userId,
@@ -131,13 +162,20 @@ async function recordRoomLeave(userId, roomId) {
   });
 
   if (entry) {
+    const { roomName, videoUrl, lastPosition, participants } = snapshot;
     const result = await prisma.roomHistory.update({
       where: { id: entry.id },
-      data: { leftAt: new Date() },
+      data: {
+        leftAt: new Date(),
+        ...(roomName ? { roomName } : {}),
+        ...(videoUrl ? { videoUrl } : {}),
+        ...(Number.isFinite(lastPosition) ? { lastPosition } : {}),
+        ...(Array.isArray(participants) ? { participants } : {}),
+      },
     });
 
-    // Invalidate history cache
-    await redis.invalidate(CACHE_KEYS.history(userId));
+    // Invalidate history cache (cached per limit)
+    await redis.invalidatePattern(`${CACHE_KEYS.history(userId)}*`);
 
     return result;
   }
@@ -227,6 +265,30 @@ async function acceptFriendRequest(userId, friendshipId) {
   return result;
 }
 
+/**
+ * Decline a received friend request (only the recipient may decline)
+ */
+async function declineFriendRequest(userId, friendshipId) {
+  const friendship = await prisma.friendship.findUnique({
+    where: { id: friendshipId },
+  });
+
+  if (!friendship || friendship.friendId !== userId || friendship.status !== "PENDING") {
+    return { error: "not_found" };
+  }
+
+  const result = await prisma.friendship.delete({
+    where: { id: friendshipId },
+  });
+
+  await redis.invalidate(
+    CACHE_KEYS.friends(friendship.userId),
+    CACHE_KEYS.friends(friendship.friendId)
+  );
+
+  return result;
+}
+
 /**
  * Reject/cancel friend request - with cache invalidation
  */
@@ -325,25 +387,22 @@ async function getSentRequests(userId) {
 }
 
 /**
- * Search users by email or name (for adding friends)
+ * Search users by name, or by email when the query is a full address (for
+ * adding friends). Emails never come back and can't be probed a few letters
+ * at a time.
  */
 async function searchUsers(query, excludeUserId, limit = 10) {
+  const matches = [{ name: { contains: query, mode: "insensitive" } }];
+  if (EMAIL_PATTERN.test(query)) {
+    matches.push({ email: { equals: query, mode: "insensitive" } });
+  }
   return prisma.user.findMany({
     where: {
-      AND: [
-        { id: { not: excludeUserId } },
-        {
-          OR: [
-            { email: { contains: query, mode: "insensitive" } },
-            { name: { contains: query, mode: "insensitive" } },
-          ],
-        },
-      ],
+      AND: [{ id: { not: excludeUserId } }, { OR: matches }],
     },
     select: {
       id: true,
       name: true,
-      email: true,
       picture: true,
     },
     take: limit,
@@ -362,12 +421,14 @@ module.exports = {
   upsertUser,
   getUserById,
   getUserByEmail,
+  updateUserProfile,
   updatePreferences,
   recordRoomJoin,
   recordRoomLeave,
   getRoomHistory,
   sendFriendRequest,
   acceptFriendRequest,
+  declineFriendRequest,
   removeFriendship,
   getFriends,
   getPendingRequests,
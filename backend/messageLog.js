@@ -0,0 +1,76 @@
+// Bounded per-room chat log so late joiners (or a second machine) can load history.
+// Entries carry a room-wide sequence number used as the pagination cursor.
+// Encrypted rooms only keep the opaque `encrypted` envelopes, and only those the
+// sender flagged with `persist` (chat), so typing/playback traffic can't push chat out.
+
+const DEFAULT_LOG_LIMIT = 500;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const LOG_LIMIT = Number(process.env.MESSAGE_LOG_LIMIT) > 0
+  ? Number(process.env.MESSAGE_LOG_LIMIT)
+  : DEFAULT_LOG_LIMIT;
+
+/**
+ * Empty in-memory log for a room
+ */
+function createLog() {
+  return { entries: [], seq: 0 };
+}
+
+/**
+ * Whether a broadcast message belongs in the room's history
+ */
+function shouldLog(message, encryptionRequired) {
+  if (!message) return false;
+  if (encryptionRequired) return message.type === "encrypted" && message.persist === true;
+  return message.type === "chat" || message.type === "system";
+}
+
+/**
+ * Append a message, dropping the oldest entries past the limit
+ */
+function appendToLog(log, message, limit = LOG_LIMIT) {
+  log.seq += 1;
+  const entry = { ...message, seq: log.seq };
+  log.entries.push(entry);
+  if (log.entries.length > limit) {
+    log.entries.splice(0, log.entries.length - limit);
+  }
+  return entry;
+}
+
+/**
+ * Clamp the `limit` query param to a sane page size
+ */
+function parsePageSize(value) {
+  const size = parseInt(value, 10);
+  if (!Number.isFinite(size) || size <= 0) return DEFAULT_PAGE_SIZE;
+  return Math.min(size, MAX_PAGE_SIZE);
+}
+
+/**
+ * Page of entries older than `before` (a seq), oldest first.
+ * `nextBefore` is the cursor for the following page, or null at the start of the log.
+ */
+function pageLog(entries, { before, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const cursor = Number.isFinite(before) && before > 0 ? before : Infinity;
+  const older = entries.filter((entry) => entry.seq < cursor).sort((a, b) => a.seq - b.seq);
+  const messages = older.slice(-limit);
+  const hasMore = older.length > messages.length;
+  return {
+    messages,
+    nextBefore: hasMore && messages.length ? messages[0].seq : null,
+  };
+}
+
+module.exports = {
+  LOG_LIMIT,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  createLog,
+  shouldLog,
+  appendToLog,
+  parsePageSize,
+  pageLog,
+};
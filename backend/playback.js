@@ -0,0 +1,113 @@
+// Server-side playback model for a room.
+// Tracks the last known position/paused/rate reported by clients so the server
+// can answer sync requests on its own, extrapolating the position while playing.
+
+const DEFAULT_RATE = 1;
+// Room policies for playback speed: everyone follows whoever changes it, or it stays at 1x
+const RATE_POLICIES = ["sync", "locked"];
+// How far a client's server-time stamp may lag the server before it is ignored
+const MAX_STAMP_AGE_MS = 5 * 1000;
+
+/**
+ * Create a fresh playback model (position unknown until a client reports state)
+ */
+function createPlayback(opts = {}) {
+  return {
+    t: Number(opts.initialTime) || 0,
+    paused: true,
+    rate: DEFAULT_RATE,
+    url: opts.videoUrl || "",
+    updatedAt: 0,
+  };
+}
+
+/**
+ * Merge a client-reported state into the model.
+ * Only fields with a valid type are applied; `now` is the server receive time.
+ */
+function applyPlaybackUpdate(playback, update = {}, now = Date.now()) {
+  if (!playback || !update || typeof update !== "object") return playback;
+  if (Number.isFinite(update.t) && update.t >= 0) {
+    playback.t = update.t;
+    playback.updatedAt = now;
+  }
+  if (typeof update.paused === "boolean") {
+    // Freeze the extrapolated position before flipping paused state
+    if (!Number.isFinite(update.t)) {
+      playback.t = currentPosition(playback, now);
+    }
+    playback.paused = update.paused;
+    playback.updatedAt = now;
+  }
+  if (Number.isFinite(update.rate) && update.rate > 0) {
+    playback.rate = update.rate;
+  }
+  if (typeof update.url === "string" && update.url.trim() !== "") {
+    playback.url = update.url;
+  }
+  return playback;
+}
+
+/**
+ * Reset the model for a new episode (position starts over)
+ */
+function resetPlaybackForEpisode(playback, url, now = Date.now()) {
+  if (!playback) return playback;
+  playback.url = url || playback.url;
+  playback.t = 0;
+  playback.updatedAt = now;
+  return playback;
+}
+
+/**
+ * Whether any client has reported a position yet
+ */
+function hasPlaybackState(playback) {
+  return !!playback && playback.updatedAt > 0;
+}
+
+/**
+ * Extrapolated position in seconds at `now`
+ */
+function currentPosition(playback, now = Date.now()) {
+  if (!playback) return 0;
+  if (playback.paused || !playback.updatedAt) return playback.t;
+  const elapsed = Math.max(0, now - playback.updatedAt) / 1000;
+  return playback.t + elapsed * (playback.rate || DEFAULT_RATE);
+}
+
+/**
+ * Snapshot of the model with the position extrapolated to `now`
+ */
+function snapshotPlayback(playback, now = Date.now()) {
+  return {
+    time: currentPosition(playback, now),
+    paused: playback ? playback.paused : true,
+    rate: playback ? playback.rate : DEFAULT_RATE,
+    url: playback ? playback.url : "",
+    ts: now,
+  };
+}
+
+/**
+ * When a reported position was read, in server time. Clients stamp positions
+ * with their estimate of the server clock; stamps from the future or too far
+ * in the past (no estimate yet, or a bad clock) fall back to `now`.
+ */
+function positionTime(ts, now = Date.now()) {
+  if (!Number.isFinite(ts) || ts > now || now - ts > MAX_STAMP_AGE_MS) return now;
+  return ts;
+}
+
+module.exports = {
+  DEFAULT_RATE,
+  RATE_POLICIES,
+  MAX_STAMP_AGE_MS,
+  createPlayback,
+  applyPlaybackUpdate,
+  resetPlaybackForEpisode,
+  hasPlaybackState,
+  currentPosition,
+  snapshotPlayback,
+  positionTime,
+};
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "room_history" ADD COLUMN     "videoUrl" TEXT,
+ADD COLUMN     "lastPosition" DOUBLE PRECISION,
+ADD COLUMN     "participants" TEXT[] DEFAULT ARRAY[]::TEXT[];
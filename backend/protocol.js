@@ -0,0 +1,303 @@
+// WebSocket protocol: the version handshake and the declared shape of every message.
+// Clients open with `hello` (their protocol version and capabilities) and the server
+// answers with its own. `validateMessage` is the single check for frames in both
+// directions: known type, declared field types and length limits. Fields a schema
+// doesn't list are passed through unchecked (the frame size is capped by MAX_PAYLOAD_BYTES).
+
+const PROTOCOL_VERSION = 1;
+// Oldest client version the server still talks to
+const MIN_PROTOCOL_VERSION = 1;
+const SERVER_CAPABILITIES = ["e2e", "sender-keys", "invites", "waiting-room", "moderation", "group-buffering", "clock-sync", "ready-check"];
+
+// Largest frame the server accepts (WebSocketServer `maxPayload`)
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+const MAX_CHAT_LENGTH = 2000;
+const MAX_SYSTEM_LENGTH = 500;
+const MAX_NAME_LENGTH = 128;
+const MAX_ID_LENGTH = 128;
+const MAX_URL_LENGTH = 2048;
+const MAX_TITLE_LENGTH = 300;
+const MAX_CIPHERTEXT_LENGTH = 48 * 1024;
+const MAX_PARTICIPANTS = 500;
+
+// Field specs
+const string = (max, opts = {}) => ({ type: "string", max, ...opts });
+const number = (opts = {}) => ({ type: "number", ...opts });
+const integer = (opts = {}) => ({ type: "integer", ...opts });
+const boolean = (opts = {}) => ({ type: "boolean", ...opts });
+const oneOf = (values, opts = {}) => ({ type: "enum", values, ...opts });
+const object = (fields, opts = {}) => ({ type: "object", fields, ...opts });
+const array = (items, max, opts = {}) => ({ type: "array", items, max, ...opts });
+const map = (values, max, opts = {}) => ({ type: "map", values, max, ...opts });
+const required = (spec) => ({ ...spec, required: true });
+const nullable = (spec) => ({ ...spec, nullable: true });
+
+const id = string(MAX_ID_LENGTH);
+const name = string(MAX_NAME_LENGTH);
+const url = string(MAX_URL_LENGTH);
+const ts = number({ min: 0 });
+const base64 = (max) => string(max);
+
+const playbackState = object({
+  t: number({ min: 0 }),
+  paused: boolean(),
+  rate: number({ min: 0 }),
+  url: nullable(url),
+  title: nullable(string(MAX_TITLE_LENGTH)),
+  reason: string(32),
+  ts,
+  seq: number(),
+});
+
+// Fields shared by what clients send and what the server relays
+const ENCRYPTED_FIELDS = {
+  ciphertext: required(base64(MAX_CIPHERTEXT_LENGTH)),
+  iv: required(base64(64)),
+  tag: base64(64),
+  salt: base64(128),
+  alg: string(32),
+  scheme: oneOf(["sender-key"]),
+  keyId: string(MAX_ID_LENGTH),
+  n: integer({ min: 0 }),
+  persist: boolean(),
+  recipientId: id,
+};
+
+const KEY_EXCHANGE_FIELDS = {
+  publicKey: required(base64(512)),
+  curve: string(32),
+  reply: boolean(),
+  recipientId: id,
+};
+
+const SYNC_STATE_FIELDS = {
+  time: number({ min: 0 }),
+  paused: boolean(),
+  url: nullable(url),
+  rate: number({ min: 0 }),
+  ts,
+};
+
+const INBOUND = {
+  hello: {
+    version: required(integer({ min: 0 })),
+    capabilities: array(string(32), 32),
+    client: string(64),
+  },
+  ping: { ts },
+  pong: { ts },
+  chat: { text: required(string(MAX_CHAT_LENGTH)), ts, avatar: nullable(url) },
+  typing: { active: boolean(), ts },
+  state: { payload: required(playbackState) },
+  system: { text: required(string(MAX_SYSTEM_LENGTH)), ts, url },
+  "episode-changed": {
+    url: required(url),
+    title: nullable(string(MAX_TITLE_LENGTH)),
+    ts,
+    seq: number(),
+    reason: string(32),
+  },
+  "key-exchange": KEY_EXCHANGE_FIELDS,
+  encrypted: ENCRYPTED_FIELDS,
+  "sync-request": { ts },
+  "sync-state": SYNC_STATE_FIELDS,
+  "set-role": { targetId: required(id), role: required(oneOf(["cohost", "viewer"])) },
+  "room-settings": { hostOnlyControls: boolean(), ratePolicy: oneOf(["sync", "locked"]), waitingRoom: boolean() },
+  "join-response": { userId: required(id), admit: boolean() },
+  kick: { targetId: required(id) },
+  ban: { targetId: required(id) },
+  "mute-chat": { targetId: required(id), muted: boolean() },
+  buffering: { buffering: required(boolean()) },
+  "ready-check": { action: required(oneOf(["start", "force", "cancel"])) },
+  ready: { ready: boolean() },
+};
+
+const sender = { from: name, fromId: nullable(id) };
+const participant = object({
+  id: required(id),
+  name,
+  picture: nullable(url),
+  role: oneOf(["host", "cohost", "viewer"]),
+  muted: boolean(),
+});
+
+const OUTBOUND = {
+  hello: {
+    version: required(integer({ min: 0 })),
+    minVersion: required(integer({ min: 0 })),
+    capabilities: array(string(32), 32),
+    maxPayload: integer({ min: 0 }),
+  },
+  ping: { ts },
+  pong: { ts, echo: ts, receivedAt: ts },
+  error: {
+    code: required(string(64)),
+    messageType: string(64),
+    detail: string(200),
+    retryAfter: number({ min: 0 }),
+    version: integer({ min: 0 }),
+    minVersion: integer({ min: 0 }),
+    ts,
+  },
+  chat: { text: required(string(MAX_CHAT_LENGTH)), ...sender, avatar: nullable(url), ts, seq: integer() },
+  typing: { ...sender, active: boolean(), ts },
+  state: { payload: required(playbackState), ...sender },
+  system: { text: required(string(MAX_SYSTEM_LENGTH)), ts, url, seq: integer() },
+  "episode-changed": {
+    url: required(url),
+    title: nullable(string(MAX_TITLE_LENGTH)),
+    ...sender,
+    ts,
+    seq: number(),
+  },
+  "key-exchange": { ...KEY_EXCHANGE_FIELDS, ...sender },
+  encrypted: { ...ENCRYPTED_FIELDS, ...sender, ts, seq: integer() },
+  "sync-request": { ...sender, ts },
+  "sync-state": { ...SYNC_STATE_FIELDS, ...sender },
+  presence: {
+    participants: array(participant, MAX_PARTICIPANTS),
+    users: array(name, MAX_PARTICIPANTS),
+    avatars: map(url, MAX_PARTICIPANTS),
+    encryptionRequired: boolean(),
+    hostId: nullable(id),
+    hostOnlyControls: boolean(),
+    ratePolicy: oneOf(["sync", "locked"]),
+    waitingRoom: boolean(),
+  },
+  "room-invite": { roomId: required(string(64)), ...sender, inviteToken: string(1024) },
+  "waiting-room": { status: required(oneOf(["waiting", "admitted", "denied"])) },
+  "join-request": { userId: required(id), name, avatar: nullable(url), ts },
+  "join-request-resolved": {
+    userId: required(id),
+    outcome: required(oneOf(["admitted", "denied", "left"])),
+    by: name,
+    ts,
+  },
+  moderation: {
+    action: required(oneOf(["kick", "ban", "mute-chat", "unmute-chat"])),
+    by: name,
+    recipientId: id,
+    ts,
+  },
+  "group-buffering": {
+    active: required(boolean()),
+    waitingOn: array(object({ id: required(id), name }), MAX_PARTICIPANTS),
+    reason: oneOf(["ready", "timeout"]),
+    timeoutMs: integer({ min: 0 }),
+    ts,
+  },
+  "ready-check": {
+    status: required(oneOf(["checking", "countdown", "cancelled"])),
+    by: name,
+    byId: nullable(id),
+    participants: array(object({ id: required(id), name, ready: boolean() }), MAX_PARTICIPANTS),
+    startAt: ts,
+    countdownMs: integer({ min: 0 }),
+    timeoutMs: integer({ min: 0 }),
+    reason: oneOf(["forced", "cancelled", "timeout"]),
+    cancelledBy: name,
+    ts,
+  },
+};
+
+const SCHEMAS = { inbound: INBOUND, outbound: OUTBOUND };
+
+// First problem with a value, as "path: reason", or null
+function checkValue(spec, value, path) {
+  if (value === undefined) return spec.required ? `${path}: required` : null;
+  if (value === null) return spec.nullable ? null : `${path}: must not be null`;
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") return `${path}: expected string`;
+      if (value.length > spec.max) return `${path}: longer than ${spec.max}`;
+      return null;
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) return `${path}: expected number`;
+      if (spec.type === "integer" && !Number.isInteger(value)) return `${path}: expected integer`;
+      if (spec.min !== undefined && value < spec.min) return `${path}: below ${spec.min}`;
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : `${path}: expected boolean`;
+    case "enum":
+      return spec.values.includes(value) ? null : `${path}: unexpected value`;
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) return `${path}: expected object`;
+      return checkFields(spec.fields, value, path);
+    case "array":
+      if (!Array.isArray(value)) return `${path}: expected array`;
+      if (value.length > spec.max) return `${path}: more than ${spec.max} items`;
+      for (let i = 0; i < value.length; i++) {
+        const error = checkValue(spec.items, value[i], `${path}[${i}]`);
+        if (error) return error;
+      }
+      return null;
+    case "map": {
+      if (typeof value !== "object" || Array.isArray(value)) return `${path}: expected object`;
+      const entries = Object.entries(value);
+      if (entries.length > spec.max) return `${path}: more than ${spec.max} entries`;
+      for (const [key, item] of entries) {
+        if (key.length > MAX_ID_LENGTH) return `${path}: key longer than ${MAX_ID_LENGTH}`;
+        const error = checkValue(spec.values, item, `${path}.${key}`);
+        if (error) return error;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+function checkFields(fields, value, path) {
+  for (const [field, spec] of Object.entries(fields)) {
+    const error = checkValue(spec, value[field], path ? `${path}.${field}` : field);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Check a message against the declared schemas.
+ * @param {"inbound"|"outbound"} direction
+ * @returns {{ code: string, detail?: string } | null} null when the message is valid
+ */
+function validateMessage(direction, message) {
+  if (!message || typeof message !== "object" || Array.isArray(message) || typeof message.type !== "string") {
+    return { code: "invalid-message", detail: "expected an object with a type" };
+  }
+  const fields = SCHEMAS[direction]?.[message.type];
+  if (!fields) return { code: "unknown-type" };
+  const detail = checkFields(fields, message, "");
+  return detail ? { code: "invalid-field", detail } : null;
+}
+
+/**
+ * Whether a client speaking `version` is still supported
+ */
+function isSupportedVersion(version) {
+  return Number.isInteger(version) && version >= MIN_PROTOCOL_VERSION;
+}
+
+/**
+ * The server's half of the handshake
+ */
+function helloReply() {
+  return {
+    type: "hello",
+    version: PROTOCOL_VERSION,
+    minVersion: MIN_PROTOCOL_VERSION,
+    capabilities: SERVER_CAPABILITIES,
+    maxPayload: MAX_PAYLOAD_BYTES,
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  SERVER_CAPABILITIES,
+  MAX_PAYLOAD_BYTES,
+  MAX_CHAT_LENGTH,
+  validateMessage,
+  isSupportedVersion,
+  helloReply,
+};
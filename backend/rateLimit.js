@@ -0,0 +1,115 @@
+// Rate limit rules and the in-memory fallback counter.
+// Each rule caps a single user (`limit`) and optionally a whole room (`roomLimit`)
+// within a fixed window. Redis keeps counts shared across instances; when it is
+// unavailable the server falls back to the per-process counters below.
+
+const DEFAULT_RULES = {
+  // REST
+  "rooms:create": { limit: 10, windowSeconds: 60 },
+  "rooms:join": { limit: 30, roomLimit: 300, windowSeconds: 60 },
+  // Wrong passphrase proofs (join or socket upgrade), so guesses can't be brute forced
+  "rooms:passphrase": { limit: 20, windowSeconds: 300 },
+  "rooms:invite": { limit: 20, windowSeconds: 60 },
+
+  // WebSocket, per message type
+  "ws:chat": { limit: 10, roomLimit: 60, windowSeconds: 10 },
+  "ws:typing": { limit: 20, windowSeconds: 10 },
+  "ws:state": { limit: 30, roomLimit: 150, windowSeconds: 10 },
+  "ws:sync-request": { limit: 10, windowSeconds: 10 },
+  "ws:sync-state": { limit: 30, roomLimit: 150, windowSeconds: 10 },
+  "ws:episode-changed": { limit: 5, windowSeconds: 10 },
+  "ws:system": { limit: 20, roomLimit: 100, windowSeconds: 10 },
+  "ws:key-exchange": { limit: 20, windowSeconds: 10 },
+  "ws:encrypted": { limit: 60, roomLimit: 300, windowSeconds: 10 },
+  "ws:ping": { limit: 20, windowSeconds: 10 },
+  "ws:default": { limit: 20, windowSeconds: 10 },
+};
+
+/**
+ * Merge RATE_LIMITS (JSON, e.g. {"ws:chat":{"limit":5,"windowSeconds":10}}) over the defaults
+ */
+function loadRules(raw = process.env.RATE_LIMITS) {
+  const rules = { ...DEFAULT_RULES };
+  if (!raw) return rules;
+  try {
+    const overrides = JSON.parse(raw);
+    Object.entries(overrides || {}).forEach(([name, rule]) => {
+      if (!rule || typeof rule !== "object") return;
+      rules[name] = { ...(rules[name] || DEFAULT_RULES["ws:default"]), ...rule };
+    });
+  } catch (err) {
+    console.warn("[RateLimit] Ignoring invalid RATE_LIMITS:", err.message);
+  }
+  return rules;
+}
+
+const rules = loadRules();
+
+/**
+ * Rule for a name, or null when there is none
+ */
+function getRule(name) {
+  return rules[name] || null;
+}
+
+/**
+ * Rule name for an inbound WebSocket message type (unknown types share "ws:default")
+ */
+function wsRuleName(type) {
+  const name = `ws:${type}`;
+  return rules[name] ? name : "ws:default";
+}
+
+const counters = new Map(); // key -> { count, resetAt }
+const PRUNE_EVERY = 1000;
+let checksSincePrune = 0;
+
+/**
+ * Fixed-window counter held in this process
+ * @returns {boolean} true if allowed, false if rate limited
+ */
+function checkMemoryRateLimit(key, limit, windowSeconds, now = Date.now()) {
+  if (++checksSincePrune >= PRUNE_EVERY) {
+    pruneCounters(now);
+  }
+  let entry = counters.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowSeconds * 1000 };
+    counters.set(key, entry);
+  }
+  entry.count += 1;
+  return entry.count <= limit;
+}
+
+/**
+ * Whether the counter is still under `limit`, without counting a hit
+ */
+function peekMemoryRateLimit(key, limit, now = Date.now()) {
+  const entry = counters.get(key);
+  return !entry || entry.resetAt <= now || entry.count < limit;
+}
+
+function pruneCounters(now = Date.now()) {
+  checksSincePrune = 0;
+  counters.forEach((entry, key) => {
+    if (entry.resetAt <= now) counters.delete(key);
+  });
+}
+
+/**
+ * Drop all in-memory counters (tests)
+ */
+function resetMemoryRateLimits() {
+  counters.clear();
+  checksSincePrune = 0;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  loadRules,
+  getRule,
+  wsRuleName,
+  checkMemoryRateLimit,
+  peekMemoryRateLimit,
+  resetMemoryRateLimits,
+};
@@ -0,0 +1,89 @@
+// Ready check: before a coordinated start a host or co-host asks everyone in the
+// room to confirm their player is loaded. Once all of them have (or the host
+// starts anyway) the room counts down and every client starts playing at the
+// same server time. Checks nobody finishes are called off after a timeout.
+
+const READY_CHECK_TIMEOUT_MS = 60 * 1000;
+const COUNTDOWN_MS = 3 * 1000;
+
+/**
+ * Fresh ready check asking `participants` ({ id, name }) to confirm
+ */
+function createReadyCheck(by, participants, now = Date.now()) {
+  return {
+    by, // { id, name } of whoever asked
+    participants: new Map(participants.map((p) => [p.id, { name: p.name, ready: false }])),
+    startedAt: now,
+    startAt: 0, // Server time playback starts once the countdown runs (0 while checking)
+  };
+}
+
+/**
+ * Whether the room is counting down to the start
+ */
+function isCountingDown(check) {
+  return !!check && check.startAt > 0;
+}
+
+/**
+ * Record a participant's answer; returns whether anything changed
+ */
+function setReady(check, userId, ready) {
+  const entry = check.participants.get(userId);
+  if (!entry || entry.ready === ready || isCountingDown(check)) return false;
+  entry.ready = ready;
+  return true;
+}
+
+/**
+ * Stop waiting for someone who left; returns whether anything changed
+ */
+function removeParticipant(check, userId) {
+  if (isCountingDown(check)) return false;
+  return check.participants.delete(userId);
+}
+
+/**
+ * Whether everyone still asked has confirmed
+ */
+function isEveryoneReady(check) {
+  return Array.from(check.participants.values()).every((p) => p.ready);
+}
+
+/**
+ * Count down to `startAt` (server time); returns whether anything changed
+ */
+function startCountdown(check, startAt) {
+  if (isCountingDown(check)) return false;
+  check.startAt = startAt;
+  return true;
+}
+
+/**
+ * Who was asked and who has answered, for the ready-check message
+ */
+function participantList(check) {
+  return Array.from(check.participants, ([id, { name, ready }]) => ({ id, name, ready }));
+}
+
+/**
+ * Who the room is still waiting on
+ */
+function notReady(check) {
+  return participantList(check)
+    .filter((p) => !p.ready)
+    .map(({ id, name }) => ({ id, name }));
+}
+
+module.exports = {
+  READY_CHECK_TIMEOUT_MS,
+  COUNTDOWN_MS,
+  createReadyCheck,
+  isCountingDown,
+  setReady,
+  removeParticipant,
+  isEveryoneReady,
+  startCountdown,
+  participantList,
+  notReady,
+};
@@ -50,6 +50,10 @@ async function touchRoomKeys(roomId, ttlSeconds = CACHE_TTL.ROOM) {
     const pipeline = redis.pipeline();
     pipeline.expire(`room:${roomId}`, ttlSeconds);
     pipeline.expire(`room:${roomId}:users`, ttlSeconds);
+    pipeline.expire(`room:${roomId}:log`, ttlSeconds);
+    pipeline.expire(`room:${roomId}:log:seq`, ttlSeconds);
+    pipeline.expire(`room:${roomId}:members`, ttlSeconds);
+    pipeline.expire(`room:${roomId}:invites`, ttlSeconds);
     await pipeline.exec();
   } catch (err) {
     console.warn("[Redis] Touch room keys error:", err.message);
@@ -109,16 +113,23 @@ async function invalidatePattern(pattern) {
 
 // ============ Session Management ============
 
-const SESSION_TTL = 43200; // 12 hours in seconds
+const SESSION_TTL = 30 * 24 * 60 * 60; // 30 days in seconds (refresh token lifetime)
+
+// A user can hold several sessions (one per device); each is keyed by the
+// session id carried in the JWT (`sid`) and listed in a per-user set.
+// The session hash also holds the id of the current refresh token.
 
 /**
- * Store session token
+ * Store session
  */
-async function setSession(userId, token, ttl = SESSION_TTL) {
+async function setSession(userId, sessionId, refreshTokenId, ttl = SESSION_TTL) {
   try {
-    await redis.setex(`session:${userId}`, ttl, token);
-    // Also store token -> userId mapping for validation
-    await redis.setex(`token:${token}`, ttl, userId);
+    const pipeline = redis.pipeline();
+    pipeline.hset(`session:${sessionId}`, { userId, refreshTokenId });
+    pipeline.expire(`session:${sessionId}`, ttl);
+    pipeline.sadd(`sessions:${userId}`, sessionId);
+    pipeline.expire(`sessions:${userId}`, ttl);
+    await pipeline.exec();
   } catch (err) {
     console.warn("[Redis] Session set error:", err.message);
   }
@@ -127,26 +138,46 @@ async function setSession(userId, token, ttl = SESSION_TTL) {
 /**
  * Check if session is valid
  */
-async function isSessionValid(userId, token) {
+async function isSessionValid(userId, sessionId) {
   try {
-    const storedToken = await redis.get(`session:${userId}`);
-    return storedToken === token;
+    const owner = await redis.hget(`session:${sessionId}`, "userId");
+    return owner === userId;
   } catch (err) {
     console.warn("[Redis] Session check error:", err.message);
     return true; // Fail open if Redis is down
   }
 }
 
+// Compare-and-swap so two refreshes racing on different instances can't both win
+const ROTATE_REFRESH_SCRIPT = `
+local current = redis.call("HGET", KEYS[1], "refreshTokenId")
+if not current then return "missing" end
+if current ~= ARGV[1] then return "reused" end
+redis.call("HSET", KEYS[1], "refreshTokenId", ARGV[2])
+redis.call("EXPIRE", KEYS[1], ARGV[3])
+return "rotated"
+`;
+
+/**
+ * Swap the session's refresh token id
+ * @returns {Promise<"rotated"|"reused"|"missing"|null>} null on Redis errors
+ */
+async function rotateRefreshToken(sessionId, expectedId, nextId, ttl = SESSION_TTL) {
+  try {
+    return await redis.eval(ROTATE_REFRESH_SCRIPT, 1, `session:${sessionId}`, expectedId, nextId, ttl);
+  } catch (err) {
+    console.warn("[Redis] Refresh token rotate error:", err.message);
+    return null;
+  }
+}
+
 /**
  * Invalidate session (logout)
  */
-async function invalidateSession(userId) {
+async function invalidateSession(userId, sessionId) {
   try {
-    const token = await redis.get(`session:${userId}`);
-    if (token) {
-      await redis.del(`token:${token}`);
-    }
-    await redis.del(`session:${userId}`);
+    await redis.del(`session:${sessionId}`);
+    await redis.srem(`sessions:${userId}`, sessionId);
   } catch (err) {
     console.warn("[Redis] Session invalidate error:", err.message);
   }
@@ -156,7 +187,13 @@ async function invalidateSession(userId) {
  * Invalidate all sessions for a user
  */
 async function invalidateAllSessions(userId) {
-  await invalidateSession(userId);
+  try {
+    const sessionIds = await redis.smembers(`sessions:${userId}`);
+    const keys = sessionIds.map((id) => `session:${id}`);
+    await redis.del(...keys, `sessions:${userId}`);
+  } catch (err) {
+    console.warn("[Redis] Session invalidate all error:", err.message);
+  }
 }
 
 // ============ Room State Management ============
@@ -177,6 +214,13 @@ async function createRoom(roomId, options = {}) {
     encryptionRequired: options.encryptionRequired || false,
     videoUrl: options.videoUrl || "",
     videoTime,
+    hostId: options.hostId || "",
+    hostOnlyControls: options.hostOnlyControls || false,
+    ratePolicy: options.ratePolicy || "sync",
+    waitingRoom: options.waitingRoom || false,
+    passphraseSalt: options.passphrase?.salt || "",
+    passphraseVerifier: options.passphrase?.verifier || "",
+    inviteOnly: options.inviteOnly || false,
     createdAt: Date.now(),
   };
   
@@ -203,6 +247,27 @@ async function updateRoomVideoState(roomId, videoUrl, videoTime) {
   }
 }
 
+/**
+ * Update room roles/settings so other instances see host changes
+ */
+async function updateRoomSettings(roomId, settings = {}) {
+  const fields = {};
+  if (settings.hostId !== undefined) fields.hostId = settings.hostId || "";
+  if (settings.hostOnlyControls !== undefined) fields.hostOnlyControls = !!settings.hostOnlyControls;
+  if (settings.ratePolicy !== undefined) fields.ratePolicy = settings.ratePolicy;
+  if (settings.waitingRoom !== undefined) fields.waitingRoom = !!settings.waitingRoom;
+  if (settings.coHostIds !== undefined) fields.coHostIds = JSON.stringify(settings.coHostIds || []);
+  if (settings.bannedIds !== undefined) fields.bannedIds = JSON.stringify(settings.bannedIds || []);
+  if (settings.mutedIds !== undefined) fields.mutedIds = JSON.stringify(settings.mutedIds || []);
+  if (Object.keys(fields).length === 0) return;
+  try {
+    await redis.hset(`room:${roomId}`, fields);
+    await touchRoomKeys(roomId);
+  } catch (err) {
+    console.warn("[Redis] Update room settings error:", err.message);
+  }
+}
+
 /**
  * Get room data from Redis
  */
@@ -217,6 +282,17 @@ async function getRoom(roomId) {
       encryptionRequired: data.encryptionRequired === "true",
       videoUrl: data.videoUrl || "",
       videoTime: parseFloat(data.videoTime) || 0,
+      hostId: data.hostId || null,
+      hostOnlyControls: data.hostOnlyControls === "true",
+      ratePolicy: data.ratePolicy || "sync",
+      waitingRoom: data.waitingRoom === "true",
+      coHostIds: parseJsonArray(data.coHostIds),
+      bannedIds: parseJsonArray(data.bannedIds),
+      mutedIds: parseJsonArray(data.mutedIds),
+      passphrase: data.passphraseVerifier
+        ? { salt: data.passphraseSalt, verifier: data.passphraseVerifier }
+        : null,
+      inviteOnly: data.inviteOnly === "true",
       createdAt: parseInt(data.createdAt, 10),
     };
   } catch (err) {
@@ -225,13 +301,22 @@ async function getRoom(roomId) {
   }
 }
 
+function parseJsonArray(value) {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+}
+
 /**
  * Add user to room
  */
-async function addUserToRoom(roomId, userId, userName) {
+async function addUserToRoom(roomId, userId, userName, picture = null) {
   const userKey = `room:${roomId}:users`;
   try {
-    await redis.hset(userKey, userId, JSON.stringify({ name: userName, joinedAt: Date.now() }));
+    await redis.hset(userKey, userId, JSON.stringify({ name: userName, picture, joinedAt: Date.now() }));
     await touchRoomKeys(roomId);
   } catch (err) {
     console.warn("[Redis] Add user to room error:", err.message);
@@ -262,7 +347,7 @@ async function getRoomUsers(roomId) {
     
     return Object.entries(users).map(([id, data]) => {
       const parsed = JSON.parse(data);
-      return { id, name: parsed.name, joinedAt: parsed.joinedAt };
+      return { id, name: parsed.name, picture: parsed.picture || null, joinedAt: parsed.joinedAt };
     });
   } catch (err) {
     console.warn("[Redis] Get room users error:", err.message);
@@ -282,6 +367,180 @@ async function roomExists(roomId) {
   }
 }
 
+/**
+ * Append a message to the room's chat log, keeping the newest `limit` entries
+ * @returns {Promise<object|null>} the stored entry (with its seq), or null on error
+ */
+async function appendRoomMessage(roomId, message, limit) {
+  try {
+    const seq = await redis.incr(`room:${roomId}:log:seq`);
+    const entry = { ...message, seq };
+    const pipeline = redis.pipeline();
+    pipeline.rpush(`room:${roomId}:log`, JSON.stringify(entry));
+    pipeline.ltrim(`room:${roomId}:log`, -limit, -1);
+    await pipeline.exec();
+    await touchRoomKeys(roomId);
+    return entry;
+  } catch (err) {
+    console.warn("[Redis] Append room message error:", err.message);
+    return null;
+  }
+}
+
+/**
+ * All logged messages for a room (already bounded by appendRoomMessage)
+ */
+async function getRoomMessages(roomId) {
+  try {
+    const raw = await redis.lrange(`room:${roomId}:log`, 0, -1);
+    return raw.map((item) => JSON.parse(item));
+  } catch (err) {
+    console.warn("[Redis] Get room messages error:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Remember that a user was let into an invite-only room
+ */
+async function addRoomMember(roomId, userId) {
+  try {
+    await redis.sadd(`room:${roomId}:members`, userId);
+    await touchRoomKeys(roomId);
+  } catch (err) {
+    console.warn("[Redis] Add room member error:", err.message);
+  }
+}
+
+/**
+ * Whether a user was let into the room before
+ */
+async function hasRoomMember(roomId, userId) {
+  try {
+    return (await redis.sismember(`room:${roomId}:members`, userId)) === 1;
+  } catch (err) {
+    console.warn("[Redis] Room member check error:", err.message);
+    return false;
+  }
+}
+
+/**
+ * Store an invite record (see roomAccess.js)
+ */
+async function saveRoomInvite(roomId, invite) {
+  try {
+    await redis.hset(`room:${roomId}:invites`, invite.id, JSON.stringify(invite));
+    await touchRoomKeys(roomId);
+  } catch (err) {
+    console.warn("[Redis] Save room invite error:", err.message);
+  }
+}
+
+/**
+ * All invite records for a room
+ */
+async function getRoomInvites(roomId) {
+  try {
+    const raw = await redis.hgetall(`room:${roomId}:invites`);
+    return Object.values(raw || {}).map((item) => JSON.parse(item));
+  } catch (err) {
+    console.warn("[Redis] Get room invites error:", err.message);
+    return [];
+  }
+}
+
+// Check-and-count in one step so two instances can't both spend an invite's last use.
+// Mirrors inviteStatus in roomAccess.js.
+const REDEEM_INVITE_SCRIPT = `
+local raw = redis.call("HGET", KEYS[1], ARGV[1])
+if not raw then return "invalid_invite" end
+local invite = cjson.decode(raw)
+if invite.revoked then return "invite_revoked" end
+if tonumber(ARGV[2]) >= invite.expiresAt then return "invite_expired" end
+if invite.uses >= invite.maxUses then return "invite_exhausted" end
+invite.uses = invite.uses + 1
+redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(invite))
+return "ok"
+`;
+
+const REVOKE_INVITE_SCRIPT = `
+local raw = redis.call("HGET", KEYS[1], ARGV[1])
+if not raw then return 0 end
+local invite = cjson.decode(raw)
+invite.revoked = true
+redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(invite))
+return 1
+`;
+
+/**
+ * Count one use of an invite
+ * @returns {Promise<string|null>} "ok" or the invite error; null on Redis errors
+ */
+async function redeemRoomInvite(roomId, inviteId, now = Date.now()) {
+  try {
+    return await redis.eval(REDEEM_INVITE_SCRIPT, 1, `room:${roomId}:invites`, inviteId, now);
+  } catch (err) {
+    console.warn("[Redis] Redeem room invite error:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Mark an invite revoked
+ * @returns {Promise<boolean>} whether it existed
+ */
+async function revokeRoomInvite(roomId, inviteId) {
+  try {
+    return (await redis.eval(REVOKE_INVITE_SCRIPT, 1, `room:${roomId}:invites`, inviteId)) === 1;
+  } catch (err) {
+    console.warn("[Redis] Revoke room invite error:", err.message);
+    return false;
+  }
+}
+
+// ============ Friend Invites ============
+// Pending room invites per user, keyed by room id. Each entry carries its own
+// timestamp; the key as a whole expires once the newest invite would.
+
+/**
+ * Store (or replace) a user's invite into a room
+ */
+async function saveFriendInvite(userId, invite, ttlSeconds) {
+  try {
+    const pipeline = redis.pipeline();
+    pipeline.hset(`user:${userId}:invites`, invite.roomId, JSON.stringify(invite));
+    pipeline.expire(`user:${userId}:invites`, ttlSeconds);
+    await pipeline.exec();
+  } catch (err) {
+    console.warn("[Redis] Save friend invite error:", err.message);
+  }
+}
+
+/**
+ * All of a user's stored invites
+ */
+async function getFriendInvites(userId) {
+  try {
+    const raw = await redis.hgetall(`user:${userId}:invites`);
+    return Object.values(raw || {}).map((item) => JSON.parse(item));
+  } catch (err) {
+    console.warn("[Redis] Get friend invites error:", err.message);
+    return [];
+  }
+}
+
+/**
+ * Forget a user's invites into the given rooms
+ */
+async function removeFriendInvites(userId, roomIds) {
+  if (roomIds.length === 0) return;
+  try {
+    await redis.hdel(`user:${userId}:invites`, ...roomIds);
+  } catch (err) {
+    console.warn("[Redis] Remove friend invites error:", err.message);
+  }
+}
+
 // ============ Pub/Sub for Multi-Instance Scaling ============
 
 const messageHandlers = new Map();
@@ -328,6 +587,54 @@ async function publishToRoom(roomId, message) {
   }
 }
 
+const SESSION_EVENTS_CHANNEL = "sessions:revoked";
+
+/**
+ * Tell every instance that a session (or all of a user's sessions) was revoked
+ */
+async function publishSessionRevoked(event) {
+  try {
+    await publisher.publish(SESSION_EVENTS_CHANNEL, JSON.stringify(event));
+  } catch (err) {
+    console.warn("[Redis] Publish session revoked error:", err.message);
+  }
+}
+
+/**
+ * Listen for session revocations from any instance
+ */
+async function subscribeToSessionRevocations(handler) {
+  if (!messageHandlers.has(SESSION_EVENTS_CHANNEL)) {
+    messageHandlers.set(SESSION_EVENTS_CHANNEL, new Set());
+    await subscriber.subscribe(SESSION_EVENTS_CHANNEL);
+  }
+  messageHandlers.get(SESSION_EVENTS_CHANNEL).add(handler);
+}
+
+const USER_EVENTS_CHANNEL = "users:events";
+
+/**
+ * Send an event to a user's sockets on every instance
+ */
+async function publishUserEvent(event) {
+  try {
+    await publisher.publish(USER_EVENTS_CHANNEL, JSON.stringify(event));
+  } catch (err) {
+    console.warn("[Redis] Publish user event error:", err.message);
+  }
+}
+
+/**
+ * Listen for user events from any instance
+ */
+async function subscribeToUserEvents(handler) {
+  if (!messageHandlers.has(USER_EVENTS_CHANNEL)) {
+    messageHandlers.set(USER_EVENTS_CHANNEL, new Set());
+    await subscriber.subscribe(USER_EVENTS_CHANNEL);
+  }
+  messageHandlers.get(USER_EVENTS_CHANNEL).add(handler);
+}
+
 // Handle incoming Pub/Sub messages
 subscriber.on("message", (channel, message) => {
   const handlers = messageHandlers.get(channel);
@@ -414,7 +721,7 @@ async function getOnlineUsers(userIds) {
 
 /**
  * Check rate limit
- * @returns {boolean} true if allowed, false if rate limited
+ * @returns {boolean|null} true if allowed, false if rate limited, null if Redis failed
  */
 async function checkRateLimit(key, limit, windowSeconds) {
   try {
@@ -425,7 +732,20 @@ async function checkRateLimit(key, limit, windowSeconds) {
     return current <= limit;
   } catch (err) {
     console.warn("[Redis] Rate limit error:", err.message);
-    return true; // Fail open
+    return null; // Caller falls back to in-memory limits
+  }
+}
+
+/**
+ * Whether the counter is still under `limit`, without counting a hit
+ */
+async function peekRateLimit(key, limit) {
+  try {
+    const current = Number(await redis.get(key)) || 0;
+    return current < limit;
+  } catch (err) {
+    console.warn("[Redis] Rate limit error:", err.message);
+    return null; // Caller falls back to in-memory limits
   }
 }
 
@@ -484,8 +804,11 @@ module.exports = {
   // Sessions
   setSession,
   isSessionValid,
+  rotateRefreshToken,
   invalidateSession,
   invalidateAllSessions,
+  publishSessionRevoked,
+  subscribeToSessionRevocations,
   
   // Rooms
   createRoom,
@@ -494,12 +817,28 @@ module.exports = {
   removeUserFromRoom,
   getRoomUsers,
   roomExists,
+  appendRoomMessage,
+  getRoomMessages,
+  addRoomMember,
+  hasRoomMember,
+  saveRoomInvite,
+  getRoomInvites,
+  redeemRoomInvite,
+  revokeRoomInvite,
   updateRoomVideoState,
+  updateRoomSettings,
+  
+  // Friend invites
+  saveFriendInvite,
+  getFriendInvites,
+  removeFriendInvites,
   
   // Pub/Sub
   subscribeToRoom,
   unsubscribeFromRoom,
   publishToRoom,
+  publishUserEvent,
+  subscribeToUserEvents,
   
   // Presence
   setUserOnline,
@@ -510,6 +849,7 @@ module.exports = {
   
   // Rate limiting
   checkRateLimit,
+  peekRateLimit,
   
   // Connection
   connect,
@@ -0,0 +1,155 @@
+// Room admission checks: passphrases and invites.
+// Clients never send the passphrase. They stretch it with PBKDF2 and the room's
+// salt, keep half of the output as an encryption secret and show the server only
+// the other half (the proof). The server keeps a SHA-256 of the proof (the
+// verifier), so neither it nor Redis can recover the passphrase or the secret.
+
+const crypto = require("crypto");
+
+const SALT_BYTES = 16;
+const PROOF_BYTES = 32;
+const VERIFIER_BYTES = 32;
+
+// Canonical base64 of exactly `bytes` bytes, or null
+function decodeBase64(value, bytes) {
+  if (typeof value !== "string" || !value) return null;
+  const buf = Buffer.from(value, "base64");
+  if (buf.length !== bytes || buf.toString("base64") !== value) return null;
+  return buf;
+}
+
+/**
+ * Passphrase settings from a create-room body.
+ * @returns {{ passphrase: { salt, verifier } | null } | { error: string }}
+ */
+function parsePassphraseSettings(body) {
+  const { passphraseSalt, passphraseVerifier } = body || {};
+  if (passphraseSalt === undefined && passphraseVerifier === undefined) {
+    return { passphrase: null };
+  }
+  if (!decodeBase64(passphraseSalt, SALT_BYTES) || !decodeBase64(passphraseVerifier, VERIFIER_BYTES)) {
+    return { error: "invalid_passphrase_verifier" };
+  }
+  return { passphrase: { salt: passphraseSalt, verifier: passphraseVerifier } };
+}
+
+/**
+ * Verifier for a proof (base64 in, base64 out)
+ */
+function verifierForProof(proof) {
+  return crypto.createHash("sha256").update(Buffer.from(proof, "base64")).digest("base64");
+}
+
+/**
+ * Whether a proof matches the room's verifier; rooms without a passphrase always pass
+ */
+function checkPassphraseProof(passphrase, proof) {
+  if (!passphrase) return true;
+  const raw = decodeBase64(proof, PROOF_BYTES);
+  if (!raw) return false;
+  const expected = Buffer.from(passphrase.verifier, "base64");
+  const actual = crypto.createHash("sha256").update(raw).digest();
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// On the socket the proof rides in Sec-WebSocket-Protocol next to WS_SUBPROTOCOL
+// (which the server picks), base64url-encoded since protocol names can't hold
+// "/", "+" or "=". Unlike the upgrade URL, proxies and access logs don't record it.
+const WS_SUBPROTOCOL = "flixers";
+const PROOF_SUBPROTOCOL_PREFIX = "flixers-proof.";
+
+/**
+ * The proof (canonical base64) offered in a Sec-WebSocket-Protocol header, or null
+ */
+function proofFromProtocols(header) {
+  if (typeof header !== "string") return null;
+  const offered = header
+    .split(",")
+    .map((name) => name.trim())
+    .find((name) => name.startsWith(PROOF_SUBPROTOCOL_PREFIX));
+  if (!offered) return null;
+  return Buffer.from(offered.slice(PROOF_SUBPROTOCOL_PREFIX.length), "base64url").toString("base64");
+}
+
+// Invites: the host mints signed tokens (issueInviteToken in server.js) that name one of
+// these records, so uses can be counted and a token revoked before it expires.
+const INVITE_ROLES = ["viewer", "cohost"];
+const DEFAULT_INVITE_TTL_SECONDS = 24 * 60 * 60;
+const MIN_INVITE_TTL_SECONDS = 60;
+const MAX_INVITE_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_INVITE_USES = 10;
+const MAX_INVITE_USES = 100;
+
+/**
+ * Invite settings from a create-invite body.
+ * @returns {{ settings: { ttlSeconds, maxUses, role } } | { error: string }}
+ */
+function parseInviteSettings(body) {
+  const { ttlSeconds = DEFAULT_INVITE_TTL_SECONDS, maxUses = DEFAULT_INVITE_USES, role = "viewer" } = body || {};
+  if (
+    !Number.isInteger(ttlSeconds) ||
+    ttlSeconds < MIN_INVITE_TTL_SECONDS ||
+    ttlSeconds > MAX_INVITE_TTL_SECONDS ||
+    !Number.isInteger(maxUses) ||
+    maxUses < 1 ||
+    maxUses > MAX_INVITE_USES ||
+    !INVITE_ROLES.includes(role)
+  ) {
+    return { error: "invalid_invite_settings" };
+  }
+  return { settings: { ttlSeconds, maxUses, role } };
+}
+
+/**
+ * New invite record (the token only carries its id)
+ */
+function createInviteRecord({ ttlSeconds, maxUses, role }, createdBy, now = Date.now()) {
+  return {
+    id: crypto.randomBytes(9).toString("base64url"),
+    role,
+    maxUses,
+    uses: 0,
+    createdBy,
+    createdAt: now,
+    expiresAt: now + ttlSeconds * 1000,
+    revoked: false,
+  };
+}
+
+/**
+ * "ok", or the error a joiner gets for this invite
+ */
+function inviteStatus(invite, now = Date.now()) {
+  if (!invite) return "invalid_invite";
+  if (invite.revoked) return "invite_revoked";
+  if (now >= invite.expiresAt) return "invite_expired";
+  if (invite.uses >= invite.maxUses) return "invite_exhausted";
+  return "ok";
+}
+
+/**
+ * Count one use if the invite is still good; returns its status before the use
+ */
+function useInvite(invite, now = Date.now()) {
+  const status = inviteStatus(invite, now);
+  if (status === "ok") invite.uses += 1;
+  return status;
+}
+
+module.exports = {
+  SALT_BYTES,
+  PROOF_BYTES,
+  parsePassphraseSettings,
+  verifierForProof,
+  checkPassphraseProof,
+  WS_SUBPROTOCOL,
+  PROOF_SUBPROTOCOL_PREFIX,
+  proofFromProtocols,
+  INVITE_ROLES,
+  DEFAULT_INVITE_TTL_SECONDS,
+  MAX_INVITE_USES,
+  parseInviteSettings,
+  createInviteRecord,
+  inviteStatus,
+  useInvite,
+};
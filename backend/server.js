@@ -6,9 +6,9 @@ const { WebSocketServer } = require("ws");
 const { OAuth2Client } = require("google-auth-library");
 const jwt = require("jsonwebtoken");
 
-// Redis integration with fallback
+// Redis integration with fallback (tests opt in with TEST_REDIS_URL)
 let redis = null;
-if (!process.env.JEST_WORKER_ID) {
+if (!process.env.JEST_WORKER_ID || process.env.TEST_REDIS_URL) {
   try {
     redis = require("./redis");
     console.log("[Redis] Module loaded, will attempt connection");
@@ -17,6 +17,17 @@ if (!process.env.JEST_WORKER_ID) {
   }
 }
 
+// Database (Prisma) integration - user profiles and preferences need DATABASE_URL
+let db = null;
+if (process.env.DATABASE_URL) {
+  try {
+    db = require("./db");
+    console.log("[DB] Module loaded");
+  } catch (err) {
+    console.warn("[DB] Module not available, profile endpoints disabled:", err.message);
+  }
+}
+
 const PORT = process.env.PORT || 4000;
 const NODE_ENV = process.env.NODE_ENV || "development";
 const JWT_SECRET = process.env.JWT_SECRET || (NODE_ENV === "production" ? null : "dev-secret");
@@ -48,10 +59,53 @@ app.use(cors(corsOptions));
 app.use(express.json());
 
 const oauthClient = new OAuth2Client(GOOGLE_CLIENT_ID || undefined);
-// In-memory room storage: roomId -> { clients, encryptionRequired, videoUrl, titleId, initialTime, deletionTimer }
+// In-memory room storage: roomId -> { clients, encryptionRequired, videoUrl, titleId, initialTime, playback,
+//   hostId, coHostIds, hostOnlyControls, ratePolicy, passphrase, inviteOnly, memberIds, invites,
+//   waitingRoom, pending, joinRequests, admittedIds, bannedIds, mutedIds, chatLog, deletionTimer }
 const rooms = new Map();
 
 const { ROOM_CLEANUP_DELAY_MS } = require("./roomLifecycle");
+const playback = require("./playback");
+const rateLimit = require("./rateLimit");
+const sessions = require("./sessions");
+const messageLog = require("./messageLog");
+const roomAccess = require("./roomAccess");
+const protocol = require("./protocol");
+const buffering = require("./buffering");
+const readyCheck = require("./readyCheck");
+
+// Participant roles. The room creator is the host; the host can promote co-hosts.
+const ROLES = { HOST: "host", COHOST: "cohost", VIEWER: "viewer" };
+// Message types that only hosts/co-hosts may send in "host-only controls" rooms
+const HOST_CONTROLLED_TYPES = new Set(["state", "episode-changed", "system"]);
+
+// Short-lived access tokens; the extension renews them with a rotating refresh token
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+// Close code for sockets whose session was revoked (logout); the extension treats it as auth expiry
+const WS_CLOSE_SESSION_REVOKED = 4401;
+// Close code for a waiting-room socket the host turned away
+const WS_CLOSE_JOIN_DENIED = 4403;
+// Close codes for sockets a host or co-host removed (see Moderation)
+const WS_CLOSE_KICKED = 4405;
+const WS_CLOSE_BANNED = 4406;
+// Close code for clients whose protocol version the server no longer speaks
+const WS_CLOSE_UNSUPPORTED_VERSION = 4426;
+
+const THEMES = ["light", "dark", "system"];
+const MAX_DISPLAY_NAME_LENGTH = 64;
+
+// Room invites sent to friends (in-memory; Redis holds them in a cluster): userId -> Map(roomId -> invite)
+const friendInvites = new Map();
+const FRIEND_INVITE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MIN_SEARCH_LENGTH = 2;
+const MAX_SEARCH_LENGTH = 64;
+
+// Identifies this process in pub/sub envelopes so it can ignore its own publishes
+const INSTANCE_ID = randomUUID();
+
+const ROOM_HISTORY_DEFAULT_LIMIT = 10;
+const ROOM_HISTORY_MAX_LIMIT = 20;
 
 // Room cleanup delay - keep empty rooms for 1 day before deletion
 const ROOM_CLEANUP_DELAY = ROOM_CLEANUP_DELAY_MS;
@@ -96,34 +150,367 @@ app.post("/auth/google", async (req, res) => {
     return res.status(400).json({ error: "idToken required" });
   }
 
+  let profile;
   try {
-    const profile = await verifyGoogleIdToken(idToken);
-    const token = issueSessionToken(profile);
-    res.json({ token, profile: sanitizeProfile(profile) });
+    profile = await verifyGoogleIdToken(idToken);
   } catch (err) {
     console.error("Auth failed", err.message || err);
-    res.status(401).json({ error: "invalid_token" });
+    return res.status(401).json({ error: "invalid_token" });
+  }
+
+  // Persist the user so profile/preferences follow them across machines.
+  // A database outage should not block sign-in.
+  let preferences = null;
+  if (db && profile.email) {
+    try {
+      const user = await db.upsertUser(profile);
+      profile = { ...profile, name: user.name || profile.name };
+      preferences = sanitizePreferences(user.preferences);
+    } catch (err) {
+      console.warn("[DB] Failed to upsert user:", err.message);
+    }
+  }
+
+  const { token, refreshToken } = await startSession(profile);
+  res.json({ token, refreshToken, profile: sanitizeProfile(profile), preferences });
+});
+
+// Trade a refresh token for a new access token + refresh token (the old one is spent)
+app.post("/auth/refresh", async (req, res) => {
+  const refreshToken = req.body?.refreshToken;
+  if (!refreshToken || typeof refreshToken !== "string") {
+    return res.status(400).json({ error: "refresh_token_required" });
+  }
+  const claims = verifyRefreshToken(refreshToken);
+  if (!claims) {
+    return res.status(401).json({ error: "invalid_refresh_token" });
+  }
+  if (!(await isSessionActive(claims))) {
+    return res.status(401).json({ error: "session_revoked" });
+  }
+
+  const nextTokenId = randomUUID();
+  const result = await rotateRefreshToken(claims.sid, claims.jti, nextTokenId);
+  if (result === "reused") {
+    // A spent token came back: someone else may hold this family, so end the session for everyone
+    console.warn(`[Auth] Refresh token reuse for ${claims.sub}, revoking session ${claims.sid}`);
+    await revokeSessions({ userId: claims.sub, sessionId: claims.sid });
+    return res.status(401).json({ error: "refresh_token_reused" });
+  }
+  if (result === null) {
+    return res.status(503).json({ error: "refresh_unavailable" });
+  }
+  if (result !== "rotated") {
+    return res.status(401).json({ error: "invalid_refresh_token" });
+  }
+
+  let profile = { sub: claims.sub, name: claims.name, email: claims.email, picture: claims.picture };
+  if (db) {
+    // Pick up profile changes made on other devices
+    try {
+      const user = await db.getUserById(claims.sub);
+      if (user) profile = { ...profile, name: user.name || profile.name, picture: user.picture || profile.picture };
+    } catch (err) {
+      console.warn("[DB] Failed to load user for refresh:", err.message);
+    }
+  }
+  res.json({
+    token: issueSessionToken({ ...profile, sid: claims.sid }),
+    refreshToken: issueRefreshToken(profile, claims.sid, nextTokenId),
+    profile: sanitizeProfile(profile),
+  });
+});
+
+// Sign out this device
+app.post("/auth/logout", authRequired, async (req, res) => {
+  await revokeSessions({ userId: req.user.sub, sessionId: req.user.sid });
+  res.json({ ok: true });
+});
+
+// Sign out every device this user is signed in on
+app.post("/auth/logout-all", authRequired, async (req, res) => {
+  await revokeSessions({ userId: req.user.sub });
+  res.json({ ok: true });
+});
+
+app.get("/me", authRequired, dbRequired, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ error: "user_not_found" });
+    }
+    res.json({ profile: sanitizeUser(user), preferences: sanitizePreferences(user.preferences) });
+  } catch (err) {
+    console.error("[DB] Failed to load user:", err.message);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+app.patch("/me", authRequired, dbRequired, async (req, res) => {
+  const name = typeof req.body?.name === "string" ? req.body.name.trim() : undefined;
+  if (name === undefined) {
+    return res.status(400).json({ error: "nothing_to_update" });
+  }
+  if (!name || name.length > MAX_DISPLAY_NAME_LENGTH) {
+    return res.status(400).json({ error: "invalid_name" });
+  }
+
+  try {
+    const existing = await db.getUserById(req.user.sub);
+    if (!existing) {
+      return res.status(404).json({ error: "user_not_found" });
+    }
+    const user = await db.updateUserProfile(req.user.sub, { name, customName: true });
+    // Re-issue the session so the new name shows up in rooms right away
+    const token = issueSessionToken({ ...req.user, name: user.name });
+    res.json({ token, profile: sanitizeUser(user) });
+  } catch (err) {
+    console.error("[DB] Failed to update user:", err.message);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+app.get("/me/preferences", authRequired, dbRequired, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ error: "user_not_found" });
+    }
+    res.json({ preferences: sanitizePreferences(user.preferences) });
+  } catch (err) {
+    console.error("[DB] Failed to load preferences:", err.message);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+app.put("/me/preferences", authRequired, dbRequired, async (req, res) => {
+  const { preferences, error } = parsePreferences(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const existing = await db.getUserById(req.user.sub);
+    if (!existing) {
+      return res.status(404).json({ error: "user_not_found" });
+    }
+    const updated = await db.updatePreferences(req.user.sub, preferences);
+    res.json({ preferences: sanitizePreferences(updated) });
+  } catch (err) {
+    console.error("[DB] Failed to update preferences:", err.message);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+app.get("/me/rooms", authRequired, dbRequired, async (req, res) => {
+  const requested = Number.parseInt(req.query.limit, 10);
+  const limit = Number.isFinite(requested)
+    ? Math.min(Math.max(requested, 1), ROOM_HISTORY_MAX_LIMIT)
+    : ROOM_HISTORY_DEFAULT_LIMIT;
+  try {
+    // Reconnects create several entries per visit; fetch extra and keep the latest per room
+    const entries = await db.getRoomHistory(req.user.sub, limit * 5);
+    const seen = new Set();
+    const recent = [];
+    for (const entry of entries) {
+      if (seen.has(entry.roomId)) continue;
+      seen.add(entry.roomId);
+      recent.push(entry);
+      if (recent.length >= limit) break;
+    }
+    const active = await Promise.all(recent.map((entry) => isRoomActive(entry.roomId)));
+    res.json({ rooms: recent.map((entry, i) => formatRoomHistoryEntry(entry, active[i])) });
+  } catch (err) {
+    console.error("[DB] Failed to load room history:", err.message);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+app.get("/users/search", authRequired, dbRequired, async (req, res) => {
+  const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (query.length < MIN_SEARCH_LENGTH || query.length > MAX_SEARCH_LENGTH) {
+    return res.status(400).json({ error: "invalid_query" });
+  }
+  try {
+    const users = await db.searchUsers(query, req.user.sub);
+    res.json({ users: users.map(sanitizeFriendUser) });
+  } catch (err) {
+    console.error("[DB] User search failed:", err.message);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+app.get("/friends", authRequired, dbRequired, async (req, res) => {
+  try {
+    const [friends, pending, sent, invites] = await Promise.all([
+      db.getFriends(req.user.sub),
+      db.getPendingRequests(req.user.sub),
+      db.getSentRequests(req.user.sub),
+      getFriendInvites(req.user.sub),
+    ]);
+    res.json({
+      friends: friends.map((f) => ({
+        friendshipId: f.friendshipId,
+        user: sanitizeFriendUser(f.friend),
+        since: f.since,
+      })),
+      pending: pending.map((f) => ({ friendshipId: f.id, user: sanitizeFriendUser(f.user), createdAt: f.createdAt })),
+      sent: sent.map((f) => ({ friendshipId: f.id, user: sanitizeFriendUser(f.friend), createdAt: f.createdAt })),
+      invites,
+    });
+  } catch (err) {
+    console.error("[DB] Failed to load friends:", err.message);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+app.post("/friends/requests", authRequired, dbRequired, async (req, res) => {
+  const friendId = req.body?.friendId;
+  if (!isNonEmptyString(friendId)) {
+    return res.status(400).json({ error: "friend_id_required" });
+  }
+  if (friendId === req.user.sub) {
+    return res.status(400).json({ error: "cannot_friend_self" });
+  }
+  try {
+    const target = await db.getUserById(friendId);
+    if (!target) {
+      return res.status(404).json({ error: "user_not_found" });
+    }
+    const result = await db.sendFriendRequest(req.user.sub, friendId);
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    res.status(201).json({ friendshipId: result.id, user: sanitizeFriendUser(result.friend), status: result.status });
+  } catch (err) {
+    console.error("[DB] Failed to send friend request:", err.message);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+app.post("/friends/requests/:id/accept", authRequired, dbRequired, async (req, res) => {
+  try {
+    const result = await db.acceptFriendRequest(req.user.sub, req.params.id);
+    if (result.error) {
+      return res.status(404).json({ error: result.error });
+    }
+    res.json({ friendshipId: result.id, user: sanitizeFriendUser(result.user), status: result.status });
+  } catch (err) {
+    console.error("[DB] Failed to accept friend request:", err.message);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+app.post("/friends/requests/:id/decline", authRequired, dbRequired, async (req, res) => {
+  try {
+    const result = await db.declineFriendRequest(req.user.sub, req.params.id);
+    if (result.error) {
+      return res.status(404).json({ error: result.error });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("[DB] Failed to decline friend request:", err.message);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+// Unfriend, or cancel a request we sent
+app.delete("/friends/:id", authRequired, dbRequired, async (req, res) => {
+  try {
+    const result = await db.removeFriendship(req.user.sub, req.params.id);
+    if (result.error) {
+      return res.status(result.error === "not_authorized" ? 403 : 404).json({ error: result.error });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("[DB] Failed to remove friendship:", err.message);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+app.post("/friends/:friendId/invite", authRequired, dbRequired, async (req, res) => {
+  const roomId = req.body?.roomId;
+  if (!isValidRoomId(roomId)) {
+    return res.status(400).json({ error: "invalid_room_id" });
+  }
+  // The inviter (and the room) may be on another instance
+  const { room, roomData } = await lookupRoom(roomId);
+  const inRoom = (room || roomData) && (await isRoomMember(roomId, room, req.user.sub));
+  if (!inRoom) {
+    return res.status(403).json({ error: "not_in_room" });
+  }
+  try {
+    const friends = await db.getFriends(req.user.sub);
+    if (!friends.some((f) => f.friend?.id === req.params.friendId)) {
+      return res.status(404).json({ error: "not_friends" });
+    }
+  } catch (err) {
+    console.error("[DB] Failed to load friends:", err.message);
+    return res.status(500).json({ error: "db_error" });
+  }
+
+  // Invite-only rooms: the friend gets a single-use invite of their own
+  let inviteToken;
+  if (room?.inviteOnly || roomData?.inviteOnly) {
+    const invite = roomAccess.createInviteRecord(
+      { ttlSeconds: FRIEND_INVITE_TTL_MS / 1000, maxUses: 1, role: ROLES.VIEWER },
+      req.user.sub
+    );
+    await storeRoomInvite(roomId, room, invite);
+    inviteToken = issueInviteToken(roomId, invite);
   }
+
+  await storeFriendInvite(req.params.friendId, {
+    roomId,
+    fromId: req.user.sub,
+    fromName: req.user.name || "Guest",
+    ts: Date.now(),
+    inviteToken,
+  });
+
+  // Let the friend know right away if they are connected somewhere
+  notifyUser(req.params.friendId, {
+    type: "room-invite",
+    roomId,
+    from: req.user.name || "Guest",
+    fromId: req.user.sub,
+    inviteToken,
+  });
+
+  res.status(201).json({ ok: true });
+});
+
+app.delete("/friends/invites/:roomId", authRequired, async (req, res) => {
+  await removeFriendInvites(req.user.sub, [req.params.roomId]);
+  res.json({ ok: true });
 });
 
-app.post("/rooms", authRequired, async (req, res) => {
+app.post("/rooms", authRequired, rateLimited("rooms:create"), async (req, res) => {
   const roomId = randomUUID().slice(0, 8);
   const encryptionRequired = coerceBoolean(
     req.body?.encryptionRequired,
     defaultEncryptionRequired()
   );
   
-  // Extract video metadata from request
-  const videoUrl = req.body?.videoUrl || "";
+  // Extract video metadata from request; encrypted rooms share it end-to-end instead
+  const videoUrl = encryptionRequired ? "" : req.body?.videoUrl || "";
   const titleId = extractTitleId(videoUrl);
-  const initialTime = Math.floor(Number(req.body?.videoTime) || 0);
+  const initialTime = encryptionRequired ? 0 : Math.floor(Number(req.body?.videoTime) || 0);
+  const hostOnlyControls = coerceBoolean(req.body?.hostOnlyControls, false);
+  const ratePolicy = parseRatePolicy(req.body?.ratePolicy);
+  const waitingRoom = coerceBoolean(req.body?.waitingRoom, false);
+  const access = roomAccess.parsePassphraseSettings(req.body);
+  if (access.error) {
+    return res.status(400).json({ error: access.error });
+  }
   
-  const roomOpts = { encryptionRequired, videoUrl, titleId, initialTime };
+  // Rooms created here are invite-only (see checkRoomAccess)
+  const roomOpts = { encryptionRequired, videoUrl, titleId, initialTime, passphrase: access.passphrase, inviteOnly: true };
   
   // Store in Redis if available
   if (redis && redis.isRedisConnected()) {
     try {
-      await redis.createRoom(roomId, roomOpts);
+      await redis.createRoom(roomId, { ...roomOpts, hostId: req.user.sub, hostOnlyControls, ratePolicy, waitingRoom });
       console.log(`[Room] Created ${roomId} in Redis (video: ${titleId}, time: ${initialTime}s)`);
     } catch (err) {
       console.warn("[Redis] Failed to create room, using memory:", err.message);
@@ -131,7 +518,7 @@ app.post("/rooms", authRequired, async (req, res) => {
   }
   
   // Always store in memory for WebSocket clients
-  ensureRoom(roomId, roomOpts);
+  ensureRoom(roomId, { ...roomOpts, hostId: req.user.sub, hostOnlyControls, ratePolicy, waitingRoom });
   
   res.json({
     roomId,
@@ -139,11 +526,16 @@ app.post("/rooms", authRequired, async (req, res) => {
     videoUrl,
     titleId,
     initialTime,
+    hostOnlyControls,
+    ratePolicy,
+    waitingRoom,
+    passphraseRequired: !!access.passphrase,
+    role: ROLES.HOST,
     user: sanitizeProfile(req.user),
   });
 });
 
-app.post("/rooms/:id/join", authRequired, async (req, res) => {
+app.post("/rooms/:id/join", authRequired, rateLimited("rooms:join", { perRoom: true }), async (req, res) => {
   const { id } = req.params;
   const roomId = (id || "").trim();
   
@@ -165,25 +557,45 @@ app.post("/rooms/:id/join", authRequired, async (req, res) => {
   if (!room && !roomData) {
     return res.status(404).json({ error: "Room not found" });
   }
+
+  const access = await checkRoomAccess(roomId, room, roomData, req.user.sub, req.body?.invite);
+  if (access.error) {
+    return res.status(403).json({ error: access.error });
+  }
+
+  // Passphrase rooms want the proof derived from it (never the passphrase itself)
+  const passphrase = room?.passphrase || roomData?.passphrase || null;
+  const attempt = await checkPassphraseAttempt(passphrase, req.user.sub, req.body?.passphraseProof);
+  if (attempt?.retryAfter) {
+    res.set("Retry-After", String(attempt.retryAfter));
+    return res.status(429).json({ error: "rate_limited", retryAfter: attempt.retryAfter });
+  }
+  if (attempt?.error) {
+    return res.status(403).json({ error: attempt.error, passphraseSalt: passphrase.salt });
+  }
+
+  // Spend the invite only once everything else checked out
+  if (access.invite) {
+    const error = await admitWithInvite(roomId, room, roomData, req.user.sub, access.invite);
+    if (error) {
+      return res.status(403).json({ error });
+    }
+  }
   
-  // Merge Redis data with memory data (memory takes precedence for live state)
-  const videoUrl = room?.videoUrl || roomData?.videoUrl || "";
-  const titleId = room?.titleId || roomData?.titleId || extractTitleId(videoUrl);
-  const initialTime = room?.initialTime ?? roomData?.videoTime ?? 0;
   const encryptionRequired = room?.encryptionRequired ?? roomData?.encryptionRequired ?? false;
+  const waitingRoom = needsApproval(room, roomData, req.user.sub);
   
   res.json({
     roomId,
     name: req.user?.name || "Guest",
     encryptionRequired,
-    videoUrl,
-    titleId,
-    initialTime,
+    ...publicPlayback(room, roomData, waitingRoom),
+    waitingRoom,
   });
 });
 
 // Preview room info without joining (for confirmation step)
-app.get("/rooms/:id/preview", authRequired, async (req, res) => {
+app.get("/rooms/:id/preview", authRequired, rateLimited("rooms:join", { perRoom: true }), async (req, res) => {
   const { id } = req.params;
   const roomId = (id || "").trim();
   
@@ -205,24 +617,129 @@ app.get("/rooms/:id/preview", authRequired, async (req, res) => {
   if (!room && !roomData) {
     return res.status(404).json({ error: "Room not found" });
   }
+
+  const access = await checkRoomAccess(roomId, room, roomData, req.user.sub, req.query.invite);
+  if (access.error) {
+    return res.status(403).json({ error: access.error });
+  }
   
-  const videoUrl = room?.videoUrl || roomData?.videoUrl || "";
-  const titleId = room?.titleId || roomData?.titleId || extractTitleId(videoUrl);
-  const initialTime = room?.initialTime ?? roomData?.videoTime ?? 0;
-  const participantCount = room?.clients?.size || 0;
+  const participantCount = await getParticipantCount(roomId, room);
+  const encryptionRequired = room?.encryptionRequired ?? roomData?.encryptionRequired ?? false;
+  const passphrase = room?.passphrase || roomData?.passphrase || null;
+  const waitingRoom = needsApproval(room, roomData, req.user.sub);
   
   res.json({
     roomId,
-    videoUrl,
-    titleId,
-    initialTime,
+    ...publicPlayback(room, roomData, waitingRoom),
     participantCount,
+    encryptionRequired,
+    passphraseRequired: !!passphrase,
+    passphraseSalt: passphrase ? passphrase.salt : undefined,
+    waitingRoom,
     exists: true,
   });
 });
 
+// Host and co-hosts mint invite tokens; only the host hands out co-host invites
+app.post("/rooms/:id/invites", authRequired, rateLimited("rooms:invite"), async (req, res) => {
+  const roomId = (req.params.id || "").trim();
+  if (!isValidRoomId(roomId)) {
+    return res.status(400).json({ error: "invalid_room_id" });
+  }
+  const { room, roomData } = await lookupRoom(roomId);
+  if (!room && !roomData) {
+    return res.status(404).json({ error: "room_not_found" });
+  }
+  const role = roleIn(room, roomData, req.user.sub);
+  if (role === ROLES.VIEWER) {
+    return res.status(403).json({ error: "not_host" });
+  }
+  const parsed = roomAccess.parseInviteSettings(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  if (parsed.settings.role === ROLES.COHOST && role !== ROLES.HOST) {
+    return res.status(403).json({ error: "not_host" });
+  }
+
+  const invite = roomAccess.createInviteRecord(parsed.settings, req.user.sub);
+  await storeRoomInvite(roomId, room, invite);
+  res.status(201).json({ invite: publicInvite(invite), token: issueInviteToken(roomId, invite) });
+});
+
+// Invites that can still be used or are used up; revoked and expired ones drop off
+app.get("/rooms/:id/invites", authRequired, async (req, res) => {
+  const roomId = (req.params.id || "").trim();
+  if (!isValidRoomId(roomId)) {
+    return res.status(400).json({ error: "invalid_room_id" });
+  }
+  const { room, roomData } = await lookupRoom(roomId);
+  if (!room && !roomData) {
+    return res.status(404).json({ error: "room_not_found" });
+  }
+  if (roleIn(room, roomData, req.user.sub) === ROLES.VIEWER) {
+    return res.status(403).json({ error: "not_host" });
+  }
+  const invites = (await getRoomInvites(roomId, room))
+    .map(publicInvite)
+    .filter((invite) => invite.status === "ok" || invite.status === "invite_exhausted")
+    .sort((a, b) => a.createdAt - b.createdAt);
+  res.json({ invites });
+});
+
+app.delete("/rooms/:id/invites/:inviteId", authRequired, async (req, res) => {
+  const roomId = (req.params.id || "").trim();
+  if (!isValidRoomId(roomId)) {
+    return res.status(400).json({ error: "invalid_room_id" });
+  }
+  const { room, roomData } = await lookupRoom(roomId);
+  if (!room && !roomData) {
+    return res.status(404).json({ error: "room_not_found" });
+  }
+  if (roleIn(room, roomData, req.user.sub) === ROLES.VIEWER) {
+    return res.status(403).json({ error: "not_host" });
+  }
+  if (!(await revokeRoomInvite(roomId, room, req.params.inviteId))) {
+    return res.status(404).json({ error: "invite_not_found" });
+  }
+  res.json({ ok: true });
+});
+
+// Chat history for members of the room, newest page first; `before` is the seq cursor from the previous page
+app.get("/rooms/:id/messages", authRequired, async (req, res) => {
+  const roomId = (req.params.id || "").trim();
+  if (!isValidRoomId(roomId)) {
+    return res.status(400).json({ error: "invalid_room_id" });
+  }
+  const room = rooms.get(roomId);
+  if (!room && !(isClusterEnabled() && (await redis.roomExists(roomId)))) {
+    return res.status(404).json({ error: "room_not_found" });
+  }
+  if (!(await isRoomMember(roomId, room, req.user.sub))) {
+    return res.status(403).json({ error: "not_in_room" });
+  }
+
+  let entries = room ? room.chatLog.entries : [];
+  if (isClusterEnabled()) {
+    const stored = await redis.getRoomMessages(roomId);
+    if (stored) entries = stored;
+  }
+  // Envelopes encrypted for someone else are useless (and none of this reader's business)
+  entries = entries.filter((entry) => !entry.recipientId || entry.recipientId === req.user.sub);
+  const before = req.query.before !== undefined ? Number(req.query.before) : undefined;
+  const page = messageLog.pageLog(entries, { before, limit: messageLog.parsePageSize(req.query.limit) });
+  res.json({ roomId, ...page });
+});
+
 const server = createServer(app);
-const wss = new WebSocketServer({ server, path: "/ws" });
+const wss = new WebSocketServer({
+  server,
+  path: "/ws",
+  verifyClient,
+  // Browsers drop the socket unless we pick one of the subprotocols they offered
+  handleProtocols: (protocols) => (protocols.has(roomAccess.WS_SUBPROTOCOL) ? roomAccess.WS_SUBPROTOCOL : false),
+  maxPayload: protocol.MAX_PAYLOAD_BYTES,
+});
 
 // Connection keepalive configuration
 const PING_INTERVAL = 15000; // Send ping every 15 seconds (matching client)
@@ -259,7 +776,7 @@ function startPingInterval() {
       // Also send JSON ping for clients that may not respond to native pings
       if (socket.readyState === 1) {
         try {
-          socket.send(JSON.stringify({ type: "ping", ts: now }));
+          sendTo({ socket }, { type: "ping", ts: now });
         } catch (err) {
           console.warn("[WS] Failed to send JSON ping:", err.message);
         }
@@ -293,16 +810,42 @@ wss.on("connection", (socket, req) => {
 
   const name = session.name || "Guest";
   const picture = session.picture || null;
+  // Checked before ensureRoom, which would cancel an empty room's deletion timer
+  if (rooms.get(roomId)?.bannedIds.has(session.sub)) {
+    console.log(`[ban] Refused ${name} in ${roomId}`);
+    sendTo({ socket }, { type: "moderation", action: "ban" });
+    socket.close(WS_CLOSE_BANNED, "Banned");
+    return;
+  }
+  // verifyClient turned away unknown rooms; don't recreate one deleted since then
+  if (!rooms.has(roomId)) {
+    socket.close();
+    return;
+  }
+  // The host only ever comes from POST /rooms or Redis; a room without one stays hostless
   const room = ensureRoom(roomId);
-  const client = { socket, name, sub: session.sub, picture };
-  room.clients.add(client);
+  subscribeRoomChannel(roomId, room);
+  const client = {
+    socket,
+    name,
+    sub: session.sub,
+    sid: session.sid,
+    iat: session.iat,
+    picture,
+    watchedWith: new Map(),
+    inbox: Promise.resolve(),
+    joined: false,
+  };
   
   // Mark connection as alive
   socket.isAlive = true;
   socket.lastActivity = Date.now();
   
-  console.log(`[join] ${name} -> ${roomId} (enc=${room.encryptionRequired})`);
-  broadcastPresence(roomId);
+  if (needsApproval(room, null, client.sub)) {
+    holdClient(roomId, room, client);
+  } else {
+    admitClient(roomId, room, client);
+  }
 
   // Handle WebSocket native pong (response to our ping)
   socket.on("pong", () => {
@@ -312,43 +855,91 @@ wss.on("connection", (socket, req) => {
 
   socket.on("message", (raw) => {
     // Mark connection as alive on ANY message received
+    const receivedAt = Date.now();
     socket.isAlive = true;
-    socket.lastActivity = Date.now();
+    socket.lastActivity = receivedAt;
     
+    let msg;
     try {
-      const msg = JSON.parse(raw.toString());
-      
-      // Handle client-initiated ping - respond AND keep connection alive
-      if (msg.type === "ping") {
-        if (socket.readyState === 1) {
-          socket.send(JSON.stringify({ type: "pong", ts: Date.now() }));
-        }
-        return;
-      }
-      
-      // Handle pong responses to our server-initiated pings
-      if (msg.type === "pong") {
-        // CRITICAL: Mark connection as alive when we receive pong
-        socket.isAlive = true;
-        socket.lastActivity = Date.now();
-        return;
-      }
-      
-      handleMessage(roomId, client, msg);
+      msg = JSON.parse(raw.toString());
     } catch (err) {
       console.warn("Bad message", err);
+      rejectMessage(client, { code: "invalid-json" });
+      return;
+    }
+    const problem = protocol.validateMessage("inbound", msg);
+    if (problem) {
+      rejectMessage(client, problem, msg?.type);
+      return;
     }
+    
+    // Handle pong responses to our server-initiated pings
+    if (msg.type === "pong") {
+      // CRITICAL: Mark connection as alive when we receive pong
+      socket.isAlive = true;
+      socket.lastActivity = Date.now();
+      return;
+    }
+    
+    // Rate checks may go to Redis; chain them so messages are still handled in order
+    client.inbox = client.inbox
+      .then(async () => {
+        const retryAfter = await consumeRateLimit(rateLimit.wsRuleName(msg.type), {
+          userId: client.sub,
+          roomId,
+        });
+        if (retryAfter) {
+          notifyRateLimited(client, msg.type, retryAfter);
+          return;
+        }
+        
+        // Handle client-initiated ping - respond AND keep connection alive.
+        // Echoing the client's send time and our receive time lets it estimate
+        // its offset from the server clock and the round trip (NTP-style).
+        if (msg.type === "ping") {
+          sendTo(client, { type: "pong", ts: Date.now(), echo: msg.ts, receivedAt });
+          return;
+        }
+
+        // The handshake works from the waiting room too, so old clients learn early
+        if (msg.type === "hello") {
+          greetClient(client, msg);
+          return;
+        }
+        
+        // Nothing gets through from the waiting room
+        if (!client.joined) return;
+        handleMessage(roomId, client, msg);
+      })
+      .catch((err) => {
+        console.warn("Bad message", err);
+      });
   });
 
   socket.on("close", () => {
     const currentRoom = rooms.get(roomId);
+    if (client.joined) {
+      recordHistoryLeave(roomId, currentRoom, client);
+    }
     if (!currentRoom) return;
-    currentRoom.clients.delete(client);
-    console.log(`[leave] ${name} -> ${roomId}`);
-    broadcastPresence(roomId);
+    if (client.joined) {
+      currentRoom.clients.delete(client);
+      console.log(`[leave] ${name} -> ${roomId}`);
+      // Nobody waits for someone who left
+      if (!Array.from(currentRoom.clients).some((c) => c.sub === client.sub)) {
+        setBuffering(roomId, client.sub, name, false);
+        if (currentRoom.readyCheck) updateReadyCheck(roomId, { action: "leave", userId: client.sub });
+      }
+      untrackClusterMember(roomId, currentRoom, client).then(() => broadcastPresence(roomId));
+    } else if (currentRoom.pending.delete(client)) {
+      console.log(`[waiting] ${name} gave up on ${roomId}`);
+      if (!Array.from(currentRoom.pending).some((c) => c.sub === client.sub)) {
+        sendToHosts(roomId, { type: "join-request-resolved", userId: client.sub, outcome: "left", ts: Date.now() });
+      }
+    }
     
     // Schedule room cleanup when empty (after ROOM_CLEANUP_DELAY)
-    if (currentRoom.clients.size === 0) {
+    if (currentRoom.clients.size === 0 && currentRoom.pending.size === 0) {
       // Clear any existing deletion timer
       if (currentRoom.deletionTimer) {
         clearTimeout(currentRoom.deletionTimer);
@@ -360,8 +951,9 @@ wss.on("connection", (socket, req) => {
       currentRoom.deletionTimer = setTimeout(() => {
         const room = rooms.get(roomId);
         // Only delete if still empty
-        if (room && room.clients.size === 0) {
+        if (room && room.clients.size === 0 && room.pending.size === 0) {
           console.log(`[Room] Deleting empty room ${roomId} after timeout`);
+          unsubscribeRoomChannel(roomId, room);
           rooms.delete(roomId);
         }
       }, ROOM_CLEANUP_DELAY);
@@ -383,6 +975,10 @@ async function start(port = PORT) {
       console.warn("[Redis] Failed to connect:", err.message);
     }
   }
+  if (isClusterEnabled()) {
+    await redis.subscribeToSessionRevocations(handleSessionRevoked);
+    await redis.subscribeToUserEvents(handleUserEvent);
+  }
   
   startPingInterval();
   return server.listen(port, () => {
@@ -414,7 +1010,17 @@ function stop(cb) {
     clearInterval(pingInterval);
     pingInterval = null;
   }
-  wss.close(() => server.close(cb));
+  // Other instances would keep listing our sockets until the room keys expire
+  untrackLocalMembers().then(() =>
+    wss.close(() =>
+      server.close(async (err) => {
+        if (redis && redis.isRedisConnected()) {
+          await redis.disconnect();
+        }
+        if (cb) cb(err);
+      })
+    )
+  );
 }
 
 if (require.main === module) {
@@ -435,7 +1041,28 @@ function ensureRoom(roomId, opts = {}) {
       encryptionRequired,
       videoUrl: opts.videoUrl || "",
       titleId: opts.titleId || "",
+      videoTitle: null,
       initialTime: opts.initialTime || 0,
+      playback: playback.createPlayback(opts),
+      hostId: opts.hostId || null,
+      coHostIds: new Set(),
+      hostOnlyControls: coerceBoolean(opts.hostOnlyControls, false),
+      ratePolicy: parseRatePolicy(opts.ratePolicy),
+      passphrase: opts.passphrase || null, // { salt, verifier } (see roomAccess.js)
+      inviteOnly: coerceBoolean(opts.inviteOnly, false),
+      memberIds: new Set(), // Users let in with an invite; they can rejoin without one
+      invites: new Map(), // inviteId -> invite record (Redis holds them in a cluster)
+      waitingRoom: coerceBoolean(opts.waitingRoom, false),
+      pending: new Set(), // Sockets on this instance waiting for the host to let them in
+      joinRequests: new Map(), // userId -> join-request event, mirrored on every instance
+      admittedIds: new Set(), // Users who got past the waiting room and can reconnect freely
+      bannedIds: new Set(), // Kept out for the room's lifetime
+      mutedIds: new Set(), // May stay and watch, but their chat is dropped
+      buffering: buffering.createBuffering(), // Who the room is pausing for (see Group Buffering)
+      bufferingTimer: null,
+      readyCheck: null, // The host's ready check and countdown, if one is running (see Ready Check)
+      readyCheckTimer: null,
+      chatLog: messageLog.createLog(),
       deletionTimer: null,
     });
   } else {
@@ -458,10 +1085,40 @@ function ensureRoom(roomId, opts = {}) {
     if (opts.videoUrl !== undefined) room.videoUrl = opts.videoUrl;
     if (opts.titleId !== undefined) room.titleId = opts.titleId;
     if (opts.initialTime !== undefined) room.initialTime = opts.initialTime;
+    if (opts.hostId && !room.hostId) room.hostId = opts.hostId;
+    if (opts.passphrase && !room.passphrase) room.passphrase = opts.passphrase;
+    if (opts.inviteOnly) room.inviteOnly = true;
+    if (opts.waitingRoom !== undefined) {
+      room.waitingRoom = coerceBoolean(opts.waitingRoom, room.waitingRoom);
+    }
+    if (opts.hostOnlyControls !== undefined) {
+      room.hostOnlyControls = coerceBoolean(opts.hostOnlyControls, room.hostOnlyControls);
+    }
+    if (opts.ratePolicy !== undefined) {
+      room.ratePolicy = parseRatePolicy(opts.ratePolicy, room.ratePolicy);
+    }
   }
   return rooms.get(roomId);
 }
 
+function getRole(room, userId) {
+  if (!room || !userId) return ROLES.VIEWER;
+  if (room.hostId === userId) return ROLES.HOST;
+  if (room.coHostIds?.has(userId)) return ROLES.COHOST;
+  return ROLES.VIEWER;
+}
+
+function canControlPlayback(room, client) {
+  if (!room || !room.hostOnlyControls) return true;
+  return getRole(room, client?.sub) !== ROLES.VIEWER;
+}
+
+// Current extrapolated position for REST previews (null until a client has reported state)
+function getLiveInitialTime(room) {
+  if (!room || !playback.hasPlaybackState(room.playback)) return null;
+  return Math.floor(playback.currentPosition(room.playback));
+}
+
 // Extract Netflix title ID from URL
 function extractTitleId(url) {
   if (!url) return "";
@@ -476,14 +1133,20 @@ function extractTitleId(url) {
 function handleMessage(roomId, client, msg) {
   if (!msg || typeof msg !== "object") return;
 
+  // In encrypted rooms playback sync (state, sync handshake, episode changes) and
+  // the notices describing it only travel inside `encrypted` envelopes, so the
+  // server never sees the title or position
   const encryptionRequired = isEncryptionRequired(roomId);
   const allowsPlaintext =
     msg.type === "encrypted" ||
     msg.type === "key-exchange" ||
-    msg.type === "system" ||
-    msg.type === "episode-changed" ||
-    msg.type === "sync-request" ||  // Allow sync messages even in encrypted rooms
-    msg.type === "sync-state" ||     // Allow sync messages even in encrypted rooms
+    msg.type === "set-role" ||
+    msg.type === "room-settings" ||
+    msg.type === "join-response" ||
+    msg.type === "buffering" ||
+    msg.type === "ready-check" ||
+    msg.type === "ready" ||
+    MODERATION_TYPES.has(msg.type) ||
     !encryptionRequired;
 
   if (!allowsPlaintext) {
@@ -493,25 +1156,128 @@ function handleMessage(roomId, client, msg) {
     return;
   }
 
-  if (msg.type === "state") {
-    broadcast(roomId, { type: "state", payload: msg.payload }, client);
+  const currentRoom = rooms.get(roomId);
+  if (HOST_CONTROLLED_TYPES.has(msg.type) && !canControlPlayback(currentRoom, client)) {
+    console.warn(`Dropped ${msg.type} from viewer ${client.name} in host-only room ${roomId}`);
     return;
   }
-  if (msg.type === "chat") {
-    const ts = typeof msg.ts === "number" ? msg.ts : Date.now();
-    broadcast(
-      roomId,
-      {
-        type: "chat",
-        text: msg.text,
-        from: client.name,
-        fromId: client.sub,
-        avatar: msg.avatar || client.picture || null,
-        ts,
-      },
-      null
-    );
-    return;
+
+  // Host promotes/demotes a participant (co-host <-> viewer)
+  if (msg.type === "set-role") {
+    if (!currentRoom || getRole(currentRoom, client.sub) !== ROLES.HOST) return;
+    const { targetId, role } = msg;
+    if (!isNonEmptyString(targetId) || targetId === currentRoom.hostId) return;
+    if (role === ROLES.COHOST) {
+      currentRoom.coHostIds.add(targetId);
+    } else if (role === ROLES.VIEWER) {
+      currentRoom.coHostIds.delete(targetId);
+    } else {
+      return;
+    }
+    const target = Array.from(currentRoom.clients).find((c) => c.sub === targetId);
+    const targetName = target?.name || "A participant";
+    const text =
+      role === ROLES.COHOST
+        ? `${client.name} made ${targetName} a co-host`
+        : `${client.name} removed ${targetName} as co-host`;
+    broadcast(roomId, { type: "system", text, ts: Date.now() }, null);
+    publishRoomSettings(roomId);
+    broadcastPresence(roomId);
+    return;
+  }
+
+  // Host changes room-wide settings
+  if (msg.type === "room-settings") {
+    if (!currentRoom || getRole(currentRoom, client.sub) !== ROLES.HOST) return;
+    const notices = [];
+    if (typeof msg.hostOnlyControls === "boolean" && currentRoom.hostOnlyControls !== msg.hostOnlyControls) {
+      currentRoom.hostOnlyControls = msg.hostOnlyControls;
+      notices.push(
+        msg.hostOnlyControls
+          ? `${client.name} limited playback controls to hosts`
+          : `${client.name} gave everyone playback controls`
+      );
+    }
+    if (msg.ratePolicy !== undefined && currentRoom.ratePolicy !== msg.ratePolicy) {
+      currentRoom.ratePolicy = msg.ratePolicy;
+      if (msg.ratePolicy === "locked") currentRoom.playback.rate = playback.DEFAULT_RATE;
+      notices.push(
+        msg.ratePolicy === "locked"
+          ? `${client.name} locked playback speed to 1x`
+          : `${client.name} let everyone change the playback speed`
+      );
+    }
+    if (typeof msg.waitingRoom === "boolean" && currentRoom.waitingRoom !== msg.waitingRoom) {
+      currentRoom.waitingRoom = msg.waitingRoom;
+      notices.push(
+        msg.waitingRoom
+          ? `${client.name} turned on the waiting room`
+          : `${client.name} turned off the waiting room`
+      );
+      // Nobody is left waiting for a check that no longer applies
+      if (!msg.waitingRoom) {
+        Array.from(currentRoom.joinRequests.keys()).forEach((userId) => resolveJoinRequest(roomId, userId, "admitted"));
+      }
+    }
+    if (!notices.length) return;
+    notices.forEach((text) => broadcast(roomId, { type: "system", text, ts: Date.now() }, null));
+    publishRoomSettings(roomId);
+    broadcastPresence(roomId);
+    return;
+  }
+
+  if (MODERATION_TYPES.has(msg.type)) {
+    moderate(roomId, currentRoom, client, msg);
+    return;
+  }
+
+  // Host or co-host lets someone in from the waiting room, or turns them away
+  if (msg.type === "join-response") {
+    if (!currentRoom || getRole(currentRoom, client.sub) === ROLES.VIEWER) return;
+    if (!isNonEmptyString(msg.userId) || !currentRoom.joinRequests.has(msg.userId)) return;
+    resolveJoinRequest(roomId, msg.userId, msg.admit === true ? "admitted" : "denied", client);
+    return;
+  }
+
+  if (msg.type === "buffering") {
+    setBuffering(roomId, client.sub, client.name, msg.buffering);
+    return;
+  }
+
+  // Host or co-host starts a ready check, starts the countdown anyway, or calls it off
+  if (msg.type === "ready-check") {
+    if (!currentRoom || getRole(currentRoom, client.sub) === ROLES.VIEWER) return;
+    handleReadyCheckAction(roomId, currentRoom, client, msg.action);
+    return;
+  }
+
+  if (msg.type === "ready") {
+    if (!currentRoom?.readyCheck) return;
+    updateReadyCheck(roomId, { action: "ready", userId: client.sub, ready: msg.ready !== false });
+    return;
+  }
+
+  if (msg.type === "state") {
+    updateRoomPlayback(roomId, msg.payload);
+    broadcast(roomId, { type: "state", payload: msg.payload, from: client.name, fromId: client.sub }, client);
+    return;
+  }
+  if (msg.type === "chat") {
+    if (isChatMuted(currentRoom, client)) return;
+    const ts = typeof msg.ts === "number" ? msg.ts : Date.now();
+    broadcast(
+      roomId,
+      {
+        type: "chat",
+        text: msg.text,
+        from: client.name,
+        fromId: client.sub,
+        avatar: msg.avatar || client.picture || null,
+        ts,
+      },
+      null
+    );
+    return;
   }
   if (msg.type === "system") {
     const ts = typeof msg.ts === "number" ? msg.ts : Date.now();
@@ -519,6 +1285,7 @@ function handleMessage(roomId, client, msg) {
     return;
   }
   if (msg.type === "typing") {
+    if (currentRoom?.mutedIds.has(client.sub)) return;
     broadcast(
       roomId,
       { type: "typing", from: client.name, fromId: client.sub, active: !!msg.active, ts: Date.now() },
@@ -538,49 +1305,80 @@ function handleMessage(roomId, client, msg) {
     if (seq !== undefined) {
       payload.seq = seq;
     }
+    if (currentRoom) {
+      playback.resetPlaybackForEpisode(currentRoom.playback, url);
+      currentRoom.videoTitle = isNonEmptyString(msg.title) ? msg.title : null;
+    }
     broadcast(roomId, payload, client);
     return;
   }
+  // Key announcements go to everyone; replies to a specific peer's announcement go only to that peer
   if (msg.type === "key-exchange") {
     const { publicKey, curve } = msg;
     if (!isNonEmptyString(publicKey)) return;
-    broadcast(
-      roomId,
-      {
-        type: "key-exchange",
-        publicKey,
-        curve: isNonEmptyString(curve) ? curve : "secp256k1",
-        from: client.name,
-        fromId: client.sub,
-      },
-      client
-    );
+    const payload = {
+      type: "key-exchange",
+      publicKey,
+      curve: isNonEmptyString(curve) ? curve : "secp256k1",
+      reply: msg.reply === true ? true : undefined,
+      from: client.name,
+      fromId: client.sub,
+    };
+    if (isNonEmptyString(msg.recipientId)) {
+      sendToUser(roomId, msg.recipientId, { ...payload, recipientId: msg.recipientId });
+      return;
+    }
+    broadcast(roomId, payload, client);
     return;
   }
+  // Envelopes encrypted for one peer are delivered only to that peer;
+  // sender-key envelopes (one ciphertext for the whole room) are broadcast
   if (msg.type === "encrypted") {
     const { ciphertext, iv, tag, alg, salt } = msg;
     if (!isNonEmptyString(ciphertext) || !isNonEmptyString(iv)) return;
-    broadcast(
-      roomId,
-      {
-        type: "encrypted",
-        ciphertext,
-        iv,
-        tag: isNonEmptyString(tag) ? tag : undefined,
-        salt: isNonEmptyString(salt) ? salt : undefined,
-        alg: isNonEmptyString(alg) ? alg : "aes-256-gcm",
-        from: client.name,
-        fromId: client.sub,
-        ts: Date.now(),
-      },
-      null
-    );
+    // Chat is the only encrypted traffic flagged for the log, so that's what muting drops.
+    // A client that leaves the flag off gets past this; receivers drop chat from
+    // anyone presence marks as muted.
+    if (msg.persist === true && isChatMuted(currentRoom, client)) return;
+    const envelope = {
+      type: "encrypted",
+      ciphertext,
+      iv,
+      tag: isNonEmptyString(tag) ? tag : undefined,
+      salt: isNonEmptyString(salt) ? salt : undefined,
+      alg: isNonEmptyString(alg) ? alg : "aes-256-gcm",
+      scheme: msg.scheme === "sender-key" ? "sender-key" : undefined,
+      keyId: isNonEmptyString(msg.keyId) ? msg.keyId : undefined,
+      n: Number.isInteger(msg.n) && msg.n >= 0 ? msg.n : undefined,
+      persist: msg.persist === true ? true : undefined,
+      recipientId: isNonEmptyString(msg.recipientId) ? msg.recipientId : undefined,
+      from: client.name,
+      fromId: client.sub,
+      ts: Date.now(),
+    };
+    if (envelope.recipientId) {
+      sendToUser(roomId, envelope.recipientId, envelope);
+      return;
+    }
+    broadcast(roomId, envelope, null);
     return;
   }
   
-  // Sync handshake: joiner requests current state from peers
+  // Sync handshake: joiner requests current state. The server answers from its
+  // own playback model when it has one, otherwise peers are asked to respond.
   if (msg.type === "sync-request") {
     console.log(`[Sync] ${client.name} requesting sync in ${roomId}`);
+    if (currentRoom && playback.hasPlaybackState(currentRoom.playback)) {
+      const snapshot = playback.snapshotPlayback(currentRoom.playback);
+      console.log(`[Sync] Answering ${client.name} from server clock: t=${snapshot.time.toFixed(1)}`);
+      sendTo(client, {
+        type: "sync-state",
+        ...snapshot,
+        from: "server",
+        fromId: null,
+      });
+      return;
+    }
     broadcast(
       roomId,
       {
@@ -598,6 +1396,7 @@ function handleMessage(roomId, client, msg) {
   if (msg.type === "sync-state") {
     const { time, paused, url } = msg;
     console.log(`[Sync] ${client.name} responding with state: t=${time}, paused=${paused}`);
+    updateRoomPlayback(roomId, { t: time, paused, url, rate: msg.rate }, msg.ts);
     broadcast(
       roomId,
       {
@@ -605,25 +1404,141 @@ function handleMessage(roomId, client, msg) {
         time: typeof time === "number" ? time : 0,
         paused: typeof paused === "boolean" ? paused : true,
         url: isNonEmptyString(url) ? url : "",
+        rate: Number.isFinite(msg.rate) && msg.rate > 0 ? msg.rate : undefined,
         from: client.name,
         fromId: client.sub,
-        ts: Date.now(),
+        ts: playback.positionTime(msg.ts),
       },
       client
     );
     
-    // Update room's video state in Redis if available
-    if (redis && redis.isRedisConnected() && url) {
+    // Update room's video state in Redis if available (never for encrypted rooms)
+    if (!encryptionRequired && redis && redis.isRedisConnected() && url) {
       redis.updateRoomVideoState(roomId, url, time).catch(() => {});
     }
     return;
   }
 }
 
+// Fold a client-reported playback state into the room's server-side clock.
+// Clients stamp positions in server time, so `ts` says when the position was read.
+function updateRoomPlayback(roomId, state, ts = state?.ts) {
+  const room = rooms.get(roomId);
+  if (!room || !state || typeof state !== "object") return;
+  const update = room.ratePolicy === "locked" ? { ...state, rate: playback.DEFAULT_RATE } : state;
+  playback.applyPlaybackUpdate(room.playback, update, playback.positionTime(ts));
+  if (isNonEmptyString(state.url)) {
+    room.videoUrl = state.url;
+    room.titleId = extractTitleId(state.url) || room.titleId;
+  }
+  if (isNonEmptyString(state.title)) {
+    room.videoTitle = state.title;
+  }
+}
+
+// Room history is best effort: a database hiccup must never affect the socket
+function recordHistoryJoin(roomId, room, client) {
+  if (!db || !client.sub) return;
+  db.recordRoomJoin(client.sub, roomId, room?.videoTitle || null, room?.videoUrl || null).catch((err) => {
+    console.warn("[DB] Failed to record room join:", err.message);
+  });
+}
+
+function recordHistoryLeave(roomId, room, client) {
+  if (!db || !client.sub) return;
+  const snapshot = room
+    ? {
+      roomName: room.videoTitle || null,
+      videoUrl: room.videoUrl || null,
+      lastPosition: playback.hasPlaybackState(room.playback)
+        ? playback.currentPosition(room.playback)
+        : undefined,
+      participants: Array.from(new Set(client.watchedWith?.values() || [])),
+    }
+    : {};
+  db.recordRoomLeave(client.sub, roomId, snapshot).catch((err) => {
+    console.warn("[DB] Failed to record room leave:", err.message);
+  });
+}
+
+// Live here, or (in a cluster) on another instance
+async function isRoomActive(roomId) {
+  if (rooms.has(roomId)) return true;
+  if (!isClusterEnabled()) return false;
+  return redis.roomExists(roomId);
+}
+
+function formatRoomHistoryEntry(entry, active) {
+  const room = rooms.get(entry.roomId);
+  // Still watching: report the live position rather than the stale snapshot
+  const live = !entry.leftAt && room && playback.hasPlaybackState(room.playback);
+  return {
+    roomId: entry.roomId,
+    title: entry.roomName || room?.videoTitle || null,
+    videoUrl: entry.videoUrl || null,
+    lastPosition: live ? playback.currentPosition(room.playback) : entry.lastPosition ?? null,
+    participants: entry.participants || [],
+    joinedAt: entry.joinedAt,
+    leftAt: entry.leftAt,
+    active,
+  };
+}
+
+function sendTo(client, message) {
+  if (client?.socket?.readyState !== 1) return;
+  const payload = encodeOutbound(message);
+  if (payload) client.socket.send(payload);
+}
+
+// Everything the server sends is checked against the outbound schemas; a mismatch
+// is a server bug, so it's logged and dropped instead of reaching clients
+function encodeOutbound(message) {
+  const problem = protocol.validateMessage("outbound", message);
+  if (problem) {
+    console.warn(`[Protocol] Dropped outbound ${message?.type}: ${problem.code}${problem.detail ? ` (${problem.detail})` : ""}`);
+    return null;
+  }
+  return JSON.stringify(message);
+}
+
+// Send to every socket of the room on this instance and fan out to the others
 function broadcast(roomId, message, skipClient) {
+  recordMessage(roomId, message);
+  deliverLocal(roomId, message, skipClient);
+  publishEnvelope(roomId, { kind: "message", message });
+}
+
+// Directed delivery: only the recipient's sockets, on whichever instance they are connected to
+function sendToUser(roomId, userId, message) {
+  recordMessage(roomId, message);
+  deliverLocalToUser(roomId, userId, message);
+  publishEnvelope(roomId, { kind: "message", message });
+}
+
+function deliverLocalToUser(roomId, userId, message) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  room.clients.forEach((member) => {
+    if (member.sub === userId) sendTo(member, message);
+  });
+}
+
+// Only the instance a message originates on writes it to the shared log
+function recordMessage(roomId, message) {
+  const room = rooms.get(roomId);
+  if (!room || !messageLog.shouldLog(message, room.encryptionRequired)) return;
+  if (isClusterEnabled()) {
+    redis.appendRoomMessage(roomId, message, messageLog.LOG_LIMIT);
+    return;
+  }
+  messageLog.appendToLog(room.chatLog, message);
+}
+
+function deliverLocal(roomId, message, skipClient) {
   const room = rooms.get(roomId);
   if (!room) return;
-  const payload = JSON.stringify(message);
+  const payload = encodeOutbound(message);
+  if (!payload) return;
   room.clients.forEach((member) => {
     if (skipClient && member === skipClient) return;
     if (member.socket.readyState === 1) {
@@ -632,13 +1547,35 @@ function broadcast(roomId, message, skipClient) {
   });
 }
 
+// Every instance rebuilds presence for its own sockets from the shared member list
 function broadcastPresence(roomId) {
+  if (!rooms.has(roomId)) return Promise.resolve();
+  publishEnvelope(roomId, { kind: "presence" });
+  return sendLocalPresence(roomId);
+}
+
+// Everyone in the room: local sockets first (always current), then `members` held by
+// other instances. Someone with several tabs open here is listed once per tab.
+function listParticipants(room, members) {
+  const local = Array.from(room.clients).map((c) => ({ id: c.sub, name: c.name, picture: c.picture || null }));
+  const seen = new Set(local.map((p) => p.id));
+  const remote = members
+    .filter((m) => !seen.has(m.id))
+    .map((m) => ({ id: m.id, name: m.name, picture: m.picture || null }));
+  return local.concat(remote);
+}
+
+async function sendLocalPresence(roomId) {
+  let members = [];
+  if (isClusterEnabled()) {
+    members = await redis.getRoomUsers(roomId);
+  }
   const room = rooms.get(roomId);
   if (!room) return;
-  const participants = Array.from(room.clients).map((c) => ({
-    id: c.sub,
-    name: c.name,
-    picture: c.picture || null,
+  const participants = listParticipants(room, members).map((p) => ({
+    ...p,
+    role: getRole(room, p.id),
+    muted: room.mutedIds.has(p.id) || undefined,
   }));
   // Backwards-compatible shape (display-only, may contain duplicates).
   const users = participants.map((p) => p.name);
@@ -648,7 +1585,7 @@ function broadcastPresence(roomId) {
       avatars[p.id] = p.picture;
     }
   });
-  broadcast(
+  deliverLocal(
     roomId,
     {
       type: "presence",
@@ -656,15 +1593,826 @@ function broadcastPresence(roomId) {
       users,
       avatars,
       encryptionRequired: room.encryptionRequired,
+      hostId: room.hostId,
+      hostOnlyControls: room.hostOnlyControls,
+      ratePolicy: room.ratePolicy,
+      waitingRoom: room.waitingRoom,
     },
     null
   );
 }
 
+// ============ Multi-instance fan-out (Redis pub/sub) ============
+
+function isClusterEnabled() {
+  return !!redis && redis.isRedisConnected();
+}
+
+function publishEnvelope(roomId, envelope) {
+  if (!isClusterEnabled()) return;
+  redis.publishToRoom(roomId, { ...envelope, origin: INSTANCE_ID });
+}
+
+function subscribeRoomChannel(roomId, room) {
+  if (!isClusterEnabled() || room.clusterHandler) return;
+  room.clusterHandler = (envelope) => handleClusterEnvelope(roomId, envelope);
+  redis.subscribeToRoom(roomId, room.clusterHandler).catch((err) => {
+    console.warn("[Redis] Subscribe error:", err.message);
+    room.clusterHandler = null;
+  });
+}
+
+function unsubscribeRoomChannel(roomId, room) {
+  if (!redis || !room.clusterHandler) return;
+  redis.unsubscribeFromRoom(roomId, room.clusterHandler).catch((err) => {
+    console.warn("[Redis] Unsubscribe error:", err.message);
+  });
+  room.clusterHandler = null;
+}
+
+function handleClusterEnvelope(roomId, envelope) {
+  if (!envelope || envelope.origin === INSTANCE_ID) return;
+  const room = rooms.get(roomId);
+  if (!room) return;
+  if (envelope.kind === "message" && envelope.message) {
+    const message = envelope.message;
+    // Keep this instance's playback clock in step so it can answer sync requests too
+    if (message.type === "state") {
+      updateRoomPlayback(roomId, message.payload);
+    } else if (message.type === "sync-state") {
+      updateRoomPlayback(
+        roomId,
+        { t: message.time, paused: message.paused, url: message.url, rate: message.rate },
+        message.ts
+      );
+    } else if (message.type === "episode-changed") {
+      playback.resetPlaybackForEpisode(room.playback, message.url);
+      room.videoTitle = message.title || null;
+    }
+    if (message.recipientId) {
+      deliverLocalToUser(roomId, message.recipientId, message);
+      return;
+    }
+    deliverLocal(roomId, message, null);
+  } else if (envelope.kind === "presence") {
+    sendLocalPresence(roomId);
+  } else if (envelope.kind === "settings" && envelope.settings) {
+    applyRoomSettings(room, envelope.settings);
+  } else if (envelope.kind === "hosts" && envelope.message) {
+    applyWaitingRoomEvent(roomId, envelope.message);
+  } else if (envelope.kind === "remove" && envelope.userId) {
+    removeLocalUser(roomId, envelope.userId, envelope.action, envelope.by);
+  } else if (envelope.kind === "buffering" && envelope.userId) {
+    applyBuffering(roomId, envelope.userId, envelope.name, envelope.buffering === true);
+  } else if (envelope.kind === "ready-check" && envelope.event) {
+    applyReadyCheck(roomId, envelope.event);
+  }
+}
+
+function applyRoomSettings(room, settings) {
+  if (settings.hostId !== undefined) room.hostId = settings.hostId || null;
+  if (typeof settings.hostOnlyControls === "boolean") room.hostOnlyControls = settings.hostOnlyControls;
+  if (settings.ratePolicy !== undefined) room.ratePolicy = parseRatePolicy(settings.ratePolicy, room.ratePolicy);
+  if (typeof settings.waitingRoom === "boolean") room.waitingRoom = settings.waitingRoom;
+  if (Array.isArray(settings.coHostIds)) room.coHostIds = new Set(settings.coHostIds);
+  if (Array.isArray(settings.bannedIds)) room.bannedIds = new Set(settings.bannedIds);
+  if (Array.isArray(settings.mutedIds)) room.mutedIds = new Set(settings.mutedIds);
+}
+
+// Share host/co-host/settings changes with other instances and new joiners
+function publishRoomSettings(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || !isClusterEnabled()) return;
+  const settings = {
+    hostId: room.hostId,
+    hostOnlyControls: room.hostOnlyControls,
+    ratePolicy: room.ratePolicy,
+    waitingRoom: room.waitingRoom,
+    coHostIds: Array.from(room.coHostIds),
+    bannedIds: Array.from(room.bannedIds),
+    mutedIds: Array.from(room.mutedIds),
+  };
+  redis.updateRoomSettings(roomId, settings);
+  publishEnvelope(roomId, { kind: "settings", settings });
+}
+
+// A room created on another instance is unknown here until loaded from Redis
+async function hydrateRoom(roomId) {
+  if (!isClusterEnabled() || rooms.has(roomId)) return;
+  const data = await redis.getRoom(roomId);
+  if (!data || rooms.has(roomId)) return;
+  const room = ensureRoom(roomId, {
+    encryptionRequired: data.encryptionRequired,
+    videoUrl: data.videoUrl,
+    titleId: extractTitleId(data.videoUrl),
+    initialTime: data.videoTime,
+    passphrase: data.passphrase,
+    inviteOnly: data.inviteOnly,
+    waitingRoom: data.waitingRoom,
+  });
+  applyRoomSettings(room, data);
+}
+
+// Runs before the WebSocket upgrade completes, so async room loading can't race messages
+function verifyClient(info, done) {
+  const params = new URL(info.req.url, `http://${info.req.headers.host}`).searchParams;
+  const roomId = (params.get("roomId") || "").trim();
+  const session = verifySessionToken(params.get("token"));
+  if (!isValidRoomId(roomId) || !session) {
+    // Let the connection handler reject it as before
+    return done(true);
+  }
+  isSessionActive(session)
+    .then((active) => {
+      if (!active) return done(false, 401, "Session revoked");
+      return hydrateRoom(roomId)
+        .catch((err) => console.warn("[Redis] Failed to load room:", err.message))
+        .then(() => {
+          // Recreating an unknown room here would bring it back open and without its invites
+          if (!rooms.has(roomId)) return { status: 404, message: "Room not found" };
+          return checkUpgradeAccess(roomId, session, params, info.req.headers["sec-websocket-protocol"]);
+        })
+        .then((rejection) => (rejection ? done(false, rejection.status, rejection.message) : done(true)));
+    })
+    .catch((err) => {
+      console.warn("[WS] Failed to check upgrade:", err.message);
+      done(false, 500, "Server error");
+    });
+}
+
+// The upgrade is checked like /rooms/:id/join: membership or an invite, then the passphrase
+async function checkUpgradeAccess(roomId, session, params, protocols) {
+  const room = rooms.get(roomId);
+  const access = await checkRoomAccess(roomId, room, null, session.sub, params.get("invite"));
+  // Banned users get through to the connection handler, which tells them why it closes
+  if (access.error === "banned") return null;
+  if (access.error) return { status: 403, message: "Invite required" };
+  const rejection = await checkUpgradePassphrase(roomId, session, roomAccess.proofFromProtocols(protocols));
+  if (rejection) return rejection;
+  if (access.invite && (await admitWithInvite(roomId, room, null, session.sub, access.invite))) {
+    return { status: 403, message: "Invite required" };
+  }
+  return null;
+}
+
+// Passphrase rooms need the same proof on the socket as at /rooms/:id/join
+async function checkUpgradePassphrase(roomId, session, proof) {
+  const attempt = await checkPassphraseAttempt(rooms.get(roomId)?.passphrase, session.sub, proof);
+  if (attempt?.retryAfter) return { status: 429, message: "Too many attempts" };
+  if (attempt?.error) return { status: 403, message: "Passphrase required" };
+  return null;
+}
+
+// Only wrong proofs count toward the limit, so members reconnecting over a flaky
+// connection can't lock themselves out. Once it's used up, even the right proof
+// waits out the window. Returns null when the proof checks out.
+async function checkPassphraseAttempt(passphrase, userId, proof) {
+  if (!passphrase) return null;
+  const retryAfter = await peekRateLimit("rooms:passphrase", { userId });
+  if (retryAfter) return { retryAfter };
+  if (roomAccess.checkPassphraseProof(passphrase, proof)) return null;
+  if (proof) await consumeRateLimit("rooms:passphrase", { userId });
+  return { error: proof ? "invalid_passphrase" : "passphrase_required" };
+}
+
+async function trackClusterMember(roomId, client) {
+  if (!isClusterEnabled()) return;
+  await redis.addUserToRoom(roomId, client.sub, client.name, client.picture);
+}
+
+async function untrackClusterMember(roomId, room, client) {
+  if (!isClusterEnabled()) return;
+  // Another tab of the same user may still be connected here
+  if (Array.from(room.clients).some((c) => c.sub === client.sub)) return;
+  await redis.removeUserFromRoom(roomId, client.sub);
+}
+
+// On shutdown: drop everyone connected here from the shared member lists
+async function untrackLocalMembers() {
+  if (!isClusterEnabled()) return;
+  await Promise.all(
+    Array.from(rooms, async ([roomId, room]) => {
+      const userIds = new Set(Array.from(room.clients, (c) => c.sub));
+      if (userIds.size === 0) return;
+      await Promise.all(Array.from(userIds, (userId) => redis.removeUserFromRoom(roomId, userId)));
+      publishEnvelope(roomId, { kind: "presence" });
+    })
+  );
+}
+
+async function isRoomMember(roomId, room, userId) {
+  if (room && Array.from(room.clients).some((client) => client.sub === userId)) return true;
+  if (!isClusterEnabled()) return false;
+  const members = await redis.getRoomUsers(roomId);
+  return members.some((member) => member.id === userId);
+}
+
+// ============ Room Invites ============
+// Rooms created with POST /rooms are invite-only: the host, co-hosts and anyone let in
+// before can (re)join; everyone else needs a token from POST /rooms/:id/invites.
+// Sockets can't bring back a room this server lost (e.g. a restart without Redis):
+// verifyClient refuses the upgrade rather than recreating it open.
+
+function issueInviteToken(roomId, invite) {
+  const expiresIn = Math.max(1, Math.ceil((invite.expiresAt - Date.now()) / 1000));
+  return jwt.sign({ typ: "invite", roomId, jti: invite.id }, JWT_SECRET, { expiresIn });
+}
+
+// Invite id from a token minted for this room, or null
+function verifyInviteToken(token, roomId) {
+  if (!token || typeof token !== "string" || !JWT_SECRET) return null;
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.typ === "invite" && payload.roomId === roomId ? payload.jti : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function publicInvite(invite) {
+  const { id, role, maxUses, uses, createdBy, createdAt, expiresAt } = invite;
+  return { id, role, maxUses, uses, createdBy, createdAt, expiresAt, status: roomAccess.inviteStatus(invite) };
+}
+
+// A room known to this instance, or (in a cluster) only to Redis
+async function lookupRoom(roomId) {
+  const room = rooms.get(roomId);
+  const roomData = !room && isClusterEnabled() ? await redis.getRoom(roomId) : null;
+  return { room, roomData };
+}
+
+function roleIn(room, roomData, userId) {
+  if (room) return getRole(room, userId);
+  if (roomData?.hostId && roomData.hostId === userId) return ROLES.HOST;
+  if (roomData?.coHostIds?.includes(userId)) return ROLES.COHOST;
+  return ROLES.VIEWER;
+}
+
+async function getRoomInvites(roomId, room) {
+  if (isClusterEnabled()) return redis.getRoomInvites(roomId);
+  return room ? Array.from(room.invites.values()) : [];
+}
+
+async function storeRoomInvite(roomId, room, invite) {
+  if (isClusterEnabled()) {
+    await redis.saveRoomInvite(roomId, invite);
+  } else {
+    room?.invites.set(invite.id, invite);
+  }
+}
+
+async function revokeRoomInvite(roomId, room, inviteId) {
+  if (isClusterEnabled()) return redis.revokeRoomInvite(roomId, inviteId);
+  const invite = room?.invites.get(inviteId);
+  if (!invite) return false;
+  invite.revoked = true;
+  return true;
+}
+
+async function isAdmitted(roomId, room, roomData, userId) {
+  if (!(room?.inviteOnly || roomData?.inviteOnly)) return true;
+  if (roleIn(room, roomData, userId) !== ROLES.VIEWER) return true;
+  if (room?.memberIds.has(userId)) return true;
+  if (await isRoomMember(roomId, room, userId)) return true;
+  return isClusterEnabled() && redis.hasRoomMember(roomId, userId);
+}
+
+/**
+ * Whether a user may join: `{}` for members, `{ invite }` when their invite is good
+ * (spend it with admitWithInvite), otherwise `{ error }`
+ */
+async function checkRoomAccess(roomId, room, roomData, userId, token) {
+  if (room?.bannedIds.has(userId) || roomData?.bannedIds?.includes(userId)) return { error: "banned" };
+  if (await isAdmitted(roomId, room, roomData, userId)) return {};
+  if (!token) return { error: "invite_required" };
+  const inviteId = verifyInviteToken(token, roomId);
+  if (!inviteId) return { error: "invalid_invite" };
+  const invite = (await getRoomInvites(roomId, room)).find((item) => item.id === inviteId);
+  const status = roomAccess.inviteStatus(invite);
+  return status === "ok" ? { invite } : { error: status };
+}
+
+// Spend one use and remember the member (with the invite's role); returns an error or null
+async function admitWithInvite(roomId, room, roomData, userId, invite) {
+  const status = isClusterEnabled()
+    ? (await redis.redeemRoomInvite(roomId, invite.id)) || "invalid_invite"
+    : roomAccess.useInvite(room?.invites.get(invite.id));
+  if (status !== "ok") return status;
+
+  room?.memberIds.add(userId);
+  if (isClusterEnabled()) await redis.addRoomMember(roomId, userId);
+  if (invite.role === ROLES.COHOST && room && !room.coHostIds.has(userId)) {
+    room.coHostIds.add(userId);
+    publishRoomSettings(roomId);
+  } else if (invite.role === ROLES.COHOST && !room && roomData) {
+    const settings = { coHostIds: Array.from(new Set([...roomData.coHostIds, userId])) };
+    await redis.updateRoomSettings(roomId, settings);
+    publishEnvelope(roomId, { kind: "settings", settings });
+  }
+  return null;
+}
+
+// ============ Waiting Room ============
+// With the waiting room on, viewers the host hasn't let in yet are held in
+// `room.pending`: they get no state, chat or presence, and everything they send
+// (other than pings) is dropped. Hosts and co-hosts get a join-request for each.
+
+// What /join and the preview say the room is watching. Merges Redis data with memory
+// (memory has the live state); joiners still waiting for the host learn none of it.
+function publicPlayback(room, roomData, waiting) {
+  if (waiting) return { videoUrl: "", titleId: "", initialTime: 0 };
+  const videoUrl = room?.videoUrl || roomData?.videoUrl || "";
+  const titleId = room?.titleId || roomData?.titleId || extractTitleId(videoUrl);
+  const initialTime = getLiveInitialTime(room) ?? room?.initialTime ?? roomData?.videoTime ?? 0;
+  return { videoUrl, titleId, initialTime };
+}
+
+function needsApproval(room, roomData, userId) {
+  if (!(room?.waitingRoom ?? roomData?.waitingRoom)) return false;
+  if (roleIn(room, roomData, userId) !== ROLES.VIEWER) return false;
+  if (room?.admittedIds.has(userId)) return false;
+  // Another tab of someone already inside doesn't knock again
+  return !(room && Array.from(room.clients).some((client) => client.sub === userId));
+}
+
+function admitClient(roomId, room, client) {
+  // Remember who each member watched with for their room history
+  room.clients.forEach((other) => {
+    if (other.sub === client.sub) return;
+    other.watchedWith?.set(client.sub, client.name);
+    client.watchedWith.set(other.sub, other.name);
+  });
+  client.joined = true;
+  room.clients.add(client);
+  recordHistoryJoin(roomId, room, client);
+  console.log(`[join] ${client.name} -> ${roomId} (enc=${room.encryptionRequired}, role=${getRole(room, client.sub)})`);
+  trackClusterMember(roomId, client).then(() => broadcastPresence(roomId));
+  // Hosts arriving late still see who is waiting
+  if (getRole(room, client.sub) !== ROLES.VIEWER) {
+    room.joinRequests.forEach((request) => sendTo(client, request));
+  }
+  // A reconnecting client may have missed the end of a group pause
+  sendTo(client, groupBufferingMessage(room, { active: buffering.isWaiting(room.buffering) }));
+  if (room.readyCheck) sendTo(client, readyCheckMessage(room.readyCheck));
+}
+
+function holdClient(roomId, room, client) {
+  room.pending.add(client);
+  console.log(`[waiting] ${client.name} -> ${roomId}`);
+  sendTo(client, { type: "waiting-room", status: "waiting" });
+  sendToHosts(roomId, {
+    type: "join-request",
+    userId: client.sub,
+    name: client.name,
+    avatar: client.picture || null,
+    ts: Date.now(),
+  });
+}
+
+// Tell every host and co-host of the room, on whichever instance they are connected to
+function sendToHosts(roomId, message) {
+  applyWaitingRoomEvent(roomId, message);
+  publishEnvelope(roomId, { kind: "hosts", message });
+}
+
+function applyWaitingRoomEvent(roomId, message) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  if (message.type === "join-request") {
+    room.joinRequests.set(message.userId, message);
+  } else if (message.type === "join-request-resolved") {
+    room.joinRequests.delete(message.userId);
+    settleLocalPending(roomId, room, message.userId, message.outcome);
+  }
+  room.clients.forEach((member) => {
+    if (getRole(room, member.sub) !== ROLES.VIEWER) sendTo(member, message);
+  });
+}
+
+// Let this instance's waiting sockets of a user in, or close them
+function settleLocalPending(roomId, room, userId, outcome) {
+  if (outcome === "left") return;
+  if (outcome === "admitted") room.admittedIds.add(userId);
+  Array.from(room.pending)
+    .filter((client) => client.sub === userId)
+    .forEach((client) => {
+      room.pending.delete(client);
+      if (outcome === "admitted") {
+        sendTo(client, { type: "waiting-room", status: "admitted" });
+        admitClient(roomId, room, client);
+        return;
+      }
+      sendTo(client, { type: "waiting-room", status: "denied" });
+      client.socket.close(WS_CLOSE_JOIN_DENIED, "Join request denied");
+    });
+}
+
+// `by` is the host or co-host who decided; the waiting room being switched off has none
+function resolveJoinRequest(roomId, userId, outcome, by = null) {
+  const request = rooms.get(roomId)?.joinRequests.get(userId);
+  if (!request) return;
+  sendToHosts(roomId, { type: "join-request-resolved", userId, outcome, by: by?.name, ts: Date.now() });
+  if (by && outcome === "admitted") {
+    broadcast(roomId, { type: "system", text: `${by.name} let ${request.name} in`, ts: Date.now() }, null);
+  }
+}
+
+// ============ Moderation ============
+// Hosts and co-hosts can kick (disconnect), ban (for the room's lifetime) and mute
+// someone's chat. Only the host can act on co-hosts, and nobody can act on the host.
+
+const MODERATION_TYPES = new Set(["kick", "ban", "mute-chat"]);
+
+function canModerate(room, actor, targetId) {
+  if (!room || !isNonEmptyString(targetId) || targetId === actor.sub) return false;
+  const actorRole = getRole(room, actor.sub);
+  const targetRole = getRole(room, targetId);
+  if (actorRole === ROLES.VIEWER || targetRole === ROLES.HOST) return false;
+  return targetRole !== ROLES.COHOST || actorRole === ROLES.HOST;
+}
+
+function participantName(room, userId) {
+  const client = Array.from(room.clients).find((c) => c.sub === userId);
+  return client?.name || room.joinRequests.get(userId)?.name || "A participant";
+}
+
+// Muted users hear about each dropped message so their chat doesn't silently vanish
+function isChatMuted(room, client) {
+  if (!room?.mutedIds.has(client.sub)) return false;
+  sendTo(client, { type: "error", code: "chat-muted", messageType: "chat" });
+  return true;
+}
+
+function moderate(roomId, room, actor, msg) {
+  const { targetId } = msg;
+  if (!canModerate(room, actor, targetId)) return;
+  const targetName = participantName(room, targetId);
+  const ts = Date.now();
+
+  if (msg.type === "mute-chat") {
+    const muted = msg.muted !== false;
+    if (room.mutedIds.has(targetId) === muted) return;
+    if (muted) {
+      room.mutedIds.add(targetId);
+    } else {
+      room.mutedIds.delete(targetId);
+    }
+    const action = muted ? "mute-chat" : "unmute-chat";
+    sendToUser(roomId, targetId, { type: "moderation", action, by: actor.name, recipientId: targetId, ts });
+    const text = muted ? `${actor.name} muted ${targetName}'s chat` : `${actor.name} unmuted ${targetName}'s chat`;
+    broadcast(roomId, { type: "system", text, ts }, null);
+    publishRoomSettings(roomId);
+    broadcastPresence(roomId);
+    return;
+  }
+
+  if (msg.type === "ban") {
+    room.bannedIds.add(targetId);
+    room.coHostIds.delete(targetId);
+    room.memberIds.delete(targetId);
+    publishRoomSettings(roomId);
+  }
+  removeLocalUser(roomId, targetId, msg.type, actor.name);
+  publishEnvelope(roomId, { kind: "remove", userId: targetId, action: msg.type, by: actor.name });
+  const text =
+    msg.type === "ban"
+      ? `${actor.name} banned ${targetName} from the room`
+      : `${actor.name} removed ${targetName} from the room`;
+  broadcast(roomId, { type: "system", text, ts }, null);
+}
+
+// Tell this instance's sockets of the user (in the room or waiting) and close them;
+// the close handler takes care of presence and the waiting-room queue
+function removeLocalUser(roomId, userId, action, by) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  // A kicked user knocks again if the room has a waiting room
+  room.admittedIds.delete(userId);
+  const code = action === "ban" ? WS_CLOSE_BANNED : WS_CLOSE_KICKED;
+  [...room.clients, ...room.pending]
+    .filter((client) => client.sub === userId)
+    .forEach((client) => {
+      sendTo(client, { type: "moderation", action, by });
+      client.socket.close(code, action === "ban" ? "Banned" : "Removed from room");
+    });
+}
+
+async function getParticipantCount(roomId, room) {
+  if (isClusterEnabled()) {
+    const members = await redis.getRoomUsers(roomId);
+    if (members.length) return members.length;
+  }
+  return room?.clients?.size || 0;
+}
+
+// ============ Rate limiting ============
+
+/**
+ * Count one hit against a rule for the user (and the room when given).
+ * Returns the seconds to wait when over the limit, otherwise 0.
+ */
+async function consumeRateLimit(ruleName, { userId, roomId } = {}) {
+  const rule = rateLimit.getRule(ruleName);
+  if (!rule) return 0;
+  let allowed = true;
+  for (const [key, limit] of rateLimitChecks(ruleName, rule, userId, roomId)) {
+    let ok = isClusterEnabled() ? await redis.checkRateLimit(key, limit, rule.windowSeconds) : null;
+    if (ok === null) {
+      ok = rateLimit.checkMemoryRateLimit(key, limit, rule.windowSeconds);
+    }
+    allowed = allowed && ok;
+  }
+  return allowed ? 0 : rule.windowSeconds;
+}
+
+/**
+ * Like consumeRateLimit, but only looks: the seconds to wait if the rule has
+ * already been used up, otherwise 0
+ */
+async function peekRateLimit(ruleName, { userId, roomId } = {}) {
+  const rule = rateLimit.getRule(ruleName);
+  if (!rule) return 0;
+  let allowed = true;
+  for (const [key, limit] of rateLimitChecks(ruleName, rule, userId, roomId)) {
+    let ok = isClusterEnabled() ? await redis.peekRateLimit(key, limit) : null;
+    if (ok === null) {
+      ok = rateLimit.peekMemoryRateLimit(key, limit);
+    }
+    allowed = allowed && ok;
+  }
+  return allowed ? 0 : rule.windowSeconds;
+}
+
+function rateLimitChecks(ruleName, rule, userId, roomId) {
+  const checks = [];
+  if (userId && rule.limit) checks.push([`ratelimit:${ruleName}:user:${userId}`, rule.limit]);
+  if (roomId && rule.roomLimit) checks.push([`ratelimit:${ruleName}:room:${roomId}`, rule.roomLimit]);
+  return checks;
+}
+
+function rateLimited(ruleName, { perRoom = false } = {}) {
+  return async (req, res, next) => {
+    const retryAfter = await consumeRateLimit(ruleName, {
+      userId: req.user?.sub,
+      roomId: perRoom ? (req.params.id || "").trim() : null,
+    });
+    if (retryAfter) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "rate_limited", retryAfter });
+    }
+    next();
+  };
+}
+
+// Tell the sender instead of silently dropping; at most one notice per type per second
+function notifyRateLimited(client, messageType, retryAfter) {
+  const now = Date.now();
+  if (!client.rateLimitNotices) client.rateLimitNotices = new Map();
+  if (now - (client.rateLimitNotices.get(messageType) || 0) < 1000) return;
+  client.rateLimitNotices.set(messageType, now);
+  console.warn(`[RateLimit] ${client.name} limited on ${messageType}`);
+  sendTo(client, { type: "error", code: "rate-limited", messageType, retryAfter, ts: now });
+}
+
+// ============ Group Buffering ============
+// When someone's player starts buffering, every client pauses until all of them
+// report ready again (see buffering.js). Each instance tracks the room's buffering
+// state from the shared events and tells its own sockets; the timeout runs per instance.
+
+function setBuffering(roomId, userId, name, isBuffering) {
+  applyBuffering(roomId, userId, name, isBuffering);
+  publishEnvelope(roomId, { kind: "buffering", userId, name, buffering: isBuffering });
+}
+
+function applyBuffering(roomId, userId, name, isBuffering) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  const state = room.buffering;
+  const wasWaiting = buffering.isWaiting(state);
+  const changed = isBuffering
+    ? buffering.startBuffering(state, userId, name || "A participant")
+    : buffering.stopBuffering(state, userId);
+  if (!changed) return;
+
+  if (buffering.isWaiting(state)) {
+    if (!wasWaiting) {
+      console.log(`[Buffering] ${roomId} waiting for ${name}`);
+      // Hold the server clock too, so sync answers don't run ahead of the paused room
+      state.resumePlayback = !room.playback.paused;
+      if (state.resumePlayback) playback.applyPlaybackUpdate(room.playback, { paused: true });
+      room.bufferingTimer = setTimeout(() => expireRoomBuffering(roomId), buffering.BUFFERING_TIMEOUT_MS);
+      room.bufferingTimer.unref?.();
+    }
+    sendGroupBuffering(roomId, room, { active: true });
+    return;
+  }
+  endRoomBuffering(roomId, room, { active: false, reason: "ready" });
+}
+
+function expireRoomBuffering(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  const names = buffering.waitingOn(room.buffering);
+  buffering.expireBuffering(room.buffering);
+  console.log(`[Buffering] ${roomId} gave up waiting for ${names.map((p) => p.name).join(", ")}`);
+  endRoomBuffering(roomId, room, { active: false, reason: "timeout", waitingOn: names });
+}
+
+function endRoomBuffering(roomId, room, message) {
+  clearTimeout(room.bufferingTimer);
+  room.bufferingTimer = null;
+  if (room.buffering.resumePlayback) playback.applyPlaybackUpdate(room.playback, { paused: false });
+  room.buffering.resumePlayback = false;
+  sendGroupBuffering(roomId, room, message);
+}
+
+function sendGroupBuffering(roomId, room, message) {
+  deliverLocal(roomId, groupBufferingMessage(room, message), null);
+}
+
+function groupBufferingMessage(room, message) {
+  return {
+    type: "group-buffering",
+    waitingOn: buffering.waitingOn(room.buffering),
+    timeoutMs: buffering.BUFFERING_TIMEOUT_MS,
+    ...message,
+    ts: Date.now(),
+  };
+}
+
+// ============ Ready Check ============
+// A host or co-host asks everyone to confirm their player is loaded, then the room
+// counts down and every client starts at the same server time (see readyCheck.js).
+// Each instance applies the same events. The one that hears the last answer picks
+// the start time and shares it; the timeout runs per instance.
+
+function handleReadyCheckAction(roomId, room, client, action) {
+  const check = room.readyCheck;
+  if (action === "start") {
+    if (readyCheck.isCountingDown(check)) return;
+    startReadyCheck(roomId, client).catch((err) => console.warn("[ReadyCheck] Start failed:", err.message));
+  } else if (action === "force") {
+    if (!check) return;
+    updateReadyCheck(roomId, { action: "countdown", startAt: Date.now() + readyCheck.COUNTDOWN_MS, forced: true });
+  } else if (action === "cancel") {
+    if (!check || readyCheck.isCountingDown(check)) return;
+    updateReadyCheck(roomId, { action: "cancel", reason: "cancelled", by: client.name });
+  }
+}
+
+async function startReadyCheck(roomId, client) {
+  let members = [];
+  if (isClusterEnabled()) {
+    members = await redis.getRoomUsers(roomId);
+  }
+  const room = rooms.get(roomId);
+  if (!room) return;
+  const participants = listParticipants(room, members).map(({ id, name }) => ({ id, name }));
+  updateReadyCheck(roomId, {
+    action: "start",
+    by: { id: client.sub, name: client.name },
+    participants,
+    startedAt: Date.now(),
+  });
+}
+
+function updateReadyCheck(roomId, event) {
+  applyReadyCheck(roomId, event, true);
+  publishEnvelope(roomId, { kind: "ready-check", event });
+}
+
+function applyReadyCheck(roomId, event, isLocal = false) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  const check = room.readyCheck;
+
+  if (event.action === "start") {
+    clearTimeout(room.readyCheckTimer);
+    room.readyCheck = readyCheck.createReadyCheck(event.by, event.participants || [], event.startedAt);
+    room.readyCheckTimer = setTimeout(() => expireReadyCheck(roomId), readyCheck.READY_CHECK_TIMEOUT_MS);
+    room.readyCheckTimer.unref?.();
+    console.log(`[ReadyCheck] ${event.by?.name} started a ready check in ${roomId}`);
+    sendReadyCheck(roomId, room);
+    return;
+  }
+  if (!check) return;
+
+  if (event.action === "ready" || event.action === "leave") {
+    const changed =
+      event.action === "ready"
+        ? readyCheck.setReady(check, event.userId, event.ready === true)
+        : readyCheck.removeParticipant(check, event.userId);
+    if (!changed) return;
+    if (isLocal && readyCheck.isEveryoneReady(check)) {
+      updateReadyCheck(roomId, { action: "countdown", startAt: Date.now() + readyCheck.COUNTDOWN_MS });
+      return;
+    }
+    sendReadyCheck(roomId, room);
+  } else if (event.action === "countdown") {
+    if (!readyCheck.startCountdown(check, event.startAt)) return;
+    console.log(`[ReadyCheck] ${roomId} starts in ${event.startAt - Date.now()}ms${event.forced ? " (forced)" : ""}`);
+    // Start the server clock with everyone else so sync answers agree with the room
+    playback.applyPlaybackUpdate(room.playback, { paused: false }, event.startAt);
+    clearTimeout(room.readyCheckTimer);
+    room.readyCheckTimer = setTimeout(() => finishReadyCheck(roomId), Math.max(0, event.startAt - Date.now()));
+    room.readyCheckTimer.unref?.();
+    sendReadyCheck(roomId, room, { reason: event.forced ? "forced" : undefined });
+  } else if (event.action === "cancel") {
+    if (readyCheck.isCountingDown(check)) return;
+    endReadyCheck(roomId, room, { status: "cancelled", reason: event.reason, cancelledBy: event.by });
+  }
+}
+
+function expireReadyCheck(roomId) {
+  const room = rooms.get(roomId);
+  if (!room?.readyCheck || readyCheck.isCountingDown(room.readyCheck)) return;
+  const names = readyCheck.notReady(room.readyCheck).map((p) => p.name);
+  console.log(`[ReadyCheck] ${roomId} timed out waiting for ${names.join(", ")}`);
+  endReadyCheck(roomId, room, { status: "cancelled", reason: "timeout" });
+}
+
+// Clients start playing on their own at startAt; the check is only kept until then
+function finishReadyCheck(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  room.readyCheck = null;
+  room.readyCheckTimer = null;
+}
+
+function endReadyCheck(roomId, room, message) {
+  clearTimeout(room.readyCheckTimer);
+  room.readyCheckTimer = null;
+  sendReadyCheck(roomId, room, message);
+  room.readyCheck = null;
+}
+
+function sendReadyCheck(roomId, room, message) {
+  deliverLocal(roomId, readyCheckMessage(room.readyCheck, message), null);
+}
+
+function readyCheckMessage(check, message = {}) {
+  return {
+    type: "ready-check",
+    status: readyCheck.isCountingDown(check) ? "countdown" : "checking",
+    by: check.by?.name,
+    byId: check.by?.id || null,
+    participants: readyCheck.participantList(check),
+    startAt: check.startAt || undefined,
+    countdownMs: readyCheck.COUNTDOWN_MS,
+    timeoutMs: readyCheck.READY_CHECK_TIMEOUT_MS,
+    ...message,
+    ts: Date.now(),
+  };
+}
+
+// ============ Protocol ============
+// Inbound frames are checked in the socket handler before anything else sees them
+// (see protocol.js); the sender gets a typed error, at most one per code per second.
+
+function rejectMessage(client, { code, detail }, messageType) {
+  const now = Date.now();
+  if (!client.protocolNotices) client.protocolNotices = new Map();
+  if (now - (client.protocolNotices.get(code) || 0) < 1000) return;
+  client.protocolNotices.set(code, now);
+  console.warn(`[Protocol] Rejected ${code} from ${client.name}${detail ? `: ${detail}` : ""}`);
+  sendTo(client, {
+    type: "error",
+    code,
+    messageType: typeof messageType === "string" ? messageType.slice(0, 64) : undefined,
+    detail: detail?.slice(0, 200),
+    ts: now,
+  });
+}
+
+// Clients open with hello; ones from before the handshake never send it and are
+// served as they always were
+function greetClient(client, msg) {
+  client.protocolVersion = msg.version;
+  client.capabilities = new Set(msg.capabilities || []);
+  if (!protocol.isSupportedVersion(msg.version)) {
+    console.warn(`[Protocol] ${client.name} speaks version ${msg.version}, need ${protocol.MIN_PROTOCOL_VERSION}`);
+    sendTo(client, {
+      type: "error",
+      code: "unsupported-version",
+      messageType: "hello",
+      version: protocol.PROTOCOL_VERSION,
+      minVersion: protocol.MIN_PROTOCOL_VERSION,
+      ts: Date.now(),
+    });
+    client.socket.close(WS_CLOSE_UNSUPPORTED_VERSION, "Unsupported protocol version");
+    return;
+  }
+  sendTo(client, protocol.helloReply());
+}
+
 function isNonEmptyString(value) {
   return typeof value === "string" && value.trim() !== "";
 }
 
+function parseRatePolicy(value, fallback = "sync") {
+  return playback.RATE_POLICIES.includes(value) ? value : fallback;
+}
+
 function coerceBoolean(value, fallback) {
   if (typeof value === "boolean") return value;
   if (typeof value === "string") {
@@ -700,6 +2448,8 @@ async function verifyGoogleIdToken(idToken) {
   return ticket.getPayload();
 }
 
+// Every token carries a session id (`sid`) so a single sign-in can be revoked.
+// Re-issuing for an existing session (e.g. after a profile change) keeps its sid.
 function issueSessionToken(profile) {
   if (!JWT_SECRET) {
     throw new Error("JWT_SECRET not configured");
@@ -709,8 +2459,98 @@ function issueSessionToken(profile) {
     name: profile.name,
     email: profile.email,
     picture: profile.picture,
+    sid: profile.sid || randomUUID(),
+  };
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+}
+
+// Refresh tokens are JWTs too; `jti` identifies the current token of the session's family
+function issueRefreshToken(profile, sid, tokenId) {
+  if (!JWT_SECRET) {
+    throw new Error("JWT_SECRET not configured");
+  }
+  const payload = {
+    sub: profile.sub,
+    name: profile.name,
+    email: profile.email,
+    picture: profile.picture,
+    sid,
+    typ: "refresh",
+  };
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: REFRESH_TOKEN_TTL_SECONDS, jwtid: tokenId });
+}
+
+async function startSession(profile) {
+  const sid = randomUUID();
+  const tokenId = randomUUID();
+  if (isClusterEnabled()) {
+    await redis.setSession(profile.sub, sid, tokenId, REFRESH_TOKEN_TTL_SECONDS);
+  } else {
+    sessions.startRefreshFamily(sid, profile.sub, tokenId, Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000);
+  }
+  return {
+    token: issueSessionToken({ ...profile, sid }),
+    refreshToken: issueRefreshToken(profile, sid, tokenId),
   };
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: "12h" });
+}
+
+async function rotateRefreshToken(sid, tokenId, nextTokenId) {
+  if (isClusterEnabled()) {
+    return redis.rotateRefreshToken(sid, tokenId, nextTokenId, REFRESH_TOKEN_TTL_SECONDS);
+  }
+  return sessions.rotateRefreshFamily(sid, tokenId, nextTokenId, Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000);
+}
+
+// Tokens are checked against this instance's revocations, then against the
+// live sessions in Redis (which cover logouts on other instances)
+async function isSessionActive(session) {
+  if (sessions.isRevoked(session)) return false;
+  if (!isClusterEnabled()) return true;
+  if (!session.sid) return false;
+  return redis.isSessionValid(session.sub, session.sid);
+}
+
+/**
+ * Revoke one session (sessionId) or all of a user's sessions, everywhere
+ */
+async function revokeSessions({ userId, sessionId }) {
+  const event = { userId, sessionId: sessionId || null, revokedAt: Date.now() };
+  applySessionRevocation(event);
+  if (!isClusterEnabled()) return;
+  if (sessionId) {
+    await redis.invalidateSession(userId, sessionId);
+  } else {
+    await redis.invalidateAllSessions(userId);
+  }
+  await redis.publishSessionRevoked({ ...event, origin: INSTANCE_ID });
+}
+
+function handleSessionRevoked(event) {
+  if (!event || event.origin === INSTANCE_ID) return;
+  applySessionRevocation(event);
+}
+
+function applySessionRevocation({ userId, sessionId, revokedAt }) {
+  // Access tokens issued before the revocation expire within ACCESS_TOKEN_TTL_SECONDS
+  const expiresAt = revokedAt + ACCESS_TOKEN_TTL_SECONDS * 1000;
+  if (sessionId) {
+    sessions.revokeSession(sessionId, expiresAt);
+  } else {
+    sessions.revokeUserSessions(userId, revokedAt, expiresAt);
+  }
+  closeRevokedSockets(userId);
+}
+
+// Drop the revoked user's sockets; the close code tells the extension to sign in again
+function closeRevokedSockets(userId) {
+  rooms.forEach((room) => {
+    room.clients.forEach((client) => {
+      if (client.sub !== userId) return;
+      if (!sessions.isRevoked({ sub: client.sub, sid: client.sid, iat: client.iat })) return;
+      console.log(`[Auth] Closing socket for ${client.name}: session revoked`);
+      client.socket.close(WS_CLOSE_SESSION_REVOKED, "session_revoked");
+    });
+  });
 }
 
 function verifySessionToken(token) {
@@ -719,13 +2559,130 @@ function verifySessionToken(token) {
     return null;
   }
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const session = jwt.verify(token, JWT_SECRET);
+    // Refresh tokens only work at /auth/refresh, invite tokens only when joining
+    return session.typ ? null : session;
   } catch (err) {
     console.warn("Invalid session token", err.message || err);
     return null;
   }
 }
 
+function verifyRefreshToken(token) {
+  if (!JWT_SECRET) return null;
+  try {
+    const claims = jwt.verify(token, JWT_SECRET);
+    return claims.typ === "refresh" && claims.sid && claims.jti ? claims : null;
+  } catch (err) {
+    console.warn("Invalid refresh token", err.message || err);
+    return null;
+  }
+}
+
+function sanitizeUser(user = {}) {
+  return {
+    sub: user.id,
+    name: user.name || "Guest",
+    email: user.email,
+    picture: user.picture || undefined,
+    createdAt: user.createdAt,
+  };
+}
+
+function sanitizePreferences(prefs) {
+  return {
+    theme: THEMES.includes(prefs?.theme) ? prefs.theme : "system",
+    notificationsEnabled: prefs?.notificationsEnabled ?? true,
+    defaultEncryption: prefs?.defaultEncryption ?? true,
+  };
+}
+
+// Validate a preferences body; unknown keys are ignored, provided keys must be well-typed
+function parsePreferences(body = {}) {
+  const preferences = {};
+  if (body.theme !== undefined) {
+    if (!THEMES.includes(body.theme)) return { error: "invalid_theme" };
+    preferences.theme = body.theme;
+  }
+  if (body.notificationsEnabled !== undefined) {
+    if (typeof body.notificationsEnabled !== "boolean") return { error: "invalid_notifications" };
+    preferences.notificationsEnabled = body.notificationsEnabled;
+  }
+  if (body.defaultEncryption !== undefined) {
+    if (typeof body.defaultEncryption !== "boolean") return { error: "invalid_default_encryption" };
+    preferences.defaultEncryption = body.defaultEncryption;
+  }
+  if (Object.keys(preferences).length === 0) {
+    return { error: "nothing_to_update" };
+  }
+  return { preferences };
+}
+
+function sanitizeFriendUser(user = {}) {
+  return {
+    id: user.id,
+    name: user.name || "Guest",
+    picture: user.picture || undefined,
+  };
+}
+
+// Live invites for a user, dropping expired ones and rooms that no longer exist
+async function getFriendInvites(userId, now = Date.now()) {
+  const invites = isClusterEnabled()
+    ? await redis.getFriendInvites(userId)
+    : Array.from(friendInvites.get(userId)?.values() || []);
+  const live = [];
+  const stale = [];
+  for (const invite of invites) {
+    if (now - invite.ts <= FRIEND_INVITE_TTL_MS && (await isRoomActive(invite.roomId))) {
+      live.push(invite);
+    } else {
+      stale.push(invite.roomId);
+    }
+  }
+  await removeFriendInvites(userId, stale);
+  return live;
+}
+
+async function storeFriendInvite(userId, invite) {
+  if (isClusterEnabled()) {
+    await redis.saveFriendInvite(userId, invite, FRIEND_INVITE_TTL_MS / 1000);
+    return;
+  }
+  const invites = friendInvites.get(userId) || new Map();
+  invites.set(invite.roomId, invite);
+  friendInvites.set(userId, invites);
+}
+
+async function removeFriendInvites(userId, roomIds) {
+  if (isClusterEnabled()) return redis.removeFriendInvites(userId, roomIds);
+  const invites = friendInvites.get(userId);
+  if (!invites) return;
+  roomIds.forEach((roomId) => invites.delete(roomId));
+  if (invites.size === 0) friendInvites.delete(userId);
+}
+
+// Send to a user's sockets here and, in a cluster, on every other instance
+function notifyUser(userId, message) {
+  sendToLocalUser(userId, message);
+  if (isClusterEnabled()) {
+    redis.publishUserEvent({ userId, message, origin: INSTANCE_ID });
+  }
+}
+
+function sendToLocalUser(userId, message) {
+  rooms.forEach((room) => {
+    room.clients.forEach((client) => {
+      if (client.sub === userId) sendTo(client, message);
+    });
+  });
+}
+
+function handleUserEvent(event) {
+  if (!event || event.origin === INSTANCE_ID || !isNonEmptyString(event.userId)) return;
+  sendToLocalUser(event.userId, event.message);
+}
+
 function sanitizeProfile(profile = {}) {
   return {
     sub: profile.sub,
@@ -735,16 +2692,32 @@ function sanitizeProfile(profile = {}) {
   };
 }
 
-function authRequired(req, res, next) {
+async function authRequired(req, res, next) {
   const header = req.headers.authorization || "";
   const token = extractBearer(header);
   if (!token) return res.status(401).json({ error: "auth_required" });
   const session = verifySessionToken(token);
   if (!session) return res.status(401).json({ error: "invalid_token" });
+  // Express 4 doesn't catch rejected promises, so a Redis failure must be answered here
+  let active;
+  try {
+    active = await isSessionActive(session);
+  } catch (err) {
+    console.warn("[Auth] Failed to check session:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
+  if (!active) {
+    return res.status(401).json({ error: "session_revoked" });
+  }
   req.user = session;
   next();
 }
 
+function dbRequired(_req, res, next) {
+  if (!db) return res.status(503).json({ error: "db_unavailable" });
+  next();
+}
+
 function extractBearer(header) {
   if (!header) return null;
   const [scheme, value] = header.split(" ");
@@ -768,6 +2741,11 @@ module.exports = {
   rooms,
   ensureRoom,
   handleMessage,
+  getRole,
   verifySessionToken,
   issueSessionToken,
+  publishEnvelope,
+  handleClusterEnvelope,
+  handleUserEvent,
+  sendLocalPresence,
 };
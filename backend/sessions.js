@@ -0,0 +1,99 @@
+// Session state held in this process.
+// Redis is the source of truth for live sessions when it is connected; the
+// revocation list lets revocations take effect immediately on this instance
+// (and is all there is without Redis). Entries are kept until the tokens they
+// cover would have expired.
+// Without Redis, refresh token families also live here, so a restart signs
+// everyone out once their access token expires.
+
+const revokedSessions = new Map(); // sessionId -> expiresAt (ms)
+const revokedUsers = new Map(); // userId -> { before (ms), expiresAt (ms) }
+const refreshFamilies = new Map(); // sessionId -> { userId, refreshTokenId, expiresAt (ms) }
+
+/**
+ * Revoke one session (a single sign-in on one device)
+ */
+function revokeSession(sessionId, expiresAt) {
+  if (!sessionId) return;
+  pruneExpired();
+  revokedSessions.set(sessionId, expiresAt);
+  refreshFamilies.delete(sessionId);
+}
+
+/**
+ * Revoke every session of a user issued before `before` (ms). Tokens only record
+ * the second they were issued in, so one issued within that same second survives
+ * the revocation: a sign-in right after "log out everywhere" has to keep working.
+ */
+function revokeUserSessions(userId, before, expiresAt) {
+  if (!userId) return;
+  pruneExpired();
+  revokedUsers.set(userId, { before, expiresAt });
+  refreshFamilies.forEach((family, sessionId) => {
+    if (family.userId === userId) refreshFamilies.delete(sessionId);
+  });
+}
+
+/**
+ * Whether a decoded session token ({ sub, sid, iat }) has been revoked
+ */
+function isRevoked(session) {
+  if (!session) return true;
+  if (session.sid && revokedSessions.has(session.sid)) return true;
+  const userRevocation = revokedUsers.get(session.sub);
+  if (!userRevocation) return false;
+  // iat has one-second resolution, so compare whole seconds
+  const issuedAt = Number(session.iat) * 1000;
+  return !Number.isFinite(issuedAt) || issuedAt < Math.floor(userRevocation.before / 1000) * 1000;
+}
+
+function pruneExpired(now = Date.now()) {
+  revokedSessions.forEach((expiresAt, sessionId) => {
+    if (expiresAt <= now) revokedSessions.delete(sessionId);
+  });
+  revokedUsers.forEach((entry, userId) => {
+    if (entry.expiresAt <= now) revokedUsers.delete(userId);
+  });
+  refreshFamilies.forEach((family, sessionId) => {
+    if (family.expiresAt <= now) refreshFamilies.delete(sessionId);
+  });
+}
+
+/**
+ * Start a refresh token family for a new session
+ */
+function startRefreshFamily(sessionId, userId, refreshTokenId, expiresAt) {
+  pruneExpired();
+  refreshFamilies.set(sessionId, { userId, refreshTokenId, expiresAt });
+}
+
+/**
+ * Swap the family's current refresh token id (same contract as redis.rotateRefreshToken)
+ * @returns {"rotated"|"reused"|"missing"}
+ */
+function rotateRefreshFamily(sessionId, expectedId, nextId, expiresAt, now = Date.now()) {
+  const family = refreshFamilies.get(sessionId);
+  if (!family || family.expiresAt <= now) return "missing";
+  if (family.refreshTokenId !== expectedId) return "reused";
+  family.refreshTokenId = nextId;
+  family.expiresAt = expiresAt;
+  return "rotated";
+}
+
+/**
+ * Forget all revocations and refresh families (tests)
+ */
+function resetRevocations() {
+  revokedSessions.clear();
+  revokedUsers.clear();
+  refreshFamilies.clear();
+}
+
+module.exports = {
+  revokeSession,
+  revokeUserSessions,
+  isRevoked,
+  startRefreshFamily,
+  rotateRefreshFamily,
+  resetRevocations,
+};
@@ -0,0 +1,93 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+
+const buffering = require("../buffering");
+const { rooms, ensureRoom, handleMessage } = require("../server");
+
+function makeClient(name, sub) {
+  const sent = [];
+  return {
+    name,
+    sub,
+    sent,
+    socket: { readyState: 1, send: (data) => sent.push(JSON.parse(data)), close: jest.fn() },
+  };
+}
+
+function setupRoom(roomId, opts = {}) {
+  const room = ensureRoom(roomId, { encryptionRequired: false, hostId: "alice", ...opts });
+  const alice = makeClient("Alice", "alice");
+  const bob = makeClient("Bob", "bob");
+  const carol = makeClient("Carol", "carol");
+  [alice, bob, carol].forEach((c) => room.clients.add(c));
+  return { room, alice, bob, carol };
+}
+
+const groupEvents = (client) => client.sent.filter((m) => m.type === "group-buffering");
+
+describe("group buffering", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    rooms.forEach((room) => {
+      clearTimeout(room.deletionTimer);
+      clearTimeout(room.bufferingTimer);
+    });
+    rooms.clear();
+  });
+
+  test("the room waits until everyone who buffered is ready", () => {
+    const { alice, bob, carol } = setupRoom("buf-ready");
+
+    handleMessage("buf-ready", bob, { type: "buffering", buffering: true });
+    expect(groupEvents(alice)).toEqual([
+      expect.objectContaining({ active: true, waitingOn: [{ id: "bob", name: "Bob" }] }),
+    ]);
+
+    handleMessage("buf-ready", carol, { type: "buffering", buffering: true });
+    handleMessage("buf-ready", bob, { type: "buffering", buffering: false });
+    expect(groupEvents(alice).map((m) => m.active)).toEqual([true, true, true]);
+    expect(groupEvents(alice)[2].waitingOn).toEqual([{ id: "carol", name: "Carol" }]);
+
+    handleMessage("buf-ready", carol, { type: "buffering", buffering: false });
+    expect(groupEvents(bob).pop()).toMatchObject({ active: false, reason: "ready", waitingOn: [] });
+
+    // Repeated reports don't resend anything
+    handleMessage("buf-ready", carol, { type: "buffering", buffering: false });
+    expect(groupEvents(bob)).toHaveLength(4);
+  });
+
+  test("the server clock holds while the room waits", () => {
+    const { room, alice, bob } = setupRoom("buf-clock");
+    handleMessage("buf-clock", alice, { type: "state", payload: { t: 100, paused: false } });
+
+    handleMessage("buf-clock", bob, { type: "buffering", buffering: true });
+    expect(room.playback.paused).toBe(true);
+    handleMessage("buf-clock", bob, { type: "buffering", buffering: false });
+    expect(room.playback.paused).toBe(false);
+  });
+
+  test("one slow connection can't hold the room forever", () => {
+    jest.useFakeTimers();
+    const { room, alice, bob } = setupRoom("buf-timeout");
+
+    handleMessage("buf-timeout", bob, { type: "buffering", buffering: true });
+    jest.advanceTimersByTime(buffering.BUFFERING_TIMEOUT_MS);
+
+    expect(groupEvents(alice).pop()).toMatchObject({
+      active: false,
+      reason: "timeout",
+      waitingOn: [{ id: "bob", name: "Bob" }],
+    });
+    expect(buffering.isWaiting(room.buffering)).toBe(false);
+
+    // Bob is on cooldown and doesn't pause the room again right away
+    handleMessage("buf-timeout", bob, { type: "buffering", buffering: true });
+    expect(groupEvents(alice)).toHaveLength(2);
+  });
+
+  test("buffering reports get through in encrypted rooms", () => {
+    const { alice, bob } = setupRoom("buf-enc", { encryptionRequired: true });
+
+    handleMessage("buf-enc", bob, { type: "buffering", buffering: true });
+    expect(groupEvents(alice)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,143 @@
+// The Redis fan-out paths against a mocked redis module; cluster.test.js runs the
+// same flows end to end when a real Redis is available
+process.env.REQUIRE_ENCRYPTION = "false";
+process.env.TEST_REDIS_URL = "redis://mocked";
+
+jest.mock("../redis", () => ({
+  isRedisConnected: jest.fn(),
+  publishToRoom: jest.fn(),
+  getRoomUsers: jest.fn(),
+  removeUserFromRoom: jest.fn(),
+  subscribeToSessionRevocations: jest.fn(),
+  subscribeToUserEvents: jest.fn(),
+  disconnect: jest.fn(),
+}));
+
+const redis = require("../redis");
+const {
+  start,
+  stop,
+  rooms,
+  ensureRoom,
+  publishEnvelope,
+  handleClusterEnvelope,
+  sendLocalPresence,
+} = require("../server");
+
+function makeClient(name, sub) {
+  const sent = [];
+  return { name, sub, sent, socket: { readyState: 1, send: (data) => sent.push(JSON.parse(data)), close: jest.fn() } };
+}
+
+function setupRoom(roomId) {
+  const room = ensureRoom(roomId, { encryptionRequired: false, hostId: "alice" });
+  const alice = makeClient("Alice", "alice");
+  const bob = makeClient("Bob", "bob");
+  room.clients.add(alice);
+  room.clients.add(bob);
+  return { room, alice, bob };
+}
+
+// Envelopes from another instance carry its id; ours are stamped by publishEnvelope
+const remote = (envelope) => ({ ...envelope, origin: "other-instance" });
+
+describe("cluster fan-out", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    redis.isRedisConnected.mockReturnValue(true);
+    redis.getRoomUsers.mockResolvedValue([]);
+    redis.removeUserFromRoom.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    rooms.forEach((room) => clearTimeout(room.deletionTimer));
+    rooms.clear();
+  });
+
+  test("publishes envelopes stamped with this instance, and only when connected", () => {
+    publishEnvelope("fan-room", { kind: "presence" });
+    expect(redis.publishToRoom).toHaveBeenCalledWith("fan-room", { kind: "presence", origin: expect.any(String) });
+
+    redis.isRedisConnected.mockReturnValue(false);
+    publishEnvelope("fan-room", { kind: "presence" });
+    expect(redis.publishToRoom).toHaveBeenCalledTimes(1);
+  });
+
+  test("ignores its own envelopes and rooms it doesn't hold", () => {
+    const { alice } = setupRoom("fan-room");
+    publishEnvelope("fan-room", { kind: "message", message: { type: "system", text: "hi" } });
+    const [, own] = redis.publishToRoom.mock.calls[0];
+
+    handleClusterEnvelope("fan-room", own);
+    handleClusterEnvelope("other-room", remote({ kind: "message", message: { type: "system", text: "hi" } }));
+    expect(alice.sent).toHaveLength(0);
+  });
+
+  test("relays messages locally and keeps the playback clock in step", () => {
+    const { room, alice, bob } = setupRoom("fan-room");
+    handleClusterEnvelope(
+      "fan-room",
+      remote({ kind: "message", message: { type: "state", payload: { t: 30, paused: true }, from: "Carol" } })
+    );
+    expect(alice.sent).toEqual([{ type: "state", payload: { t: 30, paused: true }, from: "Carol" }]);
+    expect(bob.sent).toHaveLength(1);
+    expect(room.playback).toMatchObject({ t: 30, paused: true });
+
+    handleClusterEnvelope(
+      "fan-room",
+      remote({ kind: "message", message: { type: "system", text: "just you", recipientId: "bob" } })
+    );
+    expect(alice.sent).toHaveLength(1);
+    expect(bob.sent[1]).toMatchObject({ type: "system", text: "just you" });
+  });
+
+  test("applies settings and removals from other instances", () => {
+    const { room, bob } = setupRoom("fan-room");
+    handleClusterEnvelope(
+      "fan-room",
+      remote({ kind: "settings", settings: { hostId: "alice", coHostIds: ["bob"], hostOnlyControls: true } })
+    );
+    expect(room.coHostIds.has("bob")).toBe(true);
+    expect(room.hostOnlyControls).toBe(true);
+
+    handleClusterEnvelope("fan-room", remote({ kind: "remove", userId: "bob", action: "kick", by: "Alice" }));
+    expect(bob.sent.pop()).toEqual({ type: "moderation", action: "kick", by: "Alice" });
+    expect(bob.socket.close).toHaveBeenCalled();
+  });
+
+  test("presence lists local sockets and members held by other instances", async () => {
+    const { alice } = setupRoom("fan-room");
+    redis.getRoomUsers.mockResolvedValue([
+      { id: "bob", name: "Bob (elsewhere)" },
+      { id: "carol", name: "Carol", picture: "https://example.com/carol.png" },
+    ]);
+
+    await sendLocalPresence("fan-room");
+    expect(redis.getRoomUsers).toHaveBeenCalledWith("fan-room");
+    const presence = alice.sent.pop();
+    expect(presence.participants.map((p) => [p.id, p.name, p.role])).toEqual([
+      ["alice", "Alice", "host"],
+      ["bob", "Bob", "viewer"],
+      ["carol", "Carol", "viewer"],
+    ]);
+    expect(presence.avatars).toEqual({ carol: "https://example.com/carol.png" });
+
+    redis.getRoomUsers.mockClear();
+    handleClusterEnvelope("fan-room", remote({ kind: "presence" }));
+    expect(redis.getRoomUsers).toHaveBeenCalledWith("fan-room");
+  });
+
+  test("stopping drops this instance's sockets from the shared member lists", async () => {
+    await start(0);
+    setupRoom("fan-room");
+    ensureRoom("empty-room", { encryptionRequired: false });
+
+    await new Promise((resolve) => stop(resolve));
+    expect(redis.removeUserFromRoom.mock.calls).toEqual([
+      ["fan-room", "alice"],
+      ["fan-room", "bob"],
+    ]);
+    expect(redis.publishToRoom).toHaveBeenCalledWith("fan-room", expect.objectContaining({ kind: "presence" }));
+    expect(redis.disconnect).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+// Runs two server instances against one Redis. Needs a real Redis:
+//   TEST_REDIS_URL=redis://localhost:6379 npx jest tests/cluster.test.js
+process.env.REQUIRE_ENCRYPTION = "false";
+if (process.env.TEST_REDIS_URL) {
+  process.env.REDIS_URL = process.env.TEST_REDIS_URL;
+}
+
+const WebSocket = require("ws");
+const request = require("supertest");
+
+const describeWithRedis = process.env.TEST_REDIS_URL ? describe : describe.skip;
+
+jest.setTimeout(20000);
+
+function loadInstance() {
+  let instance;
+  jest.isolateModules(() => {
+    instance = require("../server");
+  });
+  return instance;
+}
+
+async function connect(baseWs, roomId, token, invite) {
+  const inviteParam = invite ? `&invite=${encodeURIComponent(invite)}` : "";
+  const ws = new WebSocket(`${baseWs}?roomId=${roomId}&token=${encodeURIComponent(token)}${inviteParam}`);
+  ws.received = [];
+  ws.on("message", (raw) => ws.received.push(JSON.parse(raw.toString())));
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+  return ws;
+}
+
+function waitFor(ws, predicate, timeoutMs = 5000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const tick = () => {
+      const found = ws.received.find(predicate);
+      if (found) return resolve(found);
+      if (Date.now() - started > timeoutMs) return reject(new Error("timed out waiting for message"));
+      setTimeout(tick, 20);
+    };
+    tick();
+  });
+}
+
+const presenceWith = (ids) => (msg) =>
+  msg.type === "presence" && ids.every((id) => msg.participants.some((p) => p.id === id));
+
+describeWithRedis("multi-instance fan-out", () => {
+  let a;
+  let b;
+  let baseWsA;
+  let baseWsB;
+  const sockets = [];
+
+  beforeAll(async () => {
+    a = loadInstance();
+    b = loadInstance();
+    await a.start(0);
+    await b.start(0);
+    baseWsA = `ws://localhost:${a.server.address().port}/ws`;
+    baseWsB = `ws://localhost:${b.server.address().port}/ws`;
+  });
+
+  afterEach(() => {
+    sockets.splice(0).forEach((ws) => ws.close());
+  });
+
+  afterAll(async () => {
+    [a, b].forEach(({ rooms }) => {
+      rooms.forEach((room) => room.deletionTimer && clearTimeout(room.deletionTimer));
+      rooms.clear();
+    });
+    await new Promise((resolve) => a.stop(() => resolve()));
+    await new Promise((resolve) => b.stop(() => resolve()));
+  });
+
+  test("chat, presence and playback reach sockets on the other instance", async () => {
+    const aliceToken = a.issueSessionToken({ sub: "alice", name: "Alice" });
+    const bobToken = b.issueSessionToken({ sub: "bob", name: "Bob" });
+
+    const created = await request(a.app)
+      .post("/rooms")
+      .set("Authorization", `Bearer ${aliceToken}`)
+      .send({ encryptionRequired: false, hostOnlyControls: true })
+      .expect(200);
+    const { roomId } = created.body;
+    // Invites live in Redis, so one minted on A works on B
+    const invite = await request(a.app)
+      .post(`/rooms/${roomId}/invites`)
+      .set("Authorization", `Bearer ${aliceToken}`)
+      .send({ maxUses: 1 })
+      .expect(201);
+
+    const alice = await connect(baseWsA, roomId, aliceToken);
+    sockets.push(alice);
+    const bob = await connect(baseWsB, roomId, bobToken, invite.body.token);
+    sockets.push(bob);
+
+    // Presence is cluster-wide and instance B learned the room (and its host) from Redis
+    const bobPresence = await waitFor(bob, presenceWith(["alice", "bob"]));
+    expect(bobPresence.hostId).toBe("alice");
+    expect(bobPresence.hostOnlyControls).toBe(true);
+    await waitFor(alice, presenceWith(["alice", "bob"]));
+
+    const preview = await request(b.app)
+      .get(`/rooms/${roomId}/preview`)
+      .set("Authorization", `Bearer ${bobToken}`)
+      .expect(200);
+    expect(preview.body.participantCount).toBe(2);
+
+    alice.send(JSON.stringify({ type: "chat", text: "hello from A" }));
+    const chat = await waitFor(bob, (m) => m.type === "chat");
+    expect(chat).toMatchObject({ text: "hello from A", from: "Alice", fromId: "alice" });
+
+    // Host state on A updates B's playback clock, so B answers sync requests itself
+    alice.send(JSON.stringify({ type: "state", payload: { t: 300, paused: true } }));
+    await waitFor(bob, (m) => m.type === "state");
+    bob.send(JSON.stringify({ type: "sync-request" }));
+    const sync = await waitFor(bob, (m) => m.type === "sync-state");
+    expect(sync).toMatchObject({ from: "server", paused: true });
+    expect(sync.time).toBeCloseTo(300, 0);
+
+    bob.close();
+    await waitFor(alice, (m) => m.type === "presence" && !m.participants.some((p) => p.id === "bob"));
+  });
+});
@@ -0,0 +1,246 @@
+const {
+  generateKeyPair,
+  buildEncryptedEnvelope,
+  openEncryptedEnvelope,
+  derivePassphraseKeys,
+  MAX_SENDER_KEY_SKIP,
+  createSenderKey,
+  encryptWithSenderKey,
+  decryptWithSenderKey,
+  createInboundQueue,
+  REPLAY_WINDOW,
+  createReplayCounter,
+  stampReplayCounter,
+  checkReplayWindow,
+  restoreReplayWindow,
+} = require("../client/e2e-crypto");
+
+const { verifierForProof } = require("../roomAccess");
+
+// What a peer stores after receiving our chain key over the pairwise channel
+const shareKey = ({ keyId, chainKey, iteration }) => ({ keyId, chainKey, iteration });
+
+function sendMany(state, count) {
+  const envelopes = [];
+  for (let i = 0; i < count; i++) {
+    const result = encryptWithSenderKey({ type: "chat", text: `m${i}` }, state);
+    envelopes.push(result.envelope);
+    state = result.state;
+  }
+  return { envelopes, state };
+}
+
+describe("sender keys", () => {
+  test("one ciphertext decrypts for every holder of the chain key", () => {
+    const own = createSenderKey();
+    const bob = shareKey(own);
+    const carol = shareKey(own);
+    const { envelopes } = sendMany(own, 2);
+
+    expect(envelopes[0]).toMatchObject({ scheme: "sender-key", keyId: own.keyId, n: 0 });
+    expect(decryptWithSenderKey(envelopes[0], bob).payload).toEqual({ type: "chat", text: "m0" });
+    expect(decryptWithSenderKey(envelopes[0], carol).payload).toEqual({ type: "chat", text: "m0" });
+    expect(envelopes[1].ciphertext).not.toBe(envelopes[0].ciphertext);
+  });
+
+  test("out of order messages decrypt once and replays are rejected", () => {
+    const own = createSenderKey();
+    let bob = shareKey(own);
+    const { envelopes } = sendMany(own, 3);
+
+    let result = decryptWithSenderKey(envelopes[2], bob);
+    expect(result.payload.text).toBe("m2");
+    bob = result.state;
+    result = decryptWithSenderKey(envelopes[0], bob);
+    expect(result.payload.text).toBe("m0");
+    bob = result.state;
+
+    expect(() => decryptWithSenderKey(envelopes[0], bob)).toThrow("message_key_used");
+    expect(() => decryptWithSenderKey(envelopes[2], bob)).toThrow("message_key_used");
+    expect(decryptWithSenderKey(envelopes[1], bob).payload.text).toBe("m1");
+  });
+
+  test("a late joiner can read from the iteration they were given", () => {
+    const { state: own } = sendMany(createSenderKey(), 5);
+    const dave = shareKey(own);
+    const { envelopes } = sendMany(own, 1);
+    expect(envelopes[0].n).toBe(5);
+    expect(decryptWithSenderKey(envelopes[0], dave).payload.text).toBe("m0");
+  });
+
+  test("tampering, unknown keys and huge gaps fail without touching state", () => {
+    const own = createSenderKey();
+    const bob = shareKey(own);
+    const { envelopes } = sendMany(own, 2);
+
+    expect(() => decryptWithSenderKey({ ...envelopes[0], n: 1 }, bob)).toThrow();
+    expect(() => decryptWithSenderKey({ ...envelopes[0], keyId: "other" }, bob)).toThrow("unknown_sender_key");
+    expect(() => decryptWithSenderKey({ ...envelopes[0], n: MAX_SENDER_KEY_SKIP + 1 }, bob)).toThrow(
+      "too_many_skipped_messages"
+    );
+    expect(decryptWithSenderKey(envelopes[0], bob).payload.text).toBe("m0");
+  });
+
+  test("a rotated key can't be read with the old chain key", () => {
+    const own = createSenderKey();
+    const departed = shareKey(own);
+    const rotated = createSenderKey();
+    const { envelopes } = sendMany(rotated, 1);
+    expect(rotated.keyId).not.toBe(own.keyId);
+    expect(() => decryptWithSenderKey(envelopes[0], departed)).toThrow("unknown_sender_key");
+    expect(() => decryptWithSenderKey({ ...envelopes[0], keyId: own.keyId }, departed)).toThrow();
+  });
+});
+
+describe("inbound ordering", () => {
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+  // Like the extension: pairwise frames take a few awaits (key pair, ECDH, AES)
+  // before a share is stored; group frames only need the stored key
+  function makeReceiver(alice, bob) {
+    const senderKeys = new Map();
+    const received = [];
+    const handle = async (frame) => {
+      if (frame.scheme === "sender-key") {
+        const state = senderKeys.get(frame.keyId);
+        if (!state) return received.push("missing key");
+        const { payload, state: next } = decryptWithSenderKey(frame, state);
+        senderKeys.set(frame.keyId, next);
+        return received.push(payload.text);
+      }
+      await tick();
+      await tick();
+      const share = openEncryptedEnvelope(frame, { privateKey: bob.privateKey, peerPublicKey: alice.publicKey });
+      await tick();
+      senderKeys.set(share.keyId, shareKey(share));
+    };
+    return { handle, received };
+  }
+
+  test("the first group message after a key share waits for the share", async () => {
+    const alice = generateKeyPair();
+    const bob = generateKeyPair();
+    const own = createSenderKey();
+    const share = buildEncryptedEnvelope(
+      { type: "sender-key", ...shareKey(own) },
+      { privateKey: alice.privateKey, peerPublicKey: bob.publicKey }
+    );
+    const { envelopes } = sendMany(own, 1);
+
+    const { handle, received } = makeReceiver(alice, bob);
+    const enqueue = createInboundQueue(handle);
+    await Promise.all([enqueue(share), enqueue(envelopes[0])]);
+    expect(received).toEqual(["m0"]);
+
+    // Handled as they arrive, the group message loses the race
+    const racing = makeReceiver(alice, bob);
+    await Promise.all([racing.handle(share), racing.handle(envelopes[0])]);
+    expect(racing.received).toEqual(["missing key"]);
+  });
+
+  test("a frame that fails doesn't hold up the ones behind it", async () => {
+    const handled = [];
+    const enqueue = createInboundQueue(async (frame) => {
+      if (frame === "bad") throw new Error("decrypt_failed");
+      handled.push(frame);
+    });
+    await expect(enqueue("bad")).rejects.toThrow("decrypt_failed");
+    await enqueue("good");
+    expect(handled).toEqual(["good"]);
+  });
+});
+
+describe("room passphrases", () => {
+  const salt = Buffer.alloc(16, 7).toString("base64");
+
+  test("the proof matches the server's verifier and is separate from the secret", () => {
+    const keys = derivePassphraseKeys("correct horse battery staple", salt);
+    expect(verifierForProof(keys.proof)).toBe(keys.verifier);
+    expect(keys.secret).not.toBe(keys.proof);
+    expect(derivePassphraseKeys("correct horse battery staple", salt)).toEqual(keys);
+  });
+
+  test("the passphrase secret is mixed into the pairwise key", () => {
+    const { secret } = derivePassphraseKeys("hunter2", salt);
+    const alice = generateKeyPair();
+    const bob = generateKeyPair();
+    const envelope = buildEncryptedEnvelope(
+      { type: "chat", text: "hi" },
+      { privateKey: alice.privateKey, peerPublicKey: bob.publicKey, roomSecret: secret }
+    );
+    const bobOpts = { privateKey: bob.privateKey, peerPublicKey: alice.publicKey };
+
+    expect(openEncryptedEnvelope(envelope, { ...bobOpts, roomSecret: secret })).toEqual({ type: "chat", text: "hi" });
+    expect(() => openEncryptedEnvelope(envelope, bobOpts)).toThrow();
+  });
+});
+
+describe("replay window", () => {
+  function stampMany(counter, count) {
+    const counters = [];
+    for (let i = 0; i < count; i++) {
+      const result = stampReplayCounter({ type: "state" }, counter);
+      counters.push(result.payload.counter);
+      counter = result.counter;
+    }
+    return { counters, counter };
+  }
+
+  test("accepts each counter once, in any order, and reports gaps", () => {
+    const { counters } = stampMany(createReplayCounter(1000), 5);
+    let check = checkReplayWindow(null, counters[0]);
+    expect(check.result).toBe("ok");
+
+    check = checkReplayWindow(check.window, counters[3]);
+    expect(check).toMatchObject({ result: "gap", missed: 2 });
+    check = checkReplayWindow(check.window, counters[1]);
+    expect(check.result).toBe("ok");
+
+    expect(checkReplayWindow(check.window, counters[1]).result).toBe("replay");
+    expect(checkReplayWindow(check.window, counters[3]).result).toBe("replay");
+    expect(checkReplayWindow(check.window, { epoch: 1000 }).result).toBe("invalid");
+  });
+
+  test("older epochs and counters behind the window are stale", () => {
+    const old = stampMany(createReplayCounter(1000), 1).counters[0];
+    const { counters } = stampMany(createReplayCounter(2000), REPLAY_WINDOW + 2);
+    let window = checkReplayWindow(null, old).window;
+    // A restarted sender moves to a newer epoch
+    let check = checkReplayWindow(window, counters[0]);
+    expect(check.result).toBe("ok");
+    window = check.window;
+    expect(checkReplayWindow(window, old).result).toBe("stale");
+
+    window = checkReplayWindow(window, counters[REPLAY_WINDOW + 1]).window;
+    expect(checkReplayWindow(window, counters[1]).result).toBe("stale");
+    expect(checkReplayWindow(window, counters[2]).result).toBe("ok");
+  });
+
+  test("a replay after a restart is caught by the stored window", () => {
+    const { counters } = stampMany(createReplayCounter(1000), 3);
+    let window = null;
+    counters.forEach((counter) => {
+      window = checkReplayWindow(window, counter).window;
+    });
+    const stored = JSON.parse(JSON.stringify(window));
+
+    // Without the window (the receiver restarted), the old "pause at 10:00" looks fresh
+    expect(checkReplayWindow(null, counters[1]).result).toBe("ok");
+
+    const restored = restoreReplayWindow(stored);
+    expect(checkReplayWindow(restored, counters[1]).result).toBe("replay");
+    expect(checkReplayWindow(restored, { epoch: 999, n: 7 }).result).toBe("stale");
+    expect(checkReplayWindow(restored, stampMany({ epoch: 1000, n: 3 }, 1).counters[0]).result).toBe("ok");
+  });
+
+  test("stored windows that don't look right are dropped", () => {
+    expect(restoreReplayWindow(null)).toBeNull();
+    expect(restoreReplayWindow({ epoch: "1000", highest: 2, seen: [] })).toBeNull();
+    expect(restoreReplayWindow({ epoch: 1000, highest: -1, seen: [] })).toBeNull();
+    expect(restoreReplayWindow({ epoch: 1000, highest: 200, seen: [1, 150, 200, 201, "x"] })).toEqual({
+      epoch: 1000,
+      highest: 200,
+      seen: [150, 200],
+    });
+  });
+});
@@ -155,7 +155,51 @@ describe("encryption flow", () => {
     expect(typeof sent[0].ts).toBe("number");
   });
 
-  test("allows episode-changed broadcast even when encryption is required", () => {
+  test("delivers per-recipient envelopes and key replies only to that peer", () => {
+    const roomId = "room-directed";
+    const room = ensureRoom(roomId, { encryptionRequired: true });
+    const makeClient = (name, sub) => {
+      const client = { name, sub, received: [], socket: { readyState: 1 } };
+      client.socket.send = (data) => client.received.push(JSON.parse(data));
+      room.clients.add(client);
+      return client;
+    };
+    const alice = makeClient("Alice", "alice");
+    const bob = makeClient("Bob", "bob");
+    const carol = makeClient("Carol", "carol");
+
+    handleMessage(roomId, alice, { type: "encrypted", ciphertext: "for-bob", iv: "iv", recipientId: "bob" });
+    handleMessage(roomId, alice, { type: "encrypted", ciphertext: "for-carol", iv: "iv", recipientId: "carol" });
+    handleMessage(roomId, bob, { type: "key-exchange", publicKey: "bob-pub", recipientId: "carol", reply: true });
+
+    expect(alice.received).toEqual([]);
+    expect(bob.received).toEqual([
+      expect.objectContaining({ type: "encrypted", ciphertext: "for-bob", recipientId: "bob", fromId: "alice" }),
+    ]);
+    expect(carol.received).toEqual([
+      expect.objectContaining({ type: "encrypted", ciphertext: "for-carol", recipientId: "carol" }),
+      expect.objectContaining({ type: "key-exchange", publicKey: "bob-pub", reply: true, fromId: "bob" }),
+    ]);
+  });
+
+  test("broadcasts sender-key envelopes with their key id and index", () => {
+    const roomId = "room-sender-key";
+    const room = ensureRoom(roomId, { encryptionRequired: true });
+    const sent = [];
+    const sender = { name: "Alice", sub: "alice", socket: { readyState: 1, send: jest.fn() } };
+    const receiver = { name: "Bob", sub: "bob", socket: { readyState: 1, send: (data) => sent.push(JSON.parse(data)) } };
+    room.clients.add(sender);
+    room.clients.add(receiver);
+
+    handleMessage(roomId, sender, { type: "encrypted", scheme: "sender-key", keyId: "k1", n: 3, ciphertext: "abc", iv: "iv" });
+    handleMessage(roomId, sender, { type: "encrypted", scheme: "bogus", keyId: "k1", n: -1, ciphertext: "def", iv: "iv" });
+
+    expect(sent[0]).toMatchObject({ scheme: "sender-key", keyId: "k1", n: 3, fromId: "alice" });
+    expect(sent[1].scheme).toBeUndefined();
+    expect(sent[1].n).toBeUndefined();
+  });
+
+  test("drops plaintext playback sync and notices when encryption is required", () => {
     const roomId = "room-episode";
     const room = ensureRoom(roomId, { encryptionRequired: true });
     const sent = [];
@@ -175,13 +219,30 @@ describe("encryption flow", () => {
       url: "https://www.netflix.com/watch/123456",
       ts: 123,
     });
-
-    expect(sent).toHaveLength(1);
-    expect(sent[0]).toMatchObject({
-      type: "episode-changed",
+    handleMessage(roomId, receiver, { type: "sync-request" });
+    handleMessage(roomId, sender, {
+      type: "sync-state",
+      time: 42,
+      paused: false,
       url: "https://www.netflix.com/watch/123456",
-      from: "Alice",
-      ts: 123,
     });
+    handleMessage(roomId, sender, { type: "system", text: "Alice skipped to 12:34" });
+
+    expect(sent).toHaveLength(0);
+    expect(sender.socket.send).not.toHaveBeenCalled();
+    expect(room.videoUrl).toBe("");
+    expect(room.videoTitle).toBeNull();
+  });
+
+  test("encrypted rooms don't store the video they were created from", async () => {
+    const res = await request(app)
+      .post("/rooms")
+      .set(authHeader())
+      .send({ encryptionRequired: true, videoUrl: "https://www.netflix.com/watch/123456", videoTime: 90 })
+      .expect(200);
+    expect(res.body).toMatchObject({ videoUrl: "", titleId: "", initialTime: 0 });
+
+    const preview = await request(app).get(`/rooms/${res.body.roomId}/preview`).set(authHeader()).expect(200);
+    expect(preview.body).toMatchObject({ videoUrl: "", titleId: "", encryptionRequired: true });
   });
 });
@@ -0,0 +1,209 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+process.env.DATABASE_URL = "postgresql://test/test";
+process.env.TEST_REDIS_URL = "redis://mocked";
+
+jest.mock("../db", () => ({
+  getUserById: jest.fn(),
+  searchUsers: jest.fn(),
+  getFriends: jest.fn(),
+  getPendingRequests: jest.fn(),
+  getSentRequests: jest.fn(),
+  sendFriendRequest: jest.fn(),
+  acceptFriendRequest: jest.fn(),
+  declineFriendRequest: jest.fn(),
+  removeFriendship: jest.fn(),
+}));
+
+jest.mock("../redis", () => ({
+  isRedisConnected: jest.fn(),
+  isSessionValid: jest.fn(),
+  getRoom: jest.fn(),
+  getRoomUsers: jest.fn(),
+  roomExists: jest.fn(),
+  saveFriendInvite: jest.fn(),
+  getFriendInvites: jest.fn(),
+  removeFriendInvites: jest.fn(),
+  publishUserEvent: jest.fn(),
+}));
+
+const request = require("supertest");
+const db = require("../db");
+const redis = require("../redis");
+
+const { app, rooms, ensureRoom, handleUserEvent, issueSessionToken } = require("../server");
+
+const authHeader = (sub = "alice", name = "Alice") => ({
+  Authorization: `Bearer ${issueSessionToken({ sub, name })}`,
+});
+
+const bob = { id: "bob", name: "Bob", email: "bob@example.com", picture: null };
+
+function makeClient(name, sub) {
+  const sent = [];
+  return { name, sub, sent, socket: { readyState: 1, send: (data) => sent.push(JSON.parse(data)) } };
+}
+
+describe("friends endpoints", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.getFriends.mockResolvedValue([]);
+    db.getPendingRequests.mockResolvedValue([]);
+    db.getSentRequests.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    redis.isRedisConnected.mockReturnValue(false);
+    rooms.clear();
+  });
+
+  test("search requires a reasonable query", async () => {
+    await request(app).get("/users/search?q=a").set(authHeader()).expect(400);
+    db.searchUsers.mockResolvedValue([bob]);
+    const res = await request(app).get("/users/search?q=bo").set(authHeader()).expect(200);
+    expect(db.searchUsers).toHaveBeenCalledWith("bo", "alice");
+    expect(res.body.users).toEqual([{ id: "bob", name: "Bob" }]);
+  });
+
+  test("lists friends, pending and sent requests", async () => {
+    db.getFriends.mockResolvedValue([{ friendshipId: "f1", friend: bob, since: "2024-01-01" }]);
+    db.getPendingRequests.mockResolvedValue([{ id: "f2", user: { id: "carol", name: "Carol" } }]);
+    db.getSentRequests.mockResolvedValue([{ id: "f3", friend: { id: "dave", name: "Dave" } }]);
+    const res = await request(app).get("/friends").set(authHeader()).expect(200);
+    expect(res.body.friends[0]).toMatchObject({ friendshipId: "f1", user: { id: "bob", name: "Bob" } });
+    expect(res.body.pending[0]).toMatchObject({ friendshipId: "f2", user: { id: "carol" } });
+    expect(res.body.sent[0]).toMatchObject({ friendshipId: "f3", user: { id: "dave" } });
+    expect(res.body.invites).toEqual([]);
+  });
+
+  test("sending a request validates the target", async () => {
+    await request(app).post("/friends/requests").set(authHeader()).send({}).expect(400);
+    await request(app).post("/friends/requests").set(authHeader()).send({ friendId: "alice" }).expect(400);
+
+    db.getUserById.mockResolvedValue(null);
+    await request(app).post("/friends/requests").set(authHeader()).send({ friendId: "ghost" }).expect(404);
+
+    db.getUserById.mockResolvedValue(bob);
+    db.sendFriendRequest.mockResolvedValue({ error: "friendship_exists" });
+    await request(app).post("/friends/requests").set(authHeader()).send({ friendId: "bob" }).expect(409);
+
+    db.sendFriendRequest.mockResolvedValue({ id: "f1", friend: bob, status: "PENDING" });
+    const res = await request(app).post("/friends/requests").set(authHeader()).send({ friendId: "bob" }).expect(201);
+    expect(db.sendFriendRequest).toHaveBeenLastCalledWith("alice", "bob");
+    expect(res.body).toMatchObject({ friendshipId: "f1", status: "PENDING" });
+  });
+
+  test("accept, decline and remove map db errors to status codes", async () => {
+    db.acceptFriendRequest.mockResolvedValue({ error: "not_found" });
+    await request(app).post("/friends/requests/f1/accept").set(authHeader("bob")).expect(404);
+    db.acceptFriendRequest.mockResolvedValue({ id: "f1", user: { id: "alice", name: "Alice" }, status: "ACCEPTED" });
+    await request(app).post("/friends/requests/f1/accept").set(authHeader("bob")).expect(200);
+    expect(db.acceptFriendRequest).toHaveBeenLastCalledWith("bob", "f1");
+
+    db.declineFriendRequest.mockResolvedValue({ id: "f2" });
+    await request(app).post("/friends/requests/f2/decline").set(authHeader("bob")).expect(200);
+
+    db.removeFriendship.mockResolvedValue({ error: "not_authorized" });
+    await request(app).delete("/friends/f1").set(authHeader("mallory")).expect(403);
+    db.removeFriendship.mockResolvedValue({ id: "f1" });
+    await request(app).delete("/friends/f1").set(authHeader()).expect(200);
+  });
+
+  test("friends can be invited into the inviter's current room", async () => {
+    const room = ensureRoom("movie-night", { encryptionRequired: false });
+    room.clients.add(makeClient("Alice", "alice"));
+    const bobElsewhere = makeClient("Bob", "bob");
+    ensureRoom("other-room", { encryptionRequired: false }).clients.add(bobElsewhere);
+
+    // Not in that room
+    await request(app).post("/friends/bob/invite").set(authHeader()).send({ roomId: "other-room" }).expect(403);
+
+    // Not friends
+    await request(app).post("/friends/bob/invite").set(authHeader()).send({ roomId: "movie-night" }).expect(404);
+
+    db.getFriends.mockResolvedValue([{ friendshipId: "f1", friend: bob }]);
+    await request(app).post("/friends/bob/invite").set(authHeader()).send({ roomId: "movie-night" }).expect(201);
+    expect(bobElsewhere.sent).toContainEqual(
+      expect.objectContaining({ type: "room-invite", roomId: "movie-night", from: "Alice", fromId: "alice" })
+    );
+
+    db.getFriends.mockResolvedValue([]);
+    const list = await request(app).get("/friends").set(authHeader("bob", "Bob")).expect(200);
+    expect(list.body.invites).toEqual([expect.objectContaining({ roomId: "movie-night", fromName: "Alice" })]);
+
+    await request(app).delete("/friends/invites/movie-night").set(authHeader("bob", "Bob")).expect(200);
+    const after = await request(app).get("/friends").set(authHeader("bob", "Bob")).expect(200);
+    expect(after.body.invites).toEqual([]);
+  });
+
+  test("friends invited into an invite-only room get a single-use invite", async () => {
+    const room = ensureRoom("locked-room", { encryptionRequired: false, hostId: "alice", inviteOnly: true });
+    room.clients.add(makeClient("Alice", "alice"));
+    const bobElsewhere = makeClient("Bob", "bob");
+    ensureRoom("other-room", { encryptionRequired: false }).clients.add(bobElsewhere);
+    db.getFriends.mockResolvedValue([{ friendshipId: "f1", friend: bob }]);
+
+    await request(app).post("/friends/bob/invite").set(authHeader()).send({ roomId: "locked-room" }).expect(201);
+    const { inviteToken } = bobElsewhere.sent.find((m) => m.type === "room-invite");
+    expect(inviteToken).toEqual(expect.any(String));
+
+    await request(app).post("/rooms/locked-room/join").set(authHeader("bob", "Bob")).send({ inviteToken }).expect(403);
+    await request(app).post("/rooms/locked-room/join").set(authHeader("bob", "Bob")).send({ invite: inviteToken }).expect(200);
+    const res = await request(app)
+      .post("/rooms/locked-room/join")
+      .set(authHeader("carol", "Carol"))
+      .send({ invite: inviteToken })
+      .expect(403);
+    expect(res.body.error).toBe("invite_exhausted");
+  });
+
+  describe("in a cluster", () => {
+    beforeEach(() => {
+      redis.isRedisConnected.mockReturnValue(true);
+      redis.isSessionValid.mockResolvedValue(true);
+      redis.getRoom.mockResolvedValue({ encryptionRequired: false, inviteOnly: false });
+      redis.getRoomUsers.mockResolvedValue([{ id: "alice", name: "Alice" }]);
+      redis.roomExists.mockResolvedValue(true);
+      db.getFriends.mockResolvedValue([{ friendshipId: "f1", friend: bob }]);
+    });
+
+    test("invites from a room held by another instance are stored and published", async () => {
+      await request(app).post("/friends/bob/invite").set(authHeader()).send({ roomId: "far-room" }).expect(201);
+      expect(redis.getRoomUsers).toHaveBeenCalledWith("far-room");
+      const invite = expect.objectContaining({ roomId: "far-room", fromId: "alice", fromName: "Alice" });
+      expect(redis.saveFriendInvite).toHaveBeenCalledWith("bob", invite, 3600);
+      expect(redis.publishUserEvent).toHaveBeenCalledWith({
+        userId: "bob",
+        message: expect.objectContaining({ type: "room-invite", roomId: "far-room", fromId: "alice" }),
+        origin: expect.any(String),
+      });
+
+      redis.getRoomUsers.mockResolvedValue([{ id: "carol", name: "Carol" }]);
+      await request(app).post("/friends/bob/invite").set(authHeader()).send({ roomId: "far-room" }).expect(403);
+    });
+
+    test("stored invites are listed while their room lives anywhere", async () => {
+      const ts = Date.now();
+      redis.getFriendInvites.mockResolvedValue([
+        { roomId: "far-room", fromId: "alice", fromName: "Alice", ts },
+        { roomId: "gone-room", fromId: "alice", fromName: "Alice", ts },
+      ]);
+      redis.roomExists.mockImplementation(async (roomId) => roomId === "far-room");
+
+      const list = await request(app).get("/friends").set(authHeader("bob", "Bob")).expect(200);
+      expect(list.body.invites).toEqual([expect.objectContaining({ roomId: "far-room" })]);
+      expect(redis.removeFriendInvites).toHaveBeenCalledWith("bob", ["gone-room"]);
+
+      await request(app).delete("/friends/invites/far-room").set(authHeader("bob", "Bob")).expect(200);
+      expect(redis.removeFriendInvites).toHaveBeenLastCalledWith("bob", ["far-room"]);
+    });
+
+    test("invites published elsewhere reach the friend's sockets here", () => {
+      const bobHere = makeClient("Bob", "bob");
+      ensureRoom("other-room", { encryptionRequired: false }).clients.add(bobHere);
+      const message = { type: "room-invite", roomId: "far-room", from: "Alice", fromId: "alice" };
+
+      handleUserEvent({ userId: "bob", message, origin: "other-instance" });
+      expect(bobHere.sent).toEqual([message]);
+    });
+  });
+});
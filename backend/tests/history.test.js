@@ -0,0 +1,140 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+process.env.DATABASE_URL = "postgresql://test/test";
+
+// Loaded but disconnected unless a test says otherwise
+process.env.TEST_REDIS_URL = "redis://mocked";
+
+jest.mock("../db", () => ({
+  recordRoomJoin: jest.fn(),
+  recordRoomLeave: jest.fn(),
+  getRoomHistory: jest.fn(),
+}));
+
+jest.mock("../redis", () => ({
+  isRedisConnected: jest.fn(() => false),
+  isSessionValid: jest.fn(),
+  checkRateLimit: jest.fn(),
+  roomExists: jest.fn(),
+}));
+
+const WebSocket = require("ws");
+const request = require("supertest");
+const db = require("../db");
+const redis = require("../redis");
+
+const { app, server, start, stop, rooms, ensureRoom, handleMessage, issueSessionToken } = require("../server");
+
+const authHeader = (sub = "alice", name = "Alice") => ({
+  Authorization: `Bearer ${issueSessionToken({ sub, name })}`,
+});
+
+function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const tick = () => {
+      if (check()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error("timed out"));
+      setTimeout(tick, 10);
+    };
+    tick();
+  });
+}
+
+async function connect(baseWs, roomId, sub, name) {
+  const ws = new WebSocket(`${baseWs}?roomId=${roomId}&token=${encodeURIComponent(issueSessionToken({ sub, name }))}`);
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+  return ws;
+}
+
+describe("room history", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.recordRoomJoin.mockResolvedValue({});
+    db.recordRoomLeave.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    redis.isRedisConnected.mockReturnValue(false);
+    rooms.forEach((room) => room.deletionTimer && clearTimeout(room.deletionTimer));
+    rooms.clear();
+  });
+
+  test("GET /me/rooms keeps the latest entry per room", async () => {
+    db.getRoomHistory.mockResolvedValue([
+      { roomId: "room-b", roomName: "Show B", lastPosition: 90, participants: ["Bob"], joinedAt: "2", leftAt: "3" },
+      { roomId: "room-a", roomName: "Show A", lastPosition: 30, participants: [], joinedAt: "1", leftAt: "2" },
+      { roomId: "room-b", roomName: "Show B", lastPosition: 10, participants: [], joinedAt: "0", leftAt: "1" },
+    ]);
+    const res = await request(app).get("/me/rooms").set(authHeader()).expect(200);
+    expect(res.body.rooms.map((r) => r.roomId)).toEqual(["room-b", "room-a"]);
+    expect(res.body.rooms[0]).toMatchObject({ title: "Show B", lastPosition: 90, participants: ["Bob"], active: false });
+  });
+
+  test("GET /me/rooms reports the live position for rooms still being watched", async () => {
+    ensureRoom("live-room", { encryptionRequired: false });
+    const client = { name: "Alice", sub: "alice", socket: { readyState: 1, send: () => {} } };
+    rooms.get("live-room").clients.add(client);
+    handleMessage("live-room", client, { type: "state", payload: { t: 120, paused: true, title: "Live Show" } });
+
+    db.getRoomHistory.mockResolvedValue([{ roomId: "live-room", roomName: null, leftAt: null, joinedAt: "1" }]);
+    const res = await request(app).get("/me/rooms?limit=5").set(authHeader()).expect(200);
+    expect(db.getRoomHistory).toHaveBeenCalledWith("alice", 25);
+    expect(res.body.rooms[0]).toMatchObject({ roomId: "live-room", title: "Live Show", lastPosition: 120, active: true });
+  });
+
+  test("GET /me/rooms counts rooms live on another instance as active", async () => {
+    redis.isRedisConnected.mockReturnValue(true);
+    redis.isSessionValid.mockResolvedValue(true);
+    redis.checkRateLimit.mockResolvedValue(null);
+    redis.roomExists.mockImplementation(async (roomId) => roomId === "elsewhere");
+    db.getRoomHistory.mockResolvedValue([
+      { roomId: "elsewhere", roomName: "Show C", joinedAt: "2", leftAt: "3" },
+      { roomId: "gone", roomName: "Show D", joinedAt: "1", leftAt: "2" },
+    ]);
+    const res = await request(app).get("/me/rooms").set(authHeader()).expect(200);
+    expect(res.body.rooms.map((r) => [r.roomId, r.active])).toEqual([
+      ["elsewhere", true],
+      ["gone", false],
+    ]);
+  });
+
+  describe("over WebSocket", () => {
+    let baseWs;
+
+    beforeAll(async () => {
+      await start(0);
+      baseWs = `ws://localhost:${server.address().port}/ws`;
+    });
+
+    afterAll((done) => {
+      stop(() => done());
+    });
+
+    test("joins and leaves are recorded with a snapshot of the room", async () => {
+      ensureRoom("history-room");
+      const alice = await connect(baseWs, "history-room", "alice", "Alice");
+      const bob = await connect(baseWs, "history-room", "bob", "Bob");
+      await waitFor(() => db.recordRoomJoin.mock.calls.length === 2);
+      expect(db.recordRoomJoin).toHaveBeenCalledWith("alice", "history-room", null, null);
+
+      alice.send(JSON.stringify({ type: "state", payload: { t: 42, paused: true, title: "Pilot", url: "https://www.netflix.com/watch/123" } }));
+      await waitFor(() => rooms.get("history-room")?.videoTitle === "Pilot");
+
+      alice.close();
+      await waitFor(() => db.recordRoomLeave.mock.calls.length === 1);
+      expect(db.recordRoomLeave).toHaveBeenCalledWith("alice", "history-room", {
+        roomName: "Pilot",
+        videoUrl: "https://www.netflix.com/watch/123",
+        lastPosition: 42,
+        participants: ["Bob"],
+      });
+
+      bob.close();
+      await waitFor(() => db.recordRoomLeave.mock.calls.length === 2);
+      expect(db.recordRoomLeave.mock.calls[1][2].participants).toEqual(["Alice"]);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+
+const WebSocket = require("ws");
+const request = require("supertest");
+
+const rateLimit = require("../rateLimit");
+const { app, server, start, stop, rooms, issueSessionToken, verifySessionToken } = require("../server");
+
+const authHeader = (sub = "alice", name = "Alice") => ({
+  Authorization: `Bearer ${issueSessionToken({ sub, name })}`,
+});
+
+async function createRoom() {
+  const res = await request(app).post("/rooms").set(authHeader()).send({}).expect(200);
+  return res.body.roomId;
+}
+
+const mintInvite = (roomId, body = {}, sub = "alice") =>
+  request(app).post(`/rooms/${roomId}/invites`).set(authHeader(sub, sub)).send(body);
+
+const join = (roomId, sub, invite) =>
+  request(app).post(`/rooms/${roomId}/join`).set(authHeader(sub, sub)).send(invite ? { invite } : {});
+
+describe("room invites", () => {
+  afterEach(() => {
+    rateLimit.resetMemoryRateLimits();
+    rooms.forEach((room) => room.deletionTimer && clearTimeout(room.deletionTimer));
+    rooms.clear();
+  });
+
+  test("joining needs an invite, and members rejoin without one", async () => {
+    const roomId = await createRoom();
+    expect((await join(roomId, "bob").expect(403)).body).toEqual({ error: "invite_required" });
+    await request(app).get(`/rooms/${roomId}/preview`).set(authHeader("bob", "Bob")).expect(403);
+    await join(roomId, "alice").expect(200);
+
+    const { body } = await mintInvite(roomId).expect(201);
+    expect(body.invite).toMatchObject({ role: "viewer", maxUses: 10, uses: 0, status: "ok" });
+    await request(app).get(`/rooms/${roomId}/preview`).query({ invite: body.token }).set(authHeader("bob", "Bob")).expect(200);
+    await join(roomId, "bob", body.token).expect(200);
+    await join(roomId, "bob").expect(200);
+    expect(rooms.get(roomId).memberIds.has("bob")).toBe(true);
+  });
+
+  test("tokens are bound to their room and aren't sessions", async () => {
+    const roomId = await createRoom();
+    const otherRoom = await createRoom();
+    const { body } = await mintInvite(roomId).expect(201);
+    expect((await join(otherRoom, "bob", body.token).expect(403)).body.error).toBe("invalid_invite");
+    expect((await join(roomId, "bob", "forged").expect(403)).body.error).toBe("invalid_invite");
+    expect(verifySessionToken(body.token)).toBeNull();
+  });
+
+  test("max uses, expiry and revocation", async () => {
+    const roomId = await createRoom();
+    const single = (await mintInvite(roomId, { maxUses: 1 }).expect(201)).body;
+    await join(roomId, "bob", single.token).expect(200);
+    expect((await join(roomId, "carol", single.token).expect(403)).body.error).toBe("invite_exhausted");
+
+    const revoked = (await mintInvite(roomId).expect(201)).body;
+    await request(app).delete(`/rooms/${roomId}/invites/${revoked.invite.id}`).set(authHeader()).expect(200);
+    expect((await join(roomId, "carol", revoked.token).expect(403)).body.error).toBe("invite_revoked");
+
+    const expiring = (await mintInvite(roomId).expect(201)).body;
+    rooms.get(roomId).invites.get(expiring.invite.id).expiresAt = Date.now() - 1;
+    expect((await join(roomId, "carol", expiring.token).expect(403)).body.error).toBe("invite_expired");
+
+    // The list keeps used-up invites so the host can see them
+    const list = await request(app).get(`/rooms/${roomId}/invites`).set(authHeader()).expect(200);
+    expect(list.body.invites).toEqual([expect.objectContaining({ id: single.invite.id, uses: 1, status: "invite_exhausted" })]);
+  });
+
+  test("only hosts manage invites, and only the host hands out co-host", async () => {
+    const roomId = await createRoom();
+    const cohostInvite = (await mintInvite(roomId, { role: "cohost", maxUses: 1 }).expect(201)).body;
+    await join(roomId, "bob", cohostInvite.token).expect(200);
+    expect(rooms.get(roomId).coHostIds.has("bob")).toBe(true);
+
+    await mintInvite(roomId, {}, "bob").expect(201);
+    expect((await mintInvite(roomId, { role: "cohost" }, "bob").expect(403)).body.error).toBe("not_host");
+    expect((await mintInvite(roomId, { role: "host" }).expect(400)).body.error).toBe("invalid_invite_settings");
+    expect((await mintInvite(roomId, { maxUses: 0 }).expect(400)).body.error).toBe("invalid_invite_settings");
+
+    const viewerInvite = (await mintInvite(roomId).expect(201)).body;
+    await join(roomId, "carol", viewerInvite.token).expect(200);
+    await mintInvite(roomId, {}, "carol").expect(403);
+    await request(app).get(`/rooms/${roomId}/invites`).set(authHeader("carol", "Carol")).expect(403);
+  });
+
+  describe("over WebSocket", () => {
+    let baseWs;
+
+    beforeAll(async () => {
+      await start(0);
+      baseWs = `ws://localhost:${server.address().port}/ws`;
+    });
+
+    afterAll((done) => {
+      stop(() => done());
+    });
+
+    const open = (roomId, sub, invite) =>
+      new Promise((resolve, reject) => {
+        const token = encodeURIComponent(issueSessionToken({ sub, name: sub }));
+        const inviteParam = invite ? `&invite=${encodeURIComponent(invite)}` : "";
+        const ws = new WebSocket(`${baseWs}?roomId=${roomId}&token=${token}${inviteParam}`);
+        ws.once("open", () => resolve(ws));
+        ws.once("unexpected-response", (_req, res) => reject(new Error(`HTTP ${res.statusCode}`)));
+        ws.once("error", reject);
+      });
+
+    test("the upgrade needs membership or an invite", async () => {
+      const roomId = await createRoom();
+      const { token } = (await mintInvite(roomId, { maxUses: 1 }).expect(201)).body;
+
+      await expect(open(roomId, "dave")).rejects.toThrow("HTTP 403");
+      const dave = await open(roomId, "dave", token);
+      await expect(open(roomId, "erin", token)).rejects.toThrow("HTTP 403");
+      const host = await open(roomId, "alice");
+      dave.close();
+      // Dave was let in once, so he can come back without the (spent) invite
+      const again = await open(roomId, "dave");
+      again.close();
+      host.close();
+    });
+
+    test("rooms the server lost aren't recreated open by a socket", async () => {
+      const roomId = await createRoom();
+      rooms.delete(roomId);
+
+      await expect(open(roomId, "dave")).rejects.toThrow("HTTP 404");
+      expect(rooms.has(roomId)).toBe(false);
+    });
+  });
+});
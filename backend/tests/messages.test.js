@@ -0,0 +1,99 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+
+const request = require("supertest");
+
+const messageLog = require("../messageLog");
+const { app, rooms, ensureRoom, handleMessage, issueSessionToken } = require("../server");
+
+const authHeader = (sub = "alice", name = "Alice") => ({
+  Authorization: `Bearer ${issueSessionToken({ sub, name })}`,
+});
+
+function addClient(roomId, sub, name) {
+  const client = { name, sub, socket: { readyState: 1, send: jest.fn() } };
+  rooms.get(roomId).clients.add(client);
+  return client;
+}
+
+describe("room message log", () => {
+  afterEach(() => {
+    rooms.forEach((room) => room.deletionTimer && clearTimeout(room.deletionTimer));
+    rooms.clear();
+  });
+
+  test("log is bounded and pages backwards by seq", () => {
+    const log = messageLog.createLog();
+    for (let i = 1; i <= 7; i++) {
+      messageLog.appendToLog(log, { type: "chat", text: `m${i}` }, 5);
+    }
+    expect(log.entries.map((e) => e.seq)).toEqual([3, 4, 5, 6, 7]);
+
+    const first = messageLog.pageLog(log.entries, { limit: 2 });
+    expect(first.messages.map((m) => m.text)).toEqual(["m6", "m7"]);
+    expect(first.nextBefore).toBe(6);
+    const second = messageLog.pageLog(log.entries, { before: first.nextBefore, limit: 10 });
+    expect(second.messages.map((m) => m.text)).toEqual(["m3", "m4", "m5"]);
+    expect(second.nextBefore).toBeNull();
+  });
+
+  test("page size is clamped", () => {
+    expect(messageLog.parsePageSize(undefined)).toBe(messageLog.DEFAULT_PAGE_SIZE);
+    expect(messageLog.parsePageSize("0")).toBe(messageLog.DEFAULT_PAGE_SIZE);
+    expect(messageLog.parsePageSize("5000")).toBe(messageLog.MAX_PAGE_SIZE);
+  });
+
+  test("chat and system messages are logged and served to members", async () => {
+    ensureRoom("chatty-room", { encryptionRequired: false });
+    const alice = addClient("chatty-room", "alice", "Alice");
+    handleMessage("chatty-room", alice, { type: "chat", text: "hi", ts: 1 });
+    handleMessage("chatty-room", alice, { type: "typing", active: true });
+    handleMessage("chatty-room", alice, { type: "system", text: "Alice paused", ts: 2 });
+    handleMessage("chatty-room", alice, { type: "chat", text: "back", ts: 3 });
+
+    const res = await request(app).get("/rooms/chatty-room/messages?limit=2").set(authHeader()).expect(200);
+    expect(res.body.messages).toEqual([
+      expect.objectContaining({ type: "system", text: "Alice paused", seq: 2 }),
+      expect.objectContaining({ type: "chat", text: "back", from: "Alice", fromId: "alice", seq: 3 }),
+    ]);
+    expect(res.body.nextBefore).toBe(2);
+
+    const older = await request(app)
+      .get(`/rooms/chatty-room/messages?before=${res.body.nextBefore}`)
+      .set(authHeader())
+      .expect(200);
+    expect(older.body.messages.map((m) => m.text)).toEqual(["hi"]);
+    expect(older.body.nextBefore).toBeNull();
+  });
+
+  test("encrypted rooms keep only persisted envelopes", async () => {
+    ensureRoom("secret-room", { encryptionRequired: true });
+    const alice = addClient("secret-room", "alice", "Alice");
+    handleMessage("secret-room", alice, { type: "chat", text: "plaintext" });
+    handleMessage("secret-room", alice, { type: "encrypted", ciphertext: "typing", iv: "iv" });
+    handleMessage("secret-room", alice, { type: "encrypted", ciphertext: "chat", iv: "iv", persist: true });
+
+    const res = await request(app).get("/rooms/secret-room/messages").set(authHeader()).expect(200);
+    expect(res.body.messages).toEqual([
+      expect.objectContaining({ type: "encrypted", ciphertext: "chat", fromId: "alice", seq: 1 }),
+    ]);
+  });
+
+  test("readers only get envelopes addressed to them", async () => {
+    ensureRoom("pairwise-room", { encryptionRequired: true });
+    const alice = addClient("pairwise-room", "alice", "Alice");
+    addClient("pairwise-room", "bob", "Bob");
+    handleMessage("pairwise-room", alice, { type: "encrypted", ciphertext: "b", iv: "iv", recipientId: "bob", persist: true });
+    handleMessage("pairwise-room", alice, { type: "encrypted", ciphertext: "c", iv: "iv", recipientId: "carol", persist: true });
+
+    const res = await request(app).get("/rooms/pairwise-room/messages").set(authHeader("bob", "Bob")).expect(200);
+    expect(res.body.messages.map((m) => m.ciphertext)).toEqual(["b"]);
+  });
+
+  test("only members can read the log", async () => {
+    ensureRoom("private-room", { encryptionRequired: false });
+    addClient("private-room", "alice", "Alice");
+    const res = await request(app).get("/rooms/private-room/messages").set(authHeader("mallory", "Mallory")).expect(403);
+    expect(res.body).toEqual({ error: "not_in_room" });
+    await request(app).get("/rooms/missing-room/messages").set(authHeader()).expect(404);
+  });
+});
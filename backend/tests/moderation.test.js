@@ -0,0 +1,137 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+
+const WebSocket = require("ws");
+const request = require("supertest");
+
+const { app, server, start, stop, rooms, ensureRoom, handleMessage, issueSessionToken } = require("../server");
+
+const authHeader = (sub, name = sub) => ({
+  Authorization: `Bearer ${issueSessionToken({ sub, name })}`,
+});
+
+function makeClient(name, sub) {
+  const sent = [];
+  return {
+    name,
+    sub,
+    sent,
+    socket: { readyState: 1, send: (data) => sent.push(JSON.parse(data)), close: jest.fn() },
+  };
+}
+
+function setupRoom(roomId, opts = {}) {
+  const room = ensureRoom(roomId, { encryptionRequired: false, hostId: "host-1", ...opts });
+  const host = makeClient("Alice", "host-1");
+  const cohost = makeClient("Bob", "cohost-1");
+  const viewer = makeClient("Carol", "viewer-1");
+  room.coHostIds.add("cohost-1");
+  [host, cohost, viewer].forEach((c) => room.clients.add(c));
+  return { room, host, cohost, viewer };
+}
+
+const systemTexts = (client) => client.sent.filter((m) => m.type === "system").map((m) => m.text);
+
+describe("moderation", () => {
+  afterEach(() => {
+    rooms.forEach((room) => room.deletionTimer && clearTimeout(room.deletionTimer));
+    rooms.clear();
+  });
+
+  test("kick tells the user, closes their socket and announces it", () => {
+    const { room, host, cohost, viewer } = setupRoom("mod-kick");
+    room.admittedIds.add("viewer-1");
+
+    handleMessage("mod-kick", cohost, { type: "kick", targetId: "viewer-1" });
+
+    expect(viewer.sent).toContainEqual(expect.objectContaining({ type: "moderation", action: "kick", by: "Bob" }));
+    expect(viewer.socket.close).toHaveBeenCalledWith(4405, expect.any(String));
+    expect(systemTexts(host)).toContain("Bob removed Carol from the room");
+    expect(room.admittedIds.has("viewer-1")).toBe(false);
+    expect(room.bannedIds.has("viewer-1")).toBe(false);
+  });
+
+  test("ban keeps the user out of join for the room's lifetime", async () => {
+    const roomId = (await request(app).post("/rooms").set(authHeader("host-1", "Alice")).send({}).expect(200)).body.roomId;
+    const room = rooms.get(roomId);
+    const host = makeClient("Alice", "host-1");
+    const viewer = makeClient("Carol", "viewer-1");
+    room.memberIds.add("viewer-1");
+    [host, viewer].forEach((c) => room.clients.add(c));
+
+    handleMessage(roomId, host, { type: "ban", targetId: "viewer-1" });
+
+    expect(viewer.socket.close).toHaveBeenCalledWith(4406, expect.any(String));
+    expect(systemTexts(host)).toContain("Alice banned Carol from the room");
+    const res = await request(app).post(`/rooms/${roomId}/join`).set(authHeader("viewer-1")).send({}).expect(403);
+    expect(res.body).toEqual({ error: "banned" });
+  });
+
+  test("muted users can watch but their chat is dropped", () => {
+    const { room, host, viewer } = setupRoom("mod-mute");
+
+    handleMessage("mod-mute", host, { type: "mute-chat", targetId: "viewer-1" });
+    expect(viewer.sent).toContainEqual(expect.objectContaining({ type: "moderation", action: "mute-chat" }));
+    expect(systemTexts(host)).toContain("Alice muted Carol's chat");
+    expect(viewer.socket.close).not.toHaveBeenCalled();
+
+    host.sent.length = 0;
+    handleMessage("mod-mute", viewer, { type: "chat", text: "spam" });
+    handleMessage("mod-mute", viewer, { type: "state", payload: { t: 5, paused: true } });
+    expect(host.sent.map((m) => m.type)).toEqual(["state"]);
+    expect(viewer.sent).toContainEqual({ type: "error", code: "chat-muted", messageType: "chat" });
+
+    handleMessage("mod-mute", host, { type: "mute-chat", targetId: "viewer-1", muted: false });
+    expect(room.mutedIds.has("viewer-1")).toBe(false);
+    handleMessage("mod-mute", viewer, { type: "chat", text: "sorry" });
+    expect(host.sent).toContainEqual(expect.objectContaining({ type: "chat", text: "sorry" }));
+  });
+
+  test("viewers can't moderate, co-hosts can't touch co-hosts, nobody touches the host", () => {
+    const { room, host, cohost, viewer } = setupRoom("mod-perms");
+    room.coHostIds.add("cohost-2");
+    const other = makeClient("Dan", "cohost-2");
+    room.clients.add(other);
+
+    handleMessage("mod-perms", viewer, { type: "kick", targetId: "cohost-1" });
+    handleMessage("mod-perms", cohost, { type: "ban", targetId: "cohost-2" });
+    handleMessage("mod-perms", cohost, { type: "kick", targetId: "host-1" });
+    handleMessage("mod-perms", host, { type: "mute-chat", targetId: "host-1" });
+
+    [host, cohost, other].forEach((c) => expect(c.socket.close).not.toHaveBeenCalled());
+    expect(room.bannedIds.size).toBe(0);
+    expect(room.mutedIds.size).toBe(0);
+
+    // The host can remove a co-host; a ban also drops the role
+    handleMessage("mod-perms", host, { type: "ban", targetId: "cohost-2" });
+    expect(other.socket.close).toHaveBeenCalledWith(4406, expect.any(String));
+    expect(room.coHostIds.has("cohost-2")).toBe(false);
+  });
+
+  describe("over WebSocket", () => {
+    let baseWs;
+
+    beforeAll(async () => {
+      await start(0);
+      baseWs = `ws://localhost:${server.address().port}/ws`;
+    });
+
+    afterAll((done) => {
+      stop(() => done());
+    });
+
+    test("a banned user knocking doesn't keep an empty room alive", async () => {
+      const { room, host, cohost, viewer } = setupRoom("mod-empty");
+      handleMessage("mod-empty", host, { type: "ban", targetId: "viewer-1" });
+      [host, cohost, viewer].forEach((c) => room.clients.delete(c));
+      const deletionTimer = setTimeout(() => {}, 60000);
+      room.deletionTimer = deletionTimer;
+
+      const token = encodeURIComponent(issueSessionToken({ sub: "viewer-1", name: "Carol" }));
+      const ws = new WebSocket(`${baseWs}?roomId=mod-empty&token=${token}`);
+      const code = await new Promise((resolve) => ws.once("close", resolve));
+
+      expect(code).toBe(4406);
+      expect(room.deletionTimer).toBe(deletionTimer);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+process.env.REQUIRE_ENCRYPTION = "true";
+
+const crypto = require("crypto");
+const WebSocket = require("ws");
+const request = require("supertest");
+
+const rateLimit = require("../rateLimit");
+const { verifierForProof } = require("../roomAccess");
+const { app, server, start, stop, rooms, issueSessionToken } = require("../server");
+
+const authHeader = (sub = "alice", name = "Alice") => ({
+  Authorization: `Bearer ${issueSessionToken({ sub, name })}`,
+});
+
+// What a client derives from the passphrase (see client/e2e-crypto.js); random here
+const salt = crypto.randomBytes(16).toString("base64");
+const proof = crypto.randomBytes(32).toString("base64");
+const wrongProof = crypto.randomBytes(32).toString("base64");
+
+// Passphrase rooms are invite-only like any other; the invite lets Bob and Mallory knock
+async function createProtectedRoom() {
+  const res = await request(app)
+    .post("/rooms")
+    .set(authHeader())
+    .send({ passphraseSalt: salt, passphraseVerifier: verifierForProof(proof) })
+    .expect(200);
+  const invite = await request(app).post(`/rooms/${res.body.roomId}/invites`).set(authHeader()).send({}).expect(201);
+  return { ...res.body, invite: invite.body.token };
+}
+
+describe("passphrase rooms", () => {
+  afterEach(() => {
+    rateLimit.resetMemoryRateLimits();
+    rooms.forEach((room) => room.deletionTimer && clearTimeout(room.deletionTimer));
+    rooms.clear();
+  });
+
+  test("creation stores only the salt and verifier", async () => {
+    const { roomId, invite, passphraseRequired } = await createProtectedRoom();
+    expect(passphraseRequired).toBe(true);
+    expect(rooms.get(roomId).passphrase).toEqual({ salt, verifier: verifierForProof(proof) });
+
+    const preview = await request(app)
+      .get(`/rooms/${roomId}/preview`)
+      .query({ invite })
+      .set(authHeader("bob", "Bob"))
+      .expect(200);
+    expect(preview.body).toMatchObject({ passphraseRequired: true, passphraseSalt: salt });
+    expect(preview.body.passphraseVerifier).toBeUndefined();
+  });
+
+  test("malformed verifiers are rejected", async () => {
+    const res = await request(app)
+      .post("/rooms")
+      .set(authHeader())
+      .send({ passphraseSalt: salt, passphraseVerifier: "short" })
+      .expect(400);
+    expect(res.body).toEqual({ error: "invalid_passphrase_verifier" });
+    await request(app).post("/rooms").set(authHeader()).send({ passphraseSalt: salt }).expect(400);
+  });
+
+  test("join needs the right proof", async () => {
+    const { roomId, invite } = await createProtectedRoom();
+    const join = (body) =>
+      request(app).post(`/rooms/${roomId}/join`).set(authHeader("bob", "Bob")).send({ invite, ...body });
+
+    expect((await join({}).expect(403)).body).toEqual({ error: "passphrase_required", passphraseSalt: salt });
+    expect((await join({ passphraseProof: wrongProof }).expect(403)).body.error).toBe("invalid_passphrase");
+    expect((await join({ passphraseProof: "passphrase" }).expect(403)).body.error).toBe("invalid_passphrase");
+    await join({ passphraseProof: proof }).expect(200);
+    // Failed attempts didn't spend the invite
+    const invites = await request(app).get(`/rooms/${roomId}/invites`).set(authHeader()).expect(200);
+    expect(invites.body.invites[0].uses).toBe(1);
+  });
+
+  test("guessing is rate limited", async () => {
+    const { roomId, invite } = await createProtectedRoom();
+    const limit = rateLimit.getRule("rooms:passphrase").limit;
+    for (let i = 0; i < limit; i++) {
+      await request(app)
+        .post(`/rooms/${roomId}/join`)
+        .set(authHeader("mallory", "Mallory"))
+        .send({ invite, passphraseProof: wrongProof });
+    }
+    const res = await request(app)
+      .post(`/rooms/${roomId}/join`)
+      .set(authHeader("mallory", "Mallory"))
+      .send({ invite, passphraseProof: proof })
+      .expect(429);
+    expect(res.body.error).toBe("rate_limited");
+  });
+
+  describe("over WebSocket", () => {
+    let baseWs;
+
+    beforeAll(async () => {
+      await start(0);
+      baseWs = `ws://localhost:${server.address().port}/ws`;
+    });
+
+    afterAll((done) => {
+      stop(() => done());
+    });
+
+    // Like the extension: the proof rides in Sec-WebSocket-Protocol, base64url-encoded
+    const open = (roomId, invite, withProof, query = "") =>
+      new Promise((resolve, reject) => {
+        const token = encodeURIComponent(issueSessionToken({ sub: "bob", name: "Bob" }));
+        const protocols = withProof
+          ? ["flixers", `flixers-proof.${Buffer.from(withProof, "base64").toString("base64url")}`]
+          : undefined;
+        const ws = new WebSocket(`${baseWs}?roomId=${roomId}&token=${token}&invite=${invite}${query}`, protocols);
+        ws.once("open", () => resolve(ws));
+        ws.once("unexpected-response", (_req, res) => reject(new Error(`HTTP ${res.statusCode}`)));
+        ws.once("error", reject);
+      });
+    const close = (ws) => new Promise((resolve) => ws.once("close", resolve).close());
+
+    test("the upgrade needs the proof too", async () => {
+      const { roomId, invite } = await createProtectedRoom();
+      await expect(open(roomId, invite)).rejects.toThrow("HTTP 403");
+      await expect(open(roomId, invite, wrongProof)).rejects.toThrow("HTTP 403");
+      // Not from the URL, where proxies and access logs would keep it
+      await expect(open(roomId, invite, null, `&proof=${encodeURIComponent(proof)}`)).rejects.toThrow("HTTP 403");
+      const ws = await open(roomId, invite, proof);
+      expect(ws.protocol).toBe("flixers");
+      await close(ws);
+    });
+
+    test("reconnecting with the right proof doesn't use up the limit", async () => {
+      const { roomId, invite } = await createProtectedRoom();
+      const limit = rateLimit.getRule("rooms:passphrase").limit;
+      for (let i = 0; i <= limit; i++) {
+        await close(await open(roomId, invite, proof));
+      }
+    });
+
+    test("once wrong guesses use up the limit, even the right proof waits", async () => {
+      const { roomId, invite } = await createProtectedRoom();
+      const limit = rateLimit.getRule("rooms:passphrase").limit;
+      for (let i = 0; i < limit; i++) {
+        await expect(open(roomId, invite, wrongProof)).rejects.toThrow("HTTP 403");
+      }
+      await expect(open(roomId, invite, proof)).rejects.toThrow("HTTP 429");
+    });
+  });
+});
@@ -0,0 +1,183 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+
+const request = require("supertest");
+
+const { app, rooms, ensureRoom, handleMessage, issueSessionToken } = require("../server");
+const { currentPosition, positionTime, MAX_STAMP_AGE_MS } = require("../playback");
+
+const authHeader = (name = "Alice", sub = "user-1") => ({
+  Authorization: `Bearer ${issueSessionToken({ sub, name })}`,
+});
+
+function makeClient(name, sub) {
+  const sent = [];
+  return {
+    name,
+    sub,
+    sent,
+    socket: { readyState: 1, send: (data) => sent.push(JSON.parse(data)) },
+  };
+}
+
+describe("server playback clock", () => {
+  afterEach(() => {
+    rooms.clear();
+    jest.useRealTimers();
+  });
+
+  test("tracks state messages and extrapolates while playing", () => {
+    jest.useFakeTimers({ now: 1_000_000 });
+    const roomId = "clock-play";
+    const room = ensureRoom(roomId, { encryptionRequired: false });
+    const host = makeClient("Alice", "a");
+    room.clients.add(host);
+
+    handleMessage(roomId, host, {
+      type: "state",
+      payload: { t: 100, paused: false, rate: 1, url: "https://www.netflix.com/watch/42" },
+    });
+    jest.setSystemTime(1_010_000);
+
+    expect(currentPosition(room.playback)).toBeCloseTo(110, 3);
+    expect(room.playback.url).toBe("https://www.netflix.com/watch/42");
+  });
+
+  test("relayed state names its sender so clients can pick whose heartbeats to follow", () => {
+    const roomId = "clock-sender";
+    const room = ensureRoom(roomId, { encryptionRequired: false });
+    const host = makeClient("Alice", "a");
+    const viewer = makeClient("Bob", "b");
+    room.clients.add(host);
+    room.clients.add(viewer);
+
+    handleMessage(roomId, host, { type: "state", payload: { t: 5, paused: false, reason: "time" } });
+    expect(host.sent).toHaveLength(0);
+    expect(viewer.sent).toEqual([
+      { type: "state", payload: { t: 5, paused: false, reason: "time" }, from: "Alice", fromId: "a" },
+    ]);
+  });
+
+  test("holds position while paused and honours playback rate", () => {
+    jest.useFakeTimers({ now: 2_000_000 });
+    const roomId = "clock-rate";
+    const room = ensureRoom(roomId, { encryptionRequired: false });
+    const host = makeClient("Alice", "a");
+    room.clients.add(host);
+
+    handleMessage(roomId, host, { type: "state", payload: { t: 10, paused: false, rate: 2 } });
+    jest.setSystemTime(2_005_000);
+    expect(currentPosition(room.playback)).toBeCloseTo(20, 3);
+
+    handleMessage(roomId, host, { type: "state", payload: { paused: true } });
+    jest.setSystemTime(2_060_000);
+    expect(currentPosition(room.playback)).toBeCloseTo(20, 3);
+  });
+
+  test("positions count from the sender's server-time stamp", () => {
+    jest.useFakeTimers({ now: 2_500_000 });
+    const roomId = "clock-stamp";
+    const room = ensureRoom(roomId, { encryptionRequired: false });
+    const host = makeClient("Alice", "a");
+    room.clients.add(host);
+
+    // Read 800ms ago on the server clock, so it has already played on since
+    handleMessage(roomId, host, { type: "state", payload: { t: 30, paused: false, ts: 2_499_200 } });
+    expect(currentPosition(room.playback)).toBeCloseTo(30.8, 3);
+
+    // Stamps from the future or long ago are not trusted
+    expect(positionTime(2_500_100)).toBe(2_500_000);
+    expect(positionTime(2_500_000 - MAX_STAMP_AGE_MS - 1)).toBe(2_500_000);
+    expect(positionTime(undefined)).toBe(2_500_000);
+  });
+
+  test("the host can lock the room's speed to 1x", async () => {
+    const create = await request(app)
+      .post("/rooms")
+      .set(authHeader())
+      .send({ encryptionRequired: false, ratePolicy: "bogus" });
+    expect(create.body.ratePolicy).toBe("sync");
+    const { roomId } = create.body;
+    const room = rooms.get(roomId);
+    const host = makeClient("Alice", "user-1");
+    room.clients.add(host);
+
+    handleMessage(roomId, host, { type: "state", payload: { t: 10, paused: false, rate: 1.5 } });
+    expect(room.playback.rate).toBe(1.5);
+
+    handleMessage(roomId, host, { type: "room-settings", ratePolicy: "locked" });
+    expect(room.playback.rate).toBe(1);
+    expect(host.sent).toContainEqual(expect.objectContaining({ type: "system", text: "Alice locked playback speed to 1x" }));
+
+    handleMessage(roomId, host, { type: "state", payload: { t: 20, paused: false, rate: 2 } });
+    expect(room.playback.rate).toBe(1);
+  });
+
+  test("answers sync-request directly from the server clock", () => {
+    jest.useFakeTimers({ now: 3_000_000 });
+    const roomId = "clock-sync";
+    const room = ensureRoom(roomId, { encryptionRequired: false });
+    const host = makeClient("Alice", "a");
+    const joiner = makeClient("Bob", "b");
+    room.clients.add(host);
+    room.clients.add(joiner);
+
+    handleMessage(roomId, host, {
+      type: "state",
+      payload: { t: 50, paused: false, url: "https://www.netflix.com/watch/7" },
+    });
+    jest.setSystemTime(3_004_000);
+    handleMessage(roomId, joiner, { type: "sync-request" });
+
+    expect(host.sent).toHaveLength(0);
+    expect(joiner.sent).toHaveLength(2);
+    expect(joiner.sent[1]).toMatchObject({
+      type: "sync-state",
+      paused: false,
+      url: "https://www.netflix.com/watch/7",
+      from: "server",
+    });
+    expect(joiner.sent[1].time).toBeCloseTo(54, 3);
+  });
+
+  test("falls back to asking peers when no state is known", () => {
+    const roomId = "clock-empty";
+    const room = ensureRoom(roomId, { encryptionRequired: false });
+    const host = makeClient("Alice", "a");
+    const joiner = makeClient("Bob", "b");
+    room.clients.add(host);
+    room.clients.add(joiner);
+
+    handleMessage(roomId, joiner, { type: "sync-request" });
+
+    expect(joiner.sent).toHaveLength(0);
+    expect(host.sent).toHaveLength(1);
+    expect(host.sent[0]).toMatchObject({ type: "sync-request", from: "Bob" });
+  });
+
+  test("episode change resets the position", () => {
+    const roomId = "clock-episode";
+    const room = ensureRoom(roomId, { encryptionRequired: false });
+    const host = makeClient("Alice", "a");
+    room.clients.add(host);
+
+    handleMessage(roomId, host, { type: "state", payload: { t: 1200, paused: true } });
+    handleMessage(roomId, host, { type: "episode-changed", url: "https://www.netflix.com/watch/8" });
+
+    expect(room.playback.t).toBe(0);
+    expect(room.playback.url).toBe("https://www.netflix.com/watch/8");
+  });
+
+  test("preview reports the live position", async () => {
+    const create = await request(app).post("/rooms").set(authHeader()).send({ encryptionRequired: false });
+    const { roomId } = create.body;
+    const room = rooms.get(roomId);
+    const host = makeClient("Alice", "user-1");
+    room.clients.add(host);
+    handleMessage(roomId, host, { type: "state", payload: { t: 321.6, paused: true } });
+
+    const res = await request(app).get(`/rooms/${roomId}/preview`).set(authHeader());
+
+    expect(res.status).toBe(200);
+    expect(res.body.initialTime).toBe(321);
+  });
+});
@@ -0,0 +1,96 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+process.env.DATABASE_URL = "postgresql://test/test";
+
+jest.mock("../db", () => ({
+  getUserById: jest.fn(),
+  updateUserProfile: jest.fn(),
+  updatePreferences: jest.fn(),
+}));
+
+const request = require("supertest");
+const db = require("../db");
+
+const { app, issueSessionToken, verifySessionToken } = require("../server");
+
+const authHeader = (sub = "user-1", name = "Alice") => ({
+  Authorization: `Bearer ${issueSessionToken({ sub, name, email: "alice@example.com" })}`,
+});
+
+const storedUser = {
+  id: "user-1",
+  email: "alice@example.com",
+  name: "Alice",
+  picture: null,
+  createdAt: "2024-01-01T00:00:00.000Z",
+  preferences: { theme: "dark", notificationsEnabled: false, defaultEncryption: true },
+};
+
+describe("profile endpoints", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.getUserById.mockResolvedValue(storedUser);
+  });
+
+  test("require authentication", async () => {
+    await request(app).get("/me").expect(401);
+    await request(app).put("/me/preferences").send({ theme: "dark" }).expect(401);
+  });
+
+  test("GET /me returns the stored profile and preferences", async () => {
+    const res = await request(app).get("/me").set(authHeader()).expect(200);
+    expect(db.getUserById).toHaveBeenCalledWith("user-1");
+    expect(res.body.profile).toMatchObject({ sub: "user-1", name: "Alice", email: "alice@example.com" });
+    expect(res.body.preferences).toEqual({ theme: "dark", notificationsEnabled: false, defaultEncryption: true });
+  });
+
+  test("GET /me returns 404 for unknown users", async () => {
+    db.getUserById.mockResolvedValue(null);
+    await request(app).get("/me").set(authHeader()).expect(404);
+  });
+
+  test("GET /me/preferences falls back to defaults", async () => {
+    db.getUserById.mockResolvedValue({ ...storedUser, preferences: null });
+    const res = await request(app).get("/me/preferences").set(authHeader()).expect(200);
+    expect(res.body.preferences).toEqual({ theme: "system", notificationsEnabled: true, defaultEncryption: true });
+  });
+
+  test("PATCH /me renames the user and re-issues the session", async () => {
+    db.updateUserProfile.mockResolvedValue({ ...storedUser, name: "Ally" });
+    const res = await request(app).patch("/me").set(authHeader()).send({ name: "  Ally " }).expect(200);
+    expect(db.updateUserProfile).toHaveBeenCalledWith("user-1", { name: "Ally", customName: true });
+    expect(res.body.profile.name).toBe("Ally");
+    expect(verifySessionToken(res.body.token)).toMatchObject({ sub: "user-1", name: "Ally" });
+  });
+
+  test("PATCH /me rejects invalid names", async () => {
+    await request(app).patch("/me").set(authHeader()).send({ name: "   " }).expect(400);
+    await request(app).patch("/me").set(authHeader()).send({ name: "x".repeat(65) }).expect(400);
+    await request(app).patch("/me").set(authHeader()).send({}).expect(400);
+    expect(db.updateUserProfile).not.toHaveBeenCalled();
+  });
+
+  test("PUT /me/preferences validates and saves preferences", async () => {
+    db.updatePreferences.mockResolvedValue({ theme: "light", notificationsEnabled: true, defaultEncryption: false });
+    const res = await request(app)
+      .put("/me/preferences")
+      .set(authHeader())
+      .send({ theme: "light", defaultEncryption: false, ignored: 1 })
+      .expect(200);
+    expect(db.updatePreferences).toHaveBeenCalledWith("user-1", { theme: "light", defaultEncryption: false });
+    expect(res.body.preferences).toEqual({ theme: "light", notificationsEnabled: true, defaultEncryption: false });
+  });
+
+  test("PUT /me/preferences rejects bad values", async () => {
+    const bad = await request(app).put("/me/preferences").set(authHeader()).send({ theme: "neon" }).expect(400);
+    expect(bad.body.error).toBe("invalid_theme");
+    await request(app).put("/me/preferences").set(authHeader()).send({ notificationsEnabled: "yes" }).expect(400);
+    await request(app).put("/me/preferences").set(authHeader()).send({}).expect(400);
+    expect(db.updatePreferences).not.toHaveBeenCalled();
+  });
+
+  test("database errors surface as 500", async () => {
+    db.getUserById.mockRejectedValue(new Error("connection lost"));
+    const res = await request(app).get("/me").set(authHeader()).expect(500);
+    expect(res.body.error).toBe("db_error");
+  });
+});
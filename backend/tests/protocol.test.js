@@ -0,0 +1,165 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+
+const WebSocket = require("ws");
+
+const protocol = require("../protocol");
+const rateLimit = require("../rateLimit");
+const { server, start, stop, rooms, ensureRoom, handleMessage, issueSessionToken } = require("../server");
+
+describe("message schemas", () => {
+  const { validateMessage } = protocol;
+
+  test("accepts declared messages and ignores extra fields", () => {
+    expect(validateMessage("inbound", { type: "chat", text: "hi", ts: 1, extra: true })).toBeNull();
+    expect(validateMessage("inbound", { type: "state", payload: { t: 12.5, paused: false, url: null } })).toBeNull();
+    expect(validateMessage("inbound", { type: "hello", version: 1, capabilities: ["e2e"] })).toBeNull();
+    expect(validateMessage("outbound", protocol.helloReply())).toBeNull();
+  });
+
+  test("reports unknown types, missing fields, wrong types and long values", () => {
+    expect(validateMessage("inbound", "chat")).toMatchObject({ code: "invalid-message" });
+    expect(validateMessage("inbound", { type: "nope" })).toEqual({ code: "unknown-type" });
+    expect(validateMessage("inbound", { type: "presence" })).toEqual({ code: "unknown-type" });
+    expect(validateMessage("inbound", { type: "chat" })).toEqual({ code: "invalid-field", detail: "text: required" });
+    expect(validateMessage("inbound", { type: "typing", active: "yes" })).toMatchObject({ detail: "active: expected boolean" });
+    expect(validateMessage("inbound", { type: "state", payload: { t: "5" } })).toMatchObject({
+      detail: "payload.t: expected number",
+    });
+    expect(
+      validateMessage("inbound", { type: "chat", text: "x".repeat(protocol.MAX_CHAT_LENGTH + 1) })
+    ).toMatchObject({ code: "invalid-field" });
+    expect(validateMessage("inbound", { type: "set-role", targetId: "u1", role: "host" })).toMatchObject({
+      detail: "role: unexpected value",
+    });
+  });
+
+  test("outbound messages are checked too", () => {
+    expect(validateMessage("outbound", { type: "waiting-room", status: "maybe" })).toMatchObject({
+      code: "invalid-field",
+    });
+    expect(
+      validateMessage("outbound", {
+        type: "presence",
+        participants: [{ id: "u1", name: "Alice", picture: null, role: "host" }],
+        users: ["Alice"],
+        avatars: {},
+        hostId: "u1",
+      })
+    ).toBeNull();
+  });
+});
+
+describe("protocol handshake", () => {
+  let baseWs;
+
+  beforeAll(async () => {
+    await start(0);
+    baseWs = `ws://localhost:${server.address().port}/ws`;
+  });
+
+  afterAll((done) => {
+    stop(() => done());
+  });
+
+  afterEach(() => {
+    rateLimit.resetMemoryRateLimits();
+    rooms.forEach((room) => room.deletionTimer && clearTimeout(room.deletionTimer));
+    rooms.clear();
+  });
+
+  const open = (sub) =>
+    new Promise((resolve, reject) => {
+      ensureRoom("proto-room", { encryptionRequired: false, hostId: "alice" });
+      const token = issueSessionToken({ sub, name: sub });
+      const ws = new WebSocket(`${baseWs}?roomId=proto-room&token=${encodeURIComponent(token)}`);
+      ws.received = [];
+      ws.on("message", (raw) => {
+        ws.received.push(JSON.parse(raw.toString()));
+        ws.emit("received");
+      });
+      ws.once("open", () => resolve(ws));
+      ws.once("error", reject);
+    });
+
+  const waitFor = (ws, predicate) =>
+    new Promise((resolve) => {
+      const check = () => {
+        const found = ws.received.find(predicate);
+        if (!found) return;
+        ws.off("received", check);
+        resolve(found);
+      };
+      ws.on("received", check);
+      check();
+    });
+
+  const isError = (code) => (msg) => msg.type === "error" && msg.code === code;
+
+  test("the server answers hello with its version and capabilities", async () => {
+    const ws = await open("alice");
+    ws.send(JSON.stringify({ type: "hello", version: protocol.PROTOCOL_VERSION, capabilities: ["e2e"] }));
+    const hello = await waitFor(ws, (msg) => msg.type === "hello");
+    expect(hello).toEqual(protocol.helloReply());
+    ws.close();
+  });
+
+  test("pings are answered with the echo and receive time for clock sync", async () => {
+    const ws = await open("alice");
+    const sentAt = Date.now();
+    ws.send(JSON.stringify({ type: "ping", ts: sentAt }));
+    const pong = await waitFor(ws, (msg) => msg.type === "pong");
+    expect(pong.echo).toBe(sentAt);
+    expect(pong.receivedAt).toBeGreaterThanOrEqual(sentAt);
+    expect(pong.ts).toBeGreaterThanOrEqual(pong.receivedAt);
+    ws.close();
+  });
+
+  test("unsupported versions get a typed error and are disconnected", async () => {
+    const ws = await open("alice");
+    const closed = new Promise((resolve) => ws.once("close", (code) => resolve(code)));
+    ws.send(JSON.stringify({ type: "hello", version: protocol.MIN_PROTOCOL_VERSION - 1 }));
+    expect(await waitFor(ws, isError("unsupported-version"))).toMatchObject({
+      minVersion: protocol.MIN_PROTOCOL_VERSION,
+    });
+    expect(await closed).toBe(4426);
+  });
+
+  test("invalid frames get typed errors and never reach the room", async () => {
+    const alice = await open("alice");
+    const bob = await open("bob");
+    await waitFor(alice, (msg) => msg.type === "presence" && msg.participants.length === 2);
+
+    alice.send("{not json");
+    alice.send(JSON.stringify({ type: "teleport" }));
+    alice.send(JSON.stringify({ type: "chat", text: "x".repeat(protocol.MAX_CHAT_LENGTH + 1) }));
+    alice.send(JSON.stringify({ type: "chat", text: "fine" }));
+
+    await waitFor(alice, isError("invalid-json"));
+    expect(await waitFor(alice, isError("unknown-type"))).toMatchObject({ messageType: "teleport" });
+    expect(await waitFor(alice, isError("invalid-field"))).toMatchObject({ messageType: "chat" });
+    await waitFor(bob, (msg) => msg.type === "chat");
+    expect(bob.received.filter((msg) => msg.type === "chat").map((msg) => msg.text)).toEqual(["fine"]);
+    alice.close();
+    bob.close();
+  });
+
+  test("oversized frames are refused by the socket", async () => {
+    const ws = await open("alice");
+    const closed = new Promise((resolve) => ws.once("close", (code) => resolve(code)));
+    ws.send(JSON.stringify({ type: "chat", text: "x".repeat(protocol.MAX_PAYLOAD_BYTES) }));
+    expect(await closed).toBe(1009);
+  });
+
+  test("outbound messages that don't match their schema are dropped", () => {
+    const room = ensureRoom("proto-out", { encryptionRequired: false, hostId: "alice" });
+    const sent = [];
+    const client = { name: "Alice", sub: "alice", socket: { readyState: 1, send: (data) => sent.push(data) } };
+    room.clients.add(client);
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    handleMessage("proto-out", client, { type: "system", text: 42 });
+    expect(sent).toEqual([]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("[Protocol] Dropped outbound system"));
+    warn.mockRestore();
+  });
+});
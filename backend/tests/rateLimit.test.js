@@ -0,0 +1,114 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+process.env.RATE_LIMITS = JSON.stringify({
+  "rooms:create": { limit: 2, windowSeconds: 60 },
+  "rooms:join": { limit: 3, roomLimit: 4, windowSeconds: 60 },
+  "ws:chat": { limit: 3, windowSeconds: 10 },
+});
+
+const WebSocket = require("ws");
+const request = require("supertest");
+
+const rateLimit = require("../rateLimit");
+const { app, server, start, stop, rooms, ensureRoom, issueSessionToken } = require("../server");
+
+const authHeader = (sub = "alice", name = "Alice") => ({
+  Authorization: `Bearer ${issueSessionToken({ sub, name })}`,
+});
+
+describe("rate limiting", () => {
+  afterEach(() => {
+    rateLimit.resetMemoryRateLimits();
+    rooms.forEach((room) => room.deletionTimer && clearTimeout(room.deletionTimer));
+    rooms.clear();
+  });
+
+  test("in-memory counter uses a fixed window", () => {
+    const now = 1000;
+    expect(rateLimit.checkMemoryRateLimit("k", 2, 10, now)).toBe(true);
+    expect(rateLimit.checkMemoryRateLimit("k", 2, 10, now + 1)).toBe(true);
+    expect(rateLimit.checkMemoryRateLimit("k", 2, 10, now + 2)).toBe(false);
+    expect(rateLimit.checkMemoryRateLimit("k", 2, 10, now + 10000)).toBe(true);
+  });
+
+  test("peeking doesn't count a hit", () => {
+    const now = 1000;
+    expect(rateLimit.peekMemoryRateLimit("p", 1, now)).toBe(true);
+    expect(rateLimit.peekMemoryRateLimit("p", 1, now)).toBe(true);
+    rateLimit.checkMemoryRateLimit("p", 1, 10, now);
+    expect(rateLimit.peekMemoryRateLimit("p", 1, now + 1)).toBe(false);
+    expect(rateLimit.peekMemoryRateLimit("p", 1, now + 10000)).toBe(true);
+  });
+
+  test("RATE_LIMITS overrides defaults and unknown WS types share the default rule", () => {
+    expect(rateLimit.getRule("ws:chat")).toMatchObject({ limit: 3, roomLimit: 60, windowSeconds: 10 });
+    expect(rateLimit.wsRuleName("chat")).toBe("ws:chat");
+    expect(rateLimit.wsRuleName("made-up")).toBe("ws:default");
+  });
+
+  test("POST /rooms is limited per user", async () => {
+    await request(app).post("/rooms").set(authHeader()).send({}).expect(200);
+    await request(app).post("/rooms").set(authHeader()).send({}).expect(200);
+    const res = await request(app).post("/rooms").set(authHeader()).send({}).expect(429);
+    expect(res.body).toEqual({ error: "rate_limited", retryAfter: 60 });
+    expect(res.headers["retry-after"]).toBe("60");
+    // Other users are unaffected
+    await request(app).post("/rooms").set(authHeader("bob", "Bob")).send({}).expect(200);
+  });
+
+  test("join and preview share per-user and per-room limits", async () => {
+    ensureRoom("busy-room", { encryptionRequired: false });
+    await request(app).post("/rooms/busy-room/join").set(authHeader()).expect(200);
+    await request(app).get("/rooms/busy-room/preview").set(authHeader()).expect(200);
+    await request(app).post("/rooms/busy-room/join").set(authHeader()).expect(200);
+    await request(app).post("/rooms/busy-room/join").set(authHeader()).expect(429);
+
+    // The room itself allows 4 hits per window across everyone (alice used 4 incl. the rejected one)
+    await request(app).get("/rooms/busy-room/preview").set(authHeader("bob", "Bob")).expect(429);
+  });
+
+  describe("over WebSocket", () => {
+    let baseWs;
+
+    beforeAll(async () => {
+      await start(0);
+      baseWs = `ws://localhost:${server.address().port}/ws`;
+    });
+
+    afterAll((done) => {
+      stop(() => done());
+    });
+
+    test("flooding chat gets a typed rate-limited error instead of being relayed", async () => {
+      const token = issueSessionToken({ sub: "spammer", name: "Spammer" });
+      const peerToken = issueSessionToken({ sub: "peer", name: "Peer" });
+      ensureRoom("flood-room", { encryptionRequired: false });
+
+      const open = (t) =>
+        new Promise((resolve, reject) => {
+          const ws = new WebSocket(`${baseWs}?roomId=flood-room&token=${encodeURIComponent(t)}`);
+          ws.received = [];
+          ws.on("message", (raw) => ws.received.push(JSON.parse(raw.toString())));
+          ws.once("open", () => resolve(ws));
+          ws.once("error", reject);
+        });
+      const spammer = await open(token);
+      const peer = await open(peerToken);
+
+      for (let i = 0; i < 6; i++) {
+        spammer.send(JSON.stringify({ type: "chat", text: `msg ${i}` }));
+      }
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      const relayed = peer.received.filter((m) => m.type === "chat");
+      expect(relayed.map((m) => m.text)).toEqual(["msg 0", "msg 1", "msg 2"]);
+      const errors = spammer.received.filter((m) => m.type === "error");
+      // One notice per type per second, not one per dropped message
+      expect(errors).toEqual([
+        expect.objectContaining({ code: "rate-limited", messageType: "chat", retryAfter: 10 }),
+      ]);
+
+      spammer.close();
+      peer.close();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+
+const readyCheck = require("../readyCheck");
+const { rooms, ensureRoom, handleMessage } = require("../server");
+
+function makeClient(name, sub) {
+  const sent = [];
+  return {
+    name,
+    sub,
+    sent,
+    socket: { readyState: 1, send: (data) => sent.push(JSON.parse(data)), close: jest.fn() },
+  };
+}
+
+function setupRoom(roomId, opts = {}) {
+  const room = ensureRoom(roomId, { encryptionRequired: false, hostId: "alice", ...opts });
+  const alice = makeClient("Alice", "alice");
+  const bob = makeClient("Bob", "bob");
+  const carol = makeClient("Carol", "carol");
+  [alice, bob, carol].forEach((c) => room.clients.add(c));
+  return { room, alice, bob, carol };
+}
+
+// Starting a check looks the participants up first (Redis in a cluster)
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+const checks = (client) => client.sent.filter((m) => m.type === "ready-check");
+
+describe("ready check", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    rooms.forEach((room) => {
+      clearTimeout(room.deletionTimer);
+      clearTimeout(room.readyCheckTimer);
+    });
+    rooms.clear();
+  });
+
+  test("counts down once everyone is ready and starts the server clock then", async () => {
+    const { room, alice, bob, carol } = setupRoom("ready-all");
+    handleMessage("ready-all", alice, { type: "state", payload: { t: 42, paused: true } });
+
+    handleMessage("ready-all", alice, { type: "ready-check", action: "start" });
+    await flush();
+    expect(checks(bob)[0]).toMatchObject({
+      status: "checking",
+      by: "Alice",
+      byId: "alice",
+      participants: [
+        { id: "alice", name: "Alice", ready: false },
+        { id: "bob", name: "Bob", ready: false },
+        { id: "carol", name: "Carol", ready: false },
+      ],
+    });
+
+    handleMessage("ready-all", alice, { type: "ready", ready: true });
+    handleMessage("ready-all", bob, { type: "ready", ready: true });
+    expect(checks(alice).pop().participants.filter((p) => !p.ready)).toEqual([
+      { id: "carol", name: "Carol", ready: false },
+    ]);
+
+    const before = Date.now();
+    handleMessage("ready-all", carol, { type: "ready", ready: true });
+    const countdown = checks(bob).pop();
+    expect(countdown).toMatchObject({ status: "countdown", countdownMs: readyCheck.COUNTDOWN_MS });
+    expect(countdown.startAt).toBeGreaterThanOrEqual(before + readyCheck.COUNTDOWN_MS);
+    expect(room.playback).toMatchObject({ t: 42, paused: false, updatedAt: countdown.startAt });
+  });
+
+  test("only hosts and co-hosts run it, and they can start without the stragglers", async () => {
+    const { room, alice, bob } = setupRoom("ready-force");
+
+    handleMessage("ready-force", bob, { type: "ready-check", action: "start" });
+    await flush();
+    expect(checks(alice)).toHaveLength(0);
+
+    handleMessage("ready-force", alice, { type: "ready-check", action: "start" });
+    await flush();
+    handleMessage("ready-force", bob, { type: "ready-check", action: "force" });
+    expect(checks(alice)).toHaveLength(1);
+
+    handleMessage("ready-force", alice, { type: "ready-check", action: "force" });
+    expect(checks(bob).pop()).toMatchObject({ status: "countdown", reason: "forced" });
+    expect(readyCheck.isCountingDown(room.readyCheck)).toBe(true);
+  });
+
+  test("a check nobody finishes is called off", async () => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate"] });
+    const { room, alice, bob } = setupRoom("ready-timeout");
+    handleMessage("ready-timeout", alice, { type: "ready-check", action: "start" });
+    await flush();
+
+    jest.advanceTimersByTime(readyCheck.READY_CHECK_TIMEOUT_MS);
+    expect(checks(bob).pop()).toMatchObject({ status: "cancelled", reason: "timeout" });
+    expect(room.readyCheck).toBeNull();
+  });
+
+  test("the host can call it off and readiness reports get through in encrypted rooms", async () => {
+    const { room, alice, bob } = setupRoom("ready-enc", { encryptionRequired: true });
+    handleMessage("ready-enc", alice, { type: "ready-check", action: "start" });
+    await flush();
+    handleMessage("ready-enc", bob, { type: "ready", ready: true });
+    expect(checks(alice).pop().participants.find((p) => p.id === "bob").ready).toBe(true);
+
+    handleMessage("ready-enc", alice, { type: "ready-check", action: "cancel" });
+    expect(checks(bob).pop()).toMatchObject({ status: "cancelled", reason: "cancelled", cancelledBy: "Alice" });
+    expect(room.readyCheck).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+// Redis errors while checking a session are answered, not left hanging
+process.env.REQUIRE_ENCRYPTION = "false";
+process.env.TEST_REDIS_URL = "redis://mocked";
+
+jest.mock("../redis", () => ({
+  isRedisConnected: jest.fn(),
+  isSessionValid: jest.fn(),
+  subscribeToSessionRevocations: jest.fn(),
+  subscribeToUserEvents: jest.fn(),
+  disconnect: jest.fn(),
+}));
+
+const WebSocket = require("ws");
+const request = require("supertest");
+
+const redis = require("../redis");
+const { app, server, start, stop, rooms, ensureRoom, issueSessionToken } = require("../server");
+
+const token = () => issueSessionToken({ sub: "alice", name: "Alice" });
+
+describe("redis failures", () => {
+  let baseWs;
+
+  beforeAll(async () => {
+    await start(0);
+    baseWs = `ws://localhost:${server.address().port}/ws`;
+  });
+
+  afterAll((done) => {
+    stop(() => done());
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    redis.isRedisConnected.mockReturnValue(true);
+    redis.isSessionValid.mockRejectedValue(new Error("connection lost"));
+  });
+
+  afterEach(() => {
+    redis.isRedisConnected.mockReturnValue(false);
+    rooms.clear();
+  });
+
+  test("authenticated routes answer 500", async () => {
+    const res = await request(app).post("/rooms").set("Authorization", `Bearer ${token()}`).send({}).expect(500);
+    expect(res.body).toEqual({ error: "server_error" });
+  });
+
+  test("the socket upgrade is refused with 500", async () => {
+    ensureRoom("broken-room", { encryptionRequired: false });
+    const ws = new WebSocket(`${baseWs}?roomId=broken-room&token=${encodeURIComponent(token())}`);
+    const status = await new Promise((resolve, reject) => {
+      ws.once("unexpected-response", (_req, res) => resolve(res.statusCode));
+      ws.once("open", () => reject(new Error("upgrade went through")));
+    });
+    expect(status).toBe(500);
+  });
+});
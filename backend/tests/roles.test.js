@@ -0,0 +1,132 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+
+const WebSocket = require("ws");
+const request = require("supertest");
+
+const { app, server, start, stop, rooms, ensureRoom, handleMessage, getRole, issueSessionToken } = require("../server");
+
+const authHeader = (name = "Alice", sub = "host-1") => ({
+  Authorization: `Bearer ${issueSessionToken({ sub, name })}`,
+});
+
+function makeClient(name, sub) {
+  const sent = [];
+  return {
+    name,
+    sub,
+    sent,
+    socket: { readyState: 1, send: (data) => sent.push(JSON.parse(data)) },
+  };
+}
+
+function setupRoom(roomId, opts = {}) {
+  const room = ensureRoom(roomId, { encryptionRequired: false, hostId: "host-1", ...opts });
+  const host = makeClient("Alice", "host-1");
+  const viewer = makeClient("Bob", "viewer-1");
+  const other = makeClient("Carol", "viewer-2");
+  [host, viewer, other].forEach((c) => room.clients.add(c));
+  return { room, host, viewer, other };
+}
+
+describe("room roles", () => {
+  afterEach(() => {
+    rooms.clear();
+  });
+
+  test("room creator becomes host", async () => {
+    const res = await request(app)
+      .post("/rooms")
+      .set(authHeader())
+      .send({ encryptionRequired: false, hostOnlyControls: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.role).toBe("host");
+    const room = rooms.get(res.body.roomId);
+    expect(getRole(room, "host-1")).toBe("host");
+    expect(room.hostOnlyControls).toBe(true);
+  });
+
+  test("viewers cannot control playback in host-only rooms", () => {
+    const { viewer, other } = setupRoom("roles-block", { hostOnlyControls: true });
+
+    handleMessage("roles-block", viewer, { type: "state", payload: { t: 5, paused: true } });
+    handleMessage("roles-block", viewer, {
+      type: "episode-changed",
+      url: "https://www.netflix.com/watch/1",
+    });
+    handleMessage("roles-block", viewer, { type: "system", text: "Bob paused" });
+
+    expect(other.sent).toHaveLength(0);
+  });
+
+  test("viewers can still chat in host-only rooms", () => {
+    const { viewer, other } = setupRoom("roles-chat", { hostOnlyControls: true });
+
+    handleMessage("roles-chat", viewer, { type: "chat", text: "hi" });
+
+    expect(other.sent).toHaveLength(1);
+    expect(other.sent[0]).toMatchObject({ type: "chat", text: "hi" });
+  });
+
+  test("everyone controls playback when the room is not host-only", () => {
+    const { viewer, other } = setupRoom("roles-open");
+
+    handleMessage("roles-open", viewer, { type: "state", payload: { t: 5, paused: true } });
+
+    expect(other.sent).toHaveLength(1);
+    expect(other.sent[0].type).toBe("state");
+  });
+
+  test("host can promote a co-host who may then control playback", () => {
+    const { room, host, viewer, other } = setupRoom("roles-promote", { hostOnlyControls: true });
+
+    handleMessage("roles-promote", host, { type: "set-role", targetId: "viewer-1", role: "cohost" });
+    expect(getRole(room, "viewer-1")).toBe("cohost");
+
+    const presence = other.sent.find((m) => m.type === "presence");
+    expect(presence.participants.find((p) => p.id === "viewer-1").role).toBe("cohost");
+    expect(presence.participants.find((p) => p.id === "host-1").role).toBe("host");
+
+    other.sent.length = 0;
+    handleMessage("roles-promote", viewer, { type: "state", payload: { t: 9, paused: false } });
+    expect(other.sent.map((m) => m.type)).toContain("state");
+  });
+
+  test("only the host can change roles and settings", () => {
+    const { room, viewer } = setupRoom("roles-guard");
+
+    handleMessage("roles-guard", viewer, { type: "set-role", targetId: "viewer-2", role: "cohost" });
+    handleMessage("roles-guard", viewer, { type: "room-settings", hostOnlyControls: true });
+
+    expect(getRole(room, "viewer-2")).toBe("viewer");
+    expect(room.hostOnlyControls).toBe(false);
+  });
+
+  describe("over WebSocket", () => {
+    let baseWs;
+
+    beforeAll(async () => {
+      await start(0);
+      baseWs = `ws://localhost:${server.address().port}/ws`;
+    });
+
+    afterAll((done) => {
+      stop(() => done());
+    });
+
+    test("connecting to a room without a host doesn't make you host", async () => {
+      const room = ensureRoom("hostless-room", { encryptionRequired: false });
+      const token = encodeURIComponent(issueSessionToken({ sub: "viewer-1", name: "Bob" }));
+      const ws = new WebSocket(`${baseWs}?roomId=hostless-room&token=${token}`);
+      // The first frame arrives once the connection handler has run
+      await new Promise((resolve, reject) => {
+        ws.once("message", resolve);
+        ws.once("error", reject);
+      });
+      ws.close();
+
+      expect(room.hostId).toBeNull();
+      expect(getRole(room, "viewer-1")).toBe("viewer");
+    });
+  });
+});
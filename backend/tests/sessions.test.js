@@ -0,0 +1,167 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+
+const WebSocket = require("ws");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+
+const sessions = require("../sessions");
+const { app, server, start, stop, rooms, ensureRoom, issueSessionToken, verifySessionToken } = require("../server");
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+// Tokens only record the second they were issued in
+function issuedEarlier(issue) {
+  const now = Date.now();
+  const clock = jest.spyOn(Date, "now").mockReturnValue(now - 1000);
+  try {
+    return issue();
+  } finally {
+    clock.mockRestore();
+  }
+}
+
+describe("session revocation", () => {
+  afterEach(() => {
+    sessions.resetRevocations();
+    rooms.forEach((room) => room.deletionTimer && clearTimeout(room.deletionTimer));
+    rooms.clear();
+  });
+
+  test("tokens carry a session id that survives re-issuing", () => {
+    const token = issueSessionToken({ sub: "alice", name: "Alice" });
+    const { sid } = verifySessionToken(token);
+    expect(sid).toEqual(expect.any(String));
+    const renamed = issueSessionToken({ ...verifySessionToken(token), name: "Alice B" });
+    expect(verifySessionToken(renamed).sid).toBe(sid);
+  });
+
+  test("logout revokes only the current session", async () => {
+    const laptop = issueSessionToken({ sub: "alice", name: "Alice" });
+    const phone = issueSessionToken({ sub: "alice", name: "Alice" });
+
+    await request(app).post("/auth/logout").set(bearer(laptop)).expect(200);
+
+    const res = await request(app).post("/rooms").set(bearer(laptop)).send({}).expect(401);
+    expect(res.body).toEqual({ error: "session_revoked" });
+    await request(app).post("/rooms").set(bearer(phone)).send({}).expect(200);
+  });
+
+  test("logout-all revokes every session of the user", async () => {
+    const [laptop, phone, other] = issuedEarlier(() => [
+      issueSessionToken({ sub: "bob", name: "Bob" }),
+      issueSessionToken({ sub: "bob", name: "Bob" }),
+      issueSessionToken({ sub: "carol", name: "Carol" }),
+    ]);
+
+    await request(app).post("/auth/logout-all").set(bearer(laptop)).expect(200);
+
+    await request(app).post("/rooms").set(bearer(laptop)).send({}).expect(401);
+    await request(app).post("/rooms").set(bearer(phone)).send({}).expect(401);
+    await request(app).post("/rooms").set(bearer(other)).send({}).expect(200);
+  });
+
+  test("signing in again within the second of a logout-all works", async () => {
+    const old = issuedEarlier(() => issueSessionToken({ sub: "dana", name: "Dana" }));
+    // Late in a second, so the new token is issued in the same second as the revocation
+    const clock = jest.spyOn(Date, "now").mockReturnValue(Math.floor(Date.now() / 1000) * 1000 + 900);
+    try {
+      await request(app).post("/auth/logout-all").set(bearer(old)).expect(200);
+      const fresh = issueSessionToken({ sub: "dana", name: "Dana" });
+      await request(app).post("/rooms").set(bearer(fresh)).send({}).expect(200);
+      await request(app).post("/rooms").set(bearer(old)).send({}).expect(401);
+    } finally {
+      clock.mockRestore();
+    }
+  });
+
+  describe("refresh tokens", () => {
+    const signIn = async (sub, name) => {
+      const idToken = jwt.sign({ sub, name, email: `${sub}@example.com` }, "google");
+      const res = await request(app).post("/auth/google").send({ idToken }).expect(200);
+      return res.body;
+    };
+    const refresh = (refreshToken) => request(app).post("/auth/refresh").send({ refreshToken });
+
+    test("sign-in returns a short-lived access token and a refresh token", async () => {
+      const { token, refreshToken } = await signIn("gina", "Gina");
+      const access = verifySessionToken(token);
+      expect(access.exp - access.iat).toBe(15 * 60);
+      expect(jwt.decode(refreshToken)).toMatchObject({ sub: "gina", sid: access.sid, typ: "refresh" });
+      // A refresh token is not an access token
+      const res = await request(app).post("/rooms").set(bearer(refreshToken)).send({}).expect(401);
+      expect(res.body).toEqual({ error: "invalid_token" });
+    });
+
+    test("refresh rotates the refresh token and keeps the session", async () => {
+      const first = await signIn("hank", "Hank");
+      const res = await refresh(first.refreshToken).expect(200);
+      expect(res.body.profile).toMatchObject({ sub: "hank", name: "Hank" });
+      expect(res.body.refreshToken).not.toBe(first.refreshToken);
+      expect(verifySessionToken(res.body.token).sid).toBe(verifySessionToken(first.token).sid);
+      await request(app).post("/rooms").set(bearer(res.body.token)).send({}).expect(200);
+      await refresh(res.body.refreshToken).expect(200);
+    });
+
+    test("reusing a spent refresh token revokes the whole family", async () => {
+      const first = await signIn("ivy", "Ivy");
+      const rotated = (await refresh(first.refreshToken).expect(200)).body;
+
+      const reuse = await refresh(first.refreshToken).expect(401);
+      expect(reuse.body).toEqual({ error: "refresh_token_reused" });
+
+      const next = await refresh(rotated.refreshToken).expect(401);
+      expect(next.body).toEqual({ error: "session_revoked" });
+      await request(app).post("/rooms").set(bearer(rotated.token)).send({}).expect(401);
+    });
+
+    test("refresh fails after logout and for garbage tokens", async () => {
+      const { token, refreshToken } = await signIn("jack", "Jack");
+      await request(app).post("/auth/logout").set(bearer(token)).expect(200);
+      await refresh(refreshToken).expect(401);
+      await refresh("not-a-token").expect(401);
+      await refresh(undefined).expect(400);
+    });
+  });
+
+  describe("over WebSocket", () => {
+    let baseWs;
+
+    beforeAll(async () => {
+      await start(0);
+      baseWs = `ws://localhost:${server.address().port}/ws`;
+    });
+
+    afterAll((done) => {
+      stop(() => done());
+    });
+
+    const open = (token) =>
+      new Promise((resolve, reject) => {
+        const ws = new WebSocket(`${baseWs}?roomId=revoke-room&token=${encodeURIComponent(token)}`);
+        ws.once("open", () => resolve(ws));
+        ws.once("unexpected-response", (_req, res) => reject(new Error(`HTTP ${res.statusCode}`)));
+        ws.once("error", reject);
+      });
+
+    test("open sockets of a revoked session are closed with 4401", async () => {
+      ensureRoom("revoke-room", { encryptionRequired: false });
+      const token = issueSessionToken({ sub: "dave", name: "Dave" });
+      const peerToken = issueSessionToken({ sub: "erin", name: "Erin" });
+      const ws = await open(token);
+      const peer = await open(peerToken);
+
+      const closed = new Promise((resolve) => ws.once("close", (code) => resolve(code)));
+      await request(app).post("/auth/logout").set(bearer(token)).expect(200);
+      expect(await closed).toBe(4401);
+      expect(peer.readyState).toBe(WebSocket.OPEN);
+      peer.close();
+    });
+
+    test("the upgrade is rejected for a revoked session", async () => {
+      ensureRoom("revoke-room", { encryptionRequired: false });
+      const token = issueSessionToken({ sub: "frank", name: "Frank" });
+      await request(app).post("/auth/logout").set(bearer(token)).expect(200);
+      await expect(open(token)).rejects.toThrow("HTTP 401");
+    });
+  });
+});
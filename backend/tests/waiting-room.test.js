@@ -0,0 +1,169 @@
+process.env.REQUIRE_ENCRYPTION = "false";
+
+const WebSocket = require("ws");
+const request = require("supertest");
+
+const rateLimit = require("../rateLimit");
+const { app, server, start, stop, rooms, ensureRoom, issueSessionToken } = require("../server");
+
+const ROOM_ID = "lobby-room";
+
+describe("waiting room", () => {
+  let baseWs;
+
+  beforeAll(async () => {
+    await start(0);
+    baseWs = `ws://localhost:${server.address().port}/ws`;
+  });
+
+  afterAll((done) => {
+    stop(() => done());
+  });
+
+  afterEach(() => {
+    rateLimit.resetMemoryRateLimits();
+    rooms.forEach((room) => room.deletionTimer && clearTimeout(room.deletionTimer));
+    rooms.clear();
+  });
+
+  // Sockets buffer what they receive so tests can wait for a type that already arrived
+  const open = (sub) =>
+    new Promise((resolve, reject) => {
+      const token = issueSessionToken({ sub, name: sub });
+      const ws = new WebSocket(`${baseWs}?roomId=${ROOM_ID}&token=${encodeURIComponent(token)}`);
+      ws.received = [];
+      ws.on("message", (raw) => {
+        ws.received.push(JSON.parse(raw.toString()));
+        ws.emit("received");
+      });
+      ws.once("open", () => resolve(ws));
+      ws.once("unexpected-response", (_req, res) => reject(new Error(`HTTP ${res.statusCode}`)));
+      ws.once("error", reject);
+    });
+
+  const waitFor = (ws, predicate) =>
+    new Promise((resolve) => {
+      const check = () => {
+        const found = ws.received.find(predicate);
+        if (!found) return;
+        ws.off("received", check);
+        resolve(found);
+      };
+      ws.on("received", check);
+      check();
+    });
+
+  const ofType = (type) => (msg) => msg.type === type;
+  const send = (ws, msg) => ws.send(JSON.stringify(msg));
+  const setupRoom = () => ensureRoom(ROOM_ID, { encryptionRequired: false, hostId: "alice", waitingRoom: true });
+
+  test("waiting users get nothing until the host lets them in", async () => {
+    const room = setupRoom();
+    const alice = await open("alice");
+    await waitFor(alice, ofType("presence"));
+
+    const bob = await open("bob");
+    await waitFor(bob, ofType("waiting-room"));
+    const knock = await waitFor(alice, ofType("join-request"));
+    expect(knock).toMatchObject({ userId: "bob", name: "bob" });
+    expect(room.pending.size).toBe(1);
+
+    send(alice, { type: "chat", text: "before" });
+    send(bob, { type: "chat", text: "let me in" });
+    await waitFor(alice, (msg) => msg.type === "chat" && msg.text === "before");
+
+    send(alice, { type: "join-response", userId: "bob", admit: true });
+    expect(await waitFor(bob, (msg) => msg.status === "admitted")).toBeTruthy();
+    await waitFor(bob, (msg) => msg.type === "presence" && msg.participants.length === 2);
+    await waitFor(alice, (msg) => msg.type === "join-request-resolved" && msg.outcome === "admitted");
+
+    expect(bob.received.map((msg) => msg.type)).not.toContain("chat");
+    expect(alice.received.some((msg) => msg.text === "let me in")).toBe(false);
+    expect(bob.received.find((msg) => msg.type === "presence").waitingRoom).toBe(true);
+
+    // Admitted users can come back without knocking again
+    bob.close();
+    const again = await open("bob");
+    await waitFor(again, ofType("presence"));
+    expect(again.received.some(ofType("waiting-room"))).toBe(false);
+    again.close();
+    alice.close();
+  });
+
+  test("denied users are disconnected and viewers can't decide", async () => {
+    setupRoom();
+    const alice = await open("alice");
+    const carol = await open("carol");
+    await waitFor(alice, ofType("join-request"));
+
+    const dave = await open("dave");
+    await waitFor(dave, ofType("waiting-room"));
+    send(carol, { type: "join-response", userId: "dave", admit: true });
+
+    const closed = new Promise((resolve) => dave.once("close", (code) => resolve(code)));
+    send(alice, { type: "join-response", userId: "dave", admit: false });
+    expect(await closed).toBe(4403);
+    expect(dave.received.map((msg) => msg.status)).toEqual(["waiting", "denied"]);
+    carol.close();
+    alice.close();
+  });
+
+  test("turning the waiting room off lets everyone in", async () => {
+    const room = setupRoom();
+    const alice = await open("alice");
+    const erin = await open("erin");
+    await waitFor(alice, ofType("join-request"));
+
+    send(alice, { type: "room-settings", waitingRoom: false });
+    await waitFor(erin, (msg) => msg.status === "admitted");
+    await waitFor(alice, (msg) => msg.type === "system" && /turned off the waiting room/.test(msg.text));
+    expect(room.pending.size).toBe(0);
+    expect(room.waitingRoom).toBe(false);
+    erin.close();
+    alice.close();
+  });
+
+  test("the host hears when a waiting user gives up, and late hosts see the queue", async () => {
+    setupRoom();
+    const frank = await open("frank");
+    await waitFor(frank, ofType("waiting-room"));
+
+    const alice = await open("alice");
+    await waitFor(alice, (msg) => msg.type === "join-request" && msg.userId === "frank");
+    frank.close();
+    await waitFor(alice, (msg) => msg.type === "join-request-resolved" && msg.outcome === "left");
+    alice.close();
+  });
+
+  test("create and join report the waiting room", async () => {
+    const auth = { Authorization: `Bearer ${issueSessionToken({ sub: "alice", name: "Alice" })}` };
+    const res = await request(app).post("/rooms").set(auth).send({ waitingRoom: true }).expect(200);
+    expect(res.body.waitingRoom).toBe(true);
+    expect(rooms.get(res.body.roomId).waitingRoom).toBe(true);
+
+    const join = await request(app).post(`/rooms/${res.body.roomId}/join`).set(auth).send({}).expect(200);
+    expect(join.body.waitingRoom).toBe(false);
+  });
+
+  test("join and preview hide what's playing until the host lets you in", async () => {
+    const room = ensureRoom("waiting-rest", {
+      encryptionRequired: false,
+      hostId: "alice",
+      waitingRoom: true,
+      videoUrl: "https://www.netflix.com/watch/81234567",
+      titleId: "81234567",
+      initialTime: 600,
+    });
+    const auth = { Authorization: `Bearer ${issueSessionToken({ sub: "bob", name: "Bob" })}` };
+    const hidden = { videoUrl: "", titleId: "", initialTime: 0, waitingRoom: true };
+
+    const join = await request(app).post("/rooms/waiting-rest/join").set(auth).send({}).expect(200);
+    expect(join.body).toMatchObject(hidden);
+    const preview = await request(app).get("/rooms/waiting-rest/preview").set(auth).expect(200);
+    expect(preview.body).toMatchObject(hidden);
+
+    room.admittedIds.add("bob");
+    const admitted = await request(app).get("/rooms/waiting-rest/preview").set(auth).expect(200);
+    expect(admitted.body).toMatchObject({ titleId: "81234567", initialTime: 600, waitingRoom: false });
+  });
+});
@@ -15,11 +15,12 @@ const peerDisplayNames = new Map(); // peerId -> display name
 let keyPairPromise = null;
 let publicKeyB64 = null;
 let keyPairData = null; // { publicKey, privateKey } raw data for persistence
+let keyPairOwner = null; // displayId the in-memory key pair belongs to
 const encoder = new TextEncoder();
 const decoder = new TextDecoder();
 const ECDH_CURVE = "P-256";
 
-// Key persistence settings
+// Key persistence settings (peer keys; our own key pair doesn't expire)
 const KEY_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
 const KEY_STORAGE_PREFIX = "flixers-keys-";
 const seenUsers = new Set(); // peerId
@@ -27,6 +28,12 @@ let hasActivePlayback = false;
 let lastVideoUrl = null;
 let lastVideoTitle = null;
 let currentParticipants = [];
+let hostOnlyControls = false; // Room setting: only host/co-hosts may control playback
+let ratePolicy = "sync"; // Room setting: "sync" shares playback speed, "locked" keeps everyone at 1x
+let waitingRoom = false; // Room setting: the host lets each new viewer in
+let waitingForHost = false; // Held in the waiting room; the server drops anything we send
+const joinRequests = new Map(); // userId -> join-request (only hosts and co-hosts get these)
+let controlNoticeShown = false;
 let connectionStatus = "idle";
 const playbackState = new Map(); // roomId -> { paused, t }
 let lastOutboundState = null; // Last playback state we sent (for resync after reconnect)
@@ -58,41 +65,34 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 8000) {
 
 // ============ Key Persistence Functions ============
 
-// Save the local key pair to storage (persists for 2 hours)
-async function persistKeyPair(roomId, publicKey, privateKey) {
-  if (!roomId) return;
-  const key = `${KEY_STORAGE_PREFIX}local-${roomId}`;
+// Save the local key pair to storage. It's our identity key: safety numbers are
+// computed from it, so it is kept per signed-in user instead of per room.
+async function persistKeyPair(userId, publicKey, privateKey) {
+  if (!userId) return;
+  const key = `${KEY_STORAGE_PREFIX}identity-${userId}`;
   const data = {
     publicKey,
     privateKey,
     createdAt: Date.now(),
-    expiresAt: Date.now() + KEY_TTL_MS,
   };
   try {
     await chrome.storage.local.set({ [key]: data });
-    console.log("[Keys] Persisted local key pair for room:", roomId);
+    console.log("[Keys] Persisted identity key pair for user:", userId);
   } catch (err) {
     console.warn("[Keys] Failed to persist key pair:", err.message);
   }
 }
 
-// Load the local key pair from storage if not expired
-async function loadPersistedKeyPair(roomId) {
-  if (!roomId) return null;
-  const key = `${KEY_STORAGE_PREFIX}local-${roomId}`;
+// Load the user's identity key pair from storage
+async function loadPersistedKeyPair(userId) {
+  if (!userId) return null;
+  const key = `${KEY_STORAGE_PREFIX}identity-${userId}`;
   try {
     const result = await chrome.storage.local.get(key);
     const data = result[key];
     if (!data) return null;
     
-    // Check expiration
-    if (Date.now() > data.expiresAt) {
-      console.log("[Keys] Local key pair expired for room:", roomId);
-      await chrome.storage.local.remove(key);
-      return null;
-    }
-    
-    console.log("[Keys] Loaded persisted key pair for room:", roomId);
+    console.log("[Keys] Loaded identity key pair for user:", userId);
     return { publicKey: data.publicKey, privateKey: data.privateKey };
   } catch (err) {
     console.warn("[Keys] Failed to load key pair:", err.message);
@@ -121,6 +121,10 @@ async function persistPeerKeys(roomId) {
   
   const data = {
     peers,
+    // Replay windows outlive the socket and the service worker, or the relay could
+    // replay anything captured before a restart (see Replay Protection)
+    replayWindows: Object.fromEntries(inboundWindows),
+    countedSenders: Array.from(countedSenders),
     updatedAt: Date.now(),
     expiresAt: Date.now() + KEY_TTL_MS,
   };
@@ -172,6 +176,12 @@ async function loadPersistedPeerKeys(roomId) {
       }
     }
     
+    Object.entries(data.replayWindows || {}).forEach(([windowKey, stored]) => {
+      const window = restoreReplayWindow(stored);
+      if (window && !inboundWindows.has(windowKey)) inboundWindows.set(windowKey, window);
+    });
+    (data.countedSenders || []).forEach((peerId) => countedSenders.add(peerId));
+
     if (loaded > 0) {
       console.log("[Keys] Loaded", loaded, "peer keys from storage for room:", roomId);
     }
@@ -185,10 +195,10 @@ async function loadPersistedPeerKeys(roomId) {
 // Clear persisted keys for a room
 async function clearPersistedKeys(roomId) {
   if (!roomId) return;
-  const localKey = `${KEY_STORAGE_PREFIX}local-${roomId}`;
   const peersKey = `${KEY_STORAGE_PREFIX}peers-${roomId}`;
+  roomSecrets.delete(roomId);
   try {
-    await chrome.storage.local.remove([localKey, peersKey]);
+    await chrome.storage.local.remove([peersKey, passphraseStorageKey(roomId)]);
     console.log("[Keys] Cleared persisted keys for room:", roomId);
   } catch (err) {
     console.warn("[Keys] Failed to clear keys:", err.message);
@@ -228,6 +238,12 @@ const HEARTBEAT_TIMEOUT = 40000; // Consider connection dead if no pong in ~40s
 const BASE_RECONNECT_DELAY = 1000; // Start with 1 second
 const MAX_RECONNECT_DELAY = 30000; // Max 30 seconds between attempts
 const PERSISTENT_RECONNECT_DELAY = 30000; // Keep retrying every ~30s after backoff caps
+const WS_CLOSE_SESSION_REVOKED = 4401; // Server closed the socket because the session was signed out
+const WS_CLOSE_JOIN_DENIED = 4403; // The host turned us away from the waiting room
+const WS_CLOSE_KICKED = 4405; // A host or co-host removed us
+const WS_CLOSE_BANNED = 4406; // ...and we can't come back while the room exists
+const MODERATION_ACTIONS = new Set(["kick", "ban", "mute-chat"]);
+const WS_CLOSE_UNSUPPORTED_VERSION = 4426; // The server no longer speaks our protocol version
 let lastCloseCode = null;
 let lastCloseReason = "";
 let lastVisibilityCheck = 0;
@@ -250,6 +266,7 @@ chrome.storage.local.get(["flixersSession"]).then((res) => {
     session = res.flixersSession;
     displayName = session.profile?.name || "Guest";
     displayId = session.profile?.sub || null;
+    scheduleTokenRefresh();
   }
 });
 
@@ -273,13 +290,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
     case "join-room":
       // Legacy join (for room creator who's already on video)
-      handleJoin(message.roomId, message.name, message.token)
+      handleJoin(message.roomId, message.name, message.token, joinAccess(message))
         .then((result) => sendResponse(result))
         .catch((err) => sendResponse({ ok: false, reason: err.message }));
       return true;
     case "confirm-join":
       // User-gesture-gated join with video navigation
-      handleConfirmJoin(message.roomId, message.name, message.token, message.videoUrl, message.initialTime)
+      handleConfirmJoin(
+        message.roomId,
+        message.name,
+        message.token,
+        message.videoUrl,
+        message.initialTime,
+        joinAccess(message)
+      )
         .then((result) => sendResponse(result))
         .catch((err) => sendResponse({ ok: false, reason: err.message }));
       return true;
@@ -298,6 +322,41 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendToNetflixTabs({ type: "room-update", roomId: null, name: displayName, id: displayId });
       sendResponse({ ok: true });
       return true;
+    case "set-role":
+      sendRoomControl({ type: "set-role", targetId: message.targetId, role: message.role });
+      sendResponse?.({ ok: true });
+      return false;
+    case "room-settings": {
+      const settings = { type: "room-settings" };
+      if (typeof message.hostOnlyControls === "boolean") settings.hostOnlyControls = message.hostOnlyControls;
+      if (message.ratePolicy === "sync" || message.ratePolicy === "locked") settings.ratePolicy = message.ratePolicy;
+      if (typeof message.waitingRoom === "boolean") settings.waitingRoom = message.waitingRoom;
+      sendRoomControl(settings);
+      sendResponse?.({ ok: true });
+      return false;
+    }
+    case "join-response":
+      sendRoomControl({ type: "join-response", userId: message.userId, admit: !!message.admit });
+      sendResponse?.({ ok: true });
+      return false;
+    case "moderate":
+      if (MODERATION_ACTIONS.has(message.action)) {
+        sendRoomControl({ type: message.action, targetId: message.targetId, muted: message.muted });
+      }
+      sendResponse?.({ ok: true });
+      return false;
+    case "player-buffering":
+      if (!waitingForHost) sendRoomControl({ type: "buffering", buffering: !!message.buffering });
+      sendResponse?.({ ok: true });
+      return false;
+    case "ready-check-action":
+      if (READY_CHECK_ACTIONS.has(message.action)) sendRoomControl({ type: "ready-check", action: message.action });
+      sendResponse?.({ ok: true });
+      return false;
+    case "player-ready":
+      if (!waitingForHost) sendRoomControl({ type: "ready", ready: message.ready !== false });
+      sendResponse?.({ ok: true });
+      return false;
     case "player-event":
       forwardState(message.payload);
       updatePlayerStatus(true, !message.payload?.paused, message.payload?.url, message.payload?.title);
@@ -320,6 +379,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         users: Array.isArray(currentParticipants) ? currentParticipants.map((p) => p?.name).filter(Boolean) : [],
         roomId: currentRoom,
         avatars: lastPresenceAvatars,
+        hostOnlyControls,
+        ratePolicy,
+        waitingRoom,
+        waitingForHost,
+        joinRequests: Array.from(joinRequests.values()),
       });
       return true;
     case "get-connection-status":
@@ -343,42 +407,47 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         roomId: currentRoom,
         lastPongTime,
         readyState: ws?.readyState ?? 3,
+        protocolIncompatible,
       });
       return true;
+    case "check-for-update":
+      checkForUpdate(sendResponse);
+      return true;
     case "force-reconnect":
       scheduleReconnect(true);
       sendResponse({ ok: true });
       return true;
     case "auth-set":
-      session = message.session;
+      session = adoptSession(message.session);
       displayName = session?.profile?.name || "Guest";
       displayId = session?.profile?.sub || null;
       chrome.storage.local.set({ flixersSession: session || null });
       broadcastPopup({ type: "auth", session });
       sendToNetflixTabs({ type: "auth", session });
+      scheduleTokenRefresh();
       return true;
     case "auth-clear":
-      session = null;
-      displayName = "Guest";
-      displayId = null;
-      // Clear all keys when signing out
-      if (currentRoom) {
-        clearPersistedKeys(currentRoom);
-        clearPersistedQueue(currentRoom);
-        clearMessageQueue(false);
-      }
-      teardownSocket(false, true); // Clear all keys and reset attempts
-      currentRoom = null;
-      lastEpisodePath = null;
-      lastVideoUrl = null;
-      lastVideoTitle = null;
-      chrome.storage.local.remove(["flixersSession"]);
-      broadcastPopup({ type: "auth", session: null });
-      broadcastPopup({ type: "ws-status", status: "disconnected" });
-      sendToNetflixTabs({ type: "auth", session: null });
+      clearSession("disconnected");
+      return true;
+    case "history-request":
+      fetchRoomHistory(message.roomId, message.before).then(sendResponse);
+      return true;
+    case "passphrase-verifier":
+      createPassphraseVerifier(message.passphrase || "")
+        .then((result) => sendResponse({ ok: true, ...result }))
+        .catch((err) => sendResponse({ ok: false, reason: err.message }));
+      return true;
+    case "verification-get":
+      getPeerVerification(message.peerId).then(sendResponse);
+      return true;
+    case "verification-set":
+      setPeerVerified(message.peerId, !!message.verified).then(sendResponse);
+      return true;
+    case "verification-status-get":
+      getVerificationStatuses().then((statuses) => sendResponse({ statuses }));
       return true;
     case "auth-get":
-      sendResponse({ session });
+      ensureFreshToken().then(() => sendResponse({ session }));
       return true;
     case "player-present":
       updatePlayerStatus(!!message.present, !!message.playing, message.url, message.title);
@@ -418,7 +487,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-async function handleJoin(roomId, name, token) {
+// What a join needs besides the room ID: an invite token and/or the room's passphrase
+function joinAccess(message) {
+  return { invite: message.invite, passphrase: message.passphrase, passphraseSalt: message.passphraseSalt };
+}
+
+async function handleJoin(roomId, name, token, access = {}) {
   const trimmedRoomId = (roomId || "").trim();
   if (!isValidRoomId(trimmedRoomId)) {
     return { ok: false, reason: "invalid-room" };
@@ -431,17 +505,14 @@ async function handleJoin(roomId, name, token) {
     broadcastPopup({ type: "ws-status", status: "auth-required" });
     return { ok: false, reason: "auth-required" };
   }
+  if (!(await ensureFreshToken())) {
+    return { ok: false, reason: "auth-required" };
+  }
   displayName = name || session?.profile?.name || "Guest";
   
   // Verify room exists (but don't auto-navigate)
   try {
-    const res = await fetch(`${BACKEND_HTTP}/rooms/${trimmedRoomId}/join`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${session.token}`,
-      },
-    });
+    const res = await requestRoomJoin(trimmedRoomId, access);
     
     if (res.status === 401) {
       return { ok: false, reason: "auth-required" };
@@ -482,7 +553,7 @@ async function handleJoin(roomId, name, token) {
 }
 
 // User-gesture-gated join: opens Netflix tab then joins
-async function handleConfirmJoin(roomId, name, token, videoUrl, initialTime) {
+async function handleConfirmJoin(roomId, name, token, videoUrl, initialTime, access = {}) {
   const trimmedRoomId = (roomId || "").trim();
   if (!isValidRoomId(trimmedRoomId)) {
     return { ok: false, reason: "invalid-room" };
@@ -495,19 +566,16 @@ async function handleConfirmJoin(roomId, name, token, videoUrl, initialTime) {
     broadcastPopup({ type: "ws-status", status: "auth-required" });
     return { ok: false, reason: "auth-required" };
   }
+  if (!(await ensureFreshToken())) {
+    return { ok: false, reason: "auth-required" };
+  }
   displayName = name || session?.profile?.name || "Guest";
   
   console.log(`[Sync] Confirm join: room=${roomId}, video=${videoUrl}, time=${initialTime}`);
   
   // Verify room exists
   try {
-    const res = await fetch(`${BACKEND_HTTP}/rooms/${trimmedRoomId}/join`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${session.token}`,
-      },
-    });
+    const res = await requestRoomJoin(trimmedRoomId, access);
     
     if (res.status === 401) {
       return { ok: false, reason: "auth-required" };
@@ -610,6 +678,9 @@ async function connectSocket() {
   connectionStatus = "connecting";
   broadcastPopup({ type: "ws-status", status: "connecting" });
   sendToNetflixTabs({ type: "ws-status", status: "connecting" });
+
+  // The token is part of the upgrade URL, so renew it first if it is about to expire
+  if (!(await ensureFreshToken())) return;
   
   // Restore persisted peer keys before connecting
   const loadedPeerKeys = await loadPersistedPeerKeys(currentRoom);
@@ -617,12 +688,11 @@ async function connectSocket() {
     console.log(`[Keys] Restored ${loadedPeerKeys} peer keys from storage`);
   }
 
-  const url = `${BACKEND_WS}?roomId=${encodeURIComponent(
-    currentRoom
-  )}&token=${encodeURIComponent(session.token)}`;
+  const roomSecret = await getRoomSecret(currentRoom);
+  const url = `${BACKEND_WS}?roomId=${encodeURIComponent(currentRoom)}&token=${encodeURIComponent(session.token)}`;
 
   try {
-    ws = new WebSocket(url);
+    ws = new WebSocket(url, roomSecret ? proofSubprotocols(roomSecret.proof) : undefined);
   } catch (err) {
     console.error("[WS] Failed to create WebSocket:", err);
     scheduleReconnect();
@@ -645,40 +715,10 @@ async function connectSocket() {
     lastCloseCode = null;
     lastCloseReason = "";
     
-    // Announce key exchange immediately
-    announceKeyExchange();
-    
-    // Re-announce after a delay to catch peers who connected after us
-    setTimeout(() => {
-      if (ws && ws.readyState === WebSocket.OPEN) {
-        console.log("[Crypto] Re-announcing key exchange after reconnection");
-        announceKeyExchange();
-      }
-    }, 2000);
-    
     startHeartbeat();
-
-	    // Only request sync if we explicitly need it (e.g., joiner flow or manual resync).
-	    if (pendingSyncRequest) {
-	      setTimeout(() => {
-	        sendSyncRequest();
-	      }, 600);
-	    }
-
-    // Re-send our latest outbound playback state to help others catch up
-    if (lastOutboundState) {
-      setTimeout(() => {
-        sendStateSnapshot(lastOutboundState);
-      }, 1200);
-    }
-    
-    // Flush any queued messages after key exchange has time to complete
-    setTimeout(() => {
-      if (messageQueue.length > 0) {
-        emitLocalSystem(`Sending ${messageQueue.length} queued message${messageQueue.length > 1 ? 's' : ''}...`);
-        flushMessageQueue();
-      }
-    }, 2500);
+    sendHello();
+    startClockSync();
+    beginRoomSession();
   });
 
   ws.addEventListener("message", (event) => {
@@ -696,6 +736,7 @@ async function connectSocket() {
       // Handle pong as JSON message (response to our ping)
       if (payload.type === "pong") {
         lastPongTime = Date.now();
+        handleClockPong(payload, lastPongTime);
         return;
       }
       
@@ -719,6 +760,25 @@ async function connectSocket() {
     lastCloseReason = event.reason || "";
     console.log("[WS] Connection closed:", event.code, event.reason);
     stopHeartbeat();
+    if (event.code === WS_CLOSE_SESSION_REVOKED) {
+      // Signed out on the server (logout here or "log out everywhere"): don't reconnect
+      emitLocalSystem("You were signed out. Sign in again to rejoin.");
+      clearSession("auth-expired");
+      return;
+    }
+    if (event.code === WS_CLOSE_JOIN_DENIED) {
+      leaveCurrentRoom("The host didn't let you in");
+      return;
+    }
+    if (event.code === WS_CLOSE_UNSUPPORTED_VERSION) {
+      handleProtocolIncompatible("client-outdated");
+      return;
+    }
+    if (event.code === WS_CLOSE_KICKED || event.code === WS_CLOSE_BANNED) {
+      // Usually the moderation notice got here first and we've already left
+      leaveCurrentRoom(event.code === WS_CLOSE_BANNED ? "You were banned from this room" : "You were removed from the room");
+      return;
+    }
     broadcastPopup({ type: "ws-status", status: "closed", code: event.code, reason: event.reason });
     sendToNetflixTabs({ type: "ws-status", status: "closed", code: event.code, reason: event.reason });
     scheduleReconnect();
@@ -731,6 +791,45 @@ async function connectSocket() {
   });
 }
 
+// Everything a fresh connection does once we're in the room (again after the waiting room).
+// The delayed steps are skipped if the server put us in the waiting room meanwhile.
+function beginRoomSession() {
+  const inRoom = () => ws && ws.readyState === WebSocket.OPEN && !waitingForHost;
+
+  // Announce key exchange immediately
+  announceKeyExchange();
+  
+  // Re-announce after a delay to catch peers who connected after us
+  setTimeout(() => {
+    if (inRoom()) {
+      console.log("[Crypto] Re-announcing key exchange after reconnection");
+      announceKeyExchange();
+    }
+  }, 2000);
+
+  // Only request sync if we explicitly need it (e.g., joiner flow or manual resync).
+  if (pendingSyncRequest) {
+    setTimeout(() => {
+      if (inRoom()) sendSyncRequest();
+    }, 600);
+  }
+
+  // Re-send our latest outbound playback state to help others catch up
+  if (lastOutboundState) {
+    setTimeout(() => {
+      if (inRoom()) sendStateSnapshot(lastOutboundState);
+    }, 1200);
+  }
+  
+  // Flush any queued messages after key exchange has time to complete
+  setTimeout(() => {
+    if (inRoom() && messageQueue.length > 0) {
+      emitLocalSystem(`Sending ${messageQueue.length} queued message${messageQueue.length > 1 ? 's' : ''}...`);
+      flushMessageQueue();
+    }
+  }, 2500);
+}
+
 function startHeartbeat() {
   stopHeartbeat();
   lastPongTime = Date.now();
@@ -786,7 +885,10 @@ setInterval(checkConnectionHealth, 20000);
 // Service workers can be suspended, this helps recover connections
 chrome.alarms?.create?.("flixers-keepalive", { periodInMinutes: 0.5 });
 chrome.alarms?.onAlarm?.addListener?.((alarm) => {
-  if (alarm.name === "flixers-keepalive" && currentRoom) {
+  if (alarm.name !== "flixers-keepalive") return;
+  // Timers don't survive the service worker being suspended; the alarm does
+  ensureFreshToken();
+  if (currentRoom) {
     checkConnectionHealth();
   }
 });
@@ -821,6 +923,31 @@ function stopHeartbeat() {
 // teardownSocket: preserveKeys = true means keep encryption keys (for reconnection)
 // preserveKeys = false means clear everything (for room change or explicit leave)
 // resetAttempts = true means reset reconnect counter (for explicit leave/room change)
+// Forget the signed-in user and leave the current room
+function clearSession(status) {
+  session = null;
+  clearTimeout(tokenRefreshTimer);
+  tokenRefreshTimer = null;
+  displayName = "Guest";
+  displayId = null;
+  // Clear all keys when signing out
+  if (currentRoom) {
+    clearPersistedKeys(currentRoom);
+    clearPersistedQueue(currentRoom);
+    clearMessageQueue(false);
+  }
+  teardownSocket(false, true); // Clear all keys and reset attempts
+  currentRoom = null;
+  lastEpisodePath = null;
+  lastVideoUrl = null;
+  lastVideoTitle = null;
+  chrome.storage.local.remove(["flixersSession"]);
+  broadcastPopup({ type: "ws-status", status });
+  sendToNetflixTabs({ type: "ws-status", status });
+  broadcastPopup({ type: "auth", session: null });
+  sendToNetflixTabs({ type: "auth", session: null });
+}
+
 function teardownSocket(preserveKeys = true, resetAttempts = false) {
   if (retryTimer) {
     clearTimeout(retryTimer);
@@ -836,6 +963,9 @@ function teardownSocket(preserveKeys = true, resetAttempts = false) {
     console.log("[Keys] Clearing in-memory keys (room change)");
     peerPublicKeys.clear();
     seenUsers.clear();
+    peerSenderKeys.clear();
+    ownSenderKey = null;
+    resetReplayState();
     keyPairPromise = null;
     publicKeyB64 = null;
     keyPairData = null;
@@ -846,8 +976,16 @@ function teardownSocket(preserveKeys = true, resetAttempts = false) {
     }
     console.log("[Keys] Preserving keys for reconnection");
   }
+  // Peers may have lost our chain key while we were away; share it again on the next send
+  senderKeyRecipients.clear();
   
   currentParticipants = [];
+  hostOnlyControls = false;
+  ratePolicy = "sync";
+  waitingRoom = false;
+  waitingForHost = false;
+  joinRequests.clear();
+  controlNoticeShown = false;
   connectionStatus = "idle";
   connectionAlerted = false;
   
@@ -932,6 +1070,7 @@ async function attemptReconnect() {
   }
   
   console.log(`[WS] Attempting reconnect to room ${currentRoom}`);
+  if (!(await ensureFreshToken())) return;
   
   // Verify room still exists on server
   try {
@@ -985,6 +1124,7 @@ async function attemptReconnect() {
 
 function routeIncoming(message) {
   if (message.type === "state") {
+    if (!isLeaderHeartbeat(message.payload, message.fromId)) return;
     // Forward state updates to content script for sync
     if (message.payload?.url) {
       lastVideoUrl = message.payload.url;
@@ -997,9 +1137,11 @@ function routeIncoming(message) {
       type: "apply-state",
       payload: {
         ...message.payload,
+        ts: toLocalTime(message.payload?.ts),
         // Preserve the original reason (play/pause/seek/sync) so joiners don't "pull" everyone back.
         reason: message.payload?.reason || "sync",
         from: message.from || "peer",
+        fromId: message.fromId,
       },
     });
   }
@@ -1031,6 +1173,15 @@ function routeIncoming(message) {
       ? message.participants.filter((p) => p && p.id)
       : (message.users || []).map((name) => ({ id: name, name }));
     lastPresenceAvatars = message.avatars || {};
+    if (typeof message.hostOnlyControls === "boolean") {
+      hostOnlyControls = message.hostOnlyControls;
+    }
+    if (message.ratePolicy === "sync" || message.ratePolicy === "locked") {
+      ratePolicy = message.ratePolicy;
+    }
+    if (typeof message.waitingRoom === "boolean") {
+      waitingRoom = message.waitingRoom;
+    }
     broadcastPopup({
       type: "presence",
       participants: nextParticipants,
@@ -1038,6 +1189,10 @@ function routeIncoming(message) {
       roomId: currentRoom,
       encryptionRequired: message.encryptionRequired,
       avatars: message.avatars || {},
+      hostId: message.hostId || null,
+      hostOnlyControls,
+      ratePolicy,
+      waitingRoom,
     });
     sendToNetflixTabs({
       type: "presence",
@@ -1046,11 +1201,24 @@ function routeIncoming(message) {
       roomId: currentRoom,
       encryptionRequired: message.encryptionRequired,
       avatars: message.avatars || {},
+      hostId: message.hostId || null,
+      hostOnlyControls,
+      ratePolicy,
+      waitingRoom,
     });
     if (typeof message.encryptionRequired === "boolean") {
       encryptionRequired = message.encryptionRequired;
     }
     
+    // Anyone who left must not be able to read what comes next
+    const nextIds = new Set(nextParticipants.map((p) => p?.id).filter(Boolean));
+    const departed = currentParticipants
+      .map((p) => p?.id)
+      .filter((id) => id && id !== displayId && !nextIds.has(id));
+    if (departed.length) {
+      rotateSenderKey(departed);
+    }
+
     // Track participant changes (no system messages - just update count)
     currentParticipants = nextParticipants;
     nextParticipants.forEach((p) => {
@@ -1075,11 +1243,58 @@ function routeIncoming(message) {
       announceKeyExchange();
     }
   }
+  if (message.type === "error" && message.code === "rate-limited") {
+    // Server refused a message because we're over a limit; let the overlay explain
+    console.warn("[RateLimit] Server limited", message.messageType, "for", message.retryAfter, "s");
+    const notice = { type: "rate-limited", messageType: message.messageType, retryAfter: message.retryAfter };
+    broadcastPopup(notice);
+    sendToNetflixTabs(notice);
+  }
+  if (message.type === "waiting-room") {
+    handleWaitingRoomStatus(message.status);
+  }
+  if (message.type === "join-request") {
+    joinRequests.set(message.userId, {
+      userId: message.userId,
+      name: message.name || "Someone",
+      avatar: message.avatar || null,
+      ts: message.ts || Date.now(),
+    });
+    emitLocalSystem(`${message.name || "Someone"} is in the waiting room`);
+    broadcastJoinRequests();
+  }
+  if (message.type === "join-request-resolved") {
+    joinRequests.delete(message.userId);
+    broadcastJoinRequests();
+  }
+  if (message.type === "moderation") {
+    handleModeration(message);
+  }
+  if (message.type === "error" && message.code === "chat-muted") {
+    emitLocalSystem("You're muted in this room. Your message wasn't sent.");
+  }
+  if (message.type === "hello") {
+    handleServerHello(message);
+  }
+  if (message.type === "group-buffering") {
+    handleGroupBuffering(message);
+  }
+  if (message.type === "ready-check") {
+    handleReadyCheck(message);
+  }
+  if (message.type === "error" && PROTOCOL_ERRORS.has(message.code)) {
+    handleProtocolError(message);
+  }
+  if (message.type === "room-invite") {
+    // A friend invited us into another room; the popup lists it under Friends
+    emitLocalSystem(`${message.from || "A friend"} invited you to room ${message.roomId}`);
+    broadcastPopup({ type: "room-invite", roomId: message.roomId, from: message.from, fromId: message.fromId });
+  }
   if (message.type === "key-exchange") {
     handleKeyExchange(message);
   }
   if (message.type === "encrypted") {
-    handleEncrypted(message);
+    enqueueEncrypted(message);
   }
   if (message.type === "typing") {
     const typingMsg = {
@@ -1182,9 +1397,10 @@ function routeIncoming(message) {
       payload: {
         t: message.time,
         paused: message.paused,
+        rate: message.rate,
         url: message.url,
         reason: "sync",
-        ts: message.ts,
+        ts: toLocalTime(message.ts),
       },
     });
   }
@@ -1262,8 +1478,9 @@ function respondToSyncRequest(requesterId) {
         type: "sync-state",
         time: response.t,
         paused: response.paused,
+        rate: response.rate,
         url: response.url,
-        ts: Date.now(),
+        ts: serverNow(),
       };
       
       sendEncryptedPayload(payload).then((sent) => {
@@ -1274,7 +1491,9 @@ function respondToSyncRequest(requesterId) {
             type: "sync-state",
             time: response.t,
             paused: response.paused,
+            rate: response.rate,
             url: response.url,
+            ts: payload.ts,
           }));
           return;
         }
@@ -1287,8 +1506,70 @@ function respondToSyncRequest(requesterId) {
   });
 }
 
+// Role of a participant from the latest presence snapshot ("host" | "cohost" | "viewer")
+function getParticipantRole(userId) {
+  const entry = currentParticipants.find((p) => p?.id === userId);
+  return entry?.role || "viewer";
+}
+
+// The server can only drop a muted user's encrypted chat if they flag it for the log,
+// so receivers also drop chat from anyone presence marks as muted
+function isChatMuted(userId) {
+  return !!currentParticipants.find((p) => p?.id === userId)?.muted;
+}
+
+// Whether a participant may drive playback under the room's control policy
+function canControlPlayback(userId = displayId) {
+  if (!hostOnlyControls) return true;
+  return getParticipantRole(userId) !== "viewer";
+}
+
+// The one member whose position heartbeats everyone's drift correction follows: the host
+// when they're here, else the first co-host, else the lowest id. Everyone picks from the
+// same presence list, so they agree without asking each other.
+function driftLeaderId() {
+  const ids = (role) =>
+    currentParticipants
+      .filter((p) => p?.id && (!role || p.role === role))
+      .map((p) => p.id)
+      .sort();
+  return ids("host")[0] || ids("cohost")[0] || ids()[0] || null;
+}
+
+// Heartbeats from anyone but the leader would pull peers toward a second timeline
+function isLeaderHeartbeat(payload, fromId) {
+  return payload?.reason !== "time" || (!!fromId && fromId === driftLeaderId());
+}
+
+// Host/co-host control messages are plaintext: the server has to read them to enforce roles
+function sendRoomControl(payload) {
+  if (!ws || ws.readyState !== WebSocket.OPEN || !currentRoom) return;
+  ws.send(JSON.stringify(payload));
+}
+
 function forwardState(payload) {
-  if (!ws || ws.readyState !== WebSocket.OPEN) {
+  if (!isLeaderHeartbeat(payload, displayId)) return;
+  if (!canControlPlayback()) {
+    if (!controlNoticeShown && payload?.reason !== "time") {
+      controlNoticeShown = true;
+      emitLocalSystem("Only the host can control playback in this room");
+    }
+    // The tab already changed speed; put it back to the room's
+    if (payload?.reason === "rate") sendToNetflixTabs({ type: "rate-refused" });
+    return;
+  }
+  if (ratePolicy === "locked" && payload?.rate > 0 && Math.abs(payload.rate - 1) >= 0.001) {
+    if (payload.reason === "rate") emitLocalSystem("Playback speed is locked to 1x in this room");
+    sendToNetflixTabs({ type: "rate-refused" });
+    if (payload.reason === "rate") return;
+    payload = { ...payload, rate: 1 };
+  }
+  // The tab stamps positions with its own clock; peers read them on the server's
+  payload = { ...payload, ts: toServerTime(typeof payload?.ts === "number" ? payload.ts : Date.now()) };
+  // Position heartbeats are only worth anything live
+  const isHeartbeat = payload?.reason === "time";
+  if (!ws || ws.readyState !== WebSocket.OPEN || waitingForHost) {
+    if (isHeartbeat) return;
     // Queue the latest state so it can be sent once we reconnect
     lastOutboundState = payload;
     queueMessage({ type: "state", payload });
@@ -1306,6 +1587,7 @@ function forwardState(payload) {
       return;
     }
     
+    if (isHeartbeat) return;
     // Encryption required but no peer keys yet - queue for later and prompt key exchange
     console.log("[Sync] Queueing state update - no peer keys yet");
     queueMessage({ type: "state", payload });
@@ -1329,7 +1611,7 @@ function sendCurrentStateToRoom() {
           url: response.url,
           title: response.title,
           reason: "sync",
-          ts: Date.now(),
+          ts: serverNow(),
         };
         lastOutboundState = statePayload;
       
@@ -1357,8 +1639,8 @@ function sendChat(text) {
     avatar: session?.profile?.picture || null,
   };
   
-  // If not connected, queue the message
-  if (!ws || ws.readyState !== WebSocket.OPEN) {
+  // If not connected (or still in the waiting room), queue the message
+  if (!ws || ws.readyState !== WebSocket.OPEN || waitingForHost) {
     queueMessage(payload);
     console.log("[Chat] Message queued (offline):", text.substring(0, 20));
     return;
@@ -1384,7 +1666,7 @@ function sendSystemMessage(text) {
   if (!text || !currentRoom) return;
   const payload = { type: "system", text, ts: Date.now() };
   // If not connected, queue the message once
-  if (!ws || ws.readyState !== WebSocket.OPEN) {
+  if (!ws || ws.readyState !== WebSocket.OPEN || waitingForHost) {
     queueMessage(payload, "system");
     return;
   }
@@ -1514,11 +1796,10 @@ function flushMessageQueue() {
         return;
       }
 
-      // Some event types are intentionally always plaintext for reliability,
-      // even if the room requires encryption.
+      // System notices pick their own transport (see sendSystem)
       if (payload?.type === "system") {
         try {
-          ws.send(JSON.stringify(outbound));
+          sendSystem(outbound);
         } catch (_) {
           queueMessage(payload, dedupeKey || payload?.type);
         }
@@ -1648,9 +1929,19 @@ function sendSystem(textOrPayload) {
   if (!textOrPayload || !ws || ws.readyState !== WebSocket.OPEN) return;
   const base = typeof textOrPayload === "string" ? { text: textOrPayload } : textOrPayload;
   const payload = { type: "system", ts: Date.now(), ...base };
-  // System messages (play/pause/skip notifications) are always sent as plaintext
-  // since they're not sensitive and need to be reliably delivered to all participants
-  // regardless of encryption key exchange status
+  // Notices like "skipped to 12:34" or "changed the speed to 2x" give away the
+  // playback the room keeps from the server, so encrypted rooms send them sealed.
+  // A peer that doesn't hold our key yet couldn't follow the state they describe
+  // either, so an undeliverable notice is dropped. The URL is left to the
+  // encrypted episode-changed.
+  if (encryptionRequired) {
+    delete payload.url;
+    sendEncryptedPayload(payload).catch((err) => {
+      console.warn("[Crypto] Failed to send encrypted notice:", err.message);
+    });
+    return;
+  }
+  // Elsewhere they go as plaintext so they reach everyone regardless of key exchange status
   ws.send(JSON.stringify(payload));
 }
 
@@ -1684,6 +1975,10 @@ function emitPlaybackSystem(payload = {}) {
     const text = `${displayName} skipped to ${formatTime(payload.t)}`;
     changes.push({ text });
   }
+
+  if (payload.reason === "rate" && payload.rate > 0) {
+    changes.push({ text: `${displayName} changed the speed to ${payload.rate}x` });
+  }
   
   // Emit locally and broadcast to room
   changes.forEach((change) => {
@@ -1712,6 +2007,8 @@ function leaveCurrentRoom(reason = "Left room") {
   persistQueue(currentRoom);
   clearPersistedKeys(currentRoom);
   teardownSocket(false, true); // Clear keys and reset attempts
+  groupBuffering = false;
+  readyCheckStatus = null;
   const leftRoom = currentRoom;
   currentRoom = null;
   connectionStatus = "disconnected";
@@ -1842,10 +2139,14 @@ function handleEpisodeChanged(url, ts, title) {
   const safeTitle = title && title !== prevTitle ? title : null;
   lastVideoTitle = safeTitle;
   updatePlayerStatus(hasNetflixPlayer, hasActivePlayback, lastVideoUrl, lastVideoTitle);
+  if (!canControlPlayback()) {
+    console.log("[Episode] Not announcing episode change: host-only controls");
+    return;
+  }
   const text = `${displayName} started the next episode`;
   const sysPayload = { text, url };
   emitLocalSystem(sysPayload);
-  // Broadcast as a system message (always plaintext) so it reliably reaches everyone.
+  // Broadcast as a system message (sealed in encrypted rooms, see sendSystem)
   if (ws && ws.readyState === WebSocket.OPEN) {
     sendSystem(sysPayload);
   } else {
@@ -1961,7 +2262,9 @@ async function sendEpisodeChanged(payload) {
   queueMessage(payload, "episode-changed");
 }
 
-async function announceKeyExchange() {
+// Without a recipient the key goes to the whole room; with one the server only
+// delivers it to that peer (`reply` marks an answer to their announcement)
+async function announceKeyExchange(recipientId = null, reply = false) {
   if (!ws || ws.readyState !== WebSocket.OPEN) return;
   await ensureKeyPair();
   ws.send(
@@ -1969,17 +2272,27 @@ async function announceKeyExchange() {
       type: "key-exchange",
       publicKey: publicKeyB64,
       curve: ECDH_CURVE,
+      recipientId: recipientId || undefined,
+      reply: reply || undefined,
     })
   );
 }
 
 async function ensureKeyPair() {
+  // A different account signed in; its identity key is a different one
+  if (keyPairPromise && keyPairOwner !== displayId) {
+    keyPairPromise = null;
+    publicKeyB64 = null;
+    keyPairData = null;
+  }
   if (keyPairPromise) return keyPairPromise;
   
+  keyPairOwner = displayId;
+  const owner = displayId;
   keyPairPromise = (async () => {
     // Try to load persisted key pair first
-    if (currentRoom) {
-      const persisted = await loadPersistedKeyPair(currentRoom);
+    if (owner) {
+      const persisted = await loadPersistedKeyPair(owner);
       if (persisted) {
         try {
           // Import the persisted keys
@@ -2004,7 +2317,7 @@ async function ensureKeyPair() {
           
           publicKeyB64 = persisted.publicKey;
           keyPairData = persisted;
-          console.log("[Keys] Using persisted key pair for room:", currentRoom);
+          console.log("[Keys] Using identity key pair for user:", owner);
           return { publicKey, privateKey };
         } catch (err) {
           console.warn("[Keys] Failed to import persisted keys, generating new:", err.message);
@@ -2031,8 +2344,8 @@ async function ensureKeyPair() {
     };
     
     // Persist the new key pair
-    if (currentRoom) {
-      await persistKeyPair(currentRoom, keyPairData.publicKey, keyPairData.privateKey);
+    if (owner) {
+      await persistKeyPair(owner, keyPairData.publicKey, keyPairData.privateKey);
     }
     
     return kp;
@@ -2061,17 +2374,17 @@ async function handleKeyExchange(message) {
       peerDisplayNames.set(peerId, message.from);
     }
     console.log("[Keys] Received and stored key from:", message.from || peerId);
+    checkVerifiedPeerKey(peerId, key).then(broadcastVerificationStatus);
+
+    // Answer announcements so the announcer gets our key too; replies end the exchange.
+    // An announcement also means they may have lost our chain key, so share it again.
+    if (!message.reply) {
+      senderKeyRecipients.delete(peerId);
+      announceKeyExchange(peerId, true);
+    }
     
     // Persist peer keys after update
-    if (currentRoom) {
-      // Debounce persistence to avoid too many writes
-      if (handleKeyExchange._persistTimer) {
-        clearTimeout(handleKeyExchange._persistTimer);
-      }
-      handleKeyExchange._persistTimer = setTimeout(() => {
-        persistPeerKeys(currentRoom);
-      }, 500);
-    }
+    schedulePersistPeerKeys();
     
     // If we just got our first peer key and have queued messages, flush them
     if (hadNoPeers && peerPublicKeys.size > 0 && messageQueue.length > 0) {
@@ -2082,13 +2395,48 @@ async function handleKeyExchange(message) {
     console.warn("Failed to store peer key", err);
   }
 }
-handleKeyExchange._persistTimer = null;
+
+// Debounce persistence to avoid too many writes
+let persistPeerKeysTimer = null;
+
+function schedulePersistPeerKeys() {
+  if (!currentRoom) return;
+  clearTimeout(persistPeerKeysTimer);
+  const roomId = currentRoom;
+  persistPeerKeysTimer = setTimeout(() => {
+    persistPeerKeysTimer = null;
+    if (currentRoom === roomId) persistPeerKeys(roomId);
+  }, 500);
+}
+
+// Encrypted frames are opened one at a time, in arrival order: a sender-key share
+// takes several awaits to open, and the group message sent right behind it must not
+// look for the key before the share is stored (mirrored in backend/client/e2e-crypto.js)
+let encryptedInbound = Promise.resolve();
+
+function enqueueEncrypted(message) {
+  encryptedInbound = encryptedInbound
+    .then(() => handleEncrypted(message))
+    .catch((err) => console.warn("[Crypto] Failed to handle encrypted message:", err.message));
+  return encryptedInbound;
+}
 
 async function handleEncrypted(message) {
   const recipientId = message.recipientId || message.recipient;
   if (recipientId && displayId && recipientId !== displayId) return;
   const senderId = message.fromId || message.from;
   if (!senderId) return;
+
+  if (message.scheme === "sender-key") {
+    // Group messages come back to us too; we already showed our own
+    if (displayId && senderId === displayId) return;
+    const payload = await openSenderKeyMessage(message, senderId);
+    const fromName = message.from || peerDisplayNames.get(senderId) || senderId;
+    if (payload && acceptReplayCounter(senderId, "group", payload, fromName)) {
+      routeDecryptedPayload(payload, senderId, fromName);
+    }
+    return;
+  }
   
   const peerKey = peerPublicKeys.get(senderId);
   const keyPair = await ensureKeyPair();
@@ -2096,7 +2444,7 @@ async function handleEncrypted(message) {
   if (!peerKey) {
     console.log(`[Crypto] No key for peer ${senderId}, requesting key exchange`);
     // Request key exchange from this peer
-    announceKeyExchange();
+    announceKeyExchange(senderId);
     return;
   }
   
@@ -2106,20 +2454,33 @@ async function handleEncrypted(message) {
   }
 
   try {
-    const salt = message.salt ? base64ToBuffer(message.salt) : new Uint8Array();
-    const aesKey = await deriveAesKeyFromPeer(keyPair.privateKey, peerKey, salt);
-    const decrypted = await decryptWithAes(message, aesKey);
-    routeDecryptedPayload(decrypted, senderId, message.from || peerDisplayNames.get(senderId) || senderId);
+    const decrypted = await decryptFromPeer(message, keyPair, peerKey);
+    const fromName = message.from || peerDisplayNames.get(senderId) || senderId;
+    if (decrypted && acceptReplayCounter(senderId, "direct", decrypted, fromName)) {
+      await routeDecryptedPayload(decrypted, senderId, fromName);
+    }
   } catch (err) {
     console.warn(`[Crypto] Decrypt failed from ${senderId}:`, err.message);
-    // Message may have targeted another peer, or keys are mismatched
-    // Request fresh key exchange
-    announceKeyExchange();
+    // Keys are mismatched (e.g. the sender restarted); request a fresh exchange with them
+    announceKeyExchange(senderId);
   }
 }
 
+async function decryptFromPeer(message, keyPair, peerKey) {
+  const salt = message.salt ? base64ToBuffer(message.salt) : new Uint8Array();
+  const aesKey = await deriveAesKeyFromPeer(keyPair.privateKey, peerKey, salt);
+  return decryptWithAes(message, aesKey);
+}
+
 function routeDecryptedPayload(payload, fromId, fromName) {
   if (!payload || typeof payload !== "object") return;
+  if (payload.type === "sender-key") {
+    return withSenderKeyLock(() => storePeerSenderKey(fromId, payload));
+  }
+  if ((payload.type === "chat" || payload.type === "typing") && isChatMuted(fromId)) {
+    console.log(`[Chat] Ignoring ${payload.type} from muted ${fromName || fromId}`);
+    return;
+  }
   if (payload.type === "chat") {
     const msg = {
       type: "chat",
@@ -2133,6 +2494,13 @@ function routeDecryptedPayload(payload, fromId, fromName) {
     sendToNetflixTabs(msg);
     return;
   }
+  if (payload.type === "system") {
+    if (typeof payload.text !== "string") return;
+    const sys = { type: "system", text: payload.text, ts: payload.ts || Date.now() };
+    broadcastPopup(sys);
+    sendToNetflixTabs(sys);
+    return;
+  }
   if (payload.type === "typing") {
     const typingMsg = {
       type: "typing",
@@ -2145,7 +2513,13 @@ function routeDecryptedPayload(payload, fromId, fromName) {
     sendToNetflixTabs(typingMsg);
     return;
   }
+  // The server can't see inside encrypted envelopes, so enforce host-only controls here
+  if ((payload.type === "state" || payload.type === "episode-changed") && !canControlPlayback(fromId)) {
+    console.log(`[Sync] Ignoring ${payload.type} from viewer ${fromName || fromId} (host-only controls)`);
+    return;
+  }
   if (payload.type === "state") {
+    if (!isLeaderHeartbeat(payload.payload, fromId)) return;
     if (payload.payload?.url) {
       lastVideoUrl = payload.payload.url;
     }
@@ -2164,7 +2538,9 @@ function routeDecryptedPayload(payload, fromId, fromName) {
       type: "apply-state",
       payload: {
         ...payload.payload,
-        reason: "sync",  // Mark as sync so content script applies it
+        ts: toLocalTime(payload.payload?.ts),
+        // Mark as sync so content script applies it; heartbeats only feed drift correction
+        reason: payload.payload?.reason === "time" ? "time" : "sync",
         from: fromName,
         fromId,
       },
@@ -2229,46 +2605,359 @@ function routeDecryptedPayload(payload, fromId, fromName) {
       payload: {
         t: payload.time,
         paused: payload.paused,
+        rate: payload.rate,
         url: payload.url,
         reason: "sync",
-        ts: payload.ts,
+        ts: toLocalTime(payload.ts),
       },
     });
+    // Encrypted rooms don't tell the server (or the join response) what's playing,
+    // so this is where a joiner learns the title. Once the tab lands on it, the
+    // content script asks for sync again and the position is applied there.
+    if (encryptionRequired && payload.url) {
+      lastVideoUrl = payload.url;
+      updatePlayerStatus(hasNetflixPlayer, hasActivePlayback, lastVideoUrl, lastVideoTitle);
+      navigateToVideo(payload.url);
+    }
     return;
   }
 }
 
+// One ciphertext for the whole room, encrypted with our sender key
 async function sendEncryptedPayload(payload) {
   if (!ws || ws.readyState !== WebSocket.OPEN) return false;
   await ensureKeyPair();
-  const peers = Array.from(peerPublicKeys.keys());
-  if (!peers.length) return false;
-
-  let sent = 0;
-  await Promise.all(
-    peers.map(async (peer) => {
-      const peerKey = peerPublicKeys.get(peer);
-      if (!peerKey) return;
-      const salt = crypto.getRandomValues(new Uint8Array(16));
-      const iv = crypto.getRandomValues(new Uint8Array(12));
-      const keyPair = await ensureKeyPair();
-      const aesKey = await deriveAesKeyFromPeer(keyPair.privateKey, peerKey, salt);
-      const { ciphertext, tag } = await encryptWithAes(payload, aesKey, iv);
-      sent += 1;
-      ws.send(
-        JSON.stringify({
-          type: "encrypted",
-          ciphertext,
-          iv: bufferToBase64(iv),
-          tag,
-          salt: bufferToBase64(salt),
-          alg: "aes-256-gcm",
-          recipientId: peer,
-        })
-      );
+  if (!peerPublicKeys.size) return false;
+
+  return withSenderKeyLock(async () => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+    if (!ownSenderKey) {
+      ownSenderKey = createSenderKey();
+      senderKeyRecipients.clear();
+    }
+    // Peers still in the room that don't hold our current chain key get it first
+    const present = new Set(currentParticipants.map((p) => p?.id).filter(Boolean));
+    const peers = Array.from(peerPublicKeys.keys()).filter(
+      (peer) => !senderKeyRecipients.has(peer) && (!present.size || present.has(peer))
+    );
+    const share = {
+      type: "sender-key",
+      keyId: ownSenderKey.keyId,
+      chainKey: ownSenderKey.chainKey,
+      iteration: ownSenderKey.iteration,
+    };
+    await Promise.all(
+      peers.map(async (peer) => {
+        if (await sendPairwisePayload(peer, share)) senderKeyRecipients.add(peer);
+      })
+    );
+    if (!senderKeyRecipients.size || !ws || ws.readyState !== WebSocket.OPEN) return false;
+
+    const envelope = await encryptWithSenderKey(stampReplayCounter("group", payload));
+    ws.send(
+      JSON.stringify({
+        type: "encrypted",
+        ...envelope,
+        // Ask the server to keep chat in the room log (it can't see inside)
+        persist: payload.type === "chat" ? true : undefined,
+      })
+    );
+    return true;
+  });
+}
+
+// Encrypt for a single peer with a fresh ECDH+HKDF key (used to hand out chain keys)
+async function sendPairwisePayload(peer, payload) {
+  const peerKey = peerPublicKeys.get(peer);
+  if (!peerKey || !ws || ws.readyState !== WebSocket.OPEN) return false;
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const keyPair = await ensureKeyPair();
+  const aesKey = await deriveAesKeyFromPeer(keyPair.privateKey, peerKey, salt);
+  const { ciphertext, tag } = await encryptWithAes(stampReplayCounter(`direct:${peer}`, payload), aesKey, iv);
+  if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+  ws.send(
+    JSON.stringify({
+      type: "encrypted",
+      ciphertext,
+      iv: bufferToBase64(iv),
+      tag,
+      salt: bufferToBase64(salt),
+      alg: "aes-256-gcm",
+      recipientId: peer,
     })
   );
-  return sent > 0;
+  return true;
+}
+
+// ============ Sender Keys ============
+// Each member ratchets its own chain key once per message
+//   messageKey = HMAC-SHA256(chainKey, 0x01), nextChainKey = HMAC-SHA256(chainKey, 0x02)
+// (mirrored in backend/client/e2e-crypto.js) and hands the chain key to each peer
+// once over the pairwise channel. Our key is replaced whenever someone leaves.
+
+const MAX_SENDER_KEY_SKIP = 1000; // Messages we'll ratchet past in one go
+const MAX_SKIPPED_KEYS = 200; // Keys kept for messages that arrive out of order
+const MAX_KEYS_PER_PEER = 2; // A peer's current key plus the one it replaced
+const SENDER_KEY_REQUEST_INTERVAL_MS = 5000;
+let ownSenderKey = null; // { keyId, chainKey (base64), iteration }
+const senderKeyRecipients = new Set(); // peerIds holding our current chain key
+const peerSenderKeys = new Map(); // peerId -> Map(keyId -> { chainKey, iteration, skipped })
+const senderKeyRequests = new Map(); // peerId -> last time we asked them to resend
+let senderKeyLock = Promise.resolve();
+
+// Chain keys advance once per message, so sends and receives must not interleave
+function withSenderKeyLock(task) {
+  const run = senderKeyLock.then(task, task);
+  senderKeyLock = run.catch(() => {});
+  return run;
+}
+
+function createSenderKey() {
+  const id = crypto.getRandomValues(new Uint8Array(8));
+  return {
+    keyId: Array.from(id, (b) => b.toString(16).padStart(2, "0")).join(""),
+    chainKey: bufferToBase64(crypto.getRandomValues(new Uint8Array(32))),
+    iteration: 0,
+  };
+}
+
+async function ratchetSenderKey(chainKey) {
+  const hmacKey = await crypto.subtle.importKey(
+    "raw",
+    base64ToBuffer(chainKey),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const [messageKey, nextChainKey] = await Promise.all([
+    crypto.subtle.sign("HMAC", hmacKey, new Uint8Array([1])),
+    crypto.subtle.sign("HMAC", hmacKey, new Uint8Array([2])),
+  ]);
+  return { messageKey: bufferToBase64(messageKey), chainKey: bufferToBase64(nextChainKey) };
+}
+
+function importMessageKey(messageKey) {
+  return crypto.subtle.importKey("raw", base64ToBuffer(messageKey), { name: "AES-GCM" }, false, [
+    "encrypt",
+    "decrypt",
+  ]);
+}
+
+function senderKeyAad(keyId, n) {
+  return encoder.encode(`${keyId}:${n}`);
+}
+
+// Call with the lock held
+async function encryptWithSenderKey(payload) {
+  const current = ownSenderKey;
+  const n = current.iteration;
+  const { messageKey, chainKey } = await ratchetSenderKey(current.chainKey);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const aesKey = await importMessageKey(messageKey);
+  const { ciphertext, tag } = await encryptWithAes(payload, aesKey, iv, senderKeyAad(current.keyId, n));
+  // A rotation may have replaced the key meanwhile; never resurrect the old one
+  if (ownSenderKey === current) {
+    ownSenderKey = { ...current, chainKey, iteration: n + 1 };
+  }
+  return {
+    scheme: "sender-key",
+    keyId: current.keyId,
+    n,
+    ciphertext,
+    iv: bufferToBase64(iv),
+    tag,
+    alg: "aes-256-gcm",
+  };
+}
+
+// Returns { payload, state }; throws on replays, huge gaps or tampering
+async function decryptWithSenderKey(message, state) {
+  const n = Number(message.n);
+  if (!Number.isInteger(n) || n < 0) throw new Error("invalid_message_index");
+
+  const skipped = { ...state.skipped };
+  let { chainKey, iteration } = state;
+  let messageKey;
+  if (n < iteration) {
+    if (!skipped[n]) throw new Error("message_key_used");
+    messageKey = skipped[n];
+    delete skipped[n];
+  } else {
+    if (n - iteration > MAX_SENDER_KEY_SKIP) throw new Error("too_many_skipped_messages");
+    while (iteration < n) {
+      const step = await ratchetSenderKey(chainKey);
+      skipped[iteration] = step.messageKey;
+      chainKey = step.chainKey;
+      iteration += 1;
+    }
+    const step = await ratchetSenderKey(chainKey);
+    messageKey = step.messageKey;
+    chainKey = step.chainKey;
+    iteration = n + 1;
+  }
+
+  const aesKey = await importMessageKey(messageKey);
+  const payload = await decryptWithAes(message, aesKey, senderKeyAad(message.keyId, n));
+  const kept = Object.keys(skipped)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .slice(-MAX_SKIPPED_KEYS);
+  return {
+    payload,
+    state: { chainKey, iteration, skipped: Object.fromEntries(kept.map((index) => [index, skipped[index]])) },
+  };
+}
+
+function openSenderKeyMessage(message, senderId) {
+  return withSenderKeyLock(async () => {
+    const keys = peerSenderKeys.get(senderId);
+    const state = keys?.get(message.keyId);
+    if (!state) {
+      requestSenderKey(senderId, `No sender key ${message.keyId} from ${senderId}`);
+      return null;
+    }
+    try {
+      const { payload, state: next } = await decryptWithSenderKey(message, state);
+      keys.set(message.keyId, next);
+      return payload;
+    } catch (err) {
+      console.warn(`[Crypto] Sender-key decrypt failed from ${senderId}:`, err.message);
+      return null;
+    }
+  });
+}
+
+// An announcement makes the peer share their chain key with us again
+function requestSenderKey(peerId, reason) {
+  const last = senderKeyRequests.get(peerId) || 0;
+  if (Date.now() - last < SENDER_KEY_REQUEST_INTERVAL_MS) return;
+  senderKeyRequests.set(peerId, Date.now());
+  console.log(`[Crypto] ${reason}, requesting key exchange`);
+  announceKeyExchange(peerId);
+}
+
+// Call with the lock held
+function storePeerSenderKey(peerId, share) {
+  if (!peerId || typeof share.keyId !== "string" || typeof share.chainKey !== "string") return;
+  if (!Number.isInteger(share.iteration) || share.iteration < 0) return;
+  const keys = peerSenderKeys.get(peerId) || new Map();
+  const existing = keys.get(share.keyId);
+  // A re-share never winds the chain back to indexes we've already used
+  if (existing && existing.iteration >= share.iteration) return;
+  keys.delete(share.keyId);
+  keys.set(share.keyId, { chainKey: share.chainKey, iteration: share.iteration, skipped: {} });
+  while (keys.size > MAX_KEYS_PER_PEER) {
+    keys.delete(keys.keys().next().value);
+  }
+  peerSenderKeys.set(peerId, keys);
+  senderKeyRequests.delete(peerId);
+  console.log("[Crypto] Stored sender key from:", peerDisplayNames.get(peerId) || peerId);
+}
+
+// Members who left keep their copy of our chain key, so start a new one
+function rotateSenderKey(departedIds) {
+  return withSenderKeyLock(() => {
+    departedIds.forEach((id) => {
+      peerSenderKeys.delete(id);
+      senderKeyRecipients.delete(id);
+      senderKeyRequests.delete(id);
+    });
+    if (!ownSenderKey) return;
+    console.log("[Crypto] Member left, rotating sender key");
+    ownSenderKey = null;
+    senderKeyRecipients.clear();
+  });
+}
+
+// ============ Replay Protection ============
+// Envelopes only carry a random IV, so the relay could replay an old "pause at 10:00"
+// or drop and reorder messages. Every payload we encrypt carries `counter: { epoch, n }`
+// per stream (the group stream, or our pairwise stream to one peer), and receivers keep
+// a sliding window per sender and stream (mirrored in backend/client/e2e-crypto.js).
+// Windows are stored with the peer keys, so they survive reconnects and restarts.
+
+const REPLAY_WINDOW = 128;
+const REPLAY_WARNING_INTERVAL_MS = 30000;
+let replayEpoch = Date.now(); // When our counters started; a restart moves it forward
+const outboundCounters = new Map(); // stream -> next n
+const inboundWindows = new Map(); // `${peerId}:${stream}` -> { epoch, highest, seen }
+const countedSenders = new Set(); // peerIds whose payloads carry counters
+const replayWarnings = new Map(); // peerId -> last time we warned about them
+
+function stampReplayCounter(stream, payload) {
+  const n = outboundCounters.get(stream) || 0;
+  outboundCounters.set(stream, n + 1);
+  return { ...payload, counter: { epoch: replayEpoch, n } };
+}
+
+// Start over with a newer epoch so peers never mistake fresh counters for replays
+function resetReplayState() {
+  replayEpoch = Math.max(Date.now(), replayEpoch + 1);
+  outboundCounters.clear();
+  inboundWindows.clear();
+  countedSenders.clear();
+  replayWarnings.clear();
+}
+
+function checkReplayWindow(window, counter) {
+  const { epoch, n } = counter || {};
+  if (!Number.isFinite(epoch) || !Number.isInteger(n) || n < 0) return { result: "invalid", window };
+  if (!window || epoch > window.epoch) {
+    return { result: "ok", window: { epoch, highest: n, seen: [n] } };
+  }
+  if (epoch < window.epoch || n <= window.highest - REPLAY_WINDOW) return { result: "stale", window };
+  if (window.seen.includes(n)) return { result: "replay", window };
+  if (n < window.highest) {
+    return { result: "ok", window: { ...window, seen: [...window.seen, n] } };
+  }
+  const missed = n - window.highest - 1;
+  const seen = [...window.seen, n].filter((index) => index > n - REPLAY_WINDOW);
+  return { result: missed ? "gap" : "ok", missed, window: { epoch, highest: n, seen } };
+}
+
+// A window read back from storage, or null if it doesn't look like one
+function restoreReplayWindow(stored) {
+  const { epoch, highest, seen } = stored || {};
+  if (!Number.isFinite(epoch) || !Number.isInteger(highest) || highest < 0 || !Array.isArray(seen)) return null;
+  return {
+    epoch,
+    highest,
+    seen: seen.filter((n) => Number.isInteger(n) && n <= highest && n > highest - REPLAY_WINDOW),
+  };
+}
+
+// Whether a decrypted payload may be routed; warns about replays and lost messages
+function acceptReplayCounter(peerId, stream, payload, fromName) {
+  if (!payload.counter) {
+    // Older clients don't send counters; once a peer has, every payload must carry one
+    if (!countedSenders.has(peerId)) return true;
+    warnReplay(peerId, fromName, "invalid");
+    return false;
+  }
+  countedSenders.add(peerId);
+  const key = `${peerId}:${stream}`;
+  const { result, missed, window } = checkReplayWindow(inboundWindows.get(key), payload.counter);
+  if (window !== inboundWindows.get(key)) {
+    inboundWindows.set(key, window);
+    schedulePersistPeerKeys();
+  }
+  if (result === "ok") return true;
+  warnReplay(peerId, fromName, result, missed);
+  return result === "gap";
+}
+
+function warnReplay(peerId, fromName, result, missed) {
+  console.warn(`[Crypto] ${result} from ${peerId}`, missed ? `(${missed} missing)` : "");
+  const last = replayWarnings.get(peerId) || 0;
+  if (Date.now() - last < REPLAY_WARNING_INTERVAL_MS) return;
+  replayWarnings.set(peerId, Date.now());
+  const name = fromName || peerDisplayNames.get(peerId) || "a participant";
+  emitLocalSystem(
+    result === "gap"
+      ? `⚠️ ${missed === 1 ? "A message" : `${missed} messages`} from ${name} never arrived.`
+      : `⚠️ Blocked a replayed or out-of-date message from ${name}.`
+  );
 }
 
 async function deriveAesKeyFromPeer(privateKey, peerKey, salt) {
@@ -2278,11 +2967,22 @@ async function deriveAesKeyFromPeer(privateKey, peerKey, salt) {
     256
   );
   const hkdfKey = await crypto.subtle.importKey("raw", secret, "HKDF", false, ["deriveKey"]);
+  // In passphrase rooms only members who know it can derive the key, even if the
+  // server swapped a public key
+  const roomSecret = currentRoom ? roomSecrets.get(currentRoom) : null;
+  let hkdfSalt = salt;
+  if (roomSecret) {
+    const saltBytes = new Uint8Array(salt);
+    const secretBytes = new Uint8Array(base64ToBuffer(roomSecret.secret));
+    hkdfSalt = new Uint8Array(saltBytes.length + secretBytes.length);
+    hkdfSalt.set(saltBytes, 0);
+    hkdfSalt.set(secretBytes, saltBytes.length);
+  }
   return crypto.subtle.deriveKey(
     {
       name: "HKDF",
-      salt,
-      info: encoder.encode("flixers-e2e"),
+      salt: hkdfSalt,
+      info: encoder.encode(roomSecret ? "flixers-e2e-passphrase" : "flixers-e2e"),
       hash: "SHA-256",
     },
     hkdfKey,
@@ -2292,10 +2992,10 @@ async function deriveAesKeyFromPeer(privateKey, peerKey, salt) {
   );
 }
 
-async function encryptWithAes(payload, key, iv) {
+async function encryptWithAes(payload, key, iv, aad) {
   const combined = new Uint8Array(
     await crypto.subtle.encrypt(
-      { name: "AES-GCM", iv, tagLength: 128 },
+      { name: "AES-GCM", iv, tagLength: 128, ...(aad ? { additionalData: aad } : {}) },
       key,
       encoder.encode(JSON.stringify(payload))
     )
@@ -2308,7 +3008,7 @@ async function encryptWithAes(payload, key, iv) {
   };
 }
 
-async function decryptWithAes(message, key) {
+async function decryptWithAes(message, key, aad) {
   const ciphertext = base64ToBuffer(message.ciphertext || "");
   const tag = base64ToBuffer(message.tag || "");
   const iv = base64ToBuffer(message.iv || "");
@@ -2316,7 +3016,7 @@ async function decryptWithAes(message, key) {
   combined.set(new Uint8Array(ciphertext), 0);
   combined.set(new Uint8Array(tag), ciphertext.byteLength);
   const plaintext = await crypto.subtle.decrypt(
-    { name: "AES-GCM", iv, tagLength: 128 },
+    { name: "AES-GCM", iv, tagLength: 128, ...(aad ? { additionalData: aad } : {}) },
     key,
     combined
   );
@@ -2407,7 +3107,12 @@ async function handleGoogleSignIn() {
     }
     
     const data = await res.json();
-    const newSession = { token: data.token, profile: data.profile };
+    const newSession = {
+      token: data.token,
+      refreshToken: data.refreshToken,
+      profile: data.profile,
+      preferences: data.preferences || null,
+    };
     
     console.log("[Auth] Token exchanged successfully, saving session");
     
@@ -2420,6 +3125,7 @@ async function handleGoogleSignIn() {
     // Notify popup and content scripts
     broadcastPopup({ type: "auth", session: newSession });
     sendToNetflixTabs({ type: "auth", session: newSession });
+    scheduleTokenRefresh();
     
     console.log("[Auth] Sign-in complete:", displayName);
     
@@ -2446,3 +3152,662 @@ function extractIdToken(redirectUrl) {
     return null;
   }
 }
+
+// ============ Waiting Room ============
+// In rooms with the waiting room on, the server holds new viewers until a host or
+// co-host lets them in. Hosts get a join-request per person waiting.
+
+function handleWaitingRoomStatus(status) {
+  if (status === "waiting") {
+    waitingForHost = true;
+    connectionStatus = "waiting";
+    emitLocalSystem("Waiting for the host to let you in…");
+  } else if (status === "admitted") {
+    waitingForHost = false;
+    connectionStatus = "connected";
+    emitLocalSystem("You're in!");
+    // Whatever we sent while waiting was dropped, including the sync request
+    pendingSyncRequest = true;
+    beginRoomSession();
+  } else if (status === "denied") {
+    // The server closes the socket next (WS_CLOSE_JOIN_DENIED)
+    waitingForHost = false;
+  } else {
+    return;
+  }
+  const update = { type: "waiting-room", status };
+  broadcastPopup(update);
+  sendToNetflixTabs(update);
+  if (status !== "denied") {
+    broadcastPopup({ type: "ws-status", status: connectionStatus });
+    sendToNetflixTabs({ type: "ws-status", status: connectionStatus });
+  }
+}
+
+function broadcastJoinRequests() {
+  const update = { type: "join-requests", requests: Array.from(joinRequests.values()) };
+  broadcastPopup(update);
+  sendToNetflixTabs(update);
+}
+
+// ============ Group Buffering ============
+// The server pauses the room while anyone's player buffers. The content script does
+// the pausing and resuming; here we only relay it and explain it in the chat.
+
+let groupBuffering = false;
+
+function handleGroupBuffering(message) {
+  const waitingOn = Array.isArray(message.waitingOn) ? message.waitingOn : [];
+  const others = waitingOn.filter((p) => p.id !== displayId).map((p) => p.name || "Someone");
+  if (message.active && !groupBuffering) {
+    emitLocalSystem(
+      others.length ? `Pausing while ${others.join(", ")} catches up` : "Your video is buffering. Pausing the room for you."
+    );
+  } else if (!message.active && groupBuffering) {
+    if (message.reason === "timeout") {
+      emitLocalSystem(
+        others.length
+          ? `Resuming without ${others.join(", ")}. Their connection is too slow.`
+          : "The room moved on without you. You'll catch up once your video loads."
+      );
+    } else {
+      emitLocalSystem("Everyone's ready. Resuming.");
+    }
+  }
+  groupBuffering = !!message.active;
+  sendToNetflixTabs({ type: "group-buffering", active: groupBuffering, waitingOn, reason: message.reason });
+}
+
+// ============ Ready Check ============
+// A host or co-host asks everyone to confirm their player is loaded, then the room
+// counts down to a shared start. The server's start time reaches the tab in our clock.
+
+const READY_CHECK_ACTIONS = new Set(["start", "force", "cancel"]);
+let readyCheckStatus = null; // "checking" | "countdown" while a ready check runs
+
+function handleReadyCheck(message) {
+  const isInitiator = message.byId === displayId;
+  if (message.status === "checking" && readyCheckStatus !== "checking" && !isInitiator) {
+    emitLocalSystem(`${message.by || "The host"} wants to start together. Click "I'm ready" once your video has loaded.`);
+  } else if (message.status === "cancelled" && message.reason === "timeout") {
+    const missing = (message.participants || []).filter((p) => !p.ready).map((p) => p.name || "Someone");
+    emitLocalSystem(
+      missing.length ? `The ready check timed out. Not ready: ${missing.join(", ")}` : "The ready check timed out"
+    );
+  } else if (message.status === "cancelled") {
+    emitLocalSystem(`${message.cancelledBy || "The host"} called off the ready check`);
+  }
+  readyCheckStatus = message.status === "cancelled" ? null : message.status;
+  sendToNetflixTabs({ ...message, startAt: toLocalTime(message.startAt), isInitiator });
+}
+
+// ============ Clock Sync ============
+// NTP-style estimate of the server clock from the JSON ping/pong. The server echoes our
+// send time and adds when it received the ping; of the recent samples, the one with the
+// shortest round trip is the least skewed by queuing, so its offset wins. Positions go
+// out stamped in server time and incoming stamps are turned back into our local time.
+
+const CLOCK_SAMPLE_LIMIT = 8;
+const CLOCK_BURST_PINGS = 4; // Quick pings on connect so the first estimate doesn't wait for the heartbeat
+const CLOCK_BURST_INTERVAL_MS = 1000;
+let clockSamples = []; // { offset, rtt } in ms
+let clockOffset = 0; // Server clock minus ours, in ms
+
+function startClockSync() {
+  // A reconnect may land on another server instance; keep the old offset until new samples arrive
+  clockSamples = [];
+  const socket = ws;
+  for (let i = 0; i < CLOCK_BURST_PINGS; i++) {
+    setTimeout(() => {
+      if (ws !== socket || ws.readyState !== WebSocket.OPEN) return;
+      ws.send(JSON.stringify({ type: "ping", ts: Date.now() }));
+    }, i * CLOCK_BURST_INTERVAL_MS);
+  }
+}
+
+function handleClockPong(message, receivedAt = Date.now()) {
+  if (typeof message.echo !== "number" || typeof message.ts !== "number") return;
+  const serverReceivedAt = typeof message.receivedAt === "number" ? message.receivedAt : message.ts;
+  const rtt = receivedAt - message.echo - (message.ts - serverReceivedAt);
+  if (rtt < 0) return;
+  const offset = (serverReceivedAt - message.echo + (message.ts - receivedAt)) / 2;
+  clockSamples.push({ offset, rtt });
+  if (clockSamples.length > CLOCK_SAMPLE_LIMIT) clockSamples.shift();
+  const best = clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  clockOffset = Math.round(best.offset);
+}
+
+// Current time on the server's clock
+function serverNow() {
+  return toServerTime(Date.now());
+}
+
+function toServerTime(localTs) {
+  return typeof localTs === "number" ? localTs + clockOffset : localTs;
+}
+
+function toLocalTime(serverTs) {
+  return typeof serverTs === "number" ? serverTs - clockOffset : serverTs;
+}
+
+// ============ Protocol ============
+// Each connection opens with a hello carrying our protocol version; the server answers
+// with its own range. When either side is too old we leave the room and ask for an update.
+
+const PROTOCOL_VERSION = 1; // Keep in step with backend/protocol.js
+const MIN_SERVER_PROTOCOL_VERSION = 1; // Oldest server we can talk to
+const CLIENT_CAPABILITIES = ["e2e", "sender-keys", "invites", "waiting-room", "moderation", "group-buffering", "clock-sync", "ready-check"];
+const PROTOCOL_ERRORS = new Set(["invalid-json", "invalid-message", "unknown-type", "invalid-field", "unsupported-version"]);
+let protocolIncompatible = null; // "client-outdated" | "server-outdated" once a handshake failed
+
+function sendHello() {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  ws.send(
+    JSON.stringify({
+      type: "hello",
+      version: PROTOCOL_VERSION,
+      capabilities: CLIENT_CAPABILITIES,
+      client: `flixers-extension/${chrome.runtime.getManifest().version}`,
+    })
+  );
+}
+
+function handleServerHello(message) {
+  console.log(`[Protocol] Server speaks v${message.version} (min v${message.minVersion})`);
+  if (message.minVersion > PROTOCOL_VERSION) {
+    handleProtocolIncompatible("client-outdated");
+  } else if (message.version < MIN_SERVER_PROTOCOL_VERSION) {
+    handleProtocolIncompatible("server-outdated");
+  } else {
+    protocolIncompatible = null;
+  }
+}
+
+// The server rejected a frame; only a refused chat message is worth telling the user about
+function handleProtocolError(message) {
+  if (message.code === "unsupported-version") {
+    handleProtocolIncompatible("client-outdated");
+    return;
+  }
+  console.warn("[Protocol] Server rejected", message.messageType || "frame", message.code, message.detail || "");
+  if (message.messageType === "chat") {
+    emitLocalSystem("Your message couldn't be sent. It may be too long.");
+  }
+}
+
+function handleProtocolIncompatible(reason) {
+  if (!currentRoom) return;
+  protocolIncompatible = reason;
+  const text =
+    reason === "client-outdated"
+      ? "This room's server needs a newer version of Flixers. Update the extension to rejoin."
+      : "This room's server runs an older version of Flixers and can't be joined.";
+  const update = { type: "protocol-incompatible", reason, text };
+  broadcastPopup(update);
+  sendToNetflixTabs(update);
+  // Reconnecting would only fail the same way
+  leaveCurrentRoom(text);
+}
+
+// Ask Chrome for a newer build; it reloads the extension once one is downloaded
+function checkForUpdate(sendResponse) {
+  chrome.runtime.requestUpdateCheck((status) => {
+    if (chrome.runtime.lastError) {
+      sendResponse({ status: "error", error: chrome.runtime.lastError.message });
+      return;
+    }
+    sendResponse({ status });
+  });
+}
+
+chrome.runtime.onUpdateAvailable.addListener(() => {
+  if (protocolIncompatible === "client-outdated") chrome.runtime.reload();
+});
+
+// ============ Moderation ============
+
+// A host or co-host acted on us: kicks and bans take us out of the room
+function handleModeration(message) {
+  const by = message.by || "The host";
+  const notices = {
+    kick: `${by} removed you from the room`,
+    ban: `${by} banned you from this room`,
+    "mute-chat": `${by} muted your chat`,
+    "unmute-chat": `${by} unmuted your chat`,
+  };
+  const text = notices[message.action];
+  if (!text) return;
+  const update = { type: "moderation", action: message.action, by, text };
+  broadcastPopup(update);
+  sendToNetflixTabs(update);
+  if (message.action === "kick" || message.action === "ban") {
+    leaveCurrentRoom(text);
+  } else {
+    emitLocalSystem(text);
+  }
+}
+
+// ============ Room Chat History ============
+// The server keeps a bounded log per room; the overlay pages through it when the
+// user scrolls up. Encrypted rooms only have envelopes we may be able to decrypt.
+
+const HISTORY_PAGE_SIZE = 50;
+
+async function fetchRoomHistory(roomId, before) {
+  if (!roomId || roomId !== currentRoom) return { ok: false, reason: "not-in-room" };
+  if (!(await ensureFreshToken())) return { ok: false, reason: "auth-required" };
+  const params = new URLSearchParams({ limit: String(HISTORY_PAGE_SIZE) });
+  if (Number.isFinite(before)) params.set("before", String(before));
+  try {
+    const res = await fetchWithTimeout(`${BACKEND_HTTP}/rooms/${encodeURIComponent(roomId)}/messages?${params}`, {
+      headers: { Authorization: `Bearer ${session.token}` },
+    });
+    if (!res.ok) {
+      const error = await res.json().catch(() => ({}));
+      return { ok: false, reason: error.error || "history_failed" };
+    }
+    const data = await res.json();
+    const entries = Array.isArray(data.messages) ? data.messages : [];
+    const messages = (await Promise.all(entries.map(historyEntryToMessage))).filter(Boolean);
+    return { ok: true, messages, nextBefore: data.nextBefore ?? null };
+  } catch (err) {
+    console.warn("[History] Failed to load room history:", err.message);
+    return { ok: false, reason: "network_error" };
+  }
+}
+
+// Same shape as live chat/system messages so the overlay can dedupe them
+async function historyEntryToMessage(entry) {
+  if (entry.type === "chat") {
+    return { type: "chat", from: entry.from, fromId: entry.fromId, text: entry.text, ts: entry.ts, avatar: entry.avatar };
+  }
+  if (entry.type === "system") {
+    return { type: "system", text: entry.text, ts: entry.ts };
+  }
+  if (entry.type !== "encrypted") return null;
+  const recipientId = entry.recipientId || entry.recipient;
+  if (recipientId && displayId && recipientId !== displayId) return null;
+  try {
+    const payload = await openHistoryEnvelope(entry);
+    if (payload?.type !== "chat") return null;
+    return {
+      type: "chat",
+      from: entry.from || peerDisplayNames.get(entry.fromId) || "Anon",
+      fromId: entry.fromId,
+      text: payload.text,
+      ts: payload.ts || entry.ts,
+      avatar: payload.avatar,
+    };
+  } catch (_) {
+    return null;
+  }
+}
+
+// Envelopes sent before we (or our current keys) joined can't be opened
+async function openHistoryEnvelope(entry) {
+  if (entry.scheme === "sender-key") {
+    // Only what our chain position can still reach; the stored state is left alone
+    const state = peerSenderKeys.get(entry.fromId)?.get(entry.keyId);
+    if (!state) return null;
+    return (await decryptWithSenderKey(entry, state)).payload;
+  }
+  const peerKey = peerPublicKeys.get(entry.fromId);
+  const keyPair = await ensureKeyPair();
+  if (!peerKey || !keyPair) return null;
+  return decryptFromPeer(entry, keyPair, peerKey);
+}
+
+// ============ Safety Numbers ============
+// Public keys are relayed by our own server, so nothing on the wire stops it from
+// swapping one. Two participants compare a safety number (read aloud, on a call);
+// once someone is marked verified we remember their key's fingerprint and warn
+// loudly if a different key shows up for them later.
+
+const VERIFIED_PEERS_PREFIX = "flixers-verified-";
+const SAFETY_NUMBER_VERSION = "flixers-safety-v1";
+let verifiedPeers = null; // { owner, peers: { peerId -> { fingerprint, name, verifiedAt } } }
+const keyChangeWarnings = new Map(); // peerId -> fingerprint we already warned about
+
+async function loadVerifiedPeers() {
+  if (verifiedPeers && verifiedPeers.owner === displayId) return verifiedPeers.peers;
+  const owner = displayId;
+  let peers = {};
+  if (owner) {
+    try {
+      const key = `${VERIFIED_PEERS_PREFIX}${owner}`;
+      const result = await chrome.storage.local.get(key);
+      peers = result[key] || {};
+    } catch (err) {
+      console.warn("[Verify] Failed to load verified peers:", err.message);
+    }
+  }
+  verifiedPeers = { owner, peers };
+  return peers;
+}
+
+async function saveVerifiedPeers() {
+  if (!verifiedPeers?.owner) return;
+  try {
+    await chrome.storage.local.set({ [`${VERIFIED_PEERS_PREFIX}${verifiedPeers.owner}`]: verifiedPeers.peers });
+  } catch (err) {
+    console.warn("[Verify] Failed to save verified peers:", err.message);
+  }
+}
+
+async function keyFingerprint(cryptoKey) {
+  const raw = await crypto.subtle.exportKey("raw", cryptoKey);
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", raw));
+  return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// 30 digits for one side: six 5-byte chunks of SHA-512(version, user id, key), each mod 100000
+async function safetyNumberHalf(userId, rawKey) {
+  const label = encoder.encode(`${SAFETY_NUMBER_VERSION}:${userId}:`);
+  const input = new Uint8Array(label.byteLength + rawKey.byteLength);
+  input.set(label, 0);
+  input.set(new Uint8Array(rawKey), label.byteLength);
+  const hash = new Uint8Array(await crypto.subtle.digest("SHA-512", input));
+  let digits = "";
+  for (let i = 0; i < 30; i += 5) {
+    const chunk = hash.slice(i, i + 5).reduce((value, byte) => value * 256 + byte, 0);
+    digits += String(chunk % 100000).padStart(5, "0");
+  }
+  return digits;
+}
+
+// Both participants see the same 60 digits: the halves are ordered by user id
+async function computeSafetyNumber(peerId) {
+  const peerKey = peerPublicKeys.get(peerId);
+  if (!peerKey || !displayId) return null;
+  await ensureKeyPair();
+  if (!publicKeyB64) return null;
+  const own = await safetyNumberHalf(displayId, base64ToBuffer(publicKeyB64));
+  const theirs = await safetyNumberHalf(peerId, await crypto.subtle.exportKey("raw", peerKey));
+  const digits = displayId < peerId ? own + theirs : theirs + own;
+  return digits.match(/.{5}/g).join(" ");
+}
+
+// "verified" | "changed" (verified before, different key now) | "unverified"
+async function peerVerificationStatus(peerId) {
+  const peerKey = peerPublicKeys.get(peerId);
+  const record = (await loadVerifiedPeers())[peerId];
+  if (!peerKey || !record) return "unverified";
+  return (await keyFingerprint(peerKey)) === record.fingerprint ? "verified" : "changed";
+}
+
+async function getVerificationStatuses() {
+  const statuses = {};
+  for (const peerId of peerPublicKeys.keys()) {
+    statuses[peerId] = await peerVerificationStatus(peerId);
+  }
+  return statuses;
+}
+
+async function broadcastVerificationStatus() {
+  const statuses = await getVerificationStatuses();
+  broadcastPopup({ type: "verification-status", statuses });
+  sendToNetflixTabs({ type: "verification-status", statuses });
+}
+
+async function getPeerVerification(peerId) {
+  if (!peerId || !peerPublicKeys.has(peerId)) return { ok: false, reason: "no_key" };
+  const safetyNumber = await computeSafetyNumber(peerId);
+  if (!safetyNumber) return { ok: false, reason: "no_key" };
+  return {
+    ok: true,
+    peerId,
+    name: peerDisplayNames.get(peerId) || peerId,
+    safetyNumber,
+    status: await peerVerificationStatus(peerId),
+  };
+}
+
+async function setPeerVerified(peerId, verified) {
+  const peerKey = peerPublicKeys.get(peerId);
+  if (!peerKey || !displayId) return { ok: false, reason: "no_key" };
+  const peers = await loadVerifiedPeers();
+  if (verified) {
+    peers[peerId] = {
+      fingerprint: await keyFingerprint(peerKey),
+      name: peerDisplayNames.get(peerId) || null,
+      verifiedAt: Date.now(),
+    };
+  } else {
+    delete peers[peerId];
+  }
+  keyChangeWarnings.delete(peerId);
+  await saveVerifiedPeers();
+  await broadcastVerificationStatus();
+  return { ok: true, status: await peerVerificationStatus(peerId) };
+}
+
+// Called for every key we accept; a verified peer with a new key gets a loud warning (once per key)
+async function checkVerifiedPeerKey(peerId, cryptoKey) {
+  const record = (await loadVerifiedPeers())[peerId];
+  if (!record) return;
+  const fingerprint = await keyFingerprint(cryptoKey);
+  if (fingerprint === record.fingerprint) {
+    keyChangeWarnings.delete(peerId);
+    return;
+  }
+  if (keyChangeWarnings.get(peerId) === fingerprint) return;
+  keyChangeWarnings.set(peerId, fingerprint);
+  const name = peerDisplayNames.get(peerId) || record.name || "A participant";
+  console.warn(`[Verify] Key for verified peer ${peerId} changed`);
+  emitLocalSystem(
+    `⚠️ ${name}'s security key changed since you verified it. Compare safety numbers again before trusting this chat.`
+  );
+  const alert = { type: "peer-key-changed", peerId, name };
+  broadcastPopup(alert);
+  sendToNetflixTabs(alert);
+}
+
+// ============ Room Passphrases ============
+// A passphrase room's salt comes from the server; PBKDF2 stretches the passphrase into
+// a proof (shown to the server at join and on the socket) and a secret that only
+// members know, mixed into every pairwise key. The passphrase itself never leaves here.
+// Mirrors derivePassphraseKeys in backend/client/e2e-crypto.js.
+
+const PASSPHRASE_ITERATIONS = 600000;
+const PASSPHRASE_SALT_BYTES = 16;
+const roomSecrets = new Map(); // roomId -> { proof, secret } (base64)
+
+async function derivePassphraseKeys(passphrase, saltB64) {
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(String(passphrase).normalize("NFKC")),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = new Uint8Array(
+    await crypto.subtle.deriveBits(
+      { name: "PBKDF2", salt: base64ToBuffer(saltB64), iterations: PASSPHRASE_ITERATIONS, hash: "SHA-256" },
+      baseKey,
+      512
+    )
+  );
+  const proof = bits.slice(0, 32);
+  const verifier = await crypto.subtle.digest("SHA-256", proof);
+  return {
+    proof: bufferToBase64(proof),
+    secret: bufferToBase64(bits.slice(32)),
+    verifier: bufferToBase64(verifier),
+  };
+}
+
+// Fresh salt + verifier for a room we're about to create
+async function createPassphraseVerifier(passphrase) {
+  const salt = bufferToBase64(crypto.getRandomValues(new Uint8Array(PASSPHRASE_SALT_BYTES)));
+  const { verifier } = await derivePassphraseKeys(passphrase, salt);
+  return { salt, verifier };
+}
+
+function passphraseStorageKey(roomId) {
+  return `${KEY_STORAGE_PREFIX}pass-${roomId}`;
+}
+
+// Derived keys for a room, so reconnects and rejoins don't ask again
+async function getRoomSecret(roomId) {
+  if (roomSecrets.has(roomId)) return roomSecrets.get(roomId);
+  try {
+    const key = passphraseStorageKey(roomId);
+    const stored = (await chrome.storage.local.get(key))[key];
+    if (stored?.proof && stored?.secret) {
+      roomSecrets.set(roomId, { proof: stored.proof, secret: stored.secret });
+      return roomSecrets.get(roomId);
+    }
+  } catch (err) {
+    console.warn("[Keys] Failed to load room passphrase:", err.message);
+  }
+  return null;
+}
+
+async function rememberRoomSecret(roomId, keys) {
+  roomSecrets.set(roomId, { proof: keys.proof, secret: keys.secret });
+  try {
+    await chrome.storage.local.set({ [passphraseStorageKey(roomId)]: { proof: keys.proof, secret: keys.secret } });
+  } catch (err) {
+    console.warn("[Keys] Failed to persist room passphrase:", err.message);
+  }
+}
+
+// The socket shows the proof in Sec-WebSocket-Protocol rather than the URL, which
+// proxies and access logs keep; protocol names can't hold "/", "+" or "=", hence base64url
+function proofSubprotocols(proof) {
+  const encoded = proof.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  return ["flixers", `flixers-proof.${encoded}`];
+}
+
+// POST /rooms/:id/join with the invite (if any) and a passphrase proof when we have (or
+// can derive) one. If the server says the room needs a passphrase it also sends the
+// salt, so one retry suffices.
+async function requestRoomJoin(roomId, { invite, passphrase, passphraseSalt } = {}) {
+  let keys = passphrase ? null : await getRoomSecret(roomId);
+  if (passphrase && passphraseSalt) {
+    keys = await derivePassphraseKeys(passphrase, passphraseSalt);
+  }
+  const post = () =>
+    fetch(`${BACKEND_HTTP}/rooms/${roomId}/join`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${session.token}`,
+      },
+      body: JSON.stringify({ invite: invite || undefined, passphraseProof: keys?.proof }),
+    });
+
+  let res = await post();
+  if (res.status === 403 && passphrase && !keys) {
+    const error = await res.clone().json().catch(() => ({}));
+    if (error.error === "passphrase_required" && error.passphraseSalt) {
+      keys = await derivePassphraseKeys(passphrase, error.passphraseSalt);
+      res = await post();
+    }
+  }
+  if (res.ok && keys) {
+    await rememberRoomSecret(roomId, keys);
+  }
+  return res;
+}
+
+// ============ Access Token Refresh ============
+// Access tokens are short-lived; the refresh token (rotated on every use) renews them
+// so long watch sessions never hit a sign-in prompt.
+
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000; // Renew a minute before the access token expires
+let tokenRefreshPromise = null;
+let tokenRefreshTimer = null;
+
+function getTokenExpiry(token) {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return Number(JSON.parse(atob(payload)).exp) * 1000 || 0;
+  } catch (_) {
+    return 0;
+  }
+}
+
+// Resolves false when the session is gone and the user has to sign in again
+async function ensureFreshToken(force = false) {
+  if (!session?.token) return false;
+  if (!session.refreshToken) return true; // Sessions from before refresh tokens keep their token until it expires
+  if (!force && getTokenExpiry(session.token) - Date.now() > TOKEN_REFRESH_MARGIN_MS) return true;
+  // Refresh tokens are single-use, so concurrent callers must share one request
+  if (!tokenRefreshPromise) {
+    tokenRefreshPromise = refreshSessionToken().finally(() => {
+      tokenRefreshPromise = null;
+    });
+  }
+  return tokenRefreshPromise;
+}
+
+async function refreshSessionToken() {
+  const refreshToken = session?.refreshToken;
+  let res;
+  try {
+    res = await fetchWithTimeout(`${BACKEND_HTTP}/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    }, 8000);
+  } catch (err) {
+    // Offline or server down: keep the current token and try again shortly
+    console.warn("[Auth] Token refresh failed:", err.message);
+    scheduleTokenRefresh(30000);
+    return true;
+  }
+
+  if (res.status === 400 || res.status === 401) {
+    const data = await res.json().catch(() => ({}));
+    console.warn("[Auth] Refresh token rejected:", data.error);
+    if (currentRoom) {
+      emitLocalSystem("Your session ended. Sign in again to rejoin.");
+    }
+    clearSession("auth-expired");
+    return false;
+  }
+  if (!res.ok) {
+    console.warn("[Auth] Token refresh failed:", res.status);
+    scheduleTokenRefresh(30000);
+    return true;
+  }
+
+  const data = await res.json();
+  // Signed out (or signed in again) while the request was in flight
+  if (session?.refreshToken !== refreshToken) return !!session;
+  session = {
+    ...session,
+    token: data.token,
+    refreshToken: data.refreshToken,
+    profile: data.profile || session.profile,
+  };
+  displayName = session.profile?.name || "Guest";
+  displayId = session.profile?.sub || null;
+  await chrome.storage.local.set({ flixersSession: session });
+  broadcastPopup({ type: "auth", session });
+  sendToNetflixTabs({ type: "auth", session });
+  scheduleTokenRefresh();
+  console.log("[Auth] Access token refreshed");
+  return true;
+}
+
+function scheduleTokenRefresh(delay) {
+  clearTimeout(tokenRefreshTimer);
+  tokenRefreshTimer = null;
+  if (!session?.refreshToken) return;
+  const wait = delay ?? Math.max(0, getTokenExpiry(session.token) - Date.now() - TOKEN_REFRESH_MARGIN_MS);
+  tokenRefreshTimer = setTimeout(() => {
+    tokenRefreshTimer = null;
+    ensureFreshToken();
+  }, wait);
+}
+
+// The popup may hand back an older copy of the session; once we hold a refresh
+// token for the same user ours is the current one (the popup's may already be spent)
+function adoptSession(next) {
+  if (next && session?.refreshToken && next.profile?.sub === session.profile?.sub) {
+    return { ...next, token: session.token, refreshToken: session.refreshToken };
+  }
+  return next || null;
+}
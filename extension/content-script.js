@@ -50,6 +50,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({
         t: video.currentTime,
         paused: video.paused,
+        rate: PlayerSync.roomRate(),
         url: window.location.href,
         title: NetflixAdapter.getTitle ? NetflixAdapter.getTitle() : null,
       });
@@ -105,6 +106,11 @@ function storageKey(roomId) {
   return `flixers-messages-${roomId}`;
 }
 
+// Identifies a chat/system message across local storage, live traffic and server history
+function messageKey(m) {
+  return `${m.fromId || m.from || "anon"}-${m.ts || ""}-${m.text || ""}`;
+}
+
 function unreadKey(roomId) {
   return `flixers-unread-${roomId}`;
 }
@@ -113,6 +119,41 @@ const OVERLAY_STATE_KEY = "flixers-overlay-open";
 const OVERLAY_INACTIVITY_MS = 60 * 1000;
 const OVERLAY_TOP_KEY = "flixers-overlay-top";
 const OVERLAY_BOTTOM_KEY = "flixers-overlay-bottom";
+const MAX_CHAT_LENGTH = 2000; // The server rejects longer chat messages
+const BUFFERING_ANNOUNCE_DELAY_MS = 1500; // Waits shorter than this (seeks, startup) aren't worth pausing the room for
+const POSITION_HEARTBEAT_MS = 5000; // How often a playing client shares its position for drift correction
+const MAX_PROJECTION_MS = 60 * 1000; // Older position stamps are too stale to play forward
+
+// Drift correction (see PlayerSync). Any of these can be overridden with a
+// `flixersDriftSettings` object in chrome.storage.local.
+const DRIFT_SETTINGS_KEY = "flixersDriftSettings";
+const DEFAULT_DRIFT_SETTINGS = {
+  intervalMs: 1000, // How often we compare our position with the room's
+  deadband: 0.3, // Seconds of drift we leave alone
+  gain: 0.05, // Rate change per second of smoothed drift
+  maxAdjust: 0.05, // Never play more than 5% faster or slower than the base rate
+  smoothing: 0.3, // Weight of each new drift sample (1 = no smoothing)
+  seekThreshold: 4, // Seconds behind the room at which we seek instead
+};
+let driftSettings = { ...DEFAULT_DRIFT_SETTINGS };
+
+function applyDriftSettings(overrides) {
+  const next = { ...DEFAULT_DRIFT_SETTINGS };
+  Object.keys(DEFAULT_DRIFT_SETTINGS).forEach((key) => {
+    const value = Number(overrides?.[key]);
+    if (Number.isFinite(value) && value > 0) next[key] = value;
+  });
+  next.smoothing = Math.min(next.smoothing, 1);
+  next.maxAdjust = Math.min(next.maxAdjust, 0.5);
+  driftSettings = next;
+}
+
+if (isContextValid()) {
+  chrome.storage.local.get([DRIFT_SETTINGS_KEY], (stored) => applyDriftSettings(stored?.[DRIFT_SETTINGS_KEY]));
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[DRIFT_SETTINGS_KEY]) applyDriftSettings(changes[DRIFT_SETTINGS_KEY].newValue);
+  });
+}
 
 function purgeRoomMessages(roomId) {
   if (!roomId || !chrome?.storage?.local) return;
@@ -777,6 +818,22 @@ const NetflixAdapter = (() => {
     }
   };
 
+  // Playback speed: Netflix's player API when it has one, otherwise the video element
+  const setRate = async (rate) => {
+    const v = findVideo();
+    if (!v || !(rate > 0)) return false;
+    if (Math.abs(v.playbackRate - rate) < 0.001) return true;
+    await ensureBridge();
+    try {
+      const result = await callNetflixAPI("setRate", { rate }, 0);
+      if (result.success && Math.abs(v.playbackRate - rate) < 0.001) return true;
+    } catch (err) {
+      console.warn("[NetflixAdapter] Netflix API setRate error:", err.message);
+    }
+    v.playbackRate = rate;
+    return true;
+  };
+
   // Check if video is ready for operations
   const isReady = () => {
     const v = findVideo();
@@ -815,6 +872,7 @@ const NetflixAdapter = (() => {
     getState,
     seekTo,
     setPaused,
+    setRate,
     isReady,
     invalidateCache,
     wireListeners,
@@ -840,8 +898,13 @@ const PlayerSync = (() => {
   let pendingNavigationTarget = null;
   let titleRetryTimer = null;
   let titleRetryTargetPath = null;
-  let lastDriftWarning = 0;
   let pollInterval = null;
+  let bufferingTimer = null;
+  let bufferingAnnounced = false; // We told the room our player is buffering
+  let pausedForGroup = false; // We paused because someone was buffering and resume with the room
+  let readyCheckHeld = false; // We asked for the ready check and paused the room at our position
+  let readyWhenLoaded = false; // Confirm the ready check as soon as the player can play
+  let countdownTimer = null;
 
   // Use adapter for video finding
   const getVideo = () => NetflixAdapter.findVideo();
@@ -871,6 +934,14 @@ const PlayerSync = (() => {
       lastEpisodeSeqBySender.clear();
       lastSyncTargetPath = null;
       pendingNavigationTarget = null;
+      clearTimeout(bufferingTimer);
+      bufferingTimer = null;
+      bufferingAnnounced = false;
+      pausedForGroup = false;
+      resetReadyCheck();
+      ratePolicy = "sync";
+      rateBeforeChange = 1;
+      stopDriftCorrection();
       if (titleRetryTimer) {
         clearInterval(titleRetryTimer);
         titleRetryTimer = null;
@@ -1093,13 +1164,72 @@ const PlayerSync = (() => {
     el.addEventListener("play", throttle(handlePlayEvent, 1000), { passive: true });
     el.addEventListener("pause", throttle(handlePauseEvent, 1000), { passive: true });
     el.addEventListener("seeked", throttle(handleSeekEvent, 2000), { passive: true });
+    el.addEventListener("ratechange", handleRateChange, { passive: true });
     // Periodic time updates for drift detection
     el.addEventListener("timeupdate", throttle(handleTimeUpdate, 30000), { passive: true });
+    el.addEventListener("timeupdate", throttle(sendPositionHeartbeat, POSITION_HEARTBEAT_MS), { passive: true });
+    // Buffering: the room waits for us while our stream catches up
+    el.addEventListener("waiting", handleBufferingStart, { passive: true });
+    el.addEventListener("stalled", handleBufferingStart, { passive: true });
+    el.addEventListener("canplay", handleBufferingEnd, { passive: true });
+    el.addEventListener("canplay", handlePlayerLoaded, { passive: true });
+    el.addEventListener("playing", handleBufferingEnd, { passive: true });
+  };
+
+  const handleBufferingStart = () => {
+    if (!isInRoom || bufferingTimer || bufferingAnnounced) return;
+    bufferingTimer = setTimeout(() => {
+      bufferingTimer = null;
+      const v = getVideo();
+      // HAVE_FUTURE_DATA or better means we can play on; a paused player holds nobody up
+      if (!isInRoom || !v || v.readyState >= 3 || (v.paused && !pausedForGroup)) return;
+      console.log("[Flixers] Buffering - asking the room to wait");
+      bufferingAnnounced = true;
+      safeSend({ type: "player-buffering", buffering: true });
+    }, BUFFERING_ANNOUNCE_DELAY_MS);
+  };
+
+  const handleBufferingEnd = () => {
+    clearTimeout(bufferingTimer);
+    bufferingTimer = null;
+    if (!bufferingAnnounced) return;
+    console.log("[Flixers] Buffering done - ready");
+    bufferingAnnounced = false;
+    safeSend({ type: "player-buffering", buffering: false });
+  };
+
+  // The room pauses while anyone buffers and plays on once they're all ready (or the
+  // server stops waiting). Only players that were running get paused and resumed.
+  const applyGroupBuffering = async ({ active }) => {
+    if (!isInRoom) return;
+    if (active) {
+      const state = NetflixAdapter.getState();
+      if (pausedForGroup || !state || state.paused) return;
+      pausedForGroup = true;
+      await setPausedQuietly(true);
+    } else if (pausedForGroup) {
+      pausedForGroup = false;
+      await setPausedQuietly(false);
+    }
+  };
+
+  // Play/pause without broadcasting it as our own control
+  const setPausedQuietly = async (paused) => {
+    suppressNext = true;
+    try {
+      await NetflixAdapter.setPaused(paused);
+    } catch (err) {
+      console.warn("[Flixers] Error applying group buffering:", err.message);
+    } finally {
+      setTimeout(() => { suppressNext = false; }, 600);
+    }
   };
 
   const handlePlayEvent = () => {
     if (!isInRoom || suppressNext) return;
     if (broadcastSuppressedUntil && Date.now() < broadcastSuppressedUntil) return;
+    // Pressing play overrides the group pause
+    pausedForGroup = false;
     console.log("[Flixers] Play event - broadcasting to room");
     sendState("play");
   };
@@ -1141,6 +1271,8 @@ const PlayerSync = (() => {
     
     const state = serializeState(reason);
     if (!state) return;  // No video available
+    // We just set the room's position ourselves
+    setDriftReference(state);
     
     // Debounce - 1 second between state updates
     const now = Date.now();
@@ -1162,7 +1294,8 @@ const PlayerSync = (() => {
     return {
       t: state.t,
       paused: state.paused,
-      rate: state.rate,
+      // Never leak a drift nudge as our speed
+      rate: roomRate(),
       reason,
       ts: Date.now(),
       url: state.url,
@@ -1175,6 +1308,11 @@ const PlayerSync = (() => {
     if (payload.reason === "sync") {
       broadcastSuppressedUntil = 0;
     }
+    // Position heartbeats only steer the drift correction
+    if (payload.reason === "time") {
+      setDriftReference(payload);
+      return;
+    }
     const incomingTs = typeof payload.ts === "number" ? payload.ts : Date.now();
     payload.ts = incomingTs;
     let targetPath = null;
@@ -1321,14 +1459,19 @@ const PlayerSync = (() => {
       }
     }
     
-    // Handle live control updates (play/pause/seek) even outside initial sync
+    await applyRoomRate(payload.rate);
+
+    // Handle live control updates (play/pause/seek/speed) even outside initial sync
     const isInitialSync = payload.reason === "sync";
-    const isControl = payload.reason === "play" || payload.reason === "pause" || payload.reason === "seek";
+    const isControl =
+      payload.reason === "play" || payload.reason === "pause" || payload.reason === "seek" || payload.reason === "rate";
     console.log("[Flixers] isInitialSync:", isInitialSync, "reason:", payload.reason);
     
     if (!isInitialSync && isControl) {
+      // Someone else took over, so the group pause no longer decides for us
+      pausedForGroup = false;
       const state = NetflixAdapter.getState();
-      const targetTime = typeof payload.t === "number" ? payload.t : null;
+      const targetTime = typeof payload.t === "number" ? projectedPosition(payload) : null;
       const shouldSeek =
         targetTime !== null && state?.t !== undefined && Math.abs(state.t - targetTime) > 1.0;
       suppressNext = true;
@@ -1344,22 +1487,13 @@ const PlayerSync = (() => {
       } finally {
         setTimeout(() => { suppressNext = false; }, 600);
       }
+      setDriftReference(payload);
       return;
     }
     
     if (!isInitialSync) {
-      // For other ongoing updates, just log drift but don't try to control video
-      const state = NetflixAdapter.getState();
-      if (state && typeof payload.t === "number") {
-        const timeDiff = Math.abs(state.t - payload.t);
-        if (timeDiff > 10) {
-          const now = Date.now();
-          if (now - lastDriftWarning > 30000) {
-            lastDriftWarning = now;
-            console.log("[Flixers] Drift detected:", timeDiff.toFixed(1), "s - use Resync button");
-          }
-        }
-      }
+      // Other ongoing updates are left to the drift correction
+      setDriftReference(payload);
       return;
     }
     
@@ -1371,15 +1505,18 @@ const PlayerSync = (() => {
     }
     applyState._lastApply = now;
     
-    // Get current state for logging
+    // Get current state for logging; a playing position has moved on since it was stamped
     const currentState = NetflixAdapter.getState();
-    const timeDiff = currentState && typeof payload.t === "number" 
-      ? Math.abs(currentState.t - payload.t) 
+    const targetTime = typeof payload.t === "number" ? projectedPosition(payload) : null;
+    const timeDiff = currentState && targetTime !== null
+      ? Math.abs(currentState.t - targetTime) 
       : 0;
     
-    console.log("[Flixers] Sync - target:", payload.t?.toFixed(1), "current:", currentState?.t?.toFixed(1), "diff:", timeDiff.toFixed(1) + "s");
+    console.log("[Flixers] Sync - target:", targetTime?.toFixed(1), "current:", currentState?.t?.toFixed(1), "diff:", timeDiff.toFixed(1) + "s");
     
-    // Skip if already close enough
+    setDriftReference(payload);
+
+    // Skip if already close enough; the drift correction closes small gaps
     if (timeDiff < 3) {
       console.log("[Flixers] Already synced (within 3s), skipping seek");
       applyState._lastPayloadKey = payloadKey;
@@ -1404,8 +1541,8 @@ const PlayerSync = (() => {
     // Use adapter for all video operations (now async)
     let seekSucceeded = false;
     try {
-      if (typeof payload.t === "number") {
-        seekSucceeded = await NetflixAdapter.seekTo(payload.t);
+      if (targetTime !== null) {
+        seekSucceeded = await NetflixAdapter.seekTo(targetTime);
         console.log("[Flixers] Seek result:", seekSucceeded ? "success" : "may have failed");
       }
       
@@ -1417,11 +1554,11 @@ const PlayerSync = (() => {
     }
     
     // Verify sync after a delay and retry if needed
-    if (!seekSucceeded && typeof payload.t === "number") {
+    if (!seekSucceeded && targetTime !== null) {
       setTimeout(async () => {
         const state = NetflixAdapter.getState();
         if (state) {
-          const newDiff = Math.abs(state.t - payload.t);
+          const newDiff = Math.abs(state.t - targetTime);
           if (newDiff > 15) {
             console.log(`[Flixers] Sync verification failed, still ${newDiff.toFixed(1)}s away. Try Resync button.`);
           }
@@ -1435,12 +1572,264 @@ const PlayerSync = (() => {
   applyState._lastApply = 0;
   applyState._lastPayloadKey = null;
 
+  // ---- Drift correction ----
+  // Netflix re-buffers on every seek, so small gaps to the room's position are closed
+  // by playing a few percent faster or slower. We only seek when we're far behind;
+  // whoever is far ahead waits for the others to jump forward to them.
+  let driftReference = null; // { t, paused, rate, at } the room's last known position and when it was read (local time)
+  let driftTimer = null;
+  let smoothedDrift = 0;
+  let nudgedRate = null; // The playbackRate we set; any other rate is the user's own
+  let baseRate = 1;
+  let lastDriftSeek = 0;
+
+  const setDriftReference = (payload) => {
+    if (typeof payload?.t !== "number" || typeof payload.paused !== "boolean") return;
+    if (payload.url) {
+      try {
+        if (new URL(payload.url).pathname !== window.location.pathname) return;
+      } catch (_) {
+        return;
+      }
+    }
+    // Heartbeats refine the same timeline; a play/pause starts a new one
+    if (driftReference?.paused !== payload.paused) smoothedDrift = 0;
+    driftReference = {
+      t: payload.t,
+      paused: payload.paused,
+      rate: payload.rate > 0 ? payload.rate : 1,
+      at: Date.now() - stampAge(payload),
+    };
+    if (!driftTimer) driftTimer = setInterval(correctDrift, driftSettings.intervalMs);
+  };
+
+  const stopDriftCorrection = () => {
+    clearInterval(driftTimer);
+    driftTimer = null;
+    driftReference = null;
+    smoothedDrift = 0;
+    releaseRate();
+  };
+
+  const expectedPosition = (ref, now = Date.now()) =>
+    ref.paused ? ref.t : ref.t + ((now - ref.at) / 1000) * ref.rate;
+
+  // How long ago a position was read. The background turns the sender's server-time
+  // stamp into our local time, so this is the time it spent in transit.
+  const stampAge = (payload, now = Date.now()) =>
+    typeof payload?.ts === "number" ? Math.min(Math.max(0, now - payload.ts), MAX_PROJECTION_MS) : 0;
+
+  // Where a received position is now: playing positions move on while in transit
+  const projectedPosition = (payload) =>
+    payload.paused === false
+      ? payload.t + (stampAge(payload) / 1000) * (payload.rate > 0 ? payload.rate : 1)
+      : payload.t;
+
+  // Hand the speed back to whatever it was before we nudged it
+  const releaseRate = () => {
+    const v = getVideo();
+    if (v && nudgedRate !== null && Math.abs(v.playbackRate - nudgedRate) < 0.001) {
+      v.playbackRate = baseRate;
+    }
+    nudgedRate = null;
+  };
+
+  const correctDrift = async () => {
+    const v = getVideo();
+    if (!isInRoom || !v || !driftReference) return;
+    // A speed we didn't set is the user's (or Netflix's) and becomes the new base
+    if (nudgedRate === null || Math.abs(v.playbackRate - nudgedRate) >= 0.001) {
+      baseRate = v.playbackRate;
+      nudgedRate = null;
+    }
+    if (driftReference.paused || v.paused || v.seeking || v.readyState < 3 || suppressNext || pausedForGroup) {
+      releaseRate();
+      return;
+    }
+
+    const target = expectedPosition(driftReference);
+    const drift = v.currentTime - target; // > 0: we're ahead
+    if (drift < -driftSettings.seekThreshold) {
+      releaseRate();
+      smoothedDrift = 0;
+      if (Date.now() - lastDriftSeek < 10000) return;
+      lastDriftSeek = Date.now();
+      console.log(`[Flixers] ${(-drift).toFixed(1)}s behind the room, seeking`);
+      suppressNext = true;
+      try {
+        await NetflixAdapter.seekTo(target);
+      } catch (err) {
+        console.warn("[Flixers] Drift seek failed:", err.message);
+      } finally {
+        setTimeout(() => { suppressNext = false; }, 800);
+      }
+      return;
+    }
+
+    smoothedDrift += driftSettings.smoothing * (drift - smoothedDrift);
+    if (Math.abs(smoothedDrift) < driftSettings.deadband) {
+      releaseRate();
+      return;
+    }
+    const adjust = Math.max(-driftSettings.maxAdjust, Math.min(driftSettings.maxAdjust, smoothedDrift * driftSettings.gain));
+    const rate = Number((baseRate * (1 - adjust)).toFixed(3));
+    if (rate !== nudgedRate) {
+      nudgedRate = rate;
+      v.playbackRate = rate;
+    }
+  };
+
+  // ---- Playback speed ----
+  // Speed is group state: changing it changes it for everyone, unless the room locks it
+  // to 1x. baseRate is the room's speed; drift nudges sit on top of it and are never
+  // mistaken for a change of our own.
+  let ratePolicy = "sync"; // "sync" | "locked"
+  let rateBeforeChange = 1; // The room's speed before our last change, in case it's refused
+
+  const roomRate = () => {
+    if (nudgedRate !== null) return baseRate;
+    return getVideo()?.playbackRate || baseRate;
+  };
+
+  // Play at the room's speed without announcing it as a change of our own
+  const applyRoomRate = async (rate) => {
+    const target = ratePolicy === "locked" ? 1 : rate;
+    if (!(target > 0) || !getVideo()) return;
+    if (Math.abs(roomRate() - target) < 0.001) return;
+    console.log(`[Flixers] Playing at the room's speed: ${target}x`);
+    baseRate = target;
+    nudgedRate = null;
+    smoothedDrift = 0;
+    await NetflixAdapter.setRate(target);
+  };
+
+  const handleRateChange = () => {
+    const v = getVideo();
+    if (!isInRoom || !v) return;
+    const rate = v.playbackRate;
+    // Our own nudges, and going back to the room's speed, aren't changes
+    if (nudgedRate !== null && Math.abs(rate - nudgedRate) < 0.001) return;
+    if (Math.abs(rate - baseRate) < 0.001) return;
+    rateBeforeChange = baseRate;
+    baseRate = rate;
+    nudgedRate = null;
+    smoothedDrift = 0;
+    console.log(`[Flixers] Speed changed to ${rate}x - broadcasting to room`);
+    // Sent right away: the play/pause debounce could swallow a quick second change.
+    // The background refuses it when the room is locked or we may not control playback.
+    const state = serializeState("rate");
+    if (!state) return;
+    setDriftReference(state);
+    safeSend({ type: "player-event", payload: state });
+  };
+
+  const refuseRate = () => applyRoomRate(ratePolicy === "locked" ? 1 : rateBeforeChange);
+
+  const setRatePolicy = (policy) => {
+    if (policy !== "sync" && policy !== "locked") return;
+    ratePolicy = policy;
+    if (isInRoom && policy === "locked") applyRoomRate(1);
+  };
+
+  // While playing, share our position every few seconds so peers have something to steer by.
+  // The background only passes on (and applies) the room's drift leader's heartbeats.
+  const sendPositionHeartbeat = () => {
+    if (!isInRoom || suppressNext || pausedForGroup) return;
+    if (broadcastSuppressedUntil && Date.now() < broadcastSuppressedUntil) return;
+    const state = serializeState("time");
+    if (!state || state.paused) return;
+    safeSend({ type: "player-event", payload: state });
+  };
+
+  // ---- Ready check ----
+  // Whoever asks for a ready check pauses the room at their position. Everyone confirms
+  // once their player has loaded, then all clients start at the same moment.
+
+  const applyReadyCheck = async (message) => {
+    if (!isInRoom) return;
+    if (message.status === "checking") {
+      if (!message.isInitiator || readyCheckHeld) return;
+      readyCheckHeld = true;
+      await holdForReadyCheck();
+      confirmReady();
+    } else if (message.status === "countdown") {
+      scheduleStart(message.startAt);
+    } else {
+      resetReadyCheck();
+    }
+  };
+
+  const holdForReadyCheck = async () => {
+    await setPausedQuietly(true);
+    const state = serializeState("pause");
+    if (!state) return;
+    const payload = { ...state, paused: true };
+    setDriftReference(payload);
+    safeSend({ type: "player-event", payload });
+  };
+
+  // Returns whether the player was ready; otherwise we confirm once it is
+  const confirmReady = () => {
+    const v = getVideo();
+    // HAVE_FUTURE_DATA: it can play without stalling straight away
+    if (v && v.readyState >= 3) {
+      readyWhenLoaded = false;
+      safeSend({ type: "player-ready", ready: true });
+      return true;
+    }
+    readyWhenLoaded = true;
+    return false;
+  };
+
+  const handlePlayerLoaded = () => {
+    if (isInRoom && readyWhenLoaded) confirmReady();
+  };
+
+  // `startAt` is already in our local time (the background converts the server's)
+  const scheduleStart = async (startAt) => {
+    if (typeof startAt !== "number") return;
+    clearTimeout(countdownTimer);
+    readyWhenLoaded = false;
+    await setPausedQuietly(true);
+    countdownTimer = setTimeout(async () => {
+      countdownTimer = null;
+      readyCheckHeld = false;
+      const state = NetflixAdapter.getState();
+      if (!isInRoom || !state) return;
+      pausedForGroup = false;
+      // Everyone starts from the position the room paused at
+      const t = driftReference?.paused ? driftReference.t : state.t;
+      await setPausedQuietly(false);
+      setDriftReference({ t, paused: false, rate: roomRate(), ts: startAt });
+    }, Math.max(0, startAt - Date.now()));
+  };
+
+  const resetReadyCheck = () => {
+    clearTimeout(countdownTimer);
+    countdownTimer = null;
+    readyCheckHeld = false;
+    readyWhenLoaded = false;
+  };
+
   const start = () => {
     // Don't start observing automatically - wait until user joins a room
     // This prevents triggering Netflix DRM when not needed
   };
 
-  return { start, applyState, announcePlayer, setInRoom, requestResync, forceNavigateToEpisode };
+  return {
+    start,
+    applyState,
+    applyGroupBuffering,
+    applyReadyCheck,
+    confirmReady,
+    roomRate,
+    setRatePolicy,
+    refuseRate,
+    announcePlayer,
+    setInRoom,
+    requestResync,
+    forceNavigateToEpisode,
+  };
 })();
 
 function Avatar({ name, avatarUrl }) {
@@ -1513,7 +1902,11 @@ function SystemMessage({ msg }) {
   </div>`;
 }
 
-function PresenceList({ participants, presenceAvatars }) {
+const ROLE_LABELS = { host: "Host", cohost: "Co-host" };
+
+const VERIFY_LABELS = { verified: "✓ Verified", changed: "⚠ Key changed", unverified: "Verify" };
+
+function PresenceList({ participants, presenceAvatars, selfId, verification, onVerify }) {
   if (!participants?.length) {
     return html`<div class="flixers-chip">No one online</div>`;
   }
@@ -1525,16 +1918,168 @@ function PresenceList({ participants, presenceAvatars }) {
     return entry.url || entry.avatar || fallback || null;
   };
 
+  const selfRole = participants.find((p) => p?.id && p.id === selfId)?.role || "viewer";
+  const selfIsHost = selfRole === "host";
+  const toggleCoHost = (p) => {
+    safeSend({ type: "set-role", targetId: p.id, role: p.role === "cohost" ? "viewer" : "cohost" });
+  };
+  // Same rules as the server: only the host acts on co-hosts, nobody on the host
+  const canModerate = (p) =>
+    selfRole !== "viewer" && p?.id && p.id !== selfId && p.role !== "host" && (p.role !== "cohost" || selfIsHost);
+  const moderate = (p, action, extra = {}) => {
+    if (action === "ban" && !window.confirm(`Ban ${p.name || "this person"} from the room? They can't rejoin while it exists.`)) {
+      return;
+    }
+    safeSend({ type: "moderate", action, targetId: p.id, ...extra });
+  };
+
   return participants.map((p) => {
     const id = p?.id || p?.name;
     const name = p?.name || "Guest";
     const avatarUrl = lookupAvatar(id, p?.picture || null);
-    return html`<div class="flixers-chip" key=${id}>
+    const roleLabel = ROLE_LABELS[p?.role] || null;
+    const canPromote = selfIsHost && p?.id && p.id !== selfId && p.role !== "host";
+    // Only peers whose key we hold can be verified
+    const verifyStatus = p?.id && p.id !== selfId ? verification?.[p.id] : null;
+    return html`<div class="flixers-chip" key=${id} title=${roleLabel ? `${name} · ${roleLabel}` : name}>
       <${Avatar} name=${name} avatarUrl=${avatarUrl} />
+      ${roleLabel ? html`<span class=${`flixers-role flixers-role--${p.role}`}>${roleLabel}</span>` : null}
+      ${p?.muted ? html`<span class="flixers-role flixers-role--muted">Muted</span>` : null}
+      ${verifyStatus
+        ? html`<button
+            type="button"
+            class=${`flixers-verify-btn flixers-verify-btn--${verifyStatus}`}
+            onClick=${() => onVerify(p.id)}
+          >
+            ${VERIFY_LABELS[verifyStatus] || VERIFY_LABELS.unverified}
+          </button>`
+        : null}
+      ${canPromote
+        ? html`<button type="button" class="flixers-role-btn" onClick=${() => toggleCoHost(p)}>
+            ${p.role === "cohost" ? "Demote" : "Make co-host"}
+          </button>`
+        : null}
+      ${canModerate(p)
+        ? html`<button type="button" class="flixers-role-btn" onClick=${() => moderate(p, "mute-chat", { muted: !p.muted })}>
+              ${p.muted ? "Unmute" : "Mute"}
+            </button>
+            <button type="button" class="flixers-role-btn" onClick=${() => moderate(p, "kick")}>Kick</button>
+            <button type="button" class="flixers-role-btn flixers-role-btn--danger" onClick=${() => moderate(p, "ban")}>
+              Ban
+            </button>`
+        : null}
     </div>`;
   });
 }
 
+// People in the waiting room; hosts and co-hosts let them in or turn them away
+function JoinRequests({ requests }) {
+  if (!requests?.length) return null;
+  const respond = (userId, admit) => safeSend({ type: "join-response", userId, admit });
+  return html`<div class="flixers-join-requests" role="region" aria-label="Waiting room">
+    <div class="flixers-presence-title">Waiting to join · ${requests.length}</div>
+    ${requests.map(
+      (request) => html`<div class="flixers-join-request" key=${request.userId}>
+        <${Avatar} name=${request.name} avatarUrl=${request.avatar} />
+        <span class="flixers-join-request__name">${request.name}</span>
+        <button type="button" class="flixers-role-btn flixers-verify__confirm" onClick=${() => respond(request.userId, true)}>
+          Admit
+        </button>
+        <button type="button" class="flixers-role-btn" onClick=${() => respond(request.userId, false)}>Deny</button>
+      </div>`
+    )}
+  </div>`;
+}
+
+// 3-2-1 over the video until the room starts; shown even while the chat is closed
+function Countdown({ check, onDone }) {
+  const [now, setNow] = useState(Date.now());
+  const startAt = check?.status === "countdown" ? check.startAt : null;
+
+  useEffect(() => {
+    if (startAt === null) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 200);
+    return () => clearInterval(timer);
+  }, [startAt]);
+
+  useEffect(() => {
+    if (startAt !== null && now >= startAt + 1000) onDone();
+  }, [startAt, now]);
+
+  if (startAt === null) return null;
+  const left = Math.ceil((startAt - now) / 1000);
+  return html`<div class="flixers-countdown" role="timer" aria-live="assertive">
+    <div class="flixers-countdown__number">${left > 0 ? left : "▶"}</div>
+  </div>`;
+}
+
+// The host's ready check: who has loaded so far
+function ReadyCheck({ check, selfId, canManage }) {
+  const [waitingForPlayer, setWaitingForPlayer] = useState(false);
+  if (check?.status !== "checking") return null;
+
+  const participants = check.participants || [];
+  const selfReady = participants.some((p) => p.id === selfId && p.ready);
+  const readyCount = participants.filter((p) => p.ready).length;
+  const confirm = () => setWaitingForPlayer(!PlayerSync.confirmReady());
+  const act = (action) => safeSend({ type: "ready-check-action", action });
+  return html`<div class="flixers-ready-check" role="region" aria-label="Ready check">
+    <div class="flixers-presence-title">Ready check · ${readyCount}/${participants.length}</div>
+    ${participants.map(
+      (p) => html`<div class="flixers-ready-check__row" key=${p.id}>
+        <span class="flixers-join-request__name">${p.id === selfId ? `${p.name} (you)` : p.name}</span>
+        <span class=${p.ready ? "flixers-ready-check__ok" : "flixers-ready-check__pending"}>
+          ${p.ready ? "✓ Ready" : "Loading…"}
+        </span>
+      </div>`
+    )}
+    <div class="flixers-verify__actions">
+      ${selfReady
+        ? null
+        : html`<button
+            type="button"
+            class="flixers-role-btn flixers-verify__confirm"
+            disabled=${waitingForPlayer}
+            onClick=${confirm}
+          >
+            ${waitingForPlayer ? "Waiting for your video…" : "I'm ready"}
+          </button>`}
+      ${canManage
+        ? html`<button type="button" class="flixers-role-btn" onClick=${() => act("force")}>Start anyway</button>
+            <button type="button" class="flixers-role-btn" onClick=${() => act("cancel")}>Cancel</button>`
+        : null}
+    </div>
+  </div>`;
+}
+
+// Safety number screen: both people should see the same digits
+function VerifyPanel({ target, onSetVerified, onClose }) {
+  if (!target) return null;
+  const groups = (target.safetyNumber || "").split(" ");
+  return html`<div class="flixers-verify" role="dialog" aria-label=${`Verify ${target.name}`}>
+    <div class="flixers-verify__title">Verify ${target.name}</div>
+    ${target.status === "changed"
+      ? html`<div class="flixers-verify__warning">
+          ${target.name}'s key changed since you verified it. Only trust it again if the numbers match.
+        </div>`
+      : null}
+    <div class="flixers-verify__number">
+      ${groups.map((group, idx) => html`<span key=${idx}>${group}</span>`)}
+    </div>
+    <div class="flixers-verify__hint">
+      Compare these numbers with ${target.name} in person or on a call. If they match, no one is intercepting your chat.
+    </div>
+    <div class="flixers-verify__actions">
+      ${target.status === "verified"
+        ? html`<button type="button" class="flixers-role-btn" onClick=${() => onSetVerified(false)}>Clear verification</button>`
+        : html`<button type="button" class="flixers-role-btn flixers-verify__confirm" onClick=${() => onSetVerified(true)}>
+            They match
+          </button>`}
+      <button type="button" class="flixers-role-btn" onClick=${onClose}>Close</button>
+    </div>
+  </div>`;
+}
+
 function TypingIndicator({ typing }) {
   const names = Object.values(typing || {})
     .filter((v) => v?.active)
@@ -1575,6 +2120,11 @@ function App() {
   const [messages, setMessages] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [participants, setParticipants] = useState([]);
+  const [hostOnlyControls, setHostOnlyControls] = useState(false);
+  const [ratePolicy, setRatePolicy] = useState("sync"); // "sync" | "locked" (playback speed)
+  const [waitingRoom, setWaitingRoom] = useState(false);
+  const [joinRequests, setJoinRequests] = useState([]); // Only hosts and co-hosts get these
+  const [removalNotice, setRemovalNotice] = useState(null); // { text } after a kick, ban or incompatible server
   const [typing, setTyping] = useState({});
   const [session, setSession] = useState(null);
   const [playerStatus, setPlayerStatus] = useState({ present: false, playing: false, title: null, url: null });
@@ -1584,12 +2134,21 @@ function App() {
   const [input, setInput] = useState("");
   const [roomEndNotice, setRoomEndNotice] = useState(null); // { kind, roomId, text, ts }
   const [toast, setToast] = useState(null); // { from, text, ts }
+  const [rateNotice, setRateNotice] = useState(null); // { text, ts }
+  const [groupBuffering, setGroupBuffering] = useState(null); // group-buffering message while the room waits
+  const [readyCheck, setReadyCheck] = useState(null); // ready-check message until the countdown ends
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [verification, setVerification] = useState({}); // peerId -> "verified" | "changed" | "unverified"
+  const [verifyTarget, setVerifyTarget] = useState(null); // { peerId, name, safetyNumber, status }
+  const [keyAlert, setKeyAlert] = useState(null); // { peerId, name }
   const [overlayTop, setOverlayTop] = useState(0); // px from top when sidebar is open
   const [overlayBottom, setOverlayBottom] = useState(0); // px from bottom when sidebar is open
   const presenceAvatars = useRef(new Map());
   const lastTyping = useRef({});
   const typingTimer = useRef(null);
   const seenMessages = useRef(new Set());
+  const historyCursor = useRef(undefined); // undefined: not loaded yet, null: nothing older on the server
+  const historyLoading = useRef(false);
   const overlayPreferenceRef = useRef(true);
   const lastInteractionRef = useRef(Date.now());
   const inactivityTimer = useRef(null);
@@ -1602,6 +2161,7 @@ function App() {
   const controlBarHideTimer = useRef(null);
   const lastHealthAlert = useRef(0);
   const toastHideTimer = useRef(null);
+  const rateNoticeTimer = useRef(null);
   const openRef = useRef(open);
   const prevOpenRef = useRef(open);
   const sessionRef = useRef(session);
@@ -1784,6 +2344,24 @@ function App() {
     setToast(null);
   };
 
+  const showRateNotice = (messageType, retryAfter) => {
+    // Typing/ping limits aren't tied to anything the user can see
+    if (messageType === "typing" || messageType === "ping") return;
+    const seconds = Math.max(1, Math.round(Number(retryAfter) || 10));
+    const text =
+      messageType === "chat" || messageType === "encrypted"
+        ? `You're sending messages too fast. Wait ${seconds}s and try again.`
+        : messageType === "state" || messageType === "sync-state" || messageType === "sync-request"
+        ? `Playback updates are being rate limited. Slow down for ${seconds}s.`
+        : `Slow down - the server is limiting your requests for ${seconds}s.`;
+    if (rateNoticeTimer.current) clearTimeout(rateNoticeTimer.current);
+    setRateNotice({ text, ts: Date.now() });
+    rateNoticeTimer.current = setTimeout(() => {
+      rateNoticeTimer.current = null;
+      setRateNotice(null);
+    }, seconds * 1000);
+  };
+
   const showToast = ({ from, text, ts }) => {
     if (toastHideTimer.current) clearTimeout(toastHideTimer.current);
     setToast({ from, text, ts: typeof ts === "number" ? ts : Date.now() });
@@ -2113,6 +2691,17 @@ function App() {
         PlayerSync.setInRoom(true);
         PlayerSync.applyState(message.payload);
       }
+      if (message.type === "group-buffering") {
+        PlayerSync.applyGroupBuffering(message);
+        setGroupBuffering(message.active ? message : null);
+      }
+      if (message.type === "rate-refused") {
+        PlayerSync.refuseRate();
+      }
+      if (message.type === "ready-check") {
+        PlayerSync.applyReadyCheck(message);
+        setReadyCheck(message.status === "cancelled" ? null : message);
+      }
       if (message.type === "chat") {
         const fromId = message.fromId || message.from || null;
         if (fromId && message.avatar) setPresenceAvatar(fromId, message.avatar);
@@ -2135,9 +2724,12 @@ function App() {
             persistUnreadCount(next);
             return next;
           });
-          const text = (message.text || "").trim();
-          const clipped = text.length > 120 ? `${text.slice(0, 117)}…` : text;
-          showToast({ from: message.from || "Anon", text: clipped, ts: message.ts });
+          // Respect the account-level notification preference (synced from the backend)
+          if (currentSession?.preferences?.notificationsEnabled !== false) {
+            const text = (message.text || "").trim();
+            const clipped = text.length > 120 ? `${text.slice(0, 117)}…` : text;
+            showToast({ from: message.from || "Anon", text: clipped, ts: message.ts });
+          }
         }
         // Force scroll to bottom when receiving a message
         setTimeout(() => scrollMessagesToBottom(true), 50);
@@ -2152,15 +2744,38 @@ function App() {
           ? message.participants
           : (message.users || []).map((name) => ({ id: name, name }));
         setParticipants(next);
+        setHostOnlyControls(!!message.hostOnlyControls);
+        setWaitingRoom(!!message.waitingRoom);
+        if (message.ratePolicy) {
+          setRatePolicy(message.ratePolicy);
+          PlayerSync.setRatePolicy(message.ratePolicy);
+        }
+      }
+      if (message.type === "moderation" && (message.action === "kick" || message.action === "ban")) {
+        setRemovalNotice({ text: message.text || "You were removed from the room" });
+      }
+      if (message.type === "protocol-incompatible") {
+        setRemovalNotice({ text: message.text });
+      }
+      if (message.type === "join-requests") {
+        setJoinRequests(Array.isArray(message.requests) ? message.requests : []);
       }
       if (message.type === "ws-status") {
         setConnection(message.status || "idle");
         if (message.status !== "connected") {
           setParticipants([]);
+          setJoinRequests([]);
+          setGroupBuffering(null);
+          setReadyCheck(null);
         }
         // Scroll to bottom when connected/reconnected
         if (message.status === "connected") {
           setTimeout(() => scrollMessagesToBottom(true), 100);
+          // Pick up anything said while we were away (or on another machine)
+          if (historyCursor.current === undefined) {
+            loadOlderMessages();
+          }
+          safeSend({ type: "verification-status-get" }, (res) => setVerification(res?.statuses || {}));
         }
       }
       if (message.type === "typing") {
@@ -2179,6 +2794,11 @@ function App() {
       }
       if (message.type === "room-update") {
         setRoom({ roomId: message.roomId, name: message.name || "Guest" });
+        if (message.roomId) setRemovalNotice(null);
+        if (!message.roomId) {
+          setGroupBuffering(null);
+          setReadyCheck(null);
+        }
         // Tell PlayerSync whether we're in a room
         PlayerSync.setInRoom(!!message.roomId);
         if (message.roomId) {
@@ -2206,6 +2826,15 @@ function App() {
           resetChatState();
         }
       }
+      if (message.type === "rate-limited") {
+        showRateNotice(message.messageType, message.retryAfter);
+      }
+      if (message.type === "verification-status") {
+        setVerification(message.statuses || {});
+      }
+      if (message.type === "peer-key-changed") {
+        setKeyAlert({ peerId: message.peerId, name: message.name || "A participant" });
+      }
       if (message.type === "room-deleted") {
         purgeRoomMessages(message.roomId);
         if (roomRef.current?.roomId === message.roomId) {
@@ -2266,6 +2895,13 @@ function App() {
     });
     safeSend({ type: "get-presence" }, (res) => {
       if (res?.avatars) mergePresenceAvatars(res.avatars);
+      if (typeof res?.hostOnlyControls === "boolean") setHostOnlyControls(res.hostOnlyControls);
+      if (res?.ratePolicy) {
+        setRatePolicy(res.ratePolicy);
+        PlayerSync.setRatePolicy(res.ratePolicy);
+      }
+      if (typeof res?.waitingRoom === "boolean") setWaitingRoom(res.waitingRoom);
+      if (Array.isArray(res?.joinRequests)) setJoinRequests(res.joinRequests);
       if (res?.participants) {
         setParticipants(res.participants);
       } else if (res?.users) {
@@ -2319,6 +2955,7 @@ function App() {
       resetChatState();
       return;
     }
+    historyCursor.current = undefined;
     loadMessagesForRoom(room.roomId);
   }, [room.roomId]);
   
@@ -2398,11 +3035,14 @@ function App() {
   const resetChatState = () => {
     setMessages([]);
     seenMessages.current.clear();
+    historyCursor.current = undefined;
     setTyping({});
     lastTyping.current = {};
     setUnreadCount(0);
     persistUnreadCount(0);
     hideToast();
+    setVerifyTarget(null);
+    setKeyAlert(null);
     scrollMessagesToBottom(true);
   };
 
@@ -2434,6 +3074,48 @@ function App() {
 
   const handleClear = () => {
     resetChatState();
+    // Don't pull the cleared history back in from the server on scroll
+    historyCursor.current = null;
+  };
+
+  // Prepend a page of server history, keeping the viewport on the same message
+  const mergeHistory = (older) => {
+    const fresh = older.filter((msg) => {
+      const key = messageKey(msg);
+      if (seenMessages.current.has(key)) return false;
+      seenMessages.current.add(key);
+      return true;
+    });
+    if (!fresh.length) return;
+    const el = messagesRef.current;
+    const prevHeight = el ? el.scrollHeight : 0;
+    const prevTop = el ? el.scrollTop : 0;
+    setMessages((prev) => {
+      const next = [...fresh, ...prev].sort((a, b) => (a.ts || 0) - (b.ts || 0));
+      persistMessages(next);
+      return next;
+    });
+    requestAnimationFrame(() => {
+      if (el) el.scrollTop = prevTop + (el.scrollHeight - prevHeight);
+    });
+  };
+
+  const loadOlderMessages = () => {
+    const roomId = roomRef.current?.roomId;
+    if (!roomId || historyLoading.current || historyCursor.current === null) return;
+    historyLoading.current = true;
+    setLoadingHistory(true);
+    safeSend({ type: "history-request", roomId, before: historyCursor.current }, (res) => {
+      historyLoading.current = false;
+      setLoadingHistory(false);
+      if (!res?.ok || roomRef.current?.roomId !== roomId) return;
+      historyCursor.current = res.nextBefore ?? null;
+      mergeHistory(res.messages || []);
+    });
+  };
+
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < 40) loadOlderMessages();
   };
 
   const signalTyping = (active) => {
@@ -2483,9 +3165,7 @@ function App() {
         }
         const list = Array.isArray(res[key]) ? res[key] : [];
         const unread = Math.max(0, Number(res[unreadKey(roomId)]) || 0);
-        seenMessages.current = new Set(
-          list.map((m) => `${m.fromId || m.from || "anon"}-${m.ts || ""}-${m.text || ""}`)
-        );
+        seenMessages.current = new Set(list.map(messageKey));
         setMessages(list.slice(-200));
         setUnreadCount(unread);
         scrollMessagesToBottom(true);
@@ -2497,7 +3177,9 @@ function App() {
 
   const connectionPill = useMemo(() => {
     if (connection === "connected") return "flixers-pill--ok";
-    if (connection === "connecting" || connection === "reconnecting") return "flixers-pill--warm";
+    if (connection === "connecting" || connection === "reconnecting" || connection === "waiting") {
+      return "flixers-pill--warm";
+    }
     return "flixers-pill--bad";
   }, [connection]);
 
@@ -2522,9 +3204,47 @@ function App() {
     scrollMessagesToBottom();
   }, [messages]);
 
+  const selfId = session?.profile?.sub || null;
+  const selfRole = participants.find((p) => p?.id && p.id === selfId)?.role || "viewer";
+  const handleToggleHostOnly = () => {
+    safeSend({ type: "room-settings", hostOnlyControls: !hostOnlyControls });
+  };
+  const handleToggleRateLock = () => {
+    safeSend({ type: "room-settings", ratePolicy: ratePolicy === "locked" ? "sync" : "locked" });
+  };
+  const handleToggleWaitingRoom = () => {
+    safeSend({ type: "room-settings", waitingRoom: !waitingRoom });
+  };
+  const isWaiting = connection === "waiting";
+  const selfMuted = participants.some((p) => p?.id && p.id === selfId && p.muted);
+  const bufferingOthers = (groupBuffering?.waitingOn || []).filter((p) => p.id !== selfId).map((p) => p.name);
+  const bufferingText = bufferingOthers.length
+    ? `⏳ Waiting for ${bufferingOthers.join(", ")} to catch up…`
+    : "⏳ Your video is buffering. The room is waiting for you.";
+  const openVerify = (peerId) => {
+    safeSend({ type: "verification-get", peerId }, (res) => {
+      if (res?.ok) setVerifyTarget(res);
+    });
+  };
+  const handleSetVerified = (verified) => {
+    const target = verifyTarget;
+    if (!target) return;
+    safeSend({ type: "verification-set", peerId: target.peerId, verified }, (res) => {
+      if (!res?.ok) return;
+      setVerifyTarget((prev) => (prev?.peerId === target.peerId ? { ...prev, status: res.status } : prev));
+      if (verified && keyAlert?.peerId === target.peerId) setKeyAlert(null);
+    });
+  };
+
   const isWatchPage = window.location.pathname.includes("/watch/");
   if (!session || !room.roomId || !isWatchPage) {
-    return null;
+    // The overlay is gone once we're out of the room, so say why on its own
+    return session && isWatchPage && removalNotice
+      ? html`<div class="flixers-removed" role="alert">
+          <span>${removalNotice.text}</span>
+          <button type="button" class="flixers-role-btn" onClick=${() => setRemovalNotice(null)}>Dismiss</button>
+        </div>`
+      : null;
   }
 
   // When chat is open, show the panel. When closed, hide panel but keep control bar visible
@@ -2590,8 +3310,51 @@ function App() {
               People · ${participants.length}
             </div>
             <div class="flixers-chips">
-              <${PresenceList} participants=${participants} presenceAvatars=${presenceAvatarsMemo} />
+              <${PresenceList}
+                participants=${participants}
+                presenceAvatars=${presenceAvatarsMemo}
+                selfId=${selfId}
+                verification=${verification}
+                onVerify=${openVerify}
+              />
             </div>
+            <${VerifyPanel}
+              target=${verifyTarget}
+              onSetVerified=${handleSetVerified}
+              onClose=${() => setVerifyTarget(null)}
+            />
+            ${selfRole !== "viewer" ? html`<${JoinRequests} requests=${joinRequests} />` : null}
+            ${selfRole !== "viewer" && !readyCheck
+              ? html`<button
+                  type="button"
+                  class="flixers-role-btn flixers-ready-check__start"
+                  onClick=${() => safeSend({ type: "ready-check-action", action: "start" })}
+                >
+                  Start together
+                </button>`
+              : null}
+            ${selfRole === "host"
+              ? html`<label class="flixers-setting">
+                  <input type="checkbox" checked=${waitingRoom} onChange=${handleToggleWaitingRoom} />
+                  Waiting room (let people in one by one)
+                </label>`
+              : null}
+            ${selfRole === "host"
+              ? html`<label class="flixers-setting">
+                  <input type="checkbox" checked=${hostOnlyControls} onChange=${handleToggleHostOnly} />
+                  Host-only playback controls
+                </label>`
+              : hostOnlyControls && selfRole === "viewer"
+              ? html`<div class="flixers-setting flixers-setting--note">Only hosts can control playback</div>`
+              : null}
+            ${selfRole === "host"
+              ? html`<label class="flixers-setting">
+                  <input type="checkbox" checked=${ratePolicy === "locked"} onChange=${handleToggleRateLock} />
+                  Lock playback speed to 1x
+                </label>`
+              : ratePolicy === "locked"
+              ? html`<div class="flixers-setting flixers-setting--note">Playback speed is locked to 1x</div>`
+              : null}
             <div class="flixers-nowplaying">
               <span class="flixers-presence-title" style=${{ marginBottom: 0 }}>Now Playing</span>
               ${playerStatus?.url
@@ -2609,6 +3372,8 @@ function App() {
                 ? "Connecting to room..."
                 : connection === "reconnecting"
                 ? "Reconnecting to room..."
+                : isWaiting
+                ? "Waiting for the host to let you in..."
                 : "Disconnected - trying to reconnect..."
               : "Join a room from the popup to start chatting"}
           </div>
@@ -2616,6 +3381,12 @@ function App() {
             ? html`<div class="flixers-connection-banner" role="alert">
                 ${roomEndNotice.text}
               </div>`
+            : isWaiting
+            ? html`<div class="flixers-waiting" role="status">
+                <div class="flixers-waiting__icon">⏳</div>
+                <div class="flixers-waiting__title">You're in the waiting room</div>
+                <div>The host will let you in shortly. Chat and playback sync start once you're in.</div>
+              </div>`
             : room.roomId && connection !== "connected"
             ? html`<div class="flixers-connection-banner">
                 ${connection === "reconnecting" || connection === "connecting"
@@ -2623,13 +3394,36 @@ function App() {
                   : "Connection lost. Trying to rejoin…"}
               </div>`
             : null}
+          ${groupBuffering && connection === "connected"
+            ? html`<div class="flixers-connection-banner" role="status">${bufferingText}</div>`
+            : null}
+          ${connection === "connected"
+            ? html`<${ReadyCheck} check=${readyCheck} selfId=${selfId} canManage=${selfRole !== "viewer"} />`
+            : null}
+          ${rateNotice
+            ? html`<div class="flixers-connection-banner flixers-connection-banner--rate" role="status">
+                ${rateNotice.text}
+              </div>`
+            : null}
+          ${keyAlert
+            ? html`<div class="flixers-connection-banner flixers-connection-banner--danger" role="alert">
+                ⚠️ ${keyAlert.name}'s security key changed. Someone could be intercepting this room.
+                <div class="flixers-verify__actions">
+                  <button type="button" class="flixers-role-btn" onClick=${() => openVerify(keyAlert.peerId)}>
+                    Compare safety numbers
+                  </button>
+                  <button type="button" class="flixers-role-btn" onClick=${() => setKeyAlert(null)}>Dismiss</button>
+                </div>
+              </div>`
+            : null}
           <div class="flixers-messages-header">
             <span>Messages</span>
             <div class="flixers-header-actions">
               <button type="button" class="flixers-clear" onClick=${handleClear}>Clear</button>
             </div>
           </div>
-          <div class="flixers-messages" ref=${messagesRef}>
+          <div class="flixers-messages" ref=${messagesRef} onScroll=${handleMessagesScroll}>
+            ${loadingHistory ? html`<div class="flixers-history-loading">Loading earlier messages…</div>` : null}
             ${messages.map((m, idx) =>
               m.type === "system"
                 ? html`<${SystemMessage} msg=${m} key=${`sys-${m.ts || idx}-${idx}`} />`
@@ -2641,16 +3435,21 @@ function App() {
 	            <input
 	              ref=${inputRef}
 	              type="text"
-	              placeholder=${connection === "connected" ? "Send a message" : "Message will be sent when connected..."}
+	              placeholder=${selfMuted
+                  ? "You're muted in this room"
+                  : connection === "connected"
+                  ? "Send a message"
+                  : "Message will be sent when connected..."}
 	              value=${input}
+	              maxLength=${MAX_CHAT_LENGTH}
 	              onInput=${(e) => handleInput(e.target.value)}
 	              onKeyDown=${stopKeyboardPropagation}
 	              onKeyUp=${stopKeyboardPropagation}
 	              onKeyPress=${stopKeyboardPropagation}
 	              onFocus=${() => resetInactivityTimer()}
-	              disabled=${!room.roomId}
+	              disabled=${!room.roomId || selfMuted}
 	            />
-	            <button type="submit" disabled=${!room.roomId || !input.trim()}>${connection === "connected" ? "Send" : "Queue"}</button>
+	            <button type="submit" disabled=${!room.roomId || selfMuted || !input.trim()}>${connection === "connected" ? "Send" : "Queue"}</button>
 	          </form>
 	          <div class="flixers-resize-handle flixers-resize-handle--bottom" title="Drag to resize height" onPointerDown=${startResizeBottom}></div>
 	        </div>
@@ -2658,6 +3457,7 @@ function App() {
 
 	  return html`
 	    ${toastEl}
+	    <${Countdown} check=${readyCheck} onDone=${() => setReadyCheck(null)} />
 	    ${controlBar}
 	    ${overlay}
 	    <button
@@ -2910,14 +3710,49 @@ function injectStyles() {
     .flixers-nowplaying a { color: #ffb86c; text-decoration: none; font-weight: 700; display: inline-block; line-height: 1.4; }
     .flixers-nowplaying a:hover { text-decoration: underline; }
     .flixers-chips { display: flex; flex-wrap: wrap; gap: 6px; }
+    .flixers-role { font-size: 10px; text-transform: uppercase; letter-spacing: 0.08em; padding: 2px 6px; border-radius: 999px; background: rgba(255,184,108,0.16); color: #ffb86c; }
+    .flixers-role--cohost { background: rgba(199,211,255,0.14); color: #c7d3ff; }
+    .flixers-role-btn { font-size: 11px; padding: 2px 8px; border-radius: 999px; border: 1px solid rgba(255,255,255,0.12); background: transparent; color: #cbd5e1; cursor: pointer; }
+    .flixers-role-btn:hover { background: rgba(255,255,255,0.08); }
+    .flixers-role-btn--danger { color: #fca5a5; border-color: rgba(248,113,113,0.35); }
+    .flixers-role--muted { background: rgba(248,113,113,0.14); color: #fca5a5; }
+    .flixers-removed { position: fixed; top: 80px; right: 24px; z-index: var(--flixers-z-max); display: flex; align-items: center; gap: 10px; padding: 12px 14px; border-radius: 12px; border: 1px solid rgba(239,68,68,0.7); background: rgba(127,29,29,0.9); color: #fecaca; font-size: 14px; font-weight: 700; box-shadow: 0 12px 32px rgba(0,0,0,0.45); }
+    .flixers-setting { display: flex; align-items: center; gap: 6px; margin-top: 8px; font-size: 12px; color: #cbd5e1; cursor: pointer; }
+    .flixers-setting--note { color: #9aa5c4; cursor: default; }
     .flixers-chip { display: inline-flex; align-items: center; gap: 6px; padding: 6px 10px; border-radius: 999px; border: 1px solid rgba(255,255,255,0.08); background: rgba(255,255,255,0.04); font-size: 13px; color: #f8fafc; }
     .flixers-status { font-size: 12px; color: #cbd5e1; margin: 6px 0 10px; letter-spacing: 0.01em; }
     .flixers-connection-banner { margin-bottom: 10px; padding: 10px 12px; border-radius: 10px; border: 1px solid rgba(255,255,255,0.12); background: linear-gradient(135deg, rgba(255,132,124,0.12), rgba(255,179,122,0.08)); color: #ffd166; font-weight: 700; font-size: 13px; }
+    .flixers-connection-banner--rate { color: #fca5a5; border-color: rgba(248,113,113,0.35); }
+    .flixers-connection-banner--danger { color: #fecaca; border-color: rgba(239,68,68,0.7); background: rgba(127,29,29,0.55); }
+    .flixers-verify-btn { font-size: 11px; padding: 2px 8px; border-radius: 999px; border: 1px solid rgba(255,255,255,0.12); background: transparent; color: #cbd5e1; cursor: pointer; }
+    .flixers-verify-btn--verified { color: #86efac; border-color: rgba(134,239,172,0.35); }
+    .flixers-verify-btn--changed { color: #fecaca; border-color: rgba(239,68,68,0.7); background: rgba(127,29,29,0.45); font-weight: 700; }
+    .flixers-verify { margin-top: 10px; padding: 10px 12px; border-radius: 10px; border: 1px solid rgba(255,255,255,0.12); background: rgba(255,255,255,0.04); font-size: 12px; color: #cbd5e1; }
+    .flixers-verify__title { font-weight: 700; font-size: 13px; color: #f8fafc; margin-bottom: 6px; }
+    .flixers-verify__warning { margin-bottom: 8px; color: #fecaca; font-weight: 700; }
+    .flixers-verify__number { display: grid; grid-template-columns: repeat(4, auto); gap: 4px 12px; justify-content: start; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 14px; color: #f8fafc; margin-bottom: 8px; }
+    .flixers-verify__hint { color: #9aa5c4; margin-bottom: 8px; }
+    .flixers-verify__actions { display: flex; gap: 6px; margin-top: 6px; }
+    .flixers-verify__confirm { color: #86efac; border-color: rgba(134,239,172,0.35); }
+    .flixers-join-requests { margin-top: 10px; padding: 10px 12px; border-radius: 10px; border: 1px solid rgba(255,184,108,0.35); background: rgba(255,184,108,0.08); }
+    .flixers-join-request { display: flex; align-items: center; gap: 6px; margin-top: 6px; font-size: 13px; color: #f8fafc; }
+    .flixers-ready-check { margin: 8px 0; padding: 10px 12px; border-radius: 10px; border: 1px solid rgba(110,231,183,0.35); background: rgba(110,231,183,0.08); }
+    .flixers-ready-check__row { display: flex; align-items: center; gap: 6px; margin-top: 6px; font-size: 13px; color: #f8fafc; }
+    .flixers-ready-check__ok { color: #6ee7b7; font-weight: 600; }
+    .flixers-ready-check__pending { color: #94a3b8; }
+    .flixers-ready-check__start { margin-top: 10px; }
+    .flixers-countdown { position: fixed; inset: 0; z-index: var(--flixers-z-max) !important; display: flex; align-items: center; justify-content: center; pointer-events: none; }
+    .flixers-countdown__number { width: 160px; height: 160px; border-radius: 50%; display: flex; align-items: center; justify-content: center; background: rgba(0,0,0,0.6); color: #f8fafc; font-size: 96px; font-weight: 800; box-shadow: 0 0 40px rgba(0,0,0,0.5); }
+    .flixers-join-request__name { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .flixers-waiting { margin-bottom: 10px; padding: 16px 12px; border-radius: 10px; border: 1px dashed rgba(255,184,108,0.45); background: rgba(255,184,108,0.08); color: #cbd5e1; font-size: 13px; text-align: center; }
+    .flixers-waiting__icon { font-size: 22px; margin-bottom: 4px; }
+    .flixers-waiting__title { font-weight: 700; color: #ffb86c; margin-bottom: 4px; }
     .flixers-messages-header { display: flex; align-items: center; justify-content: space-between; color: #c7d3ff; font-size: 13px; margin: 4px 0 6px; }
     .flixers-header-actions { display: flex; gap: 6px; }
     .flixers-resync { background: rgba(110, 242, 196, 0.15); border: 1px solid rgba(110, 242, 196, 0.3); color: #6ef2c4; padding: 7px 12px; border-radius: 12px; cursor: pointer; font-size: 12px; font-weight: 700; }
     .flixers-resync:hover { background: rgba(110, 242, 196, 0.25); }
     .flixers-clear { background: rgba(255,255,255,0.06); border: 1px solid rgba(255,255,255,0.1); color: #e5edff; padding: 7px 12px; border-radius: 12px; cursor: pointer; font-size: 12px; font-weight: 600; }
+    .flixers-history-loading { text-align: center; color: #8f9bb8; font-size: 12px; }
     .flixers-messages { height: 240px; overflow-y: auto; border: 1px solid rgba(255,255,255,0.06); border-radius: 12px; padding: 10px; background: rgba(6,10,20,0.7); font-size: 13px; display: flex; flex-direction: column; gap: 8px; }
     .flixers-message { display: flex; gap: 8px; align-items: flex-end; max-width: 100%; }
     .flixers-message__body { position: relative; padding: 8px 10px 6px; border-radius: 14px 14px 14px 6px; border: 1px solid rgba(255,255,255,0.06); background: linear-gradient(145deg, rgba(20,26,42,0.95), rgba(15,20,32,0.92)); box-shadow: 0 4px 12px rgba(0,0,0,0.22); min-width: 0; max-width: 78%; }
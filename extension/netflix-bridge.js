@@ -1,13 +1,13 @@
 (function() {
   // Prevent duplicate injection
-  if (window.__flixersNetflixBridge && window.__flixersNetflixBridge._version >= 2) {
+  if (window.__flixersNetflixBridge && window.__flixersNetflixBridge._version >= 3) {
     console.log('[Flixers] Bridge already injected, skipping');
     return;
   }
   
   // Bridge for Netflix player API access
   window.__flixersNetflixBridge = {
-    _version: 2,
+    _version: 3,
     _injectedAt: Date.now(),
     
     // Health check method
@@ -73,6 +73,25 @@
       }
     },
     
+    setRate: function(rate) {
+      try {
+        const videoPlayer = window.netflix?.appContext?.state?.playerApp?.getAPI?.()?.videoPlayer;
+        if (!videoPlayer) return { success: false, error: 'No video player API' };
+        
+        const sessionId = videoPlayer.getAllPlayerSessionIds?.()[0];
+        if (!sessionId) return { success: false, error: 'No session ID' };
+        
+        const player = videoPlayer.getVideoPlayerBySessionId?.(sessionId);
+        if (player && typeof player.setPlaybackRate === 'function') {
+          player.setPlaybackRate(rate);
+          return { success: true };
+        }
+        return { success: false, error: 'No setPlaybackRate function' };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    },
+    
     getState: function() {
       try {
         const videoPlayer = window.netflix?.appContext?.state?.playerApp?.getAPI?.()?.videoPlayer;
@@ -107,6 +126,8 @@
         result = window.__flixersNetflixBridge.play();
       } else if (action === 'pause') {
         result = window.__flixersNetflixBridge.pause();
+      } else if (action === 'setRate') {
+        result = window.__flixersNetflixBridge.setRate(data.rate);
       } else if (action === 'getState') {
         result = { success: true, state: window.__flixersNetflixBridge.getState() };
       } else if (action === 'healthCheck') {
@@ -126,6 +147,6 @@
     }));
   });
   
-  console.log('[Flixers] Netflix bridge injected (v2)');
+  console.log('[Flixers] Netflix bridge injected (v3)');
 })();
 
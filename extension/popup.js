@@ -3,6 +3,16 @@ const API_BASE = "http://localhost:4000";
 const GOOGLE_CLIENT_ID = "400373504190-dasf4eoqp7oqaikurtq9b9gqi32oai6t.apps.googleusercontent.com";
 // chrome.identity.getRedirectURL() respects the runtime ID for this profile, avoiding mismatches.
 const REDIRECT_URI = `https://${chrome.runtime.id}.chromiumapp.org/`;
+const ROLE_LABELS = { host: "Host", cohost: "Co-host" };
+const INVITE_ERRORS = {
+  invite_required: "This room is invite-only. Ask the host for an invite link.",
+  invalid_invite: "That invite link isn't valid for this room",
+  invite_expired: "That invite link has expired",
+  invite_revoked: "That invite link was revoked",
+  invite_exhausted: "That invite link has been used up",
+  banned: "You're banned from this room",
+};
+const DEFAULT_PREFERENCES = { theme: "system", notificationsEnabled: true, defaultEncryption: true };
 
 const roomLinkInput = document.getElementById("room-link");
 const statusEl = document.getElementById("status");
@@ -14,9 +24,38 @@ const userNameEl = document.getElementById("user-name");
 const userEmailEl = document.getElementById("user-email");
 const signInBtn = document.getElementById("signin");
 const signOutBtn = document.getElementById("signout");
+const signOutAllBtn = document.getElementById("signout-all");
 const createBtn = document.getElementById("create");
+const passphraseRow = document.getElementById("room-passphrase-row");
+const passphraseInput = document.getElementById("room-passphrase");
+const waitingRoomRow = document.getElementById("room-waiting-row");
+const waitingRoomInput = document.getElementById("room-waiting");
+const waitingScreen = document.getElementById("waiting-screen");
+const updateScreen = document.getElementById("update-screen");
+const updateText = document.getElementById("update-text");
+const checkUpdateBtn = document.getElementById("check-update");
+const previewPassphraseRow = document.getElementById("preview-passphrase-row");
+const previewPassphraseInput = document.getElementById("preview-passphrase");
 const copyIdBtn = document.getElementById("copy-room-id");
 const leaveBtn = document.getElementById("leave");
+const invitesPanel = document.getElementById("invites");
+const inviteForm = document.getElementById("invite-form");
+const inviteRoleSelect = document.getElementById("invite-role");
+const inviteList = document.getElementById("invite-list");
+const recentRoomsPanel = document.getElementById("recent-rooms");
+const recentRoomList = document.getElementById("recent-room-list");
+const friendsPanel = document.getElementById("friends");
+const friendSearchForm = document.getElementById("friend-search-form");
+const friendSearchInput = document.getElementById("friend-search");
+const friendSearchResults = document.getElementById("friend-search-results");
+const friendInvitesList = document.getElementById("friend-invites");
+const friendPendingList = document.getElementById("friend-pending");
+const friendList = document.getElementById("friend-list");
+const friendSentList = document.getElementById("friend-sent");
+const prefsPanel = document.getElementById("prefs");
+const prefThemeSelect = document.getElementById("pref-theme");
+const prefNotificationsInput = document.getElementById("pref-notifications");
+const prefEncryptionInput = document.getElementById("pref-encryption");
 
 const state = {
   roomId: null,
@@ -24,15 +63,34 @@ const state = {
   participants: [],
   session: null,
   pendingRoomId: null,
+  pendingInvite: null, // Invite token from a pasted/opened link, used for the pending room
+  invites: [], // Our room's invite links (hosts and co-hosts only)
+  invitesRoomId: null, // Room the invite list was loaded for
+  waitingForHost: false, // Held in the room's waiting room until the host lets us in
+  protocolIncompatible: null, // "client-outdated" | "server-outdated" when the server and extension can't talk
   hasPlayer: false,
   isPlaying: false,
   videoUrl: null,
+  friends: { friends: [], pending: [], sent: [], invites: [] },
+  recentRooms: [],
   // Preview state for pending join confirmation
-  previewRoom: null, // { roomId, videoUrl, titleId, initialTime, participantCount }
+  previewRoom: null, // { roomId, invite, videoUrl, titleId, initialTime, participantCount, encryptionRequired, passphraseRequired, passphraseSalt }
 };
 
 signInBtn.addEventListener("click", handleSignIn);
 signOutBtn.addEventListener("click", handleSignOut);
+signOutAllBtn.addEventListener("click", handleSignOutEverywhere);
+friendSearchForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  searchFriends(friendSearchInput.value.trim());
+});
+prefThemeSelect.addEventListener("change", () => savePreferences({ theme: prefThemeSelect.value }));
+prefNotificationsInput.addEventListener("change", () =>
+  savePreferences({ notificationsEnabled: prefNotificationsInput.checked })
+);
+prefEncryptionInput.addEventListener("change", () =>
+  savePreferences({ defaultEncryption: prefEncryptionInput.checked })
+);
 
 createBtn?.addEventListener("click", async () => {
   const originalText = createBtn.textContent;
@@ -56,6 +114,14 @@ createBtn?.addEventListener("click", async () => {
   try {
     // Get current video state from content script
     const videoState = await getVideoState();
+    const encryptionRequired = getPreferences().defaultEncryption;
+    // Only a salt and a verifier go to the server (see background.js derivePassphraseKeys)
+    const passphrase = passphraseInput?.value || "";
+    let access = null;
+    if (passphrase) {
+      access = await requestPassphraseVerifier(passphrase);
+      if (!access?.ok) throw new Error("passphrase_failed");
+    }
     
     const res = await fetch(`${API_BASE}/rooms`, {
       method: "POST",
@@ -63,10 +129,13 @@ createBtn?.addEventListener("click", async () => {
         "Content-Type": "application/json",
         Authorization: `Bearer ${session.token}`,
       },
-      body: JSON.stringify({ 
-        encryptionRequired: true,
-        videoUrl: state.videoUrl,
-        videoTime: videoState?.t || 0,
+      // Encrypted rooms share what's playing with peers only, never with the server
+      body: JSON.stringify({
+        ...(encryptionRequired
+          ? { encryptionRequired }
+          : { encryptionRequired, videoUrl: state.videoUrl, videoTime: videoState?.t || 0 }),
+        ...(access ? { passphraseSalt: access.salt, passphraseVerifier: access.verifier } : {}),
+        waitingRoom: !!waitingRoomInput?.checked,
       }),
     });
     if (res.status === 401) {
@@ -79,13 +148,17 @@ createBtn?.addEventListener("click", async () => {
     }
     const data = await res.json();
     roomLinkInput.value = data.roomId;
-    await copyRoomIdToClipboard(data.roomId);
-    await joinRoom(data.roomId);
+    // Rooms are invite-only, so share a link rather than the bare ID
+    await copyInviteLink(data.roomId);
+    if (passphraseInput) passphraseInput.value = "";
+    await joinRoom(data.roomId, access ? { passphrase, passphraseSalt: access.salt } : {});
     pushToast(`New room created (${data.roomId})`, "info");
   } catch (err) {
     const reason = err?.message || "create_failed";
     if (reason === "auth-required") {
       pushToast("Sign in to create a room", "warn");
+    } else if (reason === "rate_limited") {
+      pushToast("You're creating rooms too quickly. Try again in a minute.", "warn");
     } else {
       pushToast("Could not create room", "warn");
     }
@@ -98,9 +171,22 @@ createBtn?.addEventListener("click", async () => {
 });
 
 copyIdBtn?.addEventListener("click", async () => {
+  if (canManageInvites()) {
+    await copyInviteLink(state.roomId);
+    return;
+  }
   await copyRoomIdToClipboard(state.roomId || roomLinkInput.value);
 });
 
+inviteForm?.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  await copyInviteLink(state.roomId, {
+    maxUses: Number(document.getElementById("invite-uses").value),
+    ttlSeconds: Number(document.getElementById("invite-expiry").value),
+    role: inviteRoleSelect.value,
+  });
+});
+
 // Get current video state from Netflix tab
 async function getVideoState() {
   return new Promise((resolve) => {
@@ -140,18 +226,20 @@ roomLinkInput.addEventListener("paste", async (e) => {
     }
     return;
   }
+  const invite = parseInviteToken(text);
   if (!state.session) {
     state.pendingRoomId = targetRoom;
+    state.pendingInvite = invite;
     jitterInput(roomLinkInput);
     pushToast("Sign in to join this room", "warn");
     return;
   }
   // Show preview before joining
-  await previewRoom(targetRoom);
+  await previewRoom(targetRoom, invite);
 });
 
 // Preview room info before joining
-async function previewRoom(roomId) {
+async function previewRoom(roomId, invite = null) {
   const session = requireSession();
   if (!session) return;
   
@@ -159,7 +247,8 @@ async function previewRoom(roomId) {
   setStatus("Loading room info...");
   
   try {
-    const res = await fetch(`${API_BASE}/rooms/${roomId}/preview`, {
+    const query = invite ? `?invite=${encodeURIComponent(invite)}` : "";
+    const res = await fetch(`${API_BASE}/rooms/${roomId}/preview${query}`, {
       method: "GET",
       headers: {
         Authorization: `Bearer ${session.token}`,
@@ -174,16 +263,27 @@ async function previewRoom(roomId) {
       if (res.status === 404) {
         throw new Error("Room expired");
       }
+      if (res.status === 429) {
+        throw new Error("Too many attempts. Try again in a minute.");
+      }
+      if (res.status === 403) {
+        const error = await res.json().catch(() => ({}));
+        throw new Error(INVITE_ERRORS[error.error] || "You can't join this room");
+      }
       throw new Error("Failed to load room");
     }
     
     const data = await res.json();
     state.previewRoom = {
       roomId: data.roomId,
+      invite,
       videoUrl: data.videoUrl,
       titleId: data.titleId,
       initialTime: data.initialTime || 0,
       participantCount: data.participantCount || 0,
+      encryptionRequired: !!data.encryptionRequired,
+      passphraseRequired: !!data.passphraseRequired,
+      passphraseSalt: data.passphraseSalt || null,
     };
     
     showJoinPreview(state.previewRoom);
@@ -213,16 +313,27 @@ function showJoinPreview(preview) {
   // Format time
   const mins = Math.floor(preview.initialTime / 60);
   const secs = Math.floor(preview.initialTime % 60);
-  const timeStr = `Starting at ${mins}:${String(secs).padStart(2, "0")}`;
+  let timeStr = `Starting at ${mins}:${String(secs).padStart(2, "0")}`;
+  if (preview.encryptionRequired && !preview.titleId) {
+    videoTitle = "Encrypted room";
+    timeStr = "You'll see what's playing after joining";
+  } else if (preview.waitingRoom && !preview.titleId) {
+    videoTitle = "Waiting room";
+    timeStr = "You'll see what's playing once the host lets you in";
+  }
   
   // Format participants
-  const participantStr = preview.participantCount === 1 
+  let participantStr = preview.participantCount === 1 
     ? "1 person watching" 
     : `${preview.participantCount} people watching`;
+  if (preview.waitingRoom) {
+    participantStr += " · the host lets you in";
+  }
   
   videoEl.textContent = videoTitle;
   timeEl.textContent = timeStr;
   participantsEl.textContent = participantStr;
+  previewPassphraseRow?.classList.toggle("hidden", !preview.passphraseRequired);
   
   previewEl.classList.remove("hidden");
   document.querySelector(".field-grid").classList.add("hidden");
@@ -233,6 +344,7 @@ function hideJoinPreview() {
   const previewEl = document.getElementById("join-preview");
   previewEl.classList.add("hidden");
   document.querySelector(".field-grid").classList.remove("hidden");
+  if (previewPassphraseInput) previewPassphraseInput.value = "";
   state.previewRoom = null;
 }
 
@@ -240,11 +352,26 @@ function hideJoinPreview() {
 document.getElementById("confirm-join")?.addEventListener("click", async () => {
   if (!state.previewRoom) return;
   
-  const { roomId, videoUrl, initialTime } = state.previewRoom;
+  const preview = state.previewRoom;
+  const passphrase = previewPassphraseInput?.value || "";
+  if (preview.passphraseRequired && !passphrase) {
+    jitterInput(previewPassphraseInput);
+    pushToast("This room needs a passphrase", "warn");
+    return;
+  }
   hideJoinPreview();
   
   // Join the room via background (which will open Netflix tab)
-  await confirmJoinRoom(roomId, videoUrl, initialTime);
+  const joined = await confirmJoinRoom(preview.roomId, preview.videoUrl, preview.initialTime, {
+    invite: preview.invite,
+    passphrase,
+    passphraseSalt: preview.passphraseSalt,
+  });
+  // Let them retype a wrong passphrase without pasting the room again
+  if (joined === "invalid_passphrase" || joined === "passphrase_required") {
+    state.previewRoom = { ...preview, passphraseRequired: true };
+    showJoinPreview(state.previewRoom);
+  }
 });
 
 // Cancel join button handler
@@ -255,7 +382,7 @@ document.getElementById("cancel-join")?.addEventListener("click", () => {
 });
 
 // Join room with video navigation (user-gesture-gated)
-async function confirmJoinRoom(roomId, videoUrl, initialTime) {
+async function confirmJoinRoom(roomId, videoUrl, initialTime, { invite, passphrase, passphraseSalt } = {}) {
   const session = requireSession();
   if (!session) return;
   
@@ -273,6 +400,9 @@ async function confirmJoinRoom(roomId, videoUrl, initialTime) {
           token: session.token,
           videoUrl,
           initialTime,
+          invite,
+          passphrase,
+          passphraseSalt,
         },
         (response) => {
           if (chrome.runtime.lastError) {
@@ -296,6 +426,7 @@ async function confirmJoinRoom(roomId, videoUrl, initialTime) {
     setStatus(`Joined room ${roomId}`);
     setConnectionPill("bad", "connecting");
     pushToast(`Joining ${roomId} as ${displayName}`, "info");
+    return "ok";
   } catch (err) {
     const msg = err?.message || "join_failed";
     setStatus("Failed to join room");
@@ -305,14 +436,37 @@ async function confirmJoinRoom(roomId, videoUrl, initialTime) {
       pushToast("Sign in to join rooms", "warn");
     } else if (msg === "invalid-room") {
       pushToast("Invalid room ID", "warn");
+    } else if (msg === "rate_limited") {
+      pushToast("Too many join attempts. Try again in a minute.", "warn");
+    } else if (msg === "invalid_passphrase") {
+      pushToast("Wrong passphrase", "warn");
+    } else if (msg === "passphrase_required") {
+      pushToast("This room needs a passphrase", "warn");
+    } else if (INVITE_ERRORS[msg]) {
+      pushToast(INVITE_ERRORS[msg], "warn");
     } else {
       pushToast("Could not join room", "warn");
     }
+    return msg;
   } finally {
     lockControls(false);
   }
 }
 
+checkUpdateBtn?.addEventListener("click", () => {
+  checkUpdateBtn.disabled = true;
+  safeSendMessage({ type: "check-for-update" }, (res) => {
+    checkUpdateBtn.disabled = false;
+    if (res?.status === "update_available") {
+      pushToast("Update found. Flixers restarts once it's installed.", "info");
+    } else if (res?.status === "throttled") {
+      pushToast("Checked too recently. Try again in a few minutes.", "warn");
+    } else {
+      pushToast("No update available yet. Try again later.", "warn");
+    }
+  });
+});
+
 leaveBtn?.addEventListener("click", async () => {
   try {
     await chrome.runtime.sendMessage({ type: "leave-room" });
@@ -325,6 +479,7 @@ leaveBtn?.addEventListener("click", async () => {
   setConnectionPill("idle", "Idle");
   updateVisibility();
   pushToast("Disconnected from room", "info");
+  loadRecentRooms();
 });
 
 async function handleSignIn() {
@@ -357,12 +512,15 @@ async function handleSignIn() {
     if (result.session) {
       state.session = result.session;
       applySession(result.session);
+      loadFriends();
+      loadRecentRooms();
       pushToast(`Signed in as ${result.session.profile?.name || "user"}`, "info");
       
       // Handle pending room join
       if (state.pendingRoomId) {
-        await previewRoom(state.pendingRoomId);
+        await previewRoom(state.pendingRoomId, state.pendingInvite);
         state.pendingRoomId = null;
+        state.pendingInvite = null;
       }
     }
   } catch (err) {
@@ -376,6 +534,41 @@ async function handleSignIn() {
 }
 
 async function handleSignOut() {
+  // Best effort: being offline shouldn't keep the user signed in here
+  await revokeServerSession("/auth/logout");
+  await clearLocalSession();
+  pushToast("Signed out", "info");
+}
+
+async function handleSignOutEverywhere() {
+  if (!requireSession()) return;
+  signOutAllBtn.disabled = true;
+  const ok = await revokeServerSession("/auth/logout-all");
+  signOutAllBtn.disabled = false;
+  if (!ok) {
+    pushToast("Could not sign out other devices. Try again.", "warn");
+    return;
+  }
+  await clearLocalSession();
+  pushToast("Signed out on all devices", "info");
+}
+
+async function revokeServerSession(path) {
+  const token = state.session?.token;
+  if (!token) return false;
+  try {
+    const res = await fetch(`${API_BASE}${path}`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    // 401 means the session is already gone
+    return res.ok || res.status === 401;
+  } catch (_) {
+    return false;
+  }
+}
+
+async function clearLocalSession() {
   try {
     await chrome.runtime.sendMessage({ type: "auth-clear" });
   } catch (_) {
@@ -387,22 +580,52 @@ async function handleSignOut() {
   applySession(null);
   setConnectionPill("idle", "Idle");
   setStatus("Signed out");
-  pushToast("Signed out", "info");
 }
 
 chrome.runtime.onMessage.addListener((msg) => {
   if (msg.type === "ws-status") {
     const isConnected = msg.status === "connected";
-    const isReconnecting = msg.status === "reconnecting" || msg.status === "connecting";
+    const isReconnecting = msg.status === "reconnecting" || msg.status === "connecting" || msg.status === "waiting";
     state.connected = isConnected;
+    if (isConnected) state.protocolIncompatible = null;
     setConnectionPill(isConnected ? "ok" : isReconnecting ? "warn" : "bad", msg.status);
-    setStatus(`Connection: ${msg.status}`);
+    setStatus(msg.status === "waiting" ? "Waiting for the host to let you in" : `Connection: ${msg.status}`);
     updateVisibility();
     if (msg.status === "reconnecting") {
       pushToast("Reconnecting to room…", "warn");
-    } else if (msg.status === "disconnected") {
+    } else if (msg.status === "disconnected" && state.roomId) {
       pushToast("Connection lost", "warn");
+    } else if (msg.status === "auth-expired") {
+      pushToast("You were signed out. Please sign in again.", "warn");
+    }
+  }
+  if (msg.type === "waiting-room") {
+    state.waitingForHost = msg.status === "waiting";
+    if (msg.status === "admitted") {
+      pushToast("The host let you in", "info");
+    } else if (msg.status === "denied") {
+      setRoom(null);
+      setStatus("The host didn't let you in");
+      pushToast("The host didn't let you in", "warn");
+    }
+    updateVisibility();
+  }
+  if (msg.type === "moderation") {
+    if (msg.action === "kick" || msg.action === "ban") {
+      state.connected = false;
+      setRoom(null);
+      setConnectionPill("bad", "disconnected");
+      setStatus(msg.text);
     }
+    pushToast(msg.text, msg.action === "unmute-chat" ? "info" : "warn");
+  }
+  if (msg.type === "protocol-incompatible") {
+    state.protocolIncompatible = msg.reason;
+    state.connected = false;
+    setRoom(null);
+    setConnectionPill("bad", "disconnected");
+    setStatus(msg.text);
+    updateVisibility();
   }
   if (msg.type === "room-deleted") {
     if (state.roomId && msg.roomId && state.roomId === msg.roomId) {
@@ -427,6 +650,13 @@ chrome.runtime.onMessage.addListener((msg) => {
     state.videoUrl = msg.url || null;
     updateVisibility();
   }
+  if (msg.type === "room-invite") {
+    pushToast(`${msg.from || "A friend"} invited you to a room`, "info");
+    loadFriends();
+  }
+  if (msg.type === "peer-key-changed") {
+    pushToast(`${msg.name || "A participant"}'s security key changed. Verify them again from the overlay.`, "warn");
+  }
   if (msg.type === "auth") {
     state.session = msg.session || null;
     applySession(state.session);
@@ -498,7 +728,7 @@ async function exchangeIdToken(idToken) {
   });
   if (!res.ok) throw new Error("exchange_failed");
   const data = await res.json();
-  return { token: data.token, profile: data.profile };
+  return { token: data.token, refreshToken: data.refreshToken, profile: data.profile };
 }
 
 async function setSession(session) {
@@ -512,8 +742,9 @@ async function setSession(session) {
   applySession(session);
   if (state.pendingRoomId) {
     // Show preview instead of directly joining
-    await previewRoom(state.pendingRoomId);
+    await previewRoom(state.pendingRoomId, state.pendingInvite);
     state.pendingRoomId = null;
+    state.pendingInvite = null;
   }
 }
 
@@ -536,9 +767,87 @@ function applySession(session) {
   signOutBtn.classList.toggle("hidden", !authed);
   signInBtn.classList.toggle("hidden", authed);
   createBtn.disabled = !authed;
+  prefsPanel.classList.toggle("hidden", !authed);
+  if (!authed) {
+    friendsPanel.classList.add("hidden");
+    recentRoomsPanel.classList.add("hidden");
+  }
+  applyPreferences(session?.preferences);
   updateVisibility();
 }
 
+function getPreferences() {
+  return { ...DEFAULT_PREFERENCES, ...(state.session?.preferences || {}) };
+}
+
+function applyPreferences(prefs) {
+  const merged = { ...DEFAULT_PREFERENCES, ...(prefs || {}) };
+  document.documentElement.dataset.theme = merged.theme;
+  prefThemeSelect.value = merged.theme;
+  prefNotificationsInput.checked = merged.notificationsEnabled;
+  prefEncryptionInput.checked = merged.defaultEncryption;
+}
+
+// Store preferences on the session so background and content scripts see them too
+function storePreferences(preferences) {
+  if (!state.session) return;
+  const session = { ...state.session, preferences };
+  state.session = session;
+  applyPreferences(preferences);
+  safeSendMessage({ type: "auth-set", session });
+}
+
+// Pull the latest preferences so changes made on another machine show up here
+async function refreshPreferences() {
+  const session = state.session;
+  if (!session?.token) return;
+  try {
+    const res = await fetch(`${API_BASE}/me/preferences`, {
+      headers: { Authorization: `Bearer ${session.token}` },
+    });
+    if (res.status === 401) {
+      await handleAuthExpired();
+      return;
+    }
+    if (!res.ok) return; // Backend without a database keeps the cached preferences
+    const data = await res.json();
+    storePreferences(data.preferences);
+  } catch (_) {
+    // Offline: keep cached preferences
+  }
+}
+
+async function savePreferences(update) {
+  const session = requireSession();
+  if (!session) return;
+  const previous = getPreferences();
+  // Apply optimistically, roll back if the backend rejects it
+  storePreferences({ ...previous, ...update });
+  try {
+    const res = await fetch(`${API_BASE}/me/preferences`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${session.token}`,
+      },
+      body: JSON.stringify(update),
+    });
+    if (res.status === 401) {
+      await handleAuthExpired();
+      return;
+    }
+    if (!res.ok) {
+      const error = await res.json().catch(() => ({}));
+      throw new Error(error.error || "save_failed");
+    }
+    const data = await res.json();
+    storePreferences(data.preferences);
+  } catch (err) {
+    storePreferences(previous);
+    pushToast(`Could not save preferences: ${err.message}`, "warn");
+  }
+}
+
 function requireSession() {
   if (!state.session || !state.session.token) {
     pushToast("Sign in with Google first", "warn");
@@ -547,7 +856,7 @@ function requireSession() {
   return state.session;
 }
 
-async function joinRoom(roomId) {
+async function joinRoom(roomId, { passphrase, passphraseSalt } = {}) {
   const session = requireSession();
   if (!session) return;
   if (!roomId) {
@@ -566,6 +875,8 @@ async function joinRoom(roomId) {
           roomId,
           name: displayName,
           token: session.token,
+          passphrase,
+          passphraseSalt,
         },
         (response) => {
           // Check lastError to prevent unchecked error
@@ -594,6 +905,14 @@ async function joinRoom(roomId) {
       pushToast("Sign in to join rooms", "warn");
     } else if (msg === "invalid-room") {
       pushToast("Invalid room ID", "warn");
+    } else if (msg === "rate_limited") {
+      pushToast("Too many join attempts. Try again in a minute.", "warn");
+    } else if (msg === "invalid_passphrase") {
+      pushToast("Wrong passphrase", "warn");
+    } else if (msg === "passphrase_required") {
+      pushToast("This room needs a passphrase. Paste the room ID to enter it.", "warn");
+    } else if (INVITE_ERRORS[msg]) {
+      pushToast(INVITE_ERRORS[msg], "warn");
     } else {
       pushToast("Could not join room", "warn");
     }
@@ -645,8 +964,16 @@ function renderPresence(participants) {
     const chip = document.createElement("span");
     chip.className = "chip";
     chip.textContent = name || "Guest";
+    const roleLabel = ROLE_LABELS[p?.role];
+    if (roleLabel) {
+      const badge = document.createElement("span");
+      badge.className = `chip-role chip-role--${p.role}`;
+      badge.textContent = roleLabel;
+      chip.appendChild(badge);
+    }
     presenceChips.appendChild(chip);
   });
+  updateInvitesPanel();
 }
 
 function setRoom(roomId, name = state.session?.profile?.name) {
@@ -656,11 +983,17 @@ function setRoom(roomId, name = state.session?.profile?.name) {
   if (roomId) {
     setStatus(`Reattached to room ${roomId}`);
   } else {
+    state.waitingForHost = false;
     renderPresence([]);
   }
   updateVisibility();
 }
 
+const UPDATE_NOTICES = {
+  "client-outdated": "This room's server needs a newer version of Flixers. Update to rejoin.",
+  "server-outdated": "This room's server runs an older version of Flixers and can't be joined.",
+};
+
 function updateVisibility() {
   const inRoom = !!state.roomId;
   const onVideo = state.videoUrl && state.videoUrl.includes("netflix.com/watch");
@@ -668,8 +1001,14 @@ function updateVisibility() {
   leaveBtn.classList.toggle("hidden", !inRoom);
   createBtn.classList.toggle("hidden", inRoom);
   copyIdBtn.classList.toggle("hidden", !inRoom);
+  passphraseRow?.classList.toggle("hidden", inRoom);
+  waitingRoomRow?.classList.toggle("hidden", inRoom);
+  waitingScreen?.classList.toggle("hidden", !inRoom || !state.waitingForHost);
+  updateScreen?.classList.toggle("hidden", inRoom || !state.protocolIncompatible);
+  if (state.protocolIncompatible) updateText.textContent = UPDATE_NOTICES[state.protocolIncompatible];
+  checkUpdateBtn?.classList.toggle("hidden", state.protocolIncompatible !== "client-outdated");
   roomLinkInput.disabled = inRoom;
-  roomLinkInput.placeholder = inRoom ? "Connected · Room ID locked" : "Enter room ID";
+  roomLinkInput.placeholder = inRoom ? "Connected · Room ID locked" : "Paste invite link or room ID";
   
   // Update create button state based on whether user is on a Netflix video
   if (createBtn) {
@@ -677,6 +1016,239 @@ function updateVisibility() {
     createBtn.title = !onVideo && !inRoom ? "Open a Netflix video to create a room" : "";
   }
   copyIdBtn.disabled = !inRoom;
+  renderFriends();
+  renderRecentRooms();
+}
+
+// Authenticated JSON request to the backend; returns null when the session expired
+async function apiRequest(path, options = {}) {
+  const session = requireSession();
+  if (!session) return null;
+  const res = await fetch(`${API_BASE}${path}`, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${session.token}`,
+    },
+  });
+  if (res.status === 401) {
+    await handleAuthExpired();
+    return null;
+  }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || "request_failed");
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+async function loadFriends() {
+  if (!state.session?.token) return;
+  try {
+    const data = await apiRequest("/friends");
+    if (!data) return;
+    state.friends = {
+      friends: data.friends || [],
+      pending: data.pending || [],
+      sent: data.sent || [],
+      invites: data.invites || [],
+    };
+    friendsPanel.classList.remove("hidden");
+    renderFriends();
+  } catch (err) {
+    // Backend without a database has no friends API; keep the section hidden
+    friendsPanel.classList.toggle("hidden", err.status === 503);
+  }
+}
+
+async function searchFriends(query) {
+  if (query.length < 2) {
+    pushToast("Type at least 2 characters to search", "warn");
+    return;
+  }
+  try {
+    const data = await apiRequest(`/users/search?q=${encodeURIComponent(query)}`);
+    if (!data) return;
+    const known = new Set(
+      [...state.friends.friends, ...state.friends.pending, ...state.friends.sent].map((f) => f.user?.id)
+    );
+    friendSearchResults.innerHTML = "";
+    if (!data.users.length) {
+      friendSearchResults.appendChild(buildFriendRow("No matches", null, []));
+      return;
+    }
+    data.users.forEach((user) => {
+      const actions = known.has(user.id) ? [] : [["Add", () => sendFriendRequest(user.id)]];
+      friendSearchResults.appendChild(buildFriendRow(user.name, null, actions));
+    });
+  } catch (err) {
+    pushToast(`Search failed: ${err.message}`, "warn");
+  }
+}
+
+async function friendAction(path, options, successText) {
+  try {
+    const data = await apiRequest(path, options);
+    if (!data) return;
+    if (successText) pushToast(successText, "info");
+    await loadFriends();
+  } catch (err) {
+    pushToast(`Friends: ${err.message}`, "warn");
+  }
+}
+
+function sendFriendRequest(friendId) {
+  friendSearchResults.innerHTML = "";
+  friendSearchInput.value = "";
+  return friendAction(
+    "/friends/requests",
+    { method: "POST", body: JSON.stringify({ friendId }) },
+    "Friend request sent"
+  );
+}
+
+function inviteFriend(friend) {
+  if (!state.roomId) return;
+  return friendAction(
+    `/friends/${encodeURIComponent(friend.id)}/invite`,
+    { method: "POST", body: JSON.stringify({ roomId: state.roomId }) },
+    `Invited ${friend.name} to this room`
+  );
+}
+
+async function joinInvite(invite) {
+  await friendAction(`/friends/invites/${encodeURIComponent(invite.roomId)}`, { method: "DELETE" });
+  roomLinkInput.value = invite.roomId;
+  await previewRoom(invite.roomId, invite.inviteToken || null);
+}
+
+async function loadRecentRooms() {
+  if (!state.session?.token) return;
+  try {
+    const data = await apiRequest("/me/rooms");
+    if (!data) return;
+    state.recentRooms = data.rooms || [];
+    recentRoomsPanel.classList.toggle("hidden", !state.recentRooms.length);
+    renderRecentRooms();
+  } catch (_) {
+    // History needs the database; hide the section when it is unavailable
+    recentRoomsPanel.classList.add("hidden");
+  }
+}
+
+function formatPosition(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+  return hours ? `${hours}:${String(mins).padStart(2, "0")}:${secs}` : `${mins}:${secs}`;
+}
+
+async function rejoinRoom(roomId) {
+  roomLinkInput.value = roomId;
+  // Same flow as pasting an ID: preview first, then confirmJoinRoom from the preview panel
+  await previewRoom(roomId);
+}
+
+function renderRecentRooms() {
+  const inRoom = !!state.roomId;
+  recentRoomList.innerHTML = "";
+  state.recentRooms.forEach((entry) => {
+    const details = [];
+    if (Number.isFinite(entry.lastPosition)) details.push(`at ${formatPosition(entry.lastPosition)}`);
+    if (entry.participants?.length) details.push(`with ${entry.participants.join(", ")}`);
+    recentRoomList.appendChild(
+      buildFriendRow(
+        entry.title || `Room ${entry.roomId}`,
+        entry.active ? null : "Ended",
+        [["Rejoin", () => rejoinRoom(entry.roomId), inRoom || !entry.active]],
+        details.join(" · ")
+      )
+    );
+  });
+}
+
+function buildFriendRow(name, tag, actions, meta) {
+  const row = document.createElement("li");
+  row.className = "friend-row";
+  const info = document.createElement("div");
+  info.className = "friend-info";
+  const nameEl = document.createElement("span");
+  nameEl.className = "friend-name";
+  nameEl.textContent = name || "Guest";
+  info.appendChild(nameEl);
+  if (meta) {
+    const metaEl = document.createElement("p");
+    metaEl.className = "friend-meta";
+    metaEl.textContent = meta;
+    info.appendChild(metaEl);
+  }
+  row.appendChild(info);
+  if (tag) {
+    const tagEl = document.createElement("span");
+    tagEl.className = "friend-tag";
+    tagEl.textContent = tag;
+    row.appendChild(tagEl);
+  }
+  actions.forEach(([label, onClick, disabled]) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "pill-btn muted";
+    btn.textContent = label;
+    btn.disabled = !!disabled;
+    btn.addEventListener("click", onClick);
+    row.appendChild(btn);
+  });
+  return row;
+}
+
+function renderFriends() {
+  const { friends, pending, sent, invites } = state.friends;
+  const inRoom = !!state.roomId;
+
+  friendInvitesList.innerHTML = "";
+  invites.forEach((invite) => {
+    friendInvitesList.appendChild(
+      buildFriendRow(`${invite.fromName} invited you`, invite.roomId, [
+        ["Join", () => joinInvite(invite), inRoom],
+        ["Dismiss", () => friendAction(`/friends/invites/${encodeURIComponent(invite.roomId)}`, { method: "DELETE" })],
+      ])
+    );
+  });
+
+  friendPendingList.innerHTML = "";
+  pending.forEach((req) => {
+    friendPendingList.appendChild(
+      buildFriendRow(req.user.name, "Wants to be friends", [
+        ["Accept", () => friendAction(`/friends/requests/${req.friendshipId}/accept`, { method: "POST" }, `You and ${req.user.name} are now friends`)],
+        ["Decline", () => friendAction(`/friends/requests/${req.friendshipId}/decline`, { method: "POST" })],
+      ])
+    );
+  });
+
+  friendList.innerHTML = "";
+  if (!friends.length && !pending.length && !invites.length) {
+    friendList.appendChild(buildFriendRow("No friends yet - search to add some", null, []));
+  }
+  friends.forEach((f) => {
+    friendList.appendChild(
+      buildFriendRow(f.user.name, null, [
+        ["Invite", () => inviteFriend(f.user), !inRoom],
+        ["Remove", () => friendAction(`/friends/${f.friendshipId}`, { method: "DELETE" }, `Removed ${f.user.name}`)],
+      ])
+    );
+  });
+
+  friendSentList.innerHTML = "";
+  sent.forEach((req) => {
+    friendSentList.appendChild(
+      buildFriendRow(req.user.name, "Request sent", [
+        ["Cancel", () => friendAction(`/friends/${req.friendshipId}`, { method: "DELETE" })],
+      ])
+    );
+  });
 }
 
 function isValidRoomId(roomId) {
@@ -688,6 +1260,12 @@ function isValidRoomId(roomId) {
   return /^[a-zA-Z0-9_-]+$/.test(cleaned);
 }
 
+// Invite token from a pasted link (`...?room=<id>&invite=<token>`), or null
+function parseInviteToken(input) {
+  const match = (input || "").match(/[?&]invite=([^&#\s]+)/i);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
 function parseRoomId(input) {
   if (!input) return null;
   const trimmed = input.trim();
@@ -726,6 +1304,98 @@ async function handleAuthExpired() {
   pushToast("Session expired. Please sign in again.", "warn");
 }
 
+// ============ Invite Links ============
+
+function myRole() {
+  const me = state.session?.profile?.sub;
+  return state.participants.find((p) => p?.id === me)?.role || "viewer";
+}
+
+function canManageInvites() {
+  return !!state.roomId && myRole() !== "viewer";
+}
+
+// Opening the link shows the join preview in the extension page (see bootstrap)
+function buildInviteLink(roomId, token) {
+  return `${chrome.runtime.getURL("popup.html")}?room=${encodeURIComponent(roomId)}&invite=${encodeURIComponent(token)}`;
+}
+
+// Show and refresh the invite list when we become host/co-host of a room
+function updateInvitesPanel() {
+  const manage = canManageInvites();
+  invitesPanel?.classList.toggle("hidden", !manage);
+  copyIdBtn.textContent = manage ? "Copy invite" : "Copy ID";
+  if (inviteRoleSelect) inviteRoleSelect.disabled = myRole() !== "host";
+  if (!manage) {
+    state.invitesRoomId = null;
+    return;
+  }
+  if (state.invitesRoomId !== state.roomId) {
+    state.invitesRoomId = state.roomId;
+    loadInvites();
+  }
+}
+
+async function loadInvites() {
+  if (!state.roomId) return;
+  try {
+    const data = await apiRequest(`/rooms/${encodeURIComponent(state.roomId)}/invites`);
+    if (!data) return;
+    state.invites = data.invites || [];
+    renderInvites();
+  } catch (_) {
+    state.invites = [];
+    renderInvites();
+  }
+}
+
+function renderInvites() {
+  inviteList.innerHTML = "";
+  state.invites.forEach((invite) => {
+    const expires = new Date(invite.expiresAt).toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+    const used = `${invite.uses}/${invite.maxUses} used`;
+    inviteList.appendChild(
+      buildFriendRow(
+        invite.role === "cohost" ? "Co-host invite" : "Viewer invite",
+        invite.status === "invite_exhausted" ? "Used up" : null,
+        [["Revoke", () => revokeInvite(invite.id)]],
+        `${used} · expires ${expires}`
+      )
+    );
+  });
+}
+
+// Mint an invite (server defaults unless given) and copy its link
+async function copyInviteLink(roomId, settings = {}) {
+  if (!roomId) return false;
+  try {
+    const data = await apiRequest(`/rooms/${encodeURIComponent(roomId)}/invites`, {
+      method: "POST",
+      body: JSON.stringify(settings),
+    });
+    if (!data) return false;
+    await navigator.clipboard.writeText(buildInviteLink(roomId, data.token));
+    pushToast("Invite link copied", "info");
+    if (roomId === state.roomId) loadInvites();
+    return true;
+  } catch (err) {
+    pushToast(err.message === "rate_limited" ? "Too many invites. Try again in a minute." : "Couldn't create an invite link", "warn");
+    return false;
+  }
+}
+
+async function revokeInvite(inviteId) {
+  try {
+    await apiRequest(`/rooms/${encodeURIComponent(state.roomId)}/invites/${encodeURIComponent(inviteId)}`, {
+      method: "DELETE",
+    });
+    pushToast("Invite link revoked", "info");
+  } catch (_) {
+    pushToast("Couldn't revoke the invite", "warn");
+  }
+  await loadInvites();
+}
+
 async function copyRoomIdToClipboard(roomId = state.roomId) {
   const value = (roomId || "").trim();
   if (!value) {
@@ -770,6 +1440,32 @@ function escapeHtml(str = "") {
 }
 
 // Helper to safely send messages and handle lastError
+// Resolves null when the background can't be reached
+function requestBackgroundSession() {
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage({ type: "auth-get" }, (res) => {
+        resolve(chrome.runtime.lastError ? null : res || null);
+      });
+    } catch (_) {
+      resolve(null);
+    }
+  });
+}
+
+// Salt + verifier for a new passphrase room, derived in the background
+function requestPassphraseVerifier(passphrase) {
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage({ type: "passphrase-verifier", passphrase }, (res) => {
+        resolve(chrome.runtime.lastError ? null : res || null);
+      });
+    } catch (_) {
+      resolve(null);
+    }
+  });
+}
+
 function safeSendMessage(message, callback) {
   try {
     chrome.runtime.sendMessage(message, (res) => {
@@ -787,22 +1483,32 @@ function safeSendMessage(message, callback) {
 // Restore session and last joined room if any.
 (async function bootstrap() {
   const stored = await chrome.storage.local.get(["flixersSession"]);
-  const session = stored.flixersSession || null;
+  let session = stored.flixersSession || null;
+  if (session) {
+    // The background renews the access token first if it is about to expire
+    const fresh = await requestBackgroundSession();
+    if (fresh) session = fresh.session || null;
+  }
   if (session) {
     state.session = session;
     applySession(session);
+    refreshPreferences();
+    loadFriends();
+    loadRecentRooms();
   } else {
     applySession(null);
   }
   const urlRoom = parseRoomId(new URL(window.location.href).searchParams.get("room"));
   if (urlRoom) {
     state.pendingRoomId = urlRoom;
+    state.pendingInvite = parseInviteToken(window.location.href);
     roomLinkInput.value = urlRoom;
     pushToast(`Link detected for room ${urlRoom}`, "info");
     if (state.session) {
       // Show preview instead of directly joining
-      await previewRoom(urlRoom);
+      await previewRoom(urlRoom, state.pendingInvite);
       state.pendingRoomId = null;
+      state.pendingInvite = null;
     }
   }
   safeSendMessage({ type: "get-room" }, (res) => {
@@ -816,18 +1522,24 @@ function safeSendMessage(message, callback) {
     const participants = Array.isArray(res?.participants)
       ? res.participants
       : (res?.users || []).map((name) => ({ id: name, name }));
+    state.waitingForHost = !!res?.waitingForHost;
     renderPresence(participants);
+    updateVisibility();
   });
   safeSendMessage({ type: "get-connection-status" }, (res) => {
     if (res?.status) {
       const isConnected = res.status === "connected";
-      const isReconnecting = res.status === "reconnecting" || res.status === "connecting";
+      const isReconnecting = res.status === "reconnecting" || res.status === "connecting" || res.status === "waiting";
       state.connected = isConnected;
       setConnectionPill(isConnected ? "ok" : isReconnecting ? "warn" : "bad", res.status);
       if (res.roomId) {
         setStatus(`Connection: ${res.status}`);
       }
     }
+    if (res?.protocolIncompatible) {
+      state.protocolIncompatible = res.protocolIncompatible;
+      updateVisibility();
+    }
   });
   safeSendMessage({ type: "player-status" }, (res) => {
     if (res && typeof res.present === "boolean") {